@@ -0,0 +1,244 @@
+// Local stand-in for the clinic API: patient CRUD, sync (see src/services/syncEngine.js) and error logging
+// Everything is kept in memory and lost on restart. Records are stored exactly as sent; the app
+// only ever sends them encrypted.
+//
+// Used three ways:
+//   - by the Vite dev server under /api (mockApiPlugin in vite.config.js), the default API in development
+//   - standalone: `npm run mock-api` listens on MOCK_API_PORT (default 4010) with CORS enabled
+//   - in tests: http.createServer(createMockApi().handle)
+//
+// Test hooks: an X-Mock-Status header answers with that status instead, X-Mock-Delay (ms) delays
+// the answer, and POST /__reset clears all data.
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+
+export const MOCK_API_PATH = '/api';
+
+class HttpError extends Error {
+  constructor(status, message, body = null) {
+    super(message);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+const send = (res, status, body) => {
+  res.statusCode = status;
+  if (body === undefined) {
+    res.end();
+    return;
+  }
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+};
+
+const readJson = async (req) => {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text) return {};
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new HttpError(400, 'Request body is not valid JSON');
+  }
+};
+
+// A malformed % escape is the client's mistake, not a server error
+const decodePathSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw new HttpError(400, 'Malformed URL path');
+  }
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create an in-memory API
+ * @param {Object} options - { pageSize } changes per /sync/changes page
+ * @returns {Object} { handle(req, res), reset(), state } - handle works as a Node or connect handler
+ */
+export function createMockApi({ pageSize = 100 } = {}) {
+  const state = {
+    records: new Map(), // patientId -> { patientId, revision, encryptedData, deviceId, updatedAt, deleted }
+    changes: [], // Every write, in order; a sync cursor is an index into this list
+    errors: []
+  };
+
+  const reset = () => {
+    state.records.clear();
+    state.changes.length = 0;
+    state.errors.length = 0;
+  };
+
+  const write = (patientId, fields) => {
+    const record = {
+      patientId,
+      revision: (state.records.get(patientId)?.revision || 0) + 1,
+      encryptedData: null,
+      deviceId: null,
+      updatedAt: new Date().toISOString(),
+      deleted: false,
+      ...fields
+    };
+    state.records.set(patientId, record);
+    state.changes.push(record);
+    return record;
+  };
+
+  const getLive = (patientId) => {
+    const record = state.records.get(patientId);
+    if (!record || record.deleted) throw new HttpError(404, 'Patient not found');
+    return record;
+  };
+
+  // Sync writes must be based on the current revision, otherwise the caller gets our copy back
+  const checkBaseRevision = (patientId, baseRevision) => {
+    const current = state.records.get(patientId);
+    if ((current?.revision || 0) !== Number(baseRevision || 0)) {
+      throw new HttpError(409, 'Revision conflict', { error: 'Revision conflict', record: current });
+    }
+  };
+
+  const patientFields = ({ encryptedData, deviceId, updatedAt }) => {
+    if (typeof encryptedData !== 'string' || !encryptedData) {
+      throw new HttpError(422, 'encryptedData is required');
+    }
+    const updatedDate = updatedAt && new Date(updatedAt);
+    if (updatedDate && Number.isNaN(updatedDate.getTime())) {
+      throw new HttpError(422, 'updatedAt is not a valid date');
+    }
+    return { encryptedData, deviceId: deviceId || null, ...(updatedDate && { updatedAt: updatedDate.toISOString() }) };
+  };
+
+  // [method, path pattern, handler(params, body, query)] - handlers return [status, body]
+  const routes = [
+    ['GET', '/health', () => [200, { status: 'ok' }]],
+
+    ['GET', '/patients', () => [200, {
+      patients: [...state.records.values()]
+        .filter(record => !record.deleted)
+        .map(({ patientId, revision, updatedAt }) => ({ patientId, revision, updatedAt }))
+    }]],
+    ['POST', '/patients', (params, body) => {
+      const patientId = body.patientId || randomUUID();
+      if (state.records.get(patientId)?.deleted === false) {
+        throw new HttpError(409, 'Patient already exists');
+      }
+      const record = write(patientId, patientFields(body));
+      return [201, { patientId, revision: record.revision }];
+    }],
+    ['GET', '/patients/:id', ({ id }) => [200, getLive(id)]],
+    ['PUT', '/patients/:id', ({ id }, body) => [200, { revision: write(id, patientFields(body)).revision }]],
+    ['DELETE', '/patients/:id', ({ id }) => {
+      getLive(id);
+      return [200, { revision: write(id, { deleted: true }).revision }];
+    }],
+
+    ['PUT', '/sync/patients/:id', ({ id }, body) => {
+      checkBaseRevision(id, body.baseRevision);
+      return [200, { revision: write(id, patientFields(body)).revision }];
+    }],
+    ['DELETE', '/sync/patients/:id', ({ id }, body, query) => {
+      getLive(id);
+      checkBaseRevision(id, query.get('baseRevision'));
+      return [200, { revision: write(id, { deleted: true }).revision }];
+    }],
+    ['GET', '/sync/changes', (params, body, query) => {
+      const since = Math.max(0, Number(query.get('since')) || 0);
+      const cursor = Math.min(since + pageSize, state.changes.length);
+      return [200, { changes: state.changes.slice(since, cursor), cursor, hasMore: cursor < state.changes.length }];
+    }],
+
+    ['POST', '/errors', (params, body) => {
+      const entry = { id: randomUUID(), receivedAt: new Date().toISOString(), ...body };
+      state.errors.push(entry);
+      return [201, { id: entry.id }];
+    }],
+    ['GET', '/errors', () => [200, { errors: state.errors }]],
+
+    ['POST', '/__reset', () => {
+      reset();
+      return [204];
+    }]
+  ];
+
+  const match = (method, pathname) => {
+    const segments = pathname.split('/').filter(Boolean);
+    for (const [routeMethod, pattern, handler] of routes) {
+      const parts = pattern.split('/').filter(Boolean);
+      if (routeMethod !== method || parts.length !== segments.length) continue;
+
+      const params = {};
+      const matches = parts.every((part, index) => {
+        if (part.startsWith(':')) {
+          params[part.slice(1)] = decodePathSegment(segments[index]);
+          return true;
+        }
+        return part === segments[index];
+      });
+      if (matches) return { handler, params };
+    }
+    return null;
+  };
+
+  const handle = async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Mock-Status, X-Mock-Delay');
+    if (req.method === 'OPTIONS') {
+      send(res, 204);
+      return;
+    }
+
+    try {
+      const delay = Number(req.headers['x-mock-delay']);
+      if (delay > 0) await wait(delay);
+
+      const forcedStatus = Number(req.headers['x-mock-status']);
+      if (forcedStatus >= 400) {
+        throw new HttpError(forcedStatus, 'Forced by X-Mock-Status');
+      }
+
+      const url = new URL(req.url, 'http://mock-api');
+      const route = match(req.method, url.pathname);
+      if (!route) throw new HttpError(404, 'Not found');
+
+      const body = ['POST', 'PUT'].includes(req.method) ? await readJson(req) : {};
+      const [status, responseBody] = route.handler(route.params, body, url.searchParams);
+      send(res, status, responseBody);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        send(res, error.status, error.body || { error: error.message });
+      } else {
+        console.error('Mock API error:', error);
+        send(res, 500, { error: 'Internal error' });
+      }
+    }
+  };
+
+  return { handle, reset, state };
+}
+
+// Vite plugin serving the mock API from the dev server
+export function mockApiPlugin({ path = MOCK_API_PATH } = {}) {
+  return {
+    name: 'mock-api',
+    apply: 'serve',
+    configureServer(server) {
+      server.middlewares.use(path, createMockApi().handle);
+    }
+  };
+}
+
+// Started directly: `node mock-api/server.js`
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.MOCK_API_PORT) || 4010;
+  http.createServer(createMockApi().handle).listen(port, () => {
+    console.log(`Mock API listening on http://localhost:${port} (set VITE_API_BASE_URL to use it)`);
+  });
+}
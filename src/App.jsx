@@ -6,11 +6,36 @@ import { v4 as uuidv4 } from 'uuid';
 import 'react-toastify/dist/ReactToastify.css';
 
 import { SecureStorage } from './services/secureStorage';
+import { API_BASE_URL } from './services/apiClient';
+import { hasUsers as hasRegisteredUsers } from './services/userStore';
+import { PERMISSIONS, ROLE_OPTIONS, hasPermission } from './services/roles';
+import { INTAKE_FORM_SCHEMA } from './forms/intakeSchema';
+import { getInitialValues, getSchemaFields, validateValues, translateValidationError } from './forms/formEngine';
+import { getNewEncounterValues, sortEncounters, splitFormValues, upsertEncounter } from './services/encounters';
+import { getVitalAlerts } from './services/vitals';
 import ErrorBoundary from './components/ErrorBoundary';
+import FormRenderer from './components/FormRenderer';
+import ListFieldTable from './components/ListFieldTable';
+import AllergyBanner from './components/AllergyBanner';
+import PatientSearchPanel from './components/PatientSearchPanel';
+import RevisionHistoryPanel from './components/RevisionHistoryPanel';
+import EncounterTimeline from './components/EncounterTimeline';
+import VitalsSummary from './components/VitalsSummary';
 import ExportPatientData from './components/ExportPatientData';
 import ImportPatientData from './components/ImportPatientData';
 import Login from './components/Login';
 import Signup from './components/Signup';
+import AccountRecovery from './components/AccountRecovery';
+import ChangePassword from './components/ChangePassword';
+import AdminPanel from './components/AdminPanel';
+import AuditLogPanel from './components/AuditLogPanel';
+import LockScreen from './components/LockScreen';
+import QuickPinSetup from './components/QuickPinSetup';
+import useIdleTimer from './hooks/useIdleTimer';
+import useDraftAutosave from './hooks/useDraftAutosave';
+import useSync from './hooks/useSync';
+import SyncStatus from './components/SyncStatus';
+import SyncConflictResolver from './components/SyncConflictResolver';
 
 // Separate Components for Clean Architecture
 const LanguageSwitcher = ({ currentLanguage, onLanguageChange }) => {
@@ -44,7 +69,7 @@ const LanguageSwitcher = ({ currentLanguage, onLanguageChange }) => {
   );
 };
 
-const PatientSelector = ({ patients, selectedPatientId, onPatientSelect, onNewPatient }) => {
+const PatientSelector = ({ patients, patientCache, conflictPatientIds, selectedPatientId, onPatientSelect, onNewPatient, canCreate }) => {
   const { t } = useTranslation();
   
   return (
@@ -64,17 +89,23 @@ const PatientSelector = ({ patients, selectedPatientId, onPatientSelect, onNewPa
                 : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-50'
             }`}
           >
-            {patientId.slice(-8)} {/* Show last 8 chars of UUID */}
+            {/* Show the name once loaded, otherwise the last 8 chars of the UUID */}
+            {patientCache.get(patientId)?.patientInfo?.name || patientId.slice(-8)}
+            {conflictPatientIds.includes(patientId) && (
+              <span className="ml-1" title={t('conflict.title', { defaultValue: 'Edited on another device' })}>⚠</span>
+            )}
           </button>
         ))}
       </div>
       
-      <button
-        onClick={onNewPatient}
-        className="bg-blue-600 text-white px-4 py-2 rounded font-medium hover:bg-blue-700 transition-colors"
-      >
-        + {t('newPatient', { defaultValue: 'New Patient' })}
-      </button>
+      {canCreate && (
+        <button
+          onClick={onNewPatient}
+          className="bg-blue-600 text-white px-4 py-2 rounded font-medium hover:bg-blue-700 transition-colors"
+        >
+          + {t('newPatient', { defaultValue: 'New Patient' })}
+        </button>
+      )}
     </div>
   );
 };
@@ -86,6 +117,9 @@ const LoadingSpinner = ({ message }) => (
   </div>
 );
 
+// Lock the session after this long without activity (VITE_IDLE_LOCK_MINUTES, default 5)
+const IDLE_LOCK_MS = (Number(import.meta.env.VITE_IDLE_LOCK_MINUTES) || 5) * 60 * 1000;
+
 function App() {
   const { t, i18n } = useTranslation();
   const formRef = useRef(null);
@@ -95,10 +129,23 @@ const [hasUsers, setHasUsers] = useState(false);
 const [isAuthenticated, setIsAuthenticated] = useState(false);
 const [currentUser, setCurrentUser] = useState(null);
 const [showSignup, setShowSignup] = useState(false);
+const [showRecovery, setShowRecovery] = useState(false);
+const [showChangePassword, setShowChangePassword] = useState(false);
+const [showAdminPanel, setShowAdminPanel] = useState(false);
+const [showQuickPin, setShowQuickPin] = useState(false);
+const [showAuditLog, setShowAuditLog] = useState(false);
+const [isLocked, setIsLocked] = useState(false);
+const pendingDraftRef = useRef(null); // Encrypted unsaved edits kept across a lock
+const [draftPrompt, setDraftPrompt] = useState(null); // Autosaved draft found for the loaded patient
+
+// Role-based permission check for the signed-in user (see services/roles.js)
+const can = (permission) => hasPermission(currentUser, permission);
   // State Management
   const [appState, setAppState] = useState({
     isLoading: false,
     isSaving: false,
+    isRestoring: false,
+    isResolving: false,
     hasUnsavedChanges: false,
     lastSavedAt: null,
     errorLogs: []
@@ -106,20 +153,13 @@ const [showSignup, setShowSignup] = useState(false);
   
   const [allPatients, setAllPatients] = useState([]);
   const [currentPatientId, setCurrentPatientId] = useState(null);
+  const [currentEncounterId, setCurrentEncounterId] = useState(null); // Visit shown in the form
   const [patientCache, setPatientCache] = useState(new Map());
+  const [recordsVersion, setRecordsVersion] = useState(0); // Bumped whenever stored records change
+  const [conflictPatientIds, setConflictPatientIds] = useState([]); // Edited here and on another device
   
-  // Form Data - Extensible Schema
-  const [formData, setFormData] = useState({
-    name: '',
-    age: '',
-    gender: '',
-    symptoms: '',
-    // Prepared for future fields:
-    // clinicId: '',
-    // medicalHistory: '',
-    // medications: '',
-    // emergencyContact: ''
-  });
+  // Form Data - fields come from the intake schema (src/forms/intakeSchema.js)
+  const [formData, setFormData] = useState(() => getInitialValues(INTAKE_FORM_SCHEMA));
 
   // Generate new patient ID
   const generatePatientId = () => {
@@ -127,6 +167,21 @@ const [showSignup, setShowSignup] = useState(false);
     return uuidv4();
   };
 
+  // Fill the form with a patient's details and one of their visits
+  // Opens encounterId if the record has it, otherwise the latest visit, or a new visit when there are none
+  const showEncounter = (record, encounterId = null) => {
+    const encounters = record?.encounters || [];
+    const encounter = encounters.find(entry => entry.id === encounterId) || sortEncounters(encounters)[0];
+    const encounterValues = encounter || getNewEncounterValues(INTAKE_FORM_SCHEMA, { clinician: currentUser?.username || '' });
+
+    setFormData({
+      ...getInitialValues(INTAKE_FORM_SCHEMA),
+      ...record?.patientInfo,
+      ...splitFormValues(INTAKE_FORM_SCHEMA, encounterValues).encounterValues
+    });
+    setCurrentEncounterId(encounter ? encounter.id : uuidv4());
+  };
+
   // Error logging system
   const logError = (error, context) => {
     const errorEntry = {
@@ -149,10 +204,9 @@ const [showSignup, setShowSignup] = useState(false);
 // Check if any users exist on app start
 useEffect(() => {
   const checkUserStatus = () => {
-    const storedUsers = JSON.parse(localStorage.getItem('registered_users') || '{}');
-    const userCount = Object.keys(storedUsers).length;
-    setHasUsers(userCount > 0);
-    setShowSignup(userCount === 0); // Show signup if no users exist
+    const usersExist = hasRegisteredUsers();
+    setHasUsers(usersExist);
+    setShowSignup(!usersExist); // Show signup if no users exist
   };
   
   checkUserStatus();
@@ -160,24 +214,138 @@ useEffect(() => {
 
 // Login Handler
 const handleLogin = (userData) => {
-  setCurrentUser(userData);
-  SecureStorage.setCurrentPin(userData.password); // Use password for encryption
+  setCurrentUser(userData); // Storage was unlocked by Login
   setIsAuthenticated(true);
   toast.success(t('loginSuccess', { defaultValue: `Welcome back, ${userData.username}!` }));
 };
 
 // Signup Handler
 const handleSignup = (userData) => {
-  setCurrentUser(userData);
-  SecureStorage.setCurrentPin(userData.password); // Use password for encryption
+  setCurrentUser(userData); // Storage was unlocked by Signup
   setHasUsers(true);
+  setShowSignup(false);
   setIsAuthenticated(true);
   toast.success(t('accountCreated', { defaultValue: `Account created! Welcome, ${userData.username}!` }));
 };
 
-// Switch between login and signup
+// Recovery Handler - storage was unlocked with the recovery code
+const handleRecover = (userData) => {
+  setCurrentUser(userData);
+  setShowRecovery(false);
+  setIsAuthenticated(true);
+  toast.success(t('changePassword.resetSuccess', { defaultValue: 'Password reset. Welcome back!' }));
+};
+
+// Switch between login, signup and recovery
 const handleSwitchToSignup = () => setShowSignup(true);
-const handleSwitchToLogin = () => setShowSignup(false);
+const handleSwitchToLogin = () => {
+  setShowSignup(false);
+  setShowRecovery(false);
+};
+const handleSwitchToRecovery = () => setShowRecovery(true);
+
+const handlePasswordChanged = () => {
+  setShowChangePassword(false);
+  toast.success(t('changePassword.success', { defaultValue: 'Password changed' }));
+};
+
+const handleQuickPinSet = () => {
+  setShowQuickPin(false);
+  toast.success(t('quickPin.success', { defaultValue: 'Quick unlock PIN set' }));
+};
+
+const handleLogout = () => {
+  setShowChangePassword(false);
+  setShowAdminPanel(false);
+  setShowQuickPin(false);
+  setShowAuditLog(false);
+  setIsAuthenticated(false);
+  setIsLocked(false);
+  setCurrentUser(null);
+  setPatientCache(new Map());
+  setFormData(getInitialValues(INTAKE_FORM_SCHEMA));
+  pendingDraftRef.current = null;
+  SecureStorage.signOut();
+  toast.info(t('loggedOut', { defaultValue: 'Logged out successfully' }));
+};
+
+// Lock: wipe the key and decrypted records from memory, keeping unsaved edits encrypted
+const handleLock = async () => {
+  if (!isAuthenticated || isLocked) return;
+
+  if (appState.hasUnsavedChanges && currentPatientId) {
+    try {
+      pendingDraftRef.current = {
+        patientId: currentPatientId,
+        encounterId: currentEncounterId,
+        draft: await SecureStorage.encryptDraft(formData)
+      };
+    } catch (error) {
+      logError(error, 'lockDraft');
+    }
+  }
+
+  SecureStorage.lock();
+  setPatientCache(new Map());
+  setFormData(getInitialValues(INTAKE_FORM_SCHEMA));
+  setShowChangePassword(false);
+  setShowAdminPanel(false);
+  setShowQuickPin(false);
+  setShowAuditLog(false);
+  setAppState(prev => ({ ...prev, hasUnsavedChanges: false }));
+  setIsLocked(true);
+};
+
+const handleUnlock = () => {
+  setIsLocked(false);
+  toast.success(t('lock.unlocked', { defaultValue: 'Session unlocked' }));
+};
+
+useIdleTimer(handleLock, IDLE_LOCK_MS, isAuthenticated && !isLocked);
+
+// Put back edits that were encrypted when the session locked; returns whether it did
+const restorePendingDraft = async (patientId) => {
+  const pending = pendingDraftRef.current;
+  if (!pending || pending.patientId !== patientId) return false;
+
+  pendingDraftRef.current = null;
+  const draft = await SecureStorage.decryptDraft(pending.draft);
+  setFormData({ ...getInitialValues(INTAKE_FORM_SCHEMA), ...draft });
+  setCurrentEncounterId(pending.encounterId);
+  setAppState(prev => ({ ...prev, hasUnsavedChanges: true }));
+  return true;
+};
+
+// Offer an autosaved draft left by a crash, closed tab or patient switch
+const offerSavedDraft = async (patientId) => {
+  try {
+    const draft = await SecureStorage.loadDraft(patientId);
+    if (draft) {
+      setDraftPrompt({ patientId, ...draft });
+    }
+  } catch (error) {
+    logError(error, 'loadDraft');
+  }
+};
+
+const handleRestoreDraft = () => {
+  setFormData({ ...getInitialValues(INTAKE_FORM_SCHEMA), ...draftPrompt.formData });
+  if (draftPrompt.encounterId) {
+    setCurrentEncounterId(draftPrompt.encounterId);
+  }
+  setAppState(prev => ({ ...prev, hasUnsavedChanges: true }));
+  setDraftPrompt(null);
+};
+
+const handleDiscardDraft = async () => {
+  const { patientId } = draftPrompt;
+  setDraftPrompt(null);
+  try {
+    await SecureStorage.deleteDraft(patientId);
+  } catch (error) {
+    logError(error, 'discardDraft');
+  }
+};
   
 // Load all patient IDs on app start
   useEffect(() => {
@@ -185,7 +353,11 @@ const handleSwitchToLogin = () => setShowSignup(false);
       setAppState(prev => ({ ...prev, isLoading: true }));
       
       try {
-        const patientIds = await SecureStorage.getAllPatientIds();
+        // Include patients that only have an autosaved draft (new intakes never saved)
+        const patientIds = [...new Set([
+          ...await SecureStorage.getAllPatientIds(),
+          ...await SecureStorage.getDraftPatientIds()
+        ])];
         setAllPatients(patientIds);
         
         // Auto-select first patient if available
@@ -205,30 +377,32 @@ const handleSwitchToLogin = () => setShowSignup(false);
     loadAllPatients();
   }, []);
 
-  // Load patient data when currentPatientId changes
+  // Load patient data when currentPatientId changes (records can only be decrypted while unlocked)
   useEffect(() => {
-    if (!currentPatientId) return;
+    if (!currentPatientId || !isAuthenticated || isLocked) return;
     
     const loadCurrentPatient = async () => {
       setAppState(prev => ({ ...prev, isLoading: true }));
+      setDraftPrompt(null);
       
       try {
         // Check cache first
         if (patientCache.has(currentPatientId)) {
           const cachedData = patientCache.get(currentPatientId);
-          setFormData(cachedData.patientInfo || {});
+          showEncounter(cachedData);
           setAppState(prev => ({ 
             ...prev, 
             isLoading: false,
             lastSavedAt: cachedData.updatedAt 
           }));
+          await offerSavedDraft(currentPatientId);
           return;
         }
         
         // Load from storage
         const savedData = await SecureStorage.loadPatientData(currentPatientId);
         if (savedData) {
-          setFormData(savedData.patientInfo || {});
+          showEncounter(savedData);
           setPatientCache(prev => new Map(prev).set(currentPatientId, savedData));
           setAppState(prev => ({ 
             ...prev, 
@@ -236,19 +410,17 @@ const handleSwitchToLogin = () => setShowSignup(false);
             hasUnsavedChanges: false 
           }));
         } else {
-          // New patient - reset form
-          setFormData({
-            name: '',
-            age: '',
-            gender: '',
-            symptoms: ''
-          });
+          // New patient - empty form for their first visit
+          showEncounter(null);
           setAppState(prev => ({ 
             ...prev, 
             lastSavedAt: null,
             hasUnsavedChanges: false 
           }));
         }
+        if (!(await restorePendingDraft(currentPatientId))) {
+          await offerSavedDraft(currentPatientId);
+        }
       } catch (error) {
         logError(error, 'loadCurrentPatient');
         toast.error(t('errorLoadingPatient', { 
@@ -260,7 +432,33 @@ const handleSwitchToLogin = () => setShowSignup(false);
     };
     
     loadCurrentPatient();
-  }, [currentPatientId]);
+  }, [currentPatientId, isAuthenticated, isLocked]);
+
+  // Autosave edits as an encrypted draft (not while a found draft is waiting for a decision)
+  const flushDraft = useDraftAutosave(
+    currentPatientId,
+    currentEncounterId,
+    formData,
+    isAuthenticated && !isLocked && !draftPrompt && appState.hasUnsavedChanges && can(PERMISSIONS.EDIT_PATIENTS)
+  );
+
+  // A screen crashed: save unsaved edits now rather than after the autosave delay
+  const handleBoundaryError = () => (appState.hasUnsavedChanges ? flushDraft() : false);
+
+  // "Try again" after a crash: reload the open patient from storage and offer the saved draft,
+  // instead of rendering the same form state again
+  const handleBoundaryReset = async () => {
+    if (!currentPatientId || isLocked) return;
+
+    try {
+      const savedData = await SecureStorage.loadPatientData(currentPatientId);
+      showEncounter(savedData);
+      setAppState(prev => ({ ...prev, hasUnsavedChanges: false }));
+      await offerSavedDraft(currentPatientId);
+    } catch (error) {
+      logError(error, 'boundaryReset');
+    }
+  };
 
   // Track unsaved changes
   const handleInputChange = (field, value) => {
@@ -268,19 +466,19 @@ const handleSwitchToLogin = () => setShowSignup(false);
     setAppState(prev => ({ ...prev, hasUnsavedChanges: true }));
   };
 
-  // Form validation
+  // Vitals outside the expected range for the patient's age (flagged, not blocking)
+  const vitalAlerts = getVitalAlerts(INTAKE_FORM_SCHEMA, formData);
+  const vitalWarnings = Object.fromEntries(vitalAlerts.map(alert => [
+    alert.name,
+    alert.level === 'high'
+      ? t('vitals.high', { defaultValue: 'Above the expected range for age' })
+      : t('vitals.low', { defaultValue: 'Below the expected range for age' })
+  ]));
+
+  // Form validation (rules come from the intake schema)
   const validateForm = () => {
-    const errors = [];
-    
-    if (!formData.name?.trim()) {
-      errors.push(t('nameRequired', { defaultValue: 'Patient name is required' }));
-    }
-    
-    if (formData.age && (isNaN(formData.age) || formData.age < 0 || formData.age > 150)) {
-      errors.push(t('ageInvalid', { defaultValue: 'Please enter a valid age' }));
-    }
-    
-    return errors;
+    return validateValues(INTAKE_FORM_SCHEMA, formData)
+      .map(error => translateValidationError(error, t));
   };
 
   // Save patient data
@@ -301,28 +499,39 @@ const handleSwitchToLogin = () => setShowSignup(false);
     setAppState(prev => ({ ...prev, isSaving: true }));
     
     try {
+      // Demographics go on the patient; the rest belongs to the visit being edited.
+      // Without a cached copy (e.g. after an import) merge into the stored record, or its other visits would be lost
+      const existingRecord = patientCache.get(currentPatientId) || await SecureStorage.loadPatientData(currentPatientId);
+      const { patientInfo, encounterValues } = splitFormValues(INTAKE_FORM_SCHEMA, formData);
+      const now = new Date().toISOString();
       const patientRecord = {
         id: currentPatientId,
-        createdAt: patientCache.get(currentPatientId)?.createdAt || new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        patientInfo: { ...formData },
+        createdAt: existingRecord?.createdAt || now,
+        updatedAt: now,
+        patientInfo,
+        encounters: upsertEncounter(existingRecord?.encounters, currentEncounterId, encounterValues, {
+          user: currentUser?.username || null,
+          now
+        }),
         metadata: {
-          version: 1,
-          lastModifiedBy: 'current-user', // TODO: Replace with actual user ID
+          lastModifiedBy: currentUser?.username || null, // version is assigned by SecureStorage
           deviceInfo: navigator.userAgent
         }
       };
       
-      await SecureStorage.savePatientData(currentPatientId, patientRecord);
+      const savedRecord = await SecureStorage.savePatientData(currentPatientId, patientRecord, {
+        auditDetails: { encounterId: currentEncounterId }
+      });
       
       // Update cache
-      setPatientCache(prev => new Map(prev).set(currentPatientId, patientRecord));
+      setPatientCache(prev => new Map(prev).set(currentPatientId, savedRecord));
+      setRecordsVersion(prev => prev + 1);
       
       setAppState(prev => ({
         ...prev,
         isSaving: false,
         hasUnsavedChanges: false,
-        lastSavedAt: patientRecord.updatedAt
+        lastSavedAt: savedRecord.updatedAt
       }));
       
       toast.success(t('dataSaved', { defaultValue: 'Patient data saved successfully!' }));
@@ -336,22 +545,230 @@ const handleSwitchToLogin = () => setShowSignup(false);
     }
   };
 
-  // New patient handler
-  const handleNewPatient = () => {
-    if (appState.hasUnsavedChanges) {
-      const shouldContinue = window.confirm(
-        t('unsavedChangesWarning', { 
-          defaultValue: 'You have unsaved changes. Continue without saving?' 
-        })
+  // Confirm before leaving unsaved edits; returns whether to go ahead
+  const confirmDiscardChanges = () => !appState.hasUnsavedChanges || window.confirm(
+    t('unsavedChangesWarning', { 
+      defaultValue: 'You have unsaved changes. Continue without saving?' 
+    })
+  );
+
+  // Restore an earlier revision as a new version
+  const handleRestoreRevision = async (version) => {
+    if (!confirmDiscardChanges()) return;
+    
+    setAppState(prev => ({ ...prev, isRestoring: true }));
+    
+    try {
+      const restoredRecord = await SecureStorage.restorePatientRevision(
+        currentPatientId,
+        version,
+        currentUser?.username || null
       );
-      if (!shouldContinue) return;
+      
+      showEncounter(restoredRecord, currentEncounterId);
+      setPatientCache(prev => new Map(prev).set(currentPatientId, restoredRecord));
+      setRecordsVersion(prev => prev + 1);
+      setAppState(prev => ({
+        ...prev,
+        isRestoring: false,
+        hasUnsavedChanges: false,
+        lastSavedAt: restoredRecord.updatedAt
+      }));
+      
+      toast.success(t('history.restored', { 
+        version, 
+        defaultValue: `Version ${version} restored as a new version` 
+      }));
+    } catch (error) {
+      logError(error, 'handleRestoreRevision');
+      setAppState(prev => ({ ...prev, isRestoring: false }));
+      toast.error(t('history.restoreFailed', { 
+        defaultValue: 'Failed to restore this version' 
+      }));
+    }
+  };
+
+  // Delete the current patient and their revision history
+  const handleDeletePatient = async () => {
+    const shouldDelete = window.confirm(
+      t('deletePatientConfirm', { 
+        defaultValue: 'Permanently delete this patient and all saved versions?' 
+      })
+    );
+    if (!shouldDelete) return;
+    
+    try {
+      await SecureStorage.deletePatientData(currentPatientId);
+      
+      const remainingIds = allPatients.filter(id => id !== currentPatientId);
+      setAllPatients(remainingIds);
+      setPatientCache(prev => {
+        const next = new Map(prev);
+        next.delete(currentPatientId);
+        return next;
+      });
+      setRecordsVersion(prev => prev + 1);
+      setCurrentPatientId(remainingIds[0] || null);
+      setAppState(prev => ({ ...prev, hasUnsavedChanges: false }));
+      
+      toast.success(t('patientDeleted', { defaultValue: 'Patient deleted' }));
+    } catch (error) {
+      logError(error, 'handleDeletePatient');
+      toast.error(t('deleteFailed', { defaultValue: 'Failed to delete patient' }));
     }
+  };
+
+  // Open another saved visit of the current patient
+  const handleSelectEncounter = (encounterId) => {
+    if (encounterId === currentEncounterId || !confirmDiscardChanges()) return;
+
+    showEncounter(patientCache.get(currentPatientId), encounterId);
+    setAppState(prev => ({ ...prev, hasUnsavedChanges: false }));
+  };
+
+  // Start a new visit for the current patient, keeping their saved details
+  const handleNewVisit = () => {
+    if (!confirmDiscardChanges()) return;
+
+    setFormData({
+      ...getInitialValues(INTAKE_FORM_SCHEMA),
+      ...patientCache.get(currentPatientId)?.patientInfo,
+      ...getNewEncounterValues(INTAKE_FORM_SCHEMA, { clinician: currentUser?.username || '' })
+    });
+    setCurrentEncounterId(uuidv4());
+    setAppState(prev => ({ ...prev, hasUnsavedChanges: false }));
+  };
+
+  // New patient handler
+  const handleNewPatient = () => {
+    if (!confirmDiscardChanges()) return;
     
     const newId = generatePatientId();
     setAllPatients(prev => [...prev, newId]);
     setCurrentPatientId(newId);
   };
 
+  // Refresh patient list after a bulk import
+  const handleImportComplete = async () => {
+    try {
+      const patientIds = await SecureStorage.getAllPatientIds();
+      setAllPatients(patientIds);
+
+      // Imported records may replace cached ones; keep the open patient cached so the next save merges into
+      // the imported copy, and show that copy unless the form has unsaved edits
+      const openRecord = currentPatientId ? await SecureStorage.loadPatientData(currentPatientId) : null;
+      setPatientCache(openRecord ? new Map([[currentPatientId, openRecord]]) : new Map());
+      if (openRecord && !appState.hasUnsavedChanges) {
+        showEncounter(openRecord, currentEncounterId);
+        setAppState(prev => ({ ...prev, lastSavedAt: openRecord.updatedAt }));
+      }
+      setRecordsVersion(prev => prev + 1);
+    } catch (error) {
+      logError(error, 'handleImportComplete');
+      toast.error(t('errorLoadingPatients', { 
+        defaultValue: 'Failed to load patient list' 
+      }));
+    }
+  };
+
+  // Pick up records changed on other devices (called after each sync cycle)
+  const handleSynced = async ({ pulled, conflicts }) => {
+    if (conflicts.length > 0) {
+      toast.warning(t('sync.conflictsFound', {
+        count: conflicts.length,
+        defaultValue: `${conflicts.length} patient record(s) were changed on another device as well`
+      }));
+      setRecordsVersion(prev => prev + 1); // Reloads the merge screen if it's open
+    }
+    if (pulled.length === 0) return;
+
+    try {
+      const patientIds = [...new Set([
+        ...await SecureStorage.getAllPatientIds(),
+        ...await SecureStorage.getDraftPatientIds()
+      ])];
+      setAllPatients(patientIds);
+      setPatientCache(prev => {
+        const next = new Map(prev);
+        pulled.forEach(patientId => next.delete(patientId));
+        return next;
+      });
+      setRecordsVersion(prev => prev + 1);
+
+      // Re-cache the open patient so the next save merges into the pulled copy.
+      // Unsaved edits stay in the form (and the draft); otherwise the form shows the pulled copy
+      if (pulled.includes(currentPatientId)) {
+        const savedData = await SecureStorage.loadPatientData(currentPatientId);
+        if (savedData) {
+          setPatientCache(prev => new Map(prev).set(currentPatientId, savedData));
+          if (!appState.hasUnsavedChanges) {
+            showEncounter(savedData, currentEncounterId);
+            setAppState(prev => ({ ...prev, lastSavedAt: savedData.updatedAt }));
+          }
+        } else if (!appState.hasUnsavedChanges) {
+          setCurrentPatientId(patientIds[0] || null);
+        }
+      }
+    } catch (error) {
+      logError(error, 'handleSynced');
+    }
+  };
+
+  // Background sync runs only when there's a server (or the mock API in development)
+  const syncConfigured = Boolean(API_BASE_URL);
+  const sync = useSync(syncConfigured && isAuthenticated && !isLocked, handleSynced);
+
+  // Patients waiting for a merge, refreshed after saves and sync cycles
+  useEffect(() => {
+    if (!isAuthenticated || isLocked) return;
+
+    SecureStorage.getConflictPatientIds()
+      .then(setConflictPatientIds)
+      .catch(error => logError(error, 'loadConflictPatientIds'));
+  }, [isAuthenticated, isLocked, recordsVersion, sync.conflicts]);
+
+  // Save the merged version of a conflicted patient (or accept the other device's deletion)
+  const handleResolveConflict = async ({ record, remoteRevision, choices }) => {
+    if (!confirmDiscardChanges()) return;
+
+    setAppState(prev => ({ ...prev, isResolving: true }));
+
+    try {
+      const savedRecord = await SecureStorage.resolveSyncConflict(currentPatientId, record, remoteRevision, {
+        fields: choices
+      });
+
+      if (savedRecord) {
+        showEncounter(savedRecord, currentEncounterId);
+        setPatientCache(prev => new Map(prev).set(currentPatientId, savedRecord));
+      } else {
+        const remainingIds = allPatients.filter(id => id !== currentPatientId);
+        setAllPatients(remainingIds);
+        setPatientCache(prev => {
+          const next = new Map(prev);
+          next.delete(currentPatientId);
+          return next;
+        });
+        setCurrentPatientId(remainingIds[0] || null);
+      }
+      setRecordsVersion(prev => prev + 1);
+      setAppState(prev => ({
+        ...prev,
+        isResolving: false,
+        hasUnsavedChanges: false,
+        lastSavedAt: savedRecord ? savedRecord.updatedAt : null
+      }));
+
+      toast.success(t('conflict.resolved', { defaultValue: 'Conflict resolved' }));
+      if (syncConfigured) sync.syncNow();
+    } catch (error) {
+      logError(error, 'handleResolveConflict');
+      setAppState(prev => ({ ...prev, isResolving: false }));
+      setRecordsVersion(prev => prev + 1); // Show the latest server copy if it changed again
+      toast.error(t('conflict.resolveFailed', { defaultValue: 'Failed to save the merged version' }));
+    }
+  };
+
   // Language change handler
   const handleLanguageChange = (lang) => {
     i18n.changeLanguage(lang);
@@ -383,20 +800,38 @@ if (!hasUsers || showSignup) {
   );
 }
 
+if (!isAuthenticated && showRecovery) {
+  return (
+    <ErrorBoundary>
+      <AccountRecovery 
+        onRecover={handleRecover}
+        onSwitchToLogin={handleSwitchToLogin}
+      />
+    </ErrorBoundary>
+  );
+}
+
 if (!isAuthenticated) {
   return (
     <ErrorBoundary>
       <Login 
         onLogin={handleLogin}
         onSwitchToSignup={handleSwitchToSignup}
+        onForgotPassword={handleSwitchToRecovery}
       />
     </ErrorBoundary>
   );
 }
+  // This boundary catches errors in the screens below; an error while App itself renders reaches the
+  // boundary in main.jsx instead, and unmounting App then saves the pending draft (useDraftAutosave)
   return (
-    <ErrorBoundary>
+    <ErrorBoundary onError={handleBoundaryError} onReset={handleBoundaryReset}>
       <div className="min-h-screen bg-gray-100 p-4">
-        <div className="max-w-4xl mx-auto bg-white rounded-lg shadow-lg p-6">
+        {/* Blurred and emptied of patient data while locked */}
+        <div
+          className={`max-w-4xl mx-auto bg-white rounded-lg shadow-lg p-6 ${isLocked ? 'blur-sm pointer-events-none select-none' : ''}`}
+          aria-hidden={isLocked}
+        >
           
          {/* Header with Logout */}
         <header className="border-b border-gray-200 pb-4 mb-6">
@@ -408,21 +843,64 @@ if (!isAuthenticated) {
               {currentUser && (
                 <p className="text-sm text-gray-600 mt-1">
                   Logged in as: <span className="font-medium">{currentUser.username}</span>
+                  {' '}({t(
+                    ROLE_OPTIONS.find(option => option.value === currentUser.role)?.labelKey,
+                    { defaultValue: currentUser.role }
+                  )})
                 </p>
               )}
             </div>
             <div className="flex items-center gap-4">
+              {syncConfigured && (
+                <SyncStatus
+                  status={sync.status}
+                  lastSyncAt={sync.lastSyncAt}
+                  pending={sync.pending}
+                  conflicts={sync.conflicts}
+                  unreadable={sync.unreadable}
+                  onSyncNow={sync.syncNow}
+                />
+              )}
               <LanguageSwitcher 
                 currentLanguage={i18n.language}
                 onLanguageChange={handleLanguageChange}
               />
+              {can(PERMISSIONS.MANAGE_USERS) && (
+                <button
+                  onClick={() => setShowAdminPanel(prev => !prev)}
+                  className="text-sm text-gray-600 hover:text-gray-800 underline"
+                >
+                  {t('admin.title', { defaultValue: 'User Management' })}
+                </button>
+              )}
+              {can(PERMISSIONS.VIEW_AUDIT_LOG) && (
+                <button
+                  onClick={() => setShowAuditLog(prev => !prev)}
+                  className="text-sm text-gray-600 hover:text-gray-800 underline"
+                >
+                  {t('audit.title', { defaultValue: 'Audit Log' })}
+                </button>
+              )}
+              <button
+                onClick={() => setShowChangePassword(prev => !prev)}
+                className="text-sm text-gray-600 hover:text-gray-800 underline"
+              >
+                {t('changePassword.title', { defaultValue: 'Change Password' })}
+              </button>
               <button
-                onClick={() => {
-                  setIsAuthenticated(false);
-                  setCurrentUser(null);
-                  SecureStorage.setCurrentPin(null);
-                  toast.info(t('loggedOut', { defaultValue: 'Logged out successfully' }));
-                }}
+                onClick={() => setShowQuickPin(prev => !prev)}
+                className="text-sm text-gray-600 hover:text-gray-800 underline"
+              >
+                {t('quickPin.title', { defaultValue: 'Quick Unlock PIN' })}
+              </button>
+              <button
+                onClick={handleLock}
+                className="text-sm text-gray-600 hover:text-gray-800 underline"
+              >
+                {t('lock.lockNow', { defaultValue: 'Lock' })}
+              </button>
+              <button
+                onClick={handleLogout}
                 className="text-sm text-gray-600 hover:text-gray-800 underline"
               >
                 Logout
@@ -434,11 +912,50 @@ if (!isAuthenticated) {
           {/* Patient Selection */}
           <PatientSelector
             patients={allPatients}
+            patientCache={patientCache}
+            conflictPatientIds={conflictPatientIds}
             selectedPatientId={currentPatientId}
             onPatientSelect={setCurrentPatientId}
             onNewPatient={handleNewPatient}
+            canCreate={can(PERMISSIONS.EDIT_PATIENTS)}
           />
 
+          {/* Change Password */}
+          {showChangePassword && (
+            <ChangePassword
+              username={currentUser.username}
+              onComplete={handlePasswordChanged}
+              onCancel={() => setShowChangePassword(false)}
+            />
+          )}
+
+          {/* Quick unlock PIN */}
+          {showQuickPin && (
+            <QuickPinSetup
+              onComplete={handleQuickPinSet}
+              onCancel={() => setShowQuickPin(false)}
+            />
+          )}
+
+          {/* User Management (admins only) */}
+          {showAdminPanel && can(PERMISSIONS.MANAGE_USERS) && (
+            <AdminPanel currentUser={currentUser} />
+          )}
+
+          {/* Audit Log (admins only) */}
+          {showAuditLog && can(PERMISSIONS.VIEW_AUDIT_LOG) && (
+            <AuditLogPanel onPatientSelect={setCurrentPatientId} />
+          )}
+
+          {/* Patient Search */}
+          {!isLocked && (
+            <PatientSearchPanel
+              selectedPatientId={currentPatientId}
+              onPatientSelect={setCurrentPatientId}
+              recordsVersion={recordsVersion}
+            />
+          )}
+
           {/* Loading State */}
           {appState.isLoading && (
             <LoadingSpinner 
@@ -446,122 +963,154 @@ if (!isAuthenticated) {
             />
           )}
 
-          {/* Patient Form */}
-          {!appState.isLoading && currentPatientId && (
-            <form ref={formRef} onSubmit={handleSave} className="space-y-6">
-              <h2 className="text-xl font-semibold text-gray-900">
-                {t('patientForm', { defaultValue: 'Patient Information' })}
-              </h2>
-
-              {/* Name Field */}
-              <div>
-                <label htmlFor="patientName" className="block text-sm font-medium text-gray-700 mb-1">
-                  {t('nameLabel', { defaultValue: 'Full Name' })} *
-                </label>
-                <input
-                  type="text"
-                  id="patientName"
-                  name="patientName"
-                  required
-                  value={formData.name}
-                  onChange={(e) => handleInputChange('name', e.target.value)}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                  aria-describedby="nameHelp"
-                  placeholder={t('namePlaceholder', { defaultValue: 'Enter patient full name' })}
-                />
-                <p id="nameHelp" className="text-sm text-gray-600 mt-1">
-                  {t('nameHelp', { defaultValue: 'Required field for patient identification' })}
-                </p>
-              </div>
+          {/* Severe allergy warning for the loaded patient */}
+          {!isLocked && !appState.isLoading && currentPatientId && (
+            <AllergyBanner allergies={patientCache.get(currentPatientId)?.patientInfo?.allergies} />
+          )}
 
-              {/* Age Field */}
-              <div>
-                <label htmlFor="patientAge" className="block text-sm font-medium text-gray-700 mb-1">
-                  {t('ageLabel', { defaultValue: 'Age' })}
-                </label>
-                <input
-                  type="number"
-                  id="patientAge"
-                  name="patientAge"
-                  min="0"
-                  max="150"
-                  value={formData.age}
-                  onChange={(e) => handleInputChange('age', e.target.value)}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                  placeholder={t('agePlaceholder', { defaultValue: 'Enter age in years' })}
-                />
-              </div>
+          {/* Merge a patient edited here and on another device */}
+          {!isLocked && !appState.isLoading && conflictPatientIds.includes(currentPatientId) && (
+            <SyncConflictResolver
+              schema={INTAKE_FORM_SCHEMA}
+              patientId={currentPatientId}
+              recordsVersion={recordsVersion}
+              username={currentUser?.username || null}
+              canEdit={can(PERMISSIONS.EDIT_PATIENTS)}
+              canDelete={can(PERMISSIONS.DELETE_PATIENTS)}
+              isResolving={appState.isResolving}
+              onResolve={handleResolveConflict}
+            />
+          )}
 
-              {/* Gender Field */}
-              <div>
-                <label htmlFor="patientGender" className="block text-sm font-medium text-gray-700 mb-1">
-                  {t('genderLabel', { defaultValue: 'Gender' })}
-                </label>
-                <select
-                  id="patientGender"
-                  name="patientGender"
-                  value={formData.gender}
-                  onChange={(e) => handleInputChange('gender', e.target.value)}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          {/* Saved list entries (medications, allergies, ...) for the loaded patient */}
+          {!isLocked && !appState.isLoading && currentPatientId && getSchemaFields(INTAKE_FORM_SCHEMA)
+            .filter(field => field.type === 'list')
+            .map(field => (
+              <ListFieldTable
+                key={field.name}
+                field={field}
+                items={patientCache.get(currentPatientId)?.patientInfo?.[field.name]}
+              />
+            ))}
+
+          {/* Visit timeline for the loaded patient */}
+          {!isLocked && !appState.isLoading && currentPatientId && patientCache.has(currentPatientId) && (
+            <EncounterTimeline
+              encounters={patientCache.get(currentPatientId).encounters}
+              selectedEncounterId={currentEncounterId}
+              onSelect={handleSelectEncounter}
+              onNewVisit={can(PERMISSIONS.EDIT_PATIENTS) ? handleNewVisit : null}
+            />
+          )}
+
+          {/* Version history for the loaded patient */}
+          {!isLocked && !appState.isLoading && currentPatientId && (
+            <RevisionHistoryPanel
+              schema={INTAKE_FORM_SCHEMA}
+              patientId={currentPatientId}
+              recordsVersion={recordsVersion}
+              onRestore={can(PERMISSIONS.RESTORE_REVISIONS) ? handleRestoreRevision : null}
+              isRestoring={appState.isRestoring}
+            />
+          )}
+
+          {/* Autosaved draft waiting to be restored */}
+          {!isLocked && !appState.isLoading && draftPrompt?.patientId === currentPatientId && (
+            <div className="mb-4 p-4 bg-yellow-50 border border-yellow-200 rounded-lg flex flex-wrap items-center justify-between gap-3" role="alert">
+              <p className="text-sm text-yellow-900">
+                {t('draft.found', {
+                  time: new Date(draftPrompt.updatedAt).toLocaleString(),
+                  defaultValue: `Unsaved changes from ${new Date(draftPrompt.updatedAt).toLocaleString()} were recovered.`
+                })}
+              </p>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={handleRestoreDraft}
+                  className="bg-yellow-600 text-white px-3 py-1 rounded text-sm font-medium hover:bg-yellow-700 transition-colors"
+                >
+                  {t('draft.restore', { defaultValue: 'Restore draft' })}
+                </button>
+                <button
+                  type="button"
+                  onClick={handleDiscardDraft}
+                  className="bg-white border border-gray-300 text-gray-700 px-3 py-1 rounded text-sm font-medium hover:bg-gray-100 transition-colors"
                 >
-                  <option value="">{t('selectGender', { defaultValue: 'Select gender' })}</option>
-                  <option value="male">{t('male', { defaultValue: 'Male' })}</option>
-                  <option value="female">{t('female', { defaultValue: 'Female' })}</option>
-                  <option value="other">{t('other', { defaultValue: 'Other' })}</option>
-                  <option value="prefer-not-to-say">{t('preferNotToSay', { defaultValue: 'Prefer not to say' })}</option>
-                </select>
+                  {t('draft.discard', { defaultValue: 'Discard' })}
+                </button>
               </div>
+            </div>
+          )}
 
-              {/* Symptoms Field */}
-              <div>
-                <label htmlFor="patientSymptoms" className="block text-sm font-medium text-gray-700 mb-1">
-                  {t('symptomsLabel', { defaultValue: 'Symptoms / Chief Complaint' })}
-                </label>
-                <textarea
-                  id="patientSymptoms"
-                  name="patientSymptoms"
-                  rows="4"
-                  value={formData.symptoms}
-                  onChange={(e) => handleInputChange('symptoms', e.target.value)}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                  placeholder={t('symptomsPlaceholder', { defaultValue: 'Describe current symptoms or reason for visit' })}
+          {/* Patient Form */}
+          {!isLocked && !appState.isLoading && currentPatientId && (
+            <form ref={formRef} onSubmit={handleSave} className="space-y-6">
+              {/* Read-only roles see the record but can't change it */}
+              <fieldset disabled={!can(PERMISSIONS.EDIT_PATIENTS)} className="space-y-6">
+                <FormRenderer
+                  schema={INTAKE_FORM_SCHEMA}
+                  values={formData}
+                  onChange={handleInputChange}
+                  warnings={vitalWarnings}
+                  sectionFooters={{
+                    vitals: (
+                      <VitalsSummary
+                        schema={INTAKE_FORM_SCHEMA}
+                        values={formData}
+                        alerts={vitalAlerts}
+                        onChange={handleInputChange}
+                      />
+                    )
+                  }}
                 />
-              </div>
+              </fieldset>
 
               {/* Form Actions */}
               <div className="flex items-center justify-between pt-4 border-t border-gray-200">
-                <div className="flex items-center space-x-4">
-                  <button
-                    type="submit"
-                    disabled={appState.isSaving}
-                    className="bg-blue-600 text-white px-6 py-2 rounded-md font-medium hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-                  >
-                    {appState.isSaving ? (
-                      <>
-                        <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white inline-block mr-2"></div>
-                        {t('saving', { defaultValue: 'Saving...' })}
-                      </>
-                    ) : (
-                      t('saveButton', { defaultValue: 'Save Patient Data' })
+                {can(PERMISSIONS.EDIT_PATIENTS) && (
+                  <div className="flex items-center space-x-4">
+                    <button
+                      type="submit"
+                      disabled={appState.isSaving}
+                      className="bg-blue-600 text-white px-6 py-2 rounded-md font-medium hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                      {appState.isSaving ? (
+                        <>
+                          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white inline-block mr-2"></div>
+                          {t('saving', { defaultValue: 'Saving...' })}
+                        </>
+                      ) : (
+                        t('saveButton', { defaultValue: 'Save Patient Data' })
+                      )}
+                    </button>
+
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setFormData({
+                          ...getInitialValues(INTAKE_FORM_SCHEMA),
+                          ...getNewEncounterValues(INTAKE_FORM_SCHEMA, { clinician: currentUser?.username || '' })
+                        });
+                        setAppState(prev => ({ ...prev, hasUnsavedChanges: false }));
+                        SecureStorage.deleteDraft(currentPatientId)
+                          .catch(error => logError(error, 'discardDraft'));
+                      }}
+                      className="bg-gray-300 text-gray-700 px-4 py-2 rounded-md font-medium hover:bg-gray-400 transition-colors"
+                    >
+                      {t('resetForm', { defaultValue: 'Reset Form' })}
+                    </button>
+
+                    {can(PERMISSIONS.DELETE_PATIENTS) && patientCache.has(currentPatientId) && (
+                      <button
+                        type="button"
+                        onClick={handleDeletePatient}
+                        className="text-red-700 hover:text-red-900 px-4 py-2 rounded-md font-medium underline"
+                      >
+                        {t('deletePatient', { defaultValue: 'Delete Patient' })}
+                      </button>
                     )}
-                  </button>
-
-                  <button
-                    type="button"
-                    onClick={() => {
-                      setFormData({
-                        name: '',
-                        age: '',
-                        gender: '',
-                        symptoms: ''
-                      });
-                      setAppState(prev => ({ ...prev, hasUnsavedChanges: false }));
-                    }}
-                    className="bg-gray-300 text-gray-700 px-4 py-2 rounded-md font-medium hover:bg-gray-400 transition-colors"
-                  >
-                    {t('resetForm', { defaultValue: 'Reset Form' })}
-                  </button>
-                </div>
+                  </div>
+                )}
 
                 {/* Status Indicators */}
                 <div className="text-sm text-gray-600">
@@ -588,13 +1137,21 @@ if (!isAuthenticated) {
             </h3>
             
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <ExportPatientData />
-              <ImportPatientData />
+              {can(PERMISSIONS.EXPORT_DATA) && <ExportPatientData />}
+              {can(PERMISSIONS.IMPORT_DATA) && <ImportPatientData onImportComplete={handleImportComplete} />}
             </div>
           </div>
 
         </div>
 
+        {isLocked && (
+          <LockScreen
+            username={currentUser.username}
+            onUnlock={handleUnlock}
+            onLogout={handleLogout}
+          />
+        )}
+
         {/* Toast Container */}
         <ToastContainer
           position="top-right"
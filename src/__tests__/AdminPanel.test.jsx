@@ -0,0 +1,40 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import React from 'react';
+import AdminPanel from '../components/AdminPanel';
+import { SecureStorage } from '../services/secureStorage';
+import { createUser } from '../services/userStore';
+import { ROLES } from '../services/roles';
+
+vi.mock('../services/secureStorage', () => ({
+  SecureStorage: {
+    getUserRoles: vi.fn(() => Promise.resolve({ boss: 'admin' })),
+    grantAccess: vi.fn(() => Promise.resolve(true)),
+    createRecoveryCode: vi.fn(() => Promise.resolve('CODE')),
+    recordFailedLogin: vi.fn(() => Promise.resolve({ retryAfterMs: 0 }))
+  }
+}));
+
+beforeEach(async () => {
+  localStorage.clear();
+  vi.clearAllMocks();
+  await createUser('boss', 'boss password', ROLES.ADMIN);
+  await createUser('sam', 'sam password', ROLES.CLINICIAN); // Made before the keyring: no key copy
+});
+
+test('grants an existing account without a key access with its owner\'s password', async () => {
+  render(<AdminPanel currentUser={{ username: 'boss', role: ROLES.ADMIN }} />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Grant access' }));
+  expect(screen.getByText('No access to patient data')).toBeInTheDocument();
+
+  const password = screen.getByLabelText('Password of sam');
+  fireEvent.change(password, { target: { value: 'wrong password' } });
+  fireEvent.submit(password.closest('form'));
+  await screen.findByText('Incorrect password for sam');
+  expect(SecureStorage.recordFailedLogin).toHaveBeenCalledWith('sam', 'incorrect password at access grant');
+  expect(SecureStorage.grantAccess).not.toHaveBeenCalled();
+
+  fireEvent.change(password, { target: { value: 'sam password' } });
+  fireEvent.submit(password.closest('form'));
+  await waitFor(() => expect(SecureStorage.grantAccess).toHaveBeenCalledWith('sam', 'sam password', ROLES.CLINICIAN));
+  expect(await screen.findByText(/Give this recovery code to sam/)).toBeInTheDocument();
+});
@@ -0,0 +1,135 @@
+import 'fake-indexeddb/auto';
+import '../i18n';
+
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import Dexie from 'dexie';
+import App from '../App';
+import TestWrapper from './TestWrapper';
+import { SecureStorage } from '../services/secureStorage';
+import { createUser } from '../services/userStore';
+import { ROLES } from '../services/roles';
+
+// Login and the import screen are stubbed (storage is unlocked in beforeEach);
+// sync cycles are run by hand through onSynced
+const sync = vi.hoisted(() => ({ onSynced: null }));
+
+vi.mock('../components/Login', async () => {
+  const { SecureStorage: storage } = await import('../services/secureStorage');
+  return {
+    default: ({ onLogin }) => <button onClick={() => onLogin(storage.currentUser)}>Sign in</button>
+  };
+});
+
+vi.mock('../hooks/useSync', () => ({
+  default: (enabled, onSynced) => {
+    sync.onSynced = onSynced;
+    return { status: 'idle', lastSyncAt: null, pending: 0, conflicts: 0, unreadable: 0, syncNow: () => {} };
+  }
+}));
+
+vi.mock('../components/ImportPatientData', () => ({
+  default: ({ onImportComplete }) => <button onClick={() => onImportComplete({})}>Finish import</button>
+}));
+
+const raw = new Dexie('SecurePatientDB');
+const CREATED_AT = '2024-01-10T09:00:00.000Z';
+
+const visit = (id, visitDate, symptoms) => ({ id, visitDate, symptoms, clinician: 'boss', createdAt: `${visitDate}T09:00:00.000Z` });
+
+const storedRecord = (encounters) => ({
+  id: 'p1',
+  createdAt: CREATED_AT,
+  updatedAt: new Date().toISOString(),
+  patientInfo: { name: 'Ana Lopez' },
+  encounters,
+  metadata: { lastModifiedBy: 'boss' }
+});
+
+const signIn = async () => {
+  render(
+    <TestWrapper>
+      <App />
+    </TestWrapper>
+  );
+  fireEvent.click(await screen.findByRole('button', { name: 'Sign in' }));
+  await waitFor(() => expect(screen.getByLabelText(/Symptoms/)).toHaveValue('Cough')); // The open patient has loaded
+  return screen.getByLabelText(/Symptoms/);
+};
+
+beforeAll(async () => {
+  await SecureStorage.hasKeyring(); // Opens (and creates) the database
+  await raw.open();
+});
+
+afterAll(() => {
+  raw.close();
+});
+
+beforeEach(async () => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  await SecureStorage.signOut();
+  localStorage.clear();
+  await Promise.all(raw.tables.map(table => table.clear()));
+  await createUser('boss', 'boss password', ROLES.ADMIN);
+  await SecureStorage.unlock('boss', 'boss password');
+  await SecureStorage.savePatientData('p1', storedRecord([visit('v1', '2024-01-10', 'Cough')]));
+});
+
+test('keeps the stored visits and creation date when saving after a sync pull', async () => {
+  const symptoms = await signIn();
+  fireEvent.change(symptoms, { target: { value: 'Cough, better now' } });
+
+  // Another device adds a visit while the open form has unsaved edits
+  await SecureStorage.savePatientData('p1', storedRecord([
+    visit('v1', '2024-01-10', 'Cough'),
+    visit('v2', '2024-01-20', 'Fever')
+  ]));
+  await act(() => sync.onSynced({ pulled: ['p1'], conflicts: [] }));
+  expect(screen.getByLabelText(/Symptoms/)).toHaveValue('Cough, better now');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Save Patient Data' }));
+  await screen.findByText('Patient data saved successfully!');
+
+  const saved = await SecureStorage.loadPatientData('p1');
+  expect(saved.createdAt).toBe(CREATED_AT);
+  expect(saved.encounters.map(encounter => [encounter.id, encounter.symptoms])).toEqual([
+    ['v1', 'Cough, better now'],
+    ['v2', 'Fever']
+  ]);
+  await waitFor(() => expect(screen.getByLabelText(/Symptoms/)).toHaveValue('Cough, better now'));
+});
+
+test('re-caches the open patient after a sync pull without touching unsaved edits', async () => {
+  const symptoms = await signIn();
+  fireEvent.change(symptoms, { target: { value: 'Cough, better now' } });
+
+  await SecureStorage.savePatientData('p1', storedRecord([
+    visit('v1', '2024-01-10', 'Cough'),
+    visit('v2', '2024-01-20', 'Fever')
+  ]));
+  await act(() => sync.onSynced({ pulled: ['p1'], conflicts: [] }));
+
+  expect(await screen.findByText('Fever')).toBeInTheDocument(); // The visit timeline has the pulled visit
+  expect(screen.getByLabelText(/Symptoms/)).toHaveValue('Cough, better now');
+});
+
+test('keeps the open patient cached after an import so a save keeps the imported visits', async () => {
+  const symptoms = await signIn();
+  fireEvent.change(symptoms, { target: { value: 'Cough, better now' } });
+
+  // The import replaced the open patient's record
+  await SecureStorage.savePatientData('p1', storedRecord([
+    visit('v1', '2024-01-10', 'Cough'),
+    visit('v2', '2024-01-20', 'Fever')
+  ]));
+  fireEvent.click(screen.getByRole('button', { name: 'Finish import' }));
+  expect(await screen.findByText('Fever')).toBeInTheDocument();
+  expect(screen.getByLabelText(/Symptoms/)).toHaveValue('Cough, better now');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Save Patient Data' }));
+  await screen.findByText('Patient data saved successfully!');
+  const saved = await SecureStorage.loadPatientData('p1');
+  expect(saved.encounters.map(encounter => encounter.id)).toEqual(['v1', 'v2']);
+});
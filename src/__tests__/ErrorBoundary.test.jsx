@@ -1,4 +1,4 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent } from '@testing-library/react';
 import ErrorBoundary from '../components/ErrorBoundary';
 import React from 'react';
 
@@ -14,3 +14,36 @@ test('shows fallback UI when a child throws', () => {
   );
   expect(screen.getByText(/something went wrong/i)).toBeInTheDocument();
 });
+
+test('mentions the draft only once onError reports it saved, and resets through onReset', async () => {
+  const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
+  let broken = true;
+  const MaybeBroken = () => {
+    if (broken) throw new Error('Crash!');
+    return <p>Recovered</p>;
+  };
+  const onReset = vi.fn(() => { broken = false; });
+
+  render(
+    <ErrorBoundary onError={() => Promise.resolve(true)} onReset={onReset}>
+      <MaybeBroken />
+    </ErrorBoundary>
+  );
+  expect(await screen.findByText(/saved as an encrypted draft/i)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: /try again/i }));
+  expect(await screen.findByText('Recovered')).toBeInTheDocument();
+  expect(onReset).toHaveBeenCalledTimes(1);
+  spy.mockRestore();
+});
+
+test('does not claim a draft was saved without onError', () => {
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  render(
+    <ErrorBoundary>
+      <BrokenComponent />
+    </ErrorBoundary>
+  );
+  expect(screen.queryByText(/encrypted draft/i)).not.toBeInTheDocument();
+  vi.restoreAllMocks();
+});
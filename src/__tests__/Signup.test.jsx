@@ -0,0 +1,68 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import React from 'react';
+import Signup from '../components/Signup';
+import { SecureStorage } from '../services/secureStorage';
+import { createUser, findUser } from '../services/userStore';
+import { getLoginStatus } from '../services/loginThrottle';
+
+vi.mock('../services/secureStorage', () => ({
+  SecureStorage: {
+    hasKeyring: vi.fn(() => Promise.resolve(true)),
+    currentUser: null,
+    unlock: vi.fn(async function (username) {
+      this.currentUser = { username, role: 'admin' };
+      return true;
+    }),
+    signOut: vi.fn(() => Promise.resolve()),
+    grantAccess: vi.fn(() => Promise.resolve(true)),
+    addAuditLog: vi.fn(() => Promise.resolve()),
+    createRecoveryCode: vi.fn(() => Promise.resolve('CODE')),
+    setCurrentUser: vi.fn(),
+    recordFailedLogin: vi.fn(async (username) => {
+      const { recordFailedLogin } = await import('../services/loginThrottle');
+      return recordFailedLogin(username);
+    })
+  }
+}));
+
+const fillIn = (authorizerPassword) => {
+  const change = (label, value) => fireEvent.change(screen.getByLabelText(label), { target: { value } });
+  change('Username', 'newnurse');
+  change('Password', 'new password 1');
+  change('Confirm password', 'new password 1');
+  change('Admin username', 'boss');
+  change('Admin password', authorizerPassword);
+  fireEvent.click(screen.getByRole('button', { name: 'Create Account' }));
+};
+
+beforeEach(async () => {
+  localStorage.clear();
+  vi.clearAllMocks();
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  await createUser('boss', 'admin password', 'admin');
+});
+
+test('counts a wrong authorizer password as a failed login', async () => {
+  render(<Signup />);
+  await waitFor(() => expect(screen.getByLabelText('Admin password')).toBeInTheDocument());
+
+  fillIn('guess');
+
+  await screen.findByText(/authorizing username or password is incorrect/i);
+  expect(SecureStorage.recordFailedLogin).toHaveBeenCalledWith('boss', 'incorrect authorizer password at signup');
+  expect(getLoginStatus('boss').failures).toBe(1);
+  expect(SecureStorage.unlock).not.toHaveBeenCalled();
+  expect(findUser('newnurse')).toBeNull();
+});
+
+test('removes the new account again when the data key cannot be shared with it', async () => {
+  SecureStorage.grantAccess.mockRejectedValueOnce(new Error('Grant failed: disk full'));
+  render(<Signup />);
+  await waitFor(() => expect(screen.getByLabelText('Admin password')).toBeInTheDocument());
+
+  fillIn('admin password');
+
+  await screen.findByText(/account creation failed/i);
+  expect(findUser('newnurse')).toBeNull();
+  expect(SecureStorage.addAuditLog).not.toHaveBeenCalledWith('AUTHORIZE_SIGNUP', null, expect.anything());
+});
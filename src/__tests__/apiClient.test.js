@@ -0,0 +1,115 @@
+import { ApiClient, ApiError, getRetryDelay } from '../services/apiClient';
+import { ERROR_CODES } from '../storage';
+
+const json = (body, status = 200, headers = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json', ...headers }
+});
+
+// Answers each fetch with the next response (or throws it if it's an Error)
+const stubFetch = (...responses) => {
+  const fetchMock = vi.fn(async () => {
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return next;
+  });
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+};
+
+const createClient = (options = {}) => new ApiClient('http://api.test', { retryBaseMs: 1, retryMaxMs: 5, ...options });
+
+beforeEach(() => {
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+test('jitters the retry delay within an exponentially growing window', () => {
+  const options = { retryBaseMs: 100, retryMaxMs: 1000 };
+
+  expect(getRetryDelay(0, options, () => 1)).toBe(100);
+  expect(getRetryDelay(2, options, () => 0.5)).toBe(200);
+  expect(getRetryDelay(10, options, () => 1)).toBe(1000);
+  expect(getRetryDelay(3, options, () => 0)).toBe(0);
+});
+
+test('retries idempotent requests on server errors and network failures', async () => {
+  const fetchMock = stubFetch(json({}, 503), new TypeError('Failed to fetch'), json({ ok: true }));
+
+  await expect(createClient().request('/items')).resolves.toEqual({ ok: true });
+  expect(fetchMock).toHaveBeenCalledTimes(3);
+});
+
+test('does not retry POST unless marked idempotent, and maps statuses to error codes', async () => {
+  const fetchMock = stubFetch(json({ message: 'down' }, 503));
+
+  const error = await createClient().request('/items', { method: 'POST', body: '{}' }).catch(e => e);
+  expect(error).toBeInstanceOf(ApiError);
+  expect(error).toMatchObject({ code: ERROR_CODES.NETWORK_ERROR, status: 503, body: { message: 'down' } });
+  expect(fetchMock).toHaveBeenCalledTimes(1);
+
+  stubFetch(json({ record: { revision: 3 } }, 409));
+  await expect(createClient().request('/items/1', { method: 'PUT', body: '{}' }))
+    .rejects.toMatchObject({ code: ERROR_CODES.VALIDATION_ERROR, status: 409, body: { record: { revision: 3 } } });
+});
+
+test('times out slow requests', async () => {
+  vi.stubGlobal('fetch', vi.fn((url, init) => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+  })));
+
+  const error = await createClient({ timeoutMs: 10, retries: 0 }).request('/slow').catch(e => e);
+  expect(error).toMatchObject({ code: ERROR_CODES.NETWORK_ERROR, timedOut: true, status: null });
+  expect(error.isNetworkFailure).toBe(true);
+});
+
+test('sends the bearer token and refreshes it once after a 401', async () => {
+  const fetchMock = stubFetch(json({}, 401), json({ ok: true }));
+  let token = 'expired';
+  const refreshAccessToken = vi.fn(async () => {
+    token = 'fresh';
+    return token;
+  });
+
+  const client = createClient();
+  client.setTokenProvider({ getAccessToken: () => token, refreshAccessToken });
+
+  await expect(client.request('/me')).resolves.toEqual({ ok: true });
+  expect(refreshAccessToken).toHaveBeenCalledTimes(1);
+  expect(fetchMock.mock.calls[0][1].headers.Authorization).toBe('Bearer expired');
+  expect(fetchMock.mock.calls[1][1].headers.Authorization).toBe('Bearer fresh');
+});
+
+test('reads text and empty bodies, and flags broken JSON', async () => {
+  stubFetch(
+    new Response('plain text', { status: 200, headers: { 'Content-Type': 'text/plain' } }),
+    new Response(null, { status: 204 }),
+    new Response('{not json', { status: 200, headers: { 'Content-Type': 'application/json' } })
+  );
+  const client = createClient();
+
+  await expect(client.request('/text')).resolves.toBe('plain text');
+  await expect(client.request('/empty', { method: 'DELETE' })).resolves.toBeNull();
+  await expect(client.request('/broken', { retries: 0 })).rejects.toMatchObject({ code: ERROR_CODES.DATA_CORRUPTION });
+});
+
+test('runs request and response interceptors on every attempt', async () => {
+  stubFetch(json({}, 502), json({ ok: true }));
+  const client = createClient();
+  const seen = [];
+
+  client.addRequestInterceptor(request => ({ ...request, headers: { ...request.headers, 'X-Trace': 'abc' } }));
+  const remove = client.addResponseInterceptor(({ request, status }) => {
+    seen.push([request.attempt, request.headers['X-Trace'], status]);
+  });
+
+  await client.request('/items');
+  expect(seen).toEqual([[0, 'abc', 502], [1, 'abc', 200]]);
+
+  remove();
+  expect(client.interceptors.response).toEqual([]);
+});
@@ -0,0 +1,105 @@
+import { chainAuditEntry, verifyAuditChain, deriveAuditKey, hashAuditEntry, GENESIS_HASH } from '../services/auditChain';
+import { generateDataKey } from '../services/keyWrapping';
+
+// Build a chain of entries the way SecureStorage.addAuditLog does
+// keys[i] is the audit key in effect for entry i (null while locked)
+const buildChain = async (actions, keys = []) => {
+  const entries = [];
+  let head = null;
+  for (const [index, action] of actions.entries()) {
+    const entry = await chainAuditEntry({
+      action,
+      timestamp: 1000 + index,
+      patientId: null,
+      user: 'sam',
+      details: { action: `${action} happened`, timestamp: new Date(1000 + index).toISOString() }
+    }, head, keys[index] ?? null);
+    entries.push(entry);
+    head = { seq: entry.seq, hash: entry.hash };
+  }
+  return { entries, head };
+};
+
+// Re-chain entries after the given head as plain SHA-256, as anyone with devtools could
+const rechainUnkeyed = async (tail, head) => {
+  const forged = [];
+  for (const entry of tail) {
+    const changed = { ...entry, seq: head.seq + 1, prevHash: head.hash, keyed: false };
+    const hashed = { ...changed, hash: await hashAuditEntry(changed) };
+    forged.push(hashed);
+    head = { seq: hashed.seq, hash: hashed.hash };
+  }
+  return { forged, head };
+};
+
+test('links each entry to the previous one and verifies an intact log', async () => {
+  const auditKey = await deriveAuditKey(await generateDataKey());
+  const { entries, head } = await buildChain(['LOGIN', 'LOAD_PATIENT', 'LOGOUT'], [auditKey, auditKey, auditKey]);
+
+  expect(entries.map(entry => entry.seq)).toEqual([1, 2, 3]);
+  expect(entries[0].prevHash).toBe(GENESIS_HASH);
+  expect(entries[2].prevHash).toBe(entries[1].hash);
+  expect(await verifyAuditChain(entries, head, [auditKey])).toEqual({ valid: true, entryCount: 3, unauthenticatedCount: 0, issues: [] });
+  expect((await verifyAuditChain([], null)).valid).toBe(true);
+});
+
+test('detects edited, removed and truncated entries', async () => {
+  const auditKey = await deriveAuditKey(await generateDataKey());
+  const keys = [auditKey, auditKey, auditKey, auditKey];
+  const { entries, head } = await buildChain(['LOGIN', 'LOAD_PATIENT', 'EXPORT_DATA', 'LOGOUT'], keys);
+
+  const edited = entries.map(entry => entry.seq === 2 ? { ...entry, user: 'someone-else' } : entry);
+  expect((await verifyAuditChain(edited, head, [auditKey])).issues).toEqual([{ seq: 2, problem: 'edited' }]);
+
+  const withGap = entries.filter(entry => entry.seq !== 3);
+  expect((await verifyAuditChain(withGap, head, [auditKey])).issues).toEqual([{ seq: 4, problem: 'gap', expectedSeq: 3 }]);
+
+  const truncated = entries.slice(0, 3);
+  expect((await verifyAuditChain(truncated, head, [auditKey])).issues).toEqual([{ seq: 4, problem: 'truncated' }]);
+});
+
+test('keyed entries cannot be rewritten without the data key', async () => {
+  const auditKey = await deriveAuditKey(await generateDataKey());
+  const { entries, head } = await buildChain(
+    ['LOGIN_FAILED', 'LOGIN', 'EXPORT_DATA', 'LOGOUT', 'LOGIN_FAILED'],
+    [null, auditKey, auditKey, auditKey, null]
+  );
+
+  expect(entries.map(entry => entry.keyed)).toEqual([false, true, true, true, false]);
+  expect(await verifyAuditChain(entries, head, [auditKey])).toEqual({
+    valid: true,
+    entryCount: 5,
+    unauthenticatedCount: 2,
+    issues: []
+  });
+
+  // Rewrite the export's user and recompute every later hash as plain SHA-256
+  const edited = entries.slice(2).map(entry => entry.action === 'EXPORT_DATA' ? { ...entry, user: 'someone-else' } : entry);
+  const { forged, head: forgedHead } = await rechainUnkeyed(edited, { seq: 2, hash: entries[1].hash });
+  const result = await verifyAuditChain([...entries.slice(0, 2), ...forged], forgedHead, [auditKey]);
+  expect(result.issues).toEqual([{ seq: 3, problem: 'unkeyed' }]); // Only locked-time actions may be unkeyed
+  expect(result.unauthenticatedCount).toBe(4);
+
+  // Without the key, a recomputed hash can't pass as keyed, and the keyed flag can't be dropped
+  const claimedKeyed = [...entries.slice(0, 2), { ...forged[0], keyed: true }, ...forged.slice(1)];
+  expect((await verifyAuditChain(claimedKeyed, forgedHead, [auditKey])).issues).toEqual([{ seq: 3, problem: 'edited' }]);
+  const keyedAfterEdit = entries.map(entry => entry.seq === 3 ? { ...entry, user: 'someone-else' } : entry);
+  expect((await verifyAuditChain(keyedAfterEdit, head, [auditKey])).issues).toEqual([{ seq: 3, problem: 'edited' }]);
+  const unmarked = entries.map(entry => entry.seq === 3 ? { ...entry, keyed: false } : entry);
+  expect((await verifyAuditChain(unmarked, head, [auditKey])).issues).toEqual([{ seq: 3, problem: 'edited' }]);
+});
+
+test('catches entries removed and re-chained unkeyed before the app appends a keyed entry', async () => {
+  const auditKey = await deriveAuditKey(await generateDataKey());
+  const { entries } = await buildChain(['LOGIN', 'EXPORT_DATA', 'LOAD_PATIENT', 'LOGOUT'], [auditKey, auditKey, auditKey, auditKey]);
+
+  // Drop the export, re-chain what followed it and let the app write its next (keyed) entry on top
+  const { forged, head } = await rechainUnkeyed(entries.slice(2), { seq: 1, hash: entries[0].hash });
+  const appended = await chainAuditEntry({ action: 'LOGIN', timestamp: 2000, patientId: null, user: 'sam', details: {} }, head, auditKey);
+  const tampered = [entries[0], ...forged, appended];
+
+  const result = await verifyAuditChain(tampered, { seq: appended.seq, hash: appended.hash }, [auditKey]);
+  expect(result.valid).toBe(false);
+  expect(result.issues).toEqual([{ seq: 2, problem: 'unkeyed' }]);
+  expect(result.unauthenticatedCount).toBe(2); // The re-chained logout is counted too, not just a trailing run
+});
@@ -0,0 +1,29 @@
+import { filterAuditLogs, getAuditFilterOptions, auditLogsToCsv } from '../services/auditLogView';
+
+const entries = [
+  { id: 3, seq: 3, action: 'EXPORT_DATA', user: 'sam', patientId: null, timestamp: new Date('2024-05-02T09:00:00').getTime(), details: { action: 'Data exported' }, hash: 'c' },
+  { id: 2, seq: 2, action: 'LOAD_PATIENT', user: 'lee', patientId: 'patient-123', timestamp: new Date('2024-05-01T23:30:00').getTime(), details: { action: 'Patient data loaded' }, hash: 'b' },
+  { id: 1, seq: 1, action: 'LOGIN', user: 'lee', patientId: null, timestamp: new Date('2024-04-30T08:00:00').getTime(), details: { action: 'User logged in' }, hash: 'a' }
+];
+
+test('combines action, user, patient and whole-day date filters', () => {
+  expect(filterAuditLogs(entries, { user: 'lee' }).map(entry => entry.seq)).toEqual([2, 1]);
+  expect(filterAuditLogs(entries, { patientId: 'PATIENT-1' }).map(entry => entry.seq)).toEqual([2]);
+  expect(filterAuditLogs(entries, { dateFrom: '2024-05-01', dateTo: '2024-05-01' }).map(entry => entry.seq)).toEqual([2]);
+  expect(filterAuditLogs(entries, { action: 'LOGIN', user: 'sam' })).toEqual([]);
+  expect(getAuditFilterOptions(entries)).toEqual({
+    actions: ['EXPORT_DATA', 'LOAD_PATIENT', 'LOGIN'],
+    users: ['lee', 'sam']
+  });
+});
+
+test('exports CSV with quoted details and neutralized formulas', () => {
+  const csv = auditLogsToCsv([
+    { ...entries[1], user: '=HYPERLINK("x")', details: { action: 'Loaded, viewed' } }
+  ]).split('\r\n');
+
+  expect(csv[0]).toBe('seq,timestamp,action,user,patientId,details,hash');
+  expect(csv[1]).toBe(
+    `2,${new Date(entries[1].timestamp).toISOString()},LOAD_PATIENT,"'=HYPERLINK(""x"")",patient-123,"{""action"":""Loaded, viewed""}",b`
+  );
+});
@@ -0,0 +1,63 @@
+import { INTAKE_FORM_SCHEMA } from '../forms/intakeSchema';
+import { getConflictFields, mergeConflictedRecords, MERGE_CHOICES } from '../services/conflictMerge';
+
+const local = {
+  id: 'p1',
+  createdAt: '2024-05-01T09:00:00.000Z',
+  patientInfo: {
+    name: 'Jane Doe',
+    age: 34,
+    allergies: [{ id: 'a1', allergen: 'Penicillin', severity: 'severe' }]
+  },
+  encounters: [
+    { id: 'e1', visitDate: '2024-05-01', symptoms: 'Cough' },
+    { id: 'e2', visitDate: '2024-06-01', symptoms: 'Follow-up' }
+  ],
+  metadata: { version: 3, lastModifiedBy: 'sam' }
+};
+
+const remote = {
+  id: 'p1',
+  createdAt: '2024-05-01T09:00:00.000Z',
+  patientInfo: {
+    name: 'Jane Doe',
+    age: 35,
+    allergies: [
+      { id: 'a1', allergen: 'Penicillin', severity: 'severe' },
+      { id: 'a2', allergen: 'Latex', severity: 'mild' }
+    ]
+  },
+  encounters: [
+    { id: 'e1', visitDate: '2024-05-01', symptoms: 'Cough and fever' }
+  ],
+  metadata: { version: 2, lastModifiedBy: 'alex' }
+};
+
+test('lists only the fields that differ, with keep-both offered for lists', () => {
+  const fields = getConflictFields(INTAKE_FORM_SCHEMA, local, remote);
+
+  expect(fields.map(entry => entry.field.name)).toEqual(['age', 'allergies', 'encounters']);
+  expect(fields[0]).toMatchObject({ local: 34, remote: 35, canKeepBoth: false, defaultChoice: 'local' });
+  expect(fields[1]).toMatchObject({ canKeepBoth: true, defaultChoice: 'both' });
+});
+
+test('merges the chosen value of each field', () => {
+  const merged = mergeConflictedRecords(INTAKE_FORM_SCHEMA, local, remote, {
+    age: MERGE_CHOICES.REMOTE,
+    encounters: MERGE_CHOICES.LOCAL
+  }, { user: 'kim', now: '2024-07-01T00:00:00.000Z' });
+
+  expect(merged.patientInfo.age).toBe(35);
+  expect(merged.patientInfo.allergies.map(item => item.id)).toEqual(['a1', 'a2']); // Default: keep both
+  expect(merged.encounters).toEqual(local.encounters);
+  expect(merged).toMatchObject({ updatedAt: '2024-07-01T00:00:00.000Z', metadata: { lastModifiedBy: 'kim' } });
+});
+
+test('keeping both visits copies one edited on both devices under a new id', () => {
+  const merged = mergeConflictedRecords(INTAKE_FORM_SCHEMA, local, remote, { encounters: MERGE_CHOICES.BOTH });
+
+  expect(merged.encounters).toHaveLength(3);
+  expect(merged.encounters.slice(0, 2)).toEqual(local.encounters);
+  expect(merged.encounters[2]).toMatchObject({ visitDate: '2024-05-01', symptoms: 'Cough and fever' });
+  expect(merged.encounters[2].id).not.toBe('e1');
+});
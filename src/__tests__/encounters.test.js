@@ -0,0 +1,58 @@
+import { INTAKE_FORM_SCHEMA } from '../forms/intakeSchema';
+import {
+  getNewEncounterValues,
+  normalizePatientRecord,
+  sortEncounters,
+  splitFormValues,
+  upsertEncounter,
+  LEGACY_ENCOUNTER_ID
+} from '../services/encounters';
+
+test('splits form values into patient and visit values', () => {
+  const { patientInfo, encounterValues } = splitFormValues(INTAKE_FORM_SCHEMA, {
+    name: 'Jane Doe',
+    age: 34,
+    visitDate: '2024-05-01',
+    symptoms: 'Cough'
+  });
+
+  expect(patientInfo).toMatchObject({ name: 'Jane Doe', age: 34, medications: [] });
+  expect(patientInfo).not.toHaveProperty('symptoms');
+  expect(encounterValues).toMatchObject({ visitDate: '2024-05-01', clinician: '', symptoms: 'Cough' });
+});
+
+test('dates a new visit today and keeps existing visits when saving', () => {
+  const values = getNewEncounterValues(INTAKE_FORM_SCHEMA, { clinician: 'drlee', now: new Date(2024, 4, 7, 12).getTime() });
+  expect(values).toMatchObject({ visitDate: '2024-05-07', clinician: 'drlee', symptoms: '' });
+
+  const first = upsertEncounter([], 'e1', values, { user: 'drlee', now: '2024-05-07T12:00:00.000Z' });
+  const updated = upsertEncounter(first, 'e1', { ...values, symptoms: 'Fever' }, { user: 'nurse', now: '2024-05-07T13:00:00.000Z' });
+  const second = upsertEncounter(updated, 'e2', { ...values, visitDate: '2024-06-01' }, { user: 'nurse', now: '2024-06-01T09:00:00.000Z' });
+
+  expect(updated).toEqual([expect.objectContaining({
+    id: 'e1',
+    symptoms: 'Fever',
+    createdAt: '2024-05-07T12:00:00.000Z',
+    updatedAt: '2024-05-07T13:00:00.000Z',
+    createdBy: 'drlee'
+  })]);
+  expect(sortEncounters(second).map(encounter => encounter.id)).toEqual(['e2', 'e1']);
+});
+
+test('moves visit fields of a pre-encounter record into one encounter', () => {
+  const legacy = {
+    id: 'p1',
+    createdAt: '2024-03-01T10:00:00.000Z',
+    patientInfo: { name: 'Maria Lopez', symptoms: 'Persistent cough' }
+  };
+  const record = normalizePatientRecord(INTAKE_FORM_SCHEMA, legacy);
+
+  expect(record.patientInfo).toEqual({ name: 'Maria Lopez' });
+  expect(record.encounters).toEqual([expect.objectContaining({
+    id: LEGACY_ENCOUNTER_ID,
+    visitDate: '2024-03-01',
+    symptoms: 'Persistent cough'
+  })]);
+  expect(normalizePatientRecord(INTAKE_FORM_SCHEMA, record)).toBe(record);
+  expect(normalizePatientRecord(INTAKE_FORM_SCHEMA, { patientInfo: { name: 'Ana', symptoms: '' } }).encounters).toEqual([]);
+});
@@ -0,0 +1,54 @@
+import {
+  decrypt,
+  generateKey,
+  encryptWithKey,
+  decryptWithKey,
+  getEnvelopeHeader,
+  isEnvelopeOutdated,
+  ENVELOPE_VERSION,
+  CIPHER,
+  KDF_DATA_KEY,
+  KDF_PBKDF2
+} from '../services/encryption';
+
+const makeKey = () => crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+
+test('writes a self-describing envelope and still reads bare version 1 ciphertext', async () => {
+  const key = await makeKey();
+  const envelope = await encryptWithKey('patient record', key);
+
+  expect(getEnvelopeHeader(envelope)).toEqual({
+    version: ENVELOPE_VERSION,
+    cipher: CIPHER,
+    kdf: KDF_DATA_KEY,
+    iterations: null,
+    saltId: null
+  });
+  await expect(decryptWithKey(envelope, key)).resolves.toBe('patient record');
+
+  const { iv, data } = envelope;
+  expect(getEnvelopeHeader({ iv, data }).version).toBe(1);
+  await expect(decryptWithKey({ iv, data }, key)).resolves.toBe('patient record');
+});
+
+test('flags outdated envelopes and refuses unknown formats', async () => {
+  const key = await makeKey();
+  const envelope = await encryptWithKey('x', key);
+  const { iv, data } = envelope;
+
+  expect(isEnvelopeOutdated(envelope, { kdf: KDF_DATA_KEY })).toBe(false);
+  expect(isEnvelopeOutdated({ iv, data })).toBe(true);
+  expect(isEnvelopeOutdated({ ...envelope, kdf: KDF_PBKDF2, iterations: 100000 }, { kdf: KDF_PBKDF2, iterations: 600000 })).toBe(true);
+
+  await expect(decryptWithKey({ ...envelope, version: ENVELOPE_VERSION + 1 }, key)).rejects.toThrow(/unsupported envelope version/);
+  await expect(decryptWithKey({ ...envelope, cipher: 'ChaCha20' }, key)).rejects.toThrow(/unsupported cipher/);
+});
+
+test('derives PIN keys from the salt the envelope names', async () => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await generateKey('1234', salt, 100000);
+  const envelope = await encryptWithKey('legacy note', key, null, { kdf: KDF_PBKDF2, iterations: 100000, saltId: 'db-1' });
+
+  await expect(decrypt(envelope, '1234', { 'db-1': salt })).resolves.toBe('legacy note');
+  await expect(decrypt(envelope, '1234', { other: salt })).rejects.toThrow(/unknown salt db-1/);
+});
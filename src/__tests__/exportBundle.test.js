@@ -0,0 +1,33 @@
+import { createEncryptedBundle, openEncryptedBundle, isEncryptedBundle } from '../services/exportBundle';
+
+const exportData = {
+  metadata: { schemaVersion: '1.0', recordCount: 1 },
+  patients: [{ id: 'abc-123', name: 'Jane Doe', createdAt: '2025-01-01T00:00:00.000Z' }]
+};
+
+// Low iteration count keeps the test fast; the header records whatever was used
+const options = { iterations: 1000 };
+
+test('round-trips export data through an encrypted bundle', async () => {
+  const bundle = await createEncryptedBundle(exportData, 'correct horse', options);
+
+  expect(isEncryptedBundle(bundle)).toBe(true);
+  expect(bundle.header.kdf.iterations).toBe(1000);
+  expect(bundle.header.recordCount).toBe(1);
+  expect(JSON.stringify(bundle)).not.toContain('Jane Doe');
+
+  await expect(openEncryptedBundle(bundle, 'correct horse')).resolves.toEqual(exportData);
+});
+
+test('rejects a wrong passphrase or a tampered header', async () => {
+  const bundle = await createEncryptedBundle(exportData, 'correct horse', options);
+
+  await expect(openEncryptedBundle(bundle, 'wrong passphrase')).rejects.toThrow(/passphrase/i);
+
+  const tampered = { ...bundle, header: { ...bundle.header, recordCount: 99 } };
+  await expect(openEncryptedBundle(tampered, 'correct horse')).rejects.toThrow(/modified/i);
+});
+
+test('refuses short passphrases', async () => {
+  await expect(createEncryptedBundle(exportData, 'short', options)).rejects.toThrow(/at least/);
+});
@@ -0,0 +1,77 @@
+import { SYNC_STATUS } from '../services/secureStorage';
+
+// In-memory stand-in for the SecureStorage sync methods (rows hold already encrypted data)
+export const createFakeSyncStorage = () => {
+  const rows = new Map();
+  let queue = [];
+  let nextId = 1;
+  let cursor = 0;
+
+  return {
+    rows,
+    conflicts: new Map(),
+    get queue() { return queue; },
+    saveLocal(patientId, encryptedData) {
+      const row = rows.get(patientId);
+      rows.set(patientId, {
+        ...row,
+        patientId,
+        encryptedData,
+        deviceId: 'this',
+        syncStatus: row?.syncStatus === SYNC_STATUS.CONFLICT ? SYNC_STATUS.CONFLICT : SYNC_STATUS.LOCAL
+      });
+    },
+    isUnlocked: () => true,
+    async queueLocalChanges(now) {
+      const local = [...rows.values()].filter(row => row.syncStatus === SYNC_STATUS.LOCAL);
+      local.forEach(row => {
+        row.syncStatus = SYNC_STATUS.PENDING;
+        if (!queue.some(entry => entry.patientId === row.patientId)) {
+          queue.push({ id: nextId++, patientId: row.patientId, operation: 'upsert', attempts: 0, nextAttemptAt: now });
+        }
+      });
+      return local.length;
+    },
+    async getDueSyncEntries(now) {
+      return queue.filter(entry => entry.nextAttemptAt <= now);
+    },
+    async getSyncRow(patientId) {
+      return rows.get(patientId);
+    },
+    async markSynced(entry, uploadedRow, serverRevision) {
+      Object.assign(rows.get(entry.patientId), { serverRevision, syncStatus: SYNC_STATUS.SYNCED });
+      queue = queue.filter(item => item.id !== entry.id);
+    },
+    async completeSyncEntry(entry) {
+      queue = queue.filter(item => item.id !== entry.id);
+    },
+    async recordSyncFailure(entry, message, nextAttemptAt) {
+      Object.assign(entry, { attempts: entry.attempts + 1, nextAttemptAt, lastError: message });
+    },
+    async recordSyncConflict(patientId, remoteRecord) {
+      if ((this.conflicts.get(patientId)?.revision || 0) >= remoteRecord.revision) return false;
+      this.conflicts.set(patientId, remoteRecord);
+      rows.get(patientId).syncStatus = SYNC_STATUS.CONFLICT;
+      queue = queue.filter(item => item.patientId !== patientId);
+      return true;
+    },
+    async applyRemoteRecord(patientId, remoteRecord) {
+      rows.set(patientId, {
+        patientId,
+        encryptedData: remoteRecord.encryptedData,
+        deviceId: remoteRecord.deviceId,
+        syncStatus: SYNC_STATUS.SYNCED,
+        serverRevision: remoteRecord.revision
+      });
+    },
+    async applyRemoteDelete(patientId) {
+      rows.delete(patientId);
+    },
+    async getSyncCursor() {
+      return cursor;
+    },
+    async setSyncCursor(value) {
+      cursor = value;
+    }
+  };
+};
@@ -0,0 +1,107 @@
+import { INTAKE_FORM_SCHEMA } from '../forms/intakeSchema';
+import { createFhirBundle, validateFhirBundle, validateFhirResource, IDENTIFIER_SYSTEMS } from '../services/fhirExport';
+
+const record = {
+  id: 'p1',
+  createdAt: '2024-05-01T09:00:00.000Z',
+  updatedAt: '2024-05-02T10:30:00.000Z',
+  patientInfo: { name: 'Jane Q Doe', age: 34, gender: 'prefer-not-to-say' },
+  encounters: [
+    {
+      id: 'initial',
+      visitDate: '2024-05-01',
+      clinician: 'Dr. Lee',
+      symptoms: 'Cough and fever',
+      bpSystolic: { value: 120, unit: 'mm[Hg]' },
+      bpDiastolic: { value: 80, unit: 'mm[Hg]' },
+      temperature: { value: 101.3, unit: '[degF]' },
+      weight: { value: 70, unit: 'kg' },
+      height: { value: 175, unit: 'cm' },
+      painScore: 4
+    }
+  ]
+};
+
+const NOW = '2024-05-03T08:00:00.000Z';
+const resourcesOf = (bundle, type) => bundle.entry.map(entry => entry.resource).filter(resource => resource.resourceType === type);
+const byCode = (observations, code) => observations.find(observation => observation.code.coding[0].code === code);
+
+test('maps a record to Patient, Encounter and vital-sign Observations', () => {
+  const bundle = createFhirBundle(INTAKE_FORM_SCHEMA, [record], { now: NOW });
+  const [patient] = resourcesOf(bundle, 'Patient');
+  const [encounter] = resourcesOf(bundle, 'Encounter');
+  const observations = resourcesOf(bundle, 'Observation');
+
+  expect(bundle).toMatchObject({ type: 'transaction', timestamp: NOW });
+  expect(patient).toMatchObject({
+    identifier: [{ system: IDENTIFIER_SYSTEMS.patient, value: 'p1' }],
+    name: [{ text: 'Jane Q Doe', family: 'Doe', given: ['Jane', 'Q'] }],
+    gender: 'unknown'
+  });
+  expect(encounter).toMatchObject({
+    identifier: [{ system: IDENTIFIER_SYSTEMS.encounter, value: 'initial' }],
+    subject: { reference: `urn:uuid:${patient.id}` },
+    period: { start: '2024-05-01' },
+    reasonCode: [{ text: 'Cough and fever' }]
+  });
+
+  expect(observations.map(observation => observation.code.coding[0].code).sort())
+    .toEqual(['29463-7', '30525-0', '39156-5', '72514-3', '8302-2', '8310-5', '85354-9'].sort());
+  expect(byCode(observations, '85354-9').component.map(component => component.valueQuantity.value)).toEqual([120, 80]);
+  expect(byCode(observations, '8310-5')).toMatchObject({
+    encounter: { reference: `urn:uuid:${encounter.id}` },
+    effectiveDateTime: '2024-05-01',
+    valueQuantity: { value: 101.3, unit: '°F', system: 'http://unitsofmeasure.org', code: '[degF]' }
+  });
+  expect(byCode(observations, '39156-5').valueQuantity).toMatchObject({ value: 22.9, code: 'kg/m2' });
+
+  expect(bundle.entry[0]).toEqual({
+    fullUrl: `urn:uuid:${patient.id}`,
+    resource: patient,
+    request: { method: 'PUT', url: `Patient/${patient.id}` }
+  });
+  expect(validateFhirBundle(bundle)).toEqual({ valid: true, resourceCount: 9, issues: [] });
+});
+
+test('gives every resource a stable id that is unique across patients', () => {
+  const other = { ...record, id: 'p2' };
+  const first = createFhirBundle(INTAKE_FORM_SCHEMA, [record, other], { now: NOW });
+  const second = createFhirBundle(INTAKE_FORM_SCHEMA, [record, other], { now: NOW });
+
+  const ids = first.entry.map(entry => entry.resource.id);
+  expect(new Set(ids).size).toBe(ids.length);
+  expect(second.entry.map(entry => entry.resource.id)).toEqual(ids);
+  expect(validateFhirBundle(first).valid).toBe(true);
+});
+
+test('reports structure problems with the element path', () => {
+  const [, , encounter] = createFhirBundle(INTAKE_FORM_SCHEMA, [record], { now: NOW }).entry.map(entry => entry.resource);
+
+  expect(validateFhirResource({ ...encounter, status: 'done', notes: 'x', class: undefined })).toEqual([
+    { path: `Encounter/${encounter.id}.notes`, message: 'unknown element' },
+    { path: `Encounter/${encounter.id}.status`, message: expect.stringMatching(/^must be one of/) },
+    { path: `Encounter/${encounter.id}.class`, message: 'required element missing' }
+  ]);
+  expect(validateFhirResource({ resourceType: 'Patient', id: 'p 1', gender: 'unknown' })).toEqual([
+    { path: 'Patient/p 1.id', message: 'invalid id' }
+  ]);
+  expect(validateFhirResource({ resourceType: 'MedicationStatement', id: 'm1' })[0].message).toBe('unsupported resource type');
+});
+
+test('rejects bundles with dangling references or invalid values', () => {
+  const bundle = createFhirBundle(INTAKE_FORM_SCHEMA, [record], { now: NOW });
+  const patientEntry = bundle.entry.shift();
+  const observation = bundle.entry.find(entry => entry.resource.code?.coding[0].code === '8302-2').resource;
+  observation.valueQuantity.value = Number('abc');
+
+  const { valid, issues } = validateFhirBundle(bundle);
+  expect(valid).toBe(false);
+  expect(issues).toContainEqual({
+    path: expect.stringMatching(/\.valueQuantity\.value$/),
+    message: 'invalid decimal'
+  });
+  expect(issues).toContainEqual({
+    path: expect.stringMatching(/\.subject\.reference$/),
+    message: `unresolved reference ${patientEntry.fullUrl}`
+  });
+});
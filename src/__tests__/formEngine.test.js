@@ -0,0 +1,109 @@
+import { INTAKE_FORM_SCHEMA } from '../forms/intakeSchema';
+import {
+  getInitialValues,
+  getScopedSchema,
+  isFieldVisible,
+  validateValues,
+  validateRecordValues,
+  PATIENT_SCOPE,
+  ENCOUNTER_SCOPE
+} from '../forms/formEngine';
+
+const PATIENT_SCHEMA = getScopedSchema(INTAKE_FORM_SCHEMA, PATIENT_SCOPE);
+
+test('builds empty initial values from the intake schema', () => {
+  expect(getInitialValues(INTAKE_FORM_SCHEMA)).toEqual({
+    name: '',
+    age: '',
+    gender: '',
+    medications: [],
+    allergies: [],
+    visitDate: '',
+    clinician: '',
+    symptoms: '',
+    bpSystolic: { value: '', unit: 'mm[Hg]' },
+    bpDiastolic: { value: '', unit: 'mm[Hg]' },
+    heartRate: { value: '', unit: '/min' },
+    respiratoryRate: { value: '', unit: '/min' },
+    temperature: { value: '', unit: 'Cel' },
+    spo2: { value: '', unit: '%' },
+    weight: { value: '', unit: 'kg' },
+    height: { value: '', unit: 'cm' },
+    painScore: ''
+  });
+});
+
+test('splits the schema into patient and encounter sections', () => {
+  expect(Object.keys(getInitialValues(PATIENT_SCHEMA))).toEqual(['name', 'age', 'gender', 'medications', 'allergies']);
+  expect(Object.keys(getInitialValues(getScopedSchema(INTAKE_FORM_SCHEMA, ENCOUNTER_SCOPE))))
+    .toEqual(expect.arrayContaining(['visitDate', 'clinician', 'symptoms', 'heartRate', 'weight']));
+});
+
+test('checks quantity limits in the base unit', () => {
+  const errors = (values) => validateValues(INTAKE_FORM_SCHEMA, { name: 'Jane', visitDate: '2024-05-01', ...values })
+    .map(error => [error.field.name, error.rule]);
+
+  expect(errors({ temperature: { value: '98.6', unit: '[degF]' } })).toEqual([]);
+  expect(errors({ temperature: { value: '98.6', unit: 'Cel' } })).toEqual([['temperature', 'max']]);
+  expect(errors({ weight: { value: 'heavy', unit: 'kg' } })).toEqual([['weight', 'type']]);
+  expect(errors({ weight: { value: '', unit: 'kg' } })).toEqual([]);
+});
+
+test('applies required and range rules from the schema', () => {
+  const errors = validateValues(PATIENT_SCHEMA, { name: ' ', age: '200' });
+
+  expect(errors.map(error => [error.field.name, error.rule])).toEqual([
+    ['name', 'required'],
+    ['age', 'max']
+  ]);
+  expect(errors[0].messageKey).toBe('nameRequired');
+});
+
+test('skips validation for fields hidden by visibleWhen', () => {
+  const schema = {
+    sections: [{
+      id: 'test',
+      fields: [
+        { name: 'smoker', type: 'checkbox' },
+        { name: 'packsPerDay', type: 'number', validation: { required: true }, visibleWhen: { field: 'smoker', equals: true } }
+      ]
+    }]
+  };
+  const [, packsField] = schema.sections[0].fields;
+
+  expect(isFieldVisible(packsField, { smoker: false })).toBe(false);
+  expect(validateValues(schema, { smoker: false })).toEqual([]);
+  expect(validateValues(schema, { smoker: true })).toHaveLength(1);
+});
+
+test('validates each medication entry', () => {
+  const medications = [
+    { name: 'Metformin', dose: '500', unit: 'mg', route: 'oral', frequency: 'twice-daily' },
+    { name: '', dose: '10' }
+  ];
+  const errors = validateValues(PATIENT_SCHEMA, { name: 'Jane', medications });
+
+  expect(errors.map(error => [error.index, error.field.name, error.rule])).toEqual([
+    [2, 'name', 'required'],
+    [2, 'unit', 'required']
+  ]);
+  expect(validateRecordValues(PATIENT_SCHEMA, { name: 'Jane', medications }).error)
+    .toBe('invalidMedicationsFormat');
+});
+
+test('requires category and severity on allergy entries', () => {
+  const allergies = [{ allergen: 'Penicillin', category: 'drug', reaction: 'anaphylaxis' }];
+
+  expect(validateRecordValues(PATIENT_SCHEMA, { name: 'Jane', allergies }).error)
+    .toBe('invalidAllergiesFormat');
+  expect(validateRecordValues(PATIENT_SCHEMA, {
+    name: 'Jane',
+    allergies: [{ ...allergies[0], severity: 'severe' }]
+  })).toEqual({ isValid: true });
+});
+
+test('reports import/export error codes for records', () => {
+  expect(validateRecordValues(PATIENT_SCHEMA, { name: 'Jane', age: 34 })).toEqual({ isValid: true });
+  expect(validateRecordValues(PATIENT_SCHEMA, { age: 34 }).error).toBe('missingName');
+  expect(validateRecordValues(PATIENT_SCHEMA, { name: 'Jane', age: 'old' }).error).toBe('invalidAgeFormat');
+});
@@ -0,0 +1,37 @@
+import { createKeyCache } from '../services/keyManager';
+
+test('derives each key once per cache and shares concurrent derivations', async () => {
+  const cache = createKeyCache();
+  const derive = vi.fn(async () => ({ type: 'secret' }));
+  const params = { saltId: 'device', iterations: 1000 };
+
+  const [first, second] = await Promise.all([
+    cache.get(params, derive),
+    cache.get(params, derive)
+  ]);
+  const third = await cache.get(params, derive);
+
+  expect(derive).toHaveBeenCalledTimes(1);
+  expect(second).toBe(first);
+  expect(third).toBe(first);
+
+  await cache.get({ ...params, iterations: 2000 }, derive);
+  expect(derive).toHaveBeenCalledTimes(2);
+  expect(cache.size).toBe(2);
+
+  // Caches don't share keys
+  await createKeyCache().get(params, derive);
+  expect(derive).toHaveBeenCalledTimes(3);
+});
+
+test('forgets keys when cleared and does not cache failures', async () => {
+  const cache = createKeyCache();
+  const params = { saltId: 'device', iterations: 1000 };
+  await cache.get(params, async () => ({ type: 'secret' }));
+
+  cache.clear();
+  expect(cache.size).toBe(0);
+
+  await expect(cache.get(params, async () => { throw new Error('bad salt'); })).rejects.toThrow('bad salt');
+  expect(cache.size).toBe(0);
+});
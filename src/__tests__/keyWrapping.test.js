@@ -0,0 +1,67 @@
+import { encryptWithKey, decryptWithKey } from '../services/encryption';
+import {
+  generateDataKey,
+  wrapDataKey,
+  unwrapDataKey,
+  generateRecoveryCode,
+  normalizeRecoveryCode,
+  recoveryKeyLabel,
+  createEnrolmentPackage,
+  readEnrolmentPackage,
+  sealDataKey,
+  openDataKey,
+  isSameDataKey
+} from '../services/keyWrapping';
+
+// Low iteration count keeps the tests fast; production uses PBKDF2_ITERATIONS
+const ITERATIONS = 1000;
+
+test('each user unwraps the same data key with their own password', async () => {
+  const dataKey = await generateDataKey();
+  const aliceEntry = await wrapDataKey(dataKey, 'alice', 'alice-password', ITERATIONS);
+  const bobEntry = await wrapDataKey(dataKey, 'bob', 'bob-password', ITERATIONS);
+
+  const encrypted = await encryptWithKey('shared record', await unwrapDataKey(aliceEntry, 'alice', 'alice-password'));
+
+  expect(await decryptWithKey(encrypted, await unwrapDataKey(bobEntry, 'bob', 'bob-password'))).toBe('shared record');
+});
+
+test('rejects a wrong password or an entry moved to another user', async () => {
+  const dataKey = await generateDataKey();
+  const entry = await wrapDataKey(dataKey, 'alice', 'alice-password', ITERATIONS);
+
+  await expect(unwrapDataKey(entry, 'alice', 'wrong-password')).rejects.toThrow('Key unwrapping failed');
+  await expect(unwrapDataKey(entry, 'mallory', 'alice-password')).rejects.toThrow('Key unwrapping failed');
+});
+
+test('recovery codes unlock the data key however they are typed', async () => {
+  const dataKey = await generateDataKey();
+  const recoveryCode = generateRecoveryCode();
+  const entry = await wrapDataKey(dataKey, recoveryKeyLabel('alice'), normalizeRecoveryCode(recoveryCode), ITERATIONS);
+
+  expect(recoveryCode).toMatch(/^([0-9A-Z]{4}-){7}[0-9A-Z]{4}$/);
+
+  const typed = recoveryCode.toLowerCase().replace(/-/g, ' ');
+  const unwrapped = await unwrapDataKey(entry, recoveryKeyLabel('alice'), normalizeRecoveryCode(typed));
+  expect(await decryptWithKey(await encryptWithKey('ok', dataKey), unwrapped)).toBe('ok');
+});
+
+test('an enrolment file only opens with its code', async () => {
+  const dataKey = await generateDataKey();
+  const code = generateRecoveryCode();
+  const enrolment = await createEnrolmentPackage(dataKey, code, { createdBy: 'boss' });
+
+  expect(enrolment).toMatchObject({ format: 'clinic-key-enrolment', version: 1, createdBy: 'boss' });
+  expect(await isSameDataKey(await readEnrolmentPackage(enrolment, code.toLowerCase()), dataKey)).toBe(true);
+  await expect(readEnrolmentPackage(enrolment, generateRecoveryCode())).rejects.toThrow(/unwrapping failed/);
+  await expect(readEnrolmentPackage({ patients: [] }, code)).rejects.toThrow(/not a clinic key enrolment/i);
+});
+
+test('a data key sealed under another opens only with that key', async () => {
+  const [oldKey, newKey] = await Promise.all([generateDataKey(), generateDataKey()]);
+  const sealed = await sealDataKey(newKey, oldKey);
+
+  expect(await isSameDataKey(await openDataKey(sealed, oldKey), newKey)).toBe(true);
+  expect(await isSameDataKey(oldKey, newKey)).toBe(false);
+  await expect(openDataKey(sealed, newKey)).rejects.toThrow();
+});
@@ -0,0 +1,50 @@
+import {
+  getBackoffMs,
+  getLoginStatus,
+  recordFailedLogin,
+  clearFailedLogins,
+  formatWait,
+  FREE_ATTEMPTS,
+  MAX_FAILED_ATTEMPTS,
+  BASE_BACKOFF_MS,
+  LOCKOUT_MS
+} from '../services/loginThrottle';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('doubles the wait after the free attempts and locks out at the limit', () => {
+  expect(getBackoffMs(FREE_ATTEMPTS - 1)).toBe(0);
+  expect(getBackoffMs(FREE_ATTEMPTS)).toBe(BASE_BACKOFF_MS);
+  expect(getBackoffMs(FREE_ATTEMPTS + 2)).toBe(BASE_BACKOFF_MS * 4);
+  expect(getBackoffMs(MAX_FAILED_ATTEMPTS)).toBe(LOCKOUT_MS);
+});
+
+test('tracks failures per username until the lockout is served or cleared', () => {
+  const now = 1_000_000;
+
+  for (let i = 0; i < MAX_FAILED_ATTEMPTS; i++) {
+    recordFailedLogin('Sam', now);
+  }
+  expect(getLoginStatus('sam', now)).toEqual({
+    failures: MAX_FAILED_ATTEMPTS,
+    retryAfterMs: LOCKOUT_MS,
+    isLockedOut: true
+  });
+  expect(getLoginStatus('lee', now).failures).toBe(0);
+
+  // Serving the lockout starts the count again
+  expect(getLoginStatus('sam', now + LOCKOUT_MS).failures).toBe(0);
+
+  recordFailedLogin('sam', now);
+  clearFailedLogins('SAM');
+  expect(getLoginStatus('sam', now).failures).toBe(0);
+});
+
+test('describes waits in seconds, then whole minutes', () => {
+  expect(formatWait(1000)).toBe('1 second');
+  expect(formatWait(40 * 1000)).toBe('40 seconds');
+  expect(formatWait(LOCKOUT_MS)).toBe('15 minutes');
+  expect(formatWait(61 * 1000)).toBe('2 minutes');
+});
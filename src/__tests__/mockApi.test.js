@@ -0,0 +1,118 @@
+import http from 'node:http';
+import { createMockApi } from '../../mock-api/server.js';
+import { ApiClient } from '../services/apiClient';
+import { SyncEngine } from '../services/syncEngine';
+import { ERROR_CODES } from '../storage';
+import { createFakeSyncStorage } from './fakeSyncStorage';
+
+let server;
+let baseURL;
+const api = createMockApi({ pageSize: 2 });
+
+beforeAll(async () => {
+  server = http.createServer(api.handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  api.reset();
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+const createClient = (options = {}) => new ApiClient(baseURL, { retryBaseMs: 1, retryMaxMs: 5, ...options });
+
+test('creates, reads, updates and deletes patients', async () => {
+  const client = createClient();
+
+  const { patientId } = await client.request('/patients', {
+    method: 'POST',
+    body: JSON.stringify({ encryptedData: 'cipher-1' })
+  });
+  expect(await client.request(`/patients/${patientId}`)).toMatchObject({ revision: 1, encryptedData: 'cipher-1' });
+
+  await client.request(`/patients/${patientId}`, { method: 'PUT', body: JSON.stringify({ encryptedData: 'cipher-2' }) });
+  expect((await client.request('/patients')).patients).toEqual([
+    expect.objectContaining({ patientId, revision: 2 })
+  ]);
+
+  await client.request(`/patients/${patientId}`, { method: 'DELETE' });
+  await expect(client.request(`/patients/${patientId}`)).rejects.toMatchObject({ status: 404 });
+  await expect(client.request('/patients', { method: 'POST', body: JSON.stringify({}) }))
+    .rejects.toMatchObject({ status: 422, code: ERROR_CODES.VALIDATION_ERROR });
+  await expect(client.request('/patients/%E0%A4%A'))
+    .rejects.toMatchObject({ status: 400, body: { error: 'Malformed URL path' } });
+});
+
+test('rejects an updatedAt that is not a valid date', async () => {
+  const client = createClient();
+
+  for (const updatedAt of ['garbage', 1e20]) {
+    await expect(client.request('/patients', { method: 'POST', body: JSON.stringify({ encryptedData: 'cipher-1', updatedAt }) }))
+      .rejects.toMatchObject({ status: 422, body: { error: 'updatedAt is not a valid date' } });
+  }
+  const { patientId } = await client.request('/patients', {
+    method: 'POST',
+    body: JSON.stringify({ encryptedData: 'cipher-1', updatedAt: 1714550400000 })
+  });
+  expect(await client.request(`/patients/${patientId}`)).toMatchObject({ updatedAt: '2024-05-01T08:00:00.000Z' });
+});
+
+test('logs client errors', async () => {
+  const client = createClient();
+
+  await client.request('/errors', { method: 'POST', body: JSON.stringify({ message: 'Boom', url: '/intake' }) });
+  expect((await client.request('/errors')).errors).toEqual([
+    expect.objectContaining({ message: 'Boom', url: '/intake' })
+  ]);
+});
+
+test('forced failures exercise the client retry and timeout paths', async () => {
+  const client = createClient();
+
+  await expect(client.request('/health', { headers: { 'X-Mock-Status': '503' } }))
+    .rejects.toMatchObject({ status: 503, code: ERROR_CODES.NETWORK_ERROR });
+  await expect(client.request('/health', { headers: { 'X-Mock-Delay': '200' }, timeoutMs: 20, retries: 0 }))
+    .rejects.toMatchObject({ timedOut: true });
+  await expect(createClient({ retries: 0 }).request('/health'))
+    .resolves.toEqual({ status: 'ok' });
+});
+
+test('syncs records between two devices through the mock', async () => {
+  const tabletA = createFakeSyncStorage();
+  const tabletB = createFakeSyncStorage();
+  const engineA = new SyncEngine({ client: createClient(), storage: tabletA });
+  const engineB = new SyncEngine({ client: createClient(), storage: tabletB });
+
+  tabletA.saveLocal('p1', 'a-1');
+  tabletA.saveLocal('p2', 'a-2');
+  tabletA.saveLocal('p3', 'a-3');
+  expect((await engineA.syncOnce()).pushed).toBe(3);
+
+  // Pulled over two pages
+  expect((await engineB.syncOnce()).pulled).toEqual(['p1', 'p2', 'p3']);
+  expect(tabletB.rows.get('p2')).toMatchObject({ encryptedData: 'a-2', serverRevision: 1 });
+
+  // Both edit p1 offline; the second to sync gets a conflict with the first one's copy
+  tabletA.saveLocal('p1', 'a-1 edited');
+  tabletB.saveLocal('p1', 'b-1 edited');
+  await engineA.syncOnce();
+  expect((await engineB.syncOnce()).conflicts).toEqual(['p1']);
+  expect(tabletB.conflicts.get('p1')).toMatchObject({ revision: 2, encryptedData: 'a-1 edited' });
+});
+
+test('an unreachable server leaves the upload queued', async () => {
+  const storage = createFakeSyncStorage();
+  const unreachable = new ApiClient('http://127.0.0.1:1', { retries: 0 });
+  const engine = new SyncEngine({ client: unreachable, storage });
+
+  storage.saveLocal('p1', 'cipher-1');
+  await expect(engine.syncOnce(1000)).rejects.toMatchObject({ code: ERROR_CODES.NETWORK_ERROR, status: null });
+  expect(storage.queue).toMatchObject([{ patientId: 'p1', attempts: 1 }]);
+});
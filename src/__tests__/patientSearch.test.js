@@ -0,0 +1,44 @@
+import { buildSearchCriteria, matchesCriteria, searchPatientRecords } from '../services/patientSearch';
+
+const patients = {
+  p1: {
+    createdAt: '2024-03-01T10:00:00.000Z',
+    patientInfo: { name: 'Maria Lopez', age: 34, gender: 'female' },
+    encounters: [{ id: 'e1', symptoms: 'Headache' }, { id: 'e2', symptoms: 'Persistent cough and fever' }]
+  },
+  p2: { createdAt: '2024-03-15T10:00:00.000Z', patientInfo: { name: 'John Smith', age: '61', gender: 'male' }, encounters: [{ id: 'e1', symptoms: 'Chest pain' }] },
+  p3: { createdAt: '2024-04-02T10:00:00.000Z', patientInfo: { name: 'Ana Martinez', age: '', gender: 'female' }, encounters: [{ id: 'e1', symptoms: 'Cough' }] }
+};
+
+test('matches substrings case-insensitively and numeric ranges', () => {
+  expect(matchesCriteria(patients.p1, { 'patientInfo.name': 'lopez' })).toBe(true);
+  expect(matchesCriteria(patients.p2, { 'patientInfo.age': { $gte: 60 } })).toBe(true);
+  expect(matchesCriteria(patients.p3, { 'patientInfo.age': { $gte: 0 } })).toBe(false);
+});
+
+test('matches a path through a list when any entry matches', () => {
+  expect(matchesCriteria(patients.p1, { 'encounters.symptoms': 'cough' })).toBe(true);
+  expect(matchesCriteria(patients.p2, { 'encounters.symptoms': 'cough' })).toBe(false);
+  expect(matchesCriteria({ patientInfo: {}, encounters: [] }, { 'encounters.symptoms': 'cough' })).toBe(false);
+});
+
+test('filters records by combined criteria', () => {
+  const criteria = buildSearchCriteria({ gender: 'female', symptom: 'COUGH', ageMin: '30', ageMax: '' });
+  const { results, total } = searchPatientRecords(patients, criteria);
+
+  expect(total).toBe(1);
+  expect(results[0].id).toBe('p1');
+});
+
+test('includes the whole end day of a created date range', () => {
+  const criteria = buildSearchCriteria({ createdFrom: '2024-03-01', createdTo: '2024-03-15' });
+
+  expect(searchPatientRecords(patients, criteria).results.map(patient => patient.id)).toEqual(['p2', 'p1']);
+});
+
+test('paginates results sorted by name', () => {
+  const page = searchPatientRecords(patients, {}, { limit: 2, offset: 2 });
+
+  expect(page.total).toBe(3);
+  expect(page.results.map(patient => patient.patientInfo.name)).toEqual(['Maria Lopez']);
+});
@@ -0,0 +1,68 @@
+import { INTAKE_FORM_SCHEMA } from '../forms/intakeSchema';
+import { diffPatientInfo, diffPatientRecord } from '../services/revisionDiff';
+
+const changedFields = (diff) => diff.filter(entry => entry.changed).map(entry => entry.field.name);
+
+test('reports changed scalar fields and ignores number/string differences', () => {
+  const diff = diffPatientInfo(
+    INTAKE_FORM_SCHEMA,
+    { name: 'Jane Doe', age: 34, symptoms: 'Cough' },
+    { name: 'Jane Doe', age: '34', symptoms: 'Cough and fever' }
+  );
+
+  expect(changedFields(diff)).toEqual(['symptoms']);
+});
+
+test('reports a value set or cleared against null', () => {
+  const weight = { value: 70, unit: 'kg' };
+
+  expect(changedFields(diffPatientInfo(INTAKE_FORM_SCHEMA, { name: null }, { name: 'Jane Doe' }))).toEqual(['name']);
+  expect(changedFields(diffPatientRecord(
+    INTAKE_FORM_SCHEMA,
+    { encounters: [{ id: 'e1', weight }] },
+    { encounters: [{ id: 'e1', weight: null }] }
+  ))).toEqual(['encounters']);
+  expect(changedFields(diffPatientInfo(INTAKE_FORM_SCHEMA, { name: null }, { name: '' }))).toEqual([]);
+});
+
+test('diffs list entries by id', () => {
+  const before = {
+    medications: [
+      { id: 'a', name: 'Metformin', dose: '500', unit: 'mg' },
+      { id: 'b', name: 'Lisinopril', dose: '10', unit: 'mg' }
+    ]
+  };
+  const after = {
+    medications: [
+      { id: 'a', name: 'Metformin', dose: '1000', unit: 'mg' },
+      { id: 'c', name: 'Aspirin', dose: '81', unit: 'mg' }
+    ]
+  };
+
+  const medications = diffPatientInfo(INTAKE_FORM_SCHEMA, before, after)
+    .find(entry => entry.field.name === 'medications');
+
+  expect(medications.changed).toBe(true);
+  expect(medications.items.map(item => item.status)).toEqual(['changed', 'added', 'removed']);
+  expect(medications.items[0].changedFields).toEqual(['dose']);
+});
+
+test('diffs visits by encounter id alongside patient fields', () => {
+  const before = {
+    patientInfo: { name: 'Jane Doe' },
+    encounters: [{ id: 'e1', visitDate: '2024-05-01', symptoms: 'Cough' }]
+  };
+  const after = {
+    patientInfo: { name: 'Jane Doe' },
+    encounters: [
+      { id: 'e1', visitDate: '2024-05-01', symptoms: 'Cough' },
+      { id: 'e2', visitDate: '2024-06-01', symptoms: 'Fever' }
+    ]
+  };
+
+  const diff = diffPatientRecord(INTAKE_FORM_SCHEMA, before, after);
+
+  expect(changedFields(diff)).toEqual(['encounters']);
+  expect(diff.find(entry => entry.field.name === 'encounters').items)
+    .toEqual([{ status: 'added', before: null, after: after.encounters[1] }]);
+});
@@ -0,0 +1,25 @@
+import { ROLES, PERMISSIONS, getUserRole, hasPermission } from '../services/roles';
+
+test('grants each role only its own actions', () => {
+  const clinician = { username: 'sam', role: ROLES.CLINICIAN };
+  const frontDesk = { username: 'lee', role: ROLES.FRONT_DESK };
+  const readOnly = { username: 'kim', role: ROLES.READ_ONLY };
+
+  expect(hasPermission(clinician, PERMISSIONS.EXPORT_DATA)).toBe(true);
+  expect(hasPermission(clinician, PERMISSIONS.IMPORT_DATA)).toBe(false);
+  expect(hasPermission(frontDesk, PERMISSIONS.EDIT_PATIENTS)).toBe(true);
+  expect(hasPermission(frontDesk, PERMISSIONS.DELETE_PATIENTS)).toBe(false);
+  expect(hasPermission(readOnly, PERMISSIONS.EDIT_PATIENTS)).toBe(false);
+  expect(hasPermission(readOnly, PERMISSIONS.VIEW_PATIENTS)).toBe(true);
+});
+
+test('gives a missing or unknown role the least privilege', () => {
+  const noRole = { username: 'founder' };
+  const madeUp = { username: 'sam', role: 'superuser' };
+
+  expect(getUserRole(noRole)).toBe(ROLES.READ_ONLY);
+  expect(getUserRole(madeUp)).toBe(ROLES.READ_ONLY);
+  expect(hasPermission(noRole, PERMISSIONS.MANAGE_USERS)).toBe(false);
+  expect(hasPermission(madeUp, PERMISSIONS.VIEW_PATIENTS)).toBe(true);
+  expect(hasPermission(null, PERMISSIONS.VIEW_PATIENTS)).toBe(false);
+});
@@ -0,0 +1,80 @@
+import 'fake-indexeddb/auto';
+import Dexie from 'dexie';
+import { SecureStorage } from '../services/secureStorage';
+import { createUser } from '../services/userStore';
+import { ROLES } from '../services/roles';
+import { hashAuditEntry } from '../services/auditChain';
+
+// Second handle on the same database, to tamper with rows as devtools could
+const raw = new Dexie('SecurePatientDB');
+
+beforeEach(async () => {
+  localStorage.clear();
+  await SecureStorage.signOut();
+  await SecureStorage.hasKeyring(); // Opens (and creates) the database
+  await raw.open();
+  await Promise.all(raw.tables.map(table => table.clear()));
+});
+
+afterEach(() => {
+  raw.close();
+});
+
+test('keys audit entries written while unlocked and catches a rewritten chain', async () => {
+  await createUser('boss', 'boss password', ROLES.ADMIN);
+  await SecureStorage.recordFailedLogin('boss', 'incorrect password');
+  await SecureStorage.unlock('boss', 'boss password');
+  await SecureStorage.addAuditLog('EXPORT_DATA', null, { action: 'Data exported' });
+
+  const entries = await raw.table('auditLogs').orderBy('seq').toArray();
+  expect(entries.map(entry => [entry.action, entry.keyed])).toEqual([
+    ['LOGIN_FAILED', false],
+    ['UNLOCK', true],
+    ['EXPORT_DATA', true]
+  ]);
+  expect(await SecureStorage.verifyAuditLog()).toMatchObject({ valid: true, entryCount: 3, unauthenticatedCount: 1 });
+
+  // Recomputing the hash the old way no longer passes
+  const exportEntry = entries[2];
+  const edited = { ...exportEntry, user: 'someone-else' };
+  await raw.table('auditLogs').put({ ...edited, hash: await hashAuditEntry(edited) });
+
+  const result = await SecureStorage.verifyAuditLog();
+  expect(result.valid).toBe(false);
+  expect(result.issues).toContainEqual({ seq: 3, problem: 'edited' });
+});
+
+test('catches an entry removed and the rest re-chained unkeyed before the next keyed entry', async () => {
+  await createUser('boss', 'boss password', ROLES.ADMIN);
+  await SecureStorage.unlock('boss', 'boss password');
+  await SecureStorage.addAuditLog('EXPORT_DATA', null, { action: 'Data exported' });
+  await SecureStorage.addAuditLog('DELETE_PATIENT', 'p1', { action: 'Patient deleted' });
+
+  // Drop the export and re-chain the deletion in its place as plain SHA-256, head included
+  const [unlockEntry, exportEntry, deleteEntry] = await raw.table('auditLogs').orderBy('seq').toArray();
+  const moved = { ...deleteEntry, seq: exportEntry.seq, prevHash: unlockEntry.hash, keyed: false };
+  const forged = { ...moved, hash: await hashAuditEntry(moved) };
+  await raw.table('auditLogs').bulkDelete([exportEntry.id, deleteEntry.id]);
+  await raw.table('auditLogs').put(forged);
+  await raw.table('settings').put({ key: 'audit_chain_head', value: { seq: forged.seq, hash: forged.hash } });
+
+  await SecureStorage.addAuditLog('LOAD_PATIENT', 'p2', { action: 'Patient data loaded' });
+  const result = await SecureStorage.verifyAuditLog();
+  expect(result.valid).toBe(false);
+  expect(result.issues).toEqual([{ seq: 2, problem: 'unkeyed' }]);
+});
+
+test('seals entries from before the chain under the audit key, even if a failed login comes first', async () => {
+  await raw.table('auditLogs').add({ action: 'LOAD_PATIENT', timestamp: 1000, patientId: 'p1', details: { username: 'boss' } });
+  await createUser('boss', 'boss password', ROLES.ADMIN);
+  await SecureStorage.recordFailedLogin('boss', 'incorrect password');
+  await SecureStorage.unlock('boss', 'boss password');
+
+  const entries = await raw.table('auditLogs').orderBy('seq').toArray();
+  expect(entries.map(entry => [entry.action, entry.user, entry.keyed])).toEqual([
+    ['LOAD_PATIENT', 'boss', true],
+    ['LOGIN_FAILED', 'boss', true],
+    ['UNLOCK', 'boss', true]
+  ]);
+  expect(await SecureStorage.verifyAuditLog()).toMatchObject({ valid: true, unauthenticatedCount: 0 });
+});
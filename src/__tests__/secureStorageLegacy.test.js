@@ -0,0 +1,63 @@
+import 'fake-indexeddb/auto';
+import Dexie from 'dexie';
+import { SecureStorage } from '../services/secureStorage';
+import { createUser } from '../services/userStore';
+import { ROLES } from '../services/roles';
+import { encryptWithKey, generateKey, getEnvelopeHeader, KDF_DATA_KEY, LEGACY_PBKDF2_ITERATIONS } from '../services/encryption';
+
+// Second handle on the same database, to write rows as older versions did
+const raw = new Dexie('SecurePatientDB');
+const DEVICE_SALT = new Uint8Array(16).fill(7);
+
+// A patient row from before key wrapping: a bare { iv, data } envelope under the user's password
+const legacyRow = async (patientId, name, password) => {
+  const key = await generateKey(password, DEVICE_SALT, LEGACY_PBKDF2_ITERATIONS);
+  const { iv, data } = await encryptWithKey(JSON.stringify({ id: patientId, patientInfo: { name }, encounters: [] }), key);
+  return { patientId, encryptedData: JSON.stringify({ iv, data }), timestamp: Date.now(), syncStatus: 'local', deviceId: 'tablet' };
+};
+
+const kdfOf = async (patientId) => {
+  const row = await raw.table('patients').where('patientId').equals(patientId).first();
+  return getEnvelopeHeader(JSON.parse(row.encryptedData)).kdf;
+};
+
+beforeEach(async () => {
+  localStorage.clear();
+  await SecureStorage.signOut();
+  await SecureStorage.hasKeyring(); // Opens (and creates) the database
+  await raw.open();
+  await Promise.all(raw.tables.map(table => table.clear()));
+  localStorage.setItem('device_salt', JSON.stringify(Array.from(DEVICE_SALT)));
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  raw.close();
+});
+
+test('moves each legacy account\'s records to the data key at that account\'s first login', async () => {
+  await createUser('boss', 'boss password', ROLES.ADMIN);
+  await createUser('sam', 'sam password', ROLES.CLINICIAN);
+  await raw.table('patients').bulkAdd([
+    await legacyRow('p1', 'Ana', 'boss password'),
+    await legacyRow('p2', 'Ben', 'sam password')
+  ]);
+
+  // The first login creates the keyring and takes only its own records along
+  await SecureStorage.unlock('boss', 'boss password');
+  expect(await kdfOf('p1')).toBe(KDF_DATA_KEY);
+  expect(await kdfOf('p2')).toBeNull();
+  expect(await SecureStorage.canUnlock('sam')).toBe(false);
+
+  // An admin grants the other account access with its owner at the device...
+  await SecureStorage.grantAccess('sam', 'sam password', ROLES.CLINICIAN);
+  expect(await SecureStorage.canUnlock('sam')).toBe(true);
+
+  // ...and its records follow at its first login
+  await SecureStorage.signOut();
+  await SecureStorage.unlock('sam', 'sam password');
+  expect(await kdfOf('p2')).toBe(KDF_DATA_KEY);
+  expect((await SecureStorage.loadPatientData('p1')).patientInfo.name).toBe('Ana');
+  expect((await SecureStorage.loadPatientData('p2')).patientInfo.name).toBe('Ben');
+});
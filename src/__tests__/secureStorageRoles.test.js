@@ -0,0 +1,67 @@
+import 'fake-indexeddb/auto';
+import Dexie from 'dexie';
+import { SecureStorage } from '../services/secureStorage';
+import { createUser, updateUser } from '../services/userStore';
+import { ROLES } from '../services/roles';
+
+// Second handle on the same database, to inspect and tamper with rows as devtools could
+const raw = new Dexie('SecurePatientDB');
+
+const logInAs = async (username, password) => {
+  await SecureStorage.signOut();
+  await SecureStorage.unlock(username, password);
+  return SecureStorage.currentUser.role;
+};
+
+beforeEach(async () => {
+  localStorage.clear();
+  await SecureStorage.signOut();
+  await SecureStorage.hasKeyring(); // Opens (and creates) the database
+  await raw.open();
+  await Promise.all(raw.tables.map(table => table.clear()));
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  raw.close();
+});
+
+test('takes roles from the keyring seal, not the editable user record', async () => {
+  await createUser('boss', 'boss password', ROLES.ADMIN);
+  await SecureStorage.unlock('boss', 'boss password');
+  expect(SecureStorage.currentUser.role).toBe(ROLES.ADMIN);
+
+  await createUser('sam', 'sam password', ROLES.FRONT_DESK);
+  await SecureStorage.grantAccess('sam', 'sam password', ROLES.FRONT_DESK);
+  await SecureStorage.setUserRole('sam', ROLES.CLINICIAN);
+  expect(await SecureStorage.getUserRoles()).toEqual({ boss: ROLES.ADMIN, sam: ROLES.CLINICIAN });
+
+  updateUser('sam', { role: ROLES.ADMIN });
+  expect(await logInAs('sam', 'sam password')).toBe(ROLES.CLINICIAN);
+  await expect(SecureStorage.setUserRole('sam', ROLES.ADMIN)).rejects.toThrow(/permission denied/i);
+
+  // A seal copied from another user's entry doesn't verify
+  const bossSeal = (await raw.table('keyring').get('boss')).roleSeal;
+  await raw.table('keyring').update('sam', { roleSeal: bossSeal });
+  expect(await logInAs('sam', 'sam password')).toBe(ROLES.READ_ONLY);
+});
+
+test('seals the roles of accounts from before role seals once', async () => {
+  await createUser('founder', 'founder password', ROLES.ADMIN);
+  await createUser('lee', 'lee password', ROLES.CLINICIAN);
+  await SecureStorage.unlock('founder', 'founder password');
+  await SecureStorage.grantAccess('lee', 'lee password');
+
+  // Roll back to an install without seals; the founder's record predates roles
+  await raw.table('keyring').toCollection().modify(entry => { delete entry.roleSeal; });
+  await raw.table('settings').delete('roles_sealed');
+  updateUser('founder', { role: undefined });
+
+  expect(await logInAs('lee', 'lee password')).toBe(ROLES.CLINICIAN);
+  expect(await SecureStorage.getUserRoles()).toEqual({ founder: ROLES.ADMIN, lee: ROLES.CLINICIAN });
+
+  // Later edits to the display copy, or a dropped seal, are not sealed again
+  updateUser('lee', { role: ROLES.ADMIN });
+  await raw.table('keyring').update('lee', { roleSeal: undefined });
+  expect(await logInAs('lee', 'lee password')).toBe(ROLES.READ_ONLY);
+});
@@ -0,0 +1,168 @@
+import 'fake-indexeddb/auto';
+import Dexie from 'dexie';
+import { SecureStorage, SYNC_STATUS } from '../services/secureStorage';
+import { createUser } from '../services/userStore';
+import { ROLES } from '../services/roles';
+
+// Second handle on the same database, to look at stored rows
+const raw = new Dexie('SecurePatientDB');
+
+// Wipe everything, as on a device that has never run the app
+const freshDevice = async () => {
+  await SecureStorage.signOut();
+  localStorage.clear();
+  await Promise.all(raw.tables.map(table => table.clear()));
+};
+
+// Set up a device whose first user owns its own data key, or starts from an enrolment
+const setUpDevice = async (username, clinicKey = null) => {
+  await freshDevice();
+  await createUser(username, `${username} password`, ROLES.ADMIN);
+  await SecureStorage.unlock(username, `${username} password`, clinicKey);
+};
+
+const patient = (name) => ({ patientInfo: { name }, updatedAt: new Date().toISOString() });
+
+// A record as another device would have uploaded it
+const uploadedCopy = async (patientId, revision) => {
+  const row = await SecureStorage.getSyncRow(patientId);
+  return { revision, encryptedData: row.encryptedData, deviceId: row.deviceId, updatedAt: row.timestamp, deleted: false };
+};
+
+beforeAll(async () => {
+  await SecureStorage.hasKeyring(); // Opens (and creates) the database
+  await raw.open();
+});
+
+afterAll(() => {
+  raw.close();
+});
+
+beforeEach(() => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+test('queues local saves, marks uploads synced and records server conflicts', async () => {
+  await setUpDevice('boss');
+  await SecureStorage.savePatientData('p1', patient('Ana'));
+
+  expect(await SecureStorage.queueLocalChanges(1000)).toBe(1);
+  expect(await SecureStorage.queueLocalChanges(1000)).toBe(0);
+  const [entry] = await SecureStorage.getDueSyncEntries(1000);
+  expect(entry).toMatchObject({ patientId: 'p1', operation: 'upsert', attempts: 0 });
+
+  // Edited while the upload was in flight: stays local for the next push
+  const uploaded = await SecureStorage.getSyncRow('p1');
+  await SecureStorage.savePatientData('p1', patient('Ana Maria'));
+  await SecureStorage.markSynced(entry, uploaded, 1);
+  expect(await SecureStorage.getSyncRow('p1')).toMatchObject({ serverRevision: 1, syncStatus: SYNC_STATUS.LOCAL });
+  expect(await SecureStorage.getDueSyncEntries(1000)).toEqual([]);
+
+  await SecureStorage.queueLocalChanges(2000);
+  const serverCopy = { revision: 2, encryptedData: uploaded.encryptedData, deviceId: 'other', deleted: false };
+  expect(await SecureStorage.recordSyncConflict('p1', serverCopy)).toBe(true);
+  expect(await SecureStorage.recordSyncConflict('p1', serverCopy)).toBe(false);
+  expect((await SecureStorage.getSyncRow('p1')).syncStatus).toBe(SYNC_STATUS.CONFLICT);
+  expect(await SecureStorage.getSyncSummary()).toEqual({ pending: 0, conflicts: 1 });
+
+  await SecureStorage.setSyncCursor(7);
+  expect(await SecureStorage.getSyncCursor()).toBe(7);
+});
+
+test('reads records from another device once it has joined that device\'s clinic key', async () => {
+  // Device A: the clinic's first tablet
+  await setUpDevice('boss');
+  await SecureStorage.savePatientData('p1', patient('Ana'));
+  const fromA = await uploadedCopy('p1', 1);
+  const { code, enrolment } = await SecureStorage.createDeviceEnrolment();
+  expect(JSON.stringify(enrolment)).not.toContain(code.replace(/-/g, ''));
+
+  // Device B set up on its own key, with a second user and a synced record
+  await setUpDevice('nurse');
+  await createUser('clerk', 'clerk password', ROLES.FRONT_DESK);
+  await SecureStorage.grantAccess('clerk', 'clerk password', ROLES.FRONT_DESK);
+  await SecureStorage.savePatientData('p2', patient('Ben'));
+  await SecureStorage.queueLocalChanges(1000);
+  const [entry] = await SecureStorage.getDueSyncEntries(1000);
+  await SecureStorage.markSynced(entry, await SecureStorage.getSyncRow('p2'), 1);
+  await SecureStorage.setSyncCursor(4);
+
+  await expect(SecureStorage.applyRemoteRecord('p1', fromA)).rejects.toThrow();
+  await expect(SecureStorage.joinClinicKey(enrolment, 'WRONG-CODE')).rejects.toThrow(/join failed/i);
+
+  const counts = await SecureStorage.joinClinicKey(enrolment, code.toLowerCase());
+  expect(counts).toEqual({ patients: 1, revisions: 1, drafts: 0, conflicts: 0 });
+  expect((await SecureStorage.getSyncRow('p2')).syncStatus).toBe(SYNC_STATUS.LOCAL); // Re-uploaded readable by A
+  expect(await SecureStorage.getSyncCursor()).toBe(0); // Pull again what couldn't be read
+  await expect(SecureStorage.joinClinicKey(enrolment, code)).rejects.toThrow(/already uses/);
+
+  await SecureStorage.applyRemoteRecord('p1', fromA);
+  expect((await SecureStorage.loadPatientData('p1')).patientInfo.name).toBe('Ana');
+  expect((await SecureStorage.loadPatientData('p2')).patientInfo.name).toBe('Ben');
+
+  // Other users' key copies follow the change at their next unlock, keeping their role
+  const clerkEntry = await raw.table('keyring').get('clerk');
+  await SecureStorage.signOut();
+  await SecureStorage.unlock('clerk', 'clerk password');
+  expect(SecureStorage.currentUser.role).toBe(ROLES.FRONT_DESK);
+  expect((await SecureStorage.loadPatientData('p1')).patientInfo.name).toBe('Ana');
+  expect((await raw.table('keyring').get('clerk')).wrappedKey).not.toEqual(clerkEntry.wrappedKey);
+
+  // Audit entries keyed before the change still verify
+  await SecureStorage.signOut();
+  await SecureStorage.unlock('nurse', 'nurse password');
+  expect(await SecureStorage.verifyAuditLog()).toMatchObject({ valid: true, issues: [] });
+});
+
+test('a new device can start from the clinic key in an enrolment file', async () => {
+  await setUpDevice('boss');
+  await SecureStorage.savePatientData('p1', patient('Ana'));
+  const fromA = await uploadedCopy('p1', 1);
+  const { code, enrolment } = await SecureStorage.createDeviceEnrolment();
+
+  await setUpDevice('nurse', { enrolment, code });
+  expect(SecureStorage.currentUser.role).toBe(ROLES.ADMIN);
+  await SecureStorage.applyRemoteRecord('p1', fromA);
+  expect((await SecureStorage.loadPatientData('p1')).patientInfo.name).toBe('Ana');
+});
+
+test('opens the merge for a conflict with a record from a device on the same clinic key', async () => {
+  await setUpDevice('boss');
+  await SecureStorage.savePatientData('p1', patient('Ana'));
+  const fromA = await uploadedCopy('p1', 1);
+  await SecureStorage.savePatientData('p1', patient('Ana Lopez'));
+  const editedOnA = await uploadedCopy('p1', 2);
+  const { code, enrolment } = await SecureStorage.createDeviceEnrolment();
+
+  // Device B got revision 1 before A's edit, then edited it too
+  await setUpDevice('nurse');
+  await SecureStorage.joinClinicKey(enrolment, code);
+  await SecureStorage.applyRemoteRecord('p1', fromA);
+  const local = await SecureStorage.loadPatientData('p1');
+  await SecureStorage.savePatientData('p1', { ...local, patientInfo: { ...local.patientInfo, name: 'Ana M.' } });
+  await SecureStorage.recordSyncConflict('p1', editedOnA);
+
+  const conflict = await SecureStorage.loadSyncConflict('p1');
+  expect(conflict.local.patientInfo.name).toBe('Ana M.');
+  expect(conflict.remote.patientInfo.name).toBe('Ana Lopez');
+  expect(conflict.remoteRevision).toBe(2);
+});
+
+test('a conflict recorded before joining the clinic key opens after joining', async () => {
+  await setUpDevice('boss');
+  await SecureStorage.savePatientData('p1', patient('Ana Lopez'));
+  const fromA = await uploadedCopy('p1', 2);
+  const { code, enrolment } = await SecureStorage.createDeviceEnrolment();
+
+  await setUpDevice('nurse');
+  await SecureStorage.savePatientData('p1', patient('Ana M.'));
+  await SecureStorage.recordSyncConflict('p1', fromA);
+  await expect(SecureStorage.loadSyncConflict('p1')).rejects.toThrow(/conflict load failed/i);
+
+  const counts = await SecureStorage.joinClinicKey(enrolment, code);
+  expect(counts.conflicts).toBe(0); // The server copy was already under the clinic key
+  const conflict = await SecureStorage.loadSyncConflict('p1');
+  expect(conflict.local.patientInfo.name).toBe('Ana M.');
+  expect(conflict.remote.patientInfo.name).toBe('Ana Lopez');
+});
@@ -0,0 +1,157 @@
+import { SyncEngine, getRetryDelayMs, resolveRemoteChange, RETRY_BASE_MS, RETRY_MAX_MS } from '../services/syncEngine';
+import { SYNC_STATUS } from '../services/secureStorage';
+import { createFakeSyncStorage } from './fakeSyncStorage';
+import { ApiError } from '../services/apiClient';
+import { ERROR_CODES } from '../storage';
+
+// In-memory stand-in for the sync server (see the API in services/syncEngine.js)
+const createServer = () => {
+  const records = new Map(); // patientId -> { revision, encryptedData, deviceId, updatedAt, deleted }
+  const feed = []; // change log; the cursor is an index into it
+  let offline = false;
+
+  const client = {
+    request: async (endpoint, options = {}) => {
+      if (offline) throw new ApiError(ERROR_CODES.NETWORK_ERROR, 'Network request failed');
+
+      const url = new URL(endpoint, 'http://sync.test');
+      const patientId = decodeURIComponent(url.pathname.split('/')[3] || '');
+      const current = records.get(patientId);
+      const conflict = () => Object.assign(new Error('HTTP 409'), { status: 409, body: { record: current } });
+
+      if (options.method === 'PUT') {
+        const body = JSON.parse(options.body);
+        if ((current?.revision || 0) !== body.baseRevision) throw conflict();
+        const record = { patientId, revision: (current?.revision || 0) + 1, ...body, deleted: false };
+        delete record.baseRevision;
+        records.set(patientId, record);
+        feed.push(record);
+        return { revision: record.revision };
+      }
+      if (options.method === 'DELETE') {
+        if (!current) throw Object.assign(new Error('HTTP 404'), { status: 404, body: null });
+        if (current.revision !== Number(url.searchParams.get('baseRevision'))) throw conflict();
+        const record = { patientId, revision: current.revision + 1, deleted: true };
+        records.set(patientId, record);
+        feed.push(record);
+        return { revision: record.revision };
+      }
+
+      const since = Number(url.searchParams.get('since'));
+      return { changes: feed.slice(since, since + 2), cursor: Math.min(since + 2, feed.length), hasMore: since + 2 < feed.length };
+    }
+  };
+
+  // Another device writing straight to the server
+  const remoteWrite = (patientId, encryptedData) => {
+    const record = { patientId, revision: (records.get(patientId)?.revision || 0) + 1, encryptedData, deviceId: 'other', deleted: false };
+    records.set(patientId, record);
+    feed.push(record);
+  };
+
+  return { client, records, remoteWrite, setOffline: (value) => { offline = value; } };
+};
+
+const setup = () => {
+  const server = createServer();
+  const storage = createFakeSyncStorage();
+  return { server, storage, engine: new SyncEngine({ client: server.client, storage }) };
+};
+
+test('backs off exponentially up to the cap', () => {
+  expect(getRetryDelayMs(0)).toBe(0);
+  expect(getRetryDelayMs(1)).toBe(RETRY_BASE_MS);
+  expect(getRetryDelayMs(3)).toBe(RETRY_BASE_MS * 4);
+  expect(getRetryDelayMs(50)).toBe(RETRY_MAX_MS);
+});
+
+test('decides how to handle pulled changes', () => {
+  const synced = { syncStatus: SYNC_STATUS.SYNCED, serverRevision: 2 };
+  const edited = { syncStatus: SYNC_STATUS.LOCAL, serverRevision: 2 };
+
+  expect(resolveRemoteChange(undefined, { revision: 1 })).toBe('apply');
+  expect(resolveRemoteChange(undefined, { revision: 1, deleted: true })).toBe('skip');
+  expect(resolveRemoteChange(synced, { revision: 2 })).toBe('skip');
+  expect(resolveRemoteChange(synced, { revision: 3 })).toBe('apply');
+  expect(resolveRemoteChange(synced, { revision: 3, deleted: true })).toBe('delete');
+  expect(resolveRemoteChange(edited, { revision: 3 })).toBe('conflict');
+  expect(resolveRemoteChange(edited, { revision: 3, deleted: true })).toBe('conflict');
+});
+
+test('pushes local saves and pulls changes from other devices', async () => {
+  const { server, storage, engine } = setup();
+  storage.saveLocal('p1', 'cipher-1');
+
+  const first = await engine.syncOnce(1000);
+  expect(first).toMatchObject({ queued: 1, pushed: 1, failed: 0, conflicts: [], pulled: [] });
+  expect(server.records.get('p1')).toMatchObject({ revision: 1, encryptedData: 'cipher-1' });
+  expect(storage.rows.get('p1')).toMatchObject({ syncStatus: SYNC_STATUS.SYNCED, serverRevision: 1 });
+  expect(storage.queue).toEqual([]);
+
+  server.remoteWrite('p1', 'cipher-2');
+  server.remoteWrite('p2', 'cipher-3');
+  server.remoteWrite('p3', 'cipher-4');
+
+  const second = await engine.syncOnce(2000);
+  expect(second.pulled).toEqual(['p1', 'p2', 'p3']);
+  expect(storage.rows.get('p1')).toMatchObject({ encryptedData: 'cipher-2', serverRevision: 2 });
+  expect(storage.rows.get('p3').syncStatus).toBe(SYNC_STATUS.SYNCED);
+  expect(await storage.getSyncCursor()).toBe(4);
+});
+
+test('records a conflict when the server copy changed since the last sync', async () => {
+  const { server, storage, engine } = setup();
+  storage.saveLocal('p1', 'cipher-1');
+  await engine.syncOnce(1000);
+
+  server.remoteWrite('p1', 'theirs');
+  storage.saveLocal('p1', 'mine');
+
+  const result = await engine.syncOnce(2000);
+  expect(result.conflicts).toContain('p1');
+  expect(storage.rows.get('p1')).toMatchObject({ syncStatus: SYNC_STATUS.CONFLICT, encryptedData: 'mine' });
+  expect(storage.conflicts.get('p1')).toMatchObject({ revision: 2, encryptedData: 'theirs' });
+  expect(server.records.get('p1').encryptedData).toBe('theirs');
+});
+
+test('keeps uploads queued while offline and retries after the backoff', async () => {
+  const { server, storage, engine } = setup();
+  storage.saveLocal('p1', 'cipher-1');
+  server.setOffline(true);
+
+  await expect(engine.syncOnce(1000)).rejects.toThrow(ApiError);
+  expect(storage.queue).toMatchObject([{ patientId: 'p1', attempts: 1, nextAttemptAt: 1000 + RETRY_BASE_MS }]);
+  expect(storage.rows.get('p1').syncStatus).toBe(SYNC_STATUS.PENDING);
+
+  server.setOffline(false);
+  expect((await engine.syncOnce(2000)).pushed).toBe(0); // Not due yet
+
+  expect((await engine.syncOnce(1000 + RETRY_BASE_MS)).pushed).toBe(1);
+  expect(server.records.get('p1').encryptedData).toBe('cipher-1');
+});
+
+test('pulls a change that could not be applied again until it is', async () => {
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  const { server, storage, engine } = setup();
+  const applyRemoteRecord = storage.applyRemoteRecord.bind(storage);
+  let canRead = false;
+  storage.applyRemoteRecord = async (patientId, remoteRecord) => {
+    if (remoteRecord.encryptedData === 'other-key' && !canRead) throw new Error('Decryption failed');
+    return applyRemoteRecord(patientId, remoteRecord);
+  };
+
+  server.remoteWrite('p1', 'cipher-1');
+  server.remoteWrite('p2', 'other-key');
+  server.remoteWrite('p3', 'cipher-3');
+
+  const first = await engine.syncOnce(1000);
+  expect(first).toMatchObject({ pulled: ['p1', 'p3'], unreadable: ['p2'] });
+  expect(storage.rows.has('p2')).toBe(false);
+  expect(await storage.getSyncCursor()).toBe(0); // Held before the page with p2
+
+  canRead = true; // e.g. this device joined the other device's clinic key
+  const second = await engine.syncOnce(2000);
+  expect(second).toMatchObject({ pulled: ['p2'], unreadable: [] });
+  expect(storage.rows.get('p2')).toMatchObject({ encryptedData: 'other-key', serverRevision: 1 });
+  expect(await storage.getSyncCursor()).toBe(3);
+});
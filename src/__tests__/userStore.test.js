@@ -0,0 +1,33 @@
+import { createUser, findUser, verifyPassword } from '../services/userStore';
+import { PBKDF2_ITERATIONS } from '../services/encryption';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('stores a PBKDF2 verifier at the key-wrapping cost', async () => {
+  await createUser('Sam', 'correct horse');
+  const user = findUser('sam');
+
+  expect(user.passwordIterations).toBe(PBKDF2_ITERATIONS);
+  expect(JSON.stringify(user)).not.toContain('correct horse');
+  await expect(verifyPassword(user, 'correct horse')).resolves.toBe(true);
+  await expect(verifyPassword(user, 'wrong horse')).resolves.toBe(false);
+});
+
+test('upgrades a legacy SHA-256 verifier after a correct password', async () => {
+  const salt = [1, 2, 3, 4];
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`old password${salt.join(',')}`));
+  localStorage.setItem('registered_users', JSON.stringify({
+    lee: { username: 'Lee', salt, passwordHash: Array.from(new Uint8Array(digest)), role: 'clinician' }
+  }));
+
+  await expect(verifyPassword(findUser('lee'), 'not it')).resolves.toBe(false);
+  expect(findUser('lee').passwordIterations).toBeUndefined();
+
+  await expect(verifyPassword(findUser('lee'), 'old password')).resolves.toBe(true);
+  const upgraded = findUser('lee');
+  expect(upgraded).toMatchObject({ passwordIterations: PBKDF2_ITERATIONS, role: 'clinician' });
+  expect(upgraded.salt).not.toEqual(salt);
+  await expect(verifyPassword(upgraded, 'old password')).resolves.toBe(true);
+});
@@ -0,0 +1,46 @@
+import { INTAKE_FORM_SCHEMA } from '../forms/intakeSchema';
+import { convertQuantity, getSchemaFields } from '../forms/formEngine';
+import { calculateBmi, convertToUnitSystem, getUnitSystem, getVitalAlerts } from '../services/vitals';
+
+const field = (name) => getSchemaFields(INTAKE_FORM_SCHEMA).find(entry => entry.name === name);
+
+test('converts quantities between units and rounds to the field precision', () => {
+  expect(convertQuantity(field('temperature'), { value: '98.6', unit: '[degF]' }, 'Cel')).toEqual({ value: '37', unit: 'Cel' });
+  expect(convertQuantity(field('weight'), { value: '70', unit: 'kg' }, '[lb_av]')).toEqual({ value: '154.3', unit: '[lb_av]' });
+  expect(convertQuantity(field('height'), { value: '', unit: 'cm' }, '[in_i]')).toEqual({ value: '', unit: '[in_i]' });
+});
+
+test('calculates BMI from metric or imperial measurements', () => {
+  expect(calculateBmi(INTAKE_FORM_SCHEMA, {
+    weight: { value: '70', unit: 'kg' },
+    height: { value: '175', unit: 'cm' }
+  })).toBe(22.9);
+  expect(calculateBmi(INTAKE_FORM_SCHEMA, {
+    weight: { value: '154.3', unit: '[lb_av]' },
+    height: { value: '68.9', unit: '[in_i]' }
+  })).toBe(22.9);
+  expect(calculateBmi(INTAKE_FORM_SCHEMA, { weight: { value: '70', unit: 'kg' } })).toBeNull();
+});
+
+test('flags vitals against ranges for the patient age', () => {
+  const heartRate = { value: '130', unit: '/min' };
+  const names = (values) => getVitalAlerts(INTAKE_FORM_SCHEMA, values).map(alert => `${alert.name}:${alert.level}`);
+
+  expect(names({ age: '40', heartRate })).toEqual(['heartRate:high']);
+  expect(names({ age: '3', heartRate })).toEqual([]);
+  expect(names({ age: '', temperature: { value: '101.5', unit: '[degF]' }, spo2: { value: '91', unit: '%' } }))
+    .toEqual(['temperature:high', 'spo2:low']);
+});
+
+test('switches every vital with units to one system', () => {
+  const values = {
+    temperature: { value: '37', unit: 'Cel' },
+    weight: { value: '154.3', unit: '[lb_av]' },
+    height: { value: '', unit: 'cm' }
+  };
+
+  expect(getUnitSystem(INTAKE_FORM_SCHEMA, values)).toBe('mixed');
+  const changes = convertToUnitSystem(INTAKE_FORM_SCHEMA, values, 'metric');
+  expect(changes).toEqual({ weight: { value: '70', unit: 'kg' } });
+  expect(getUnitSystem(INTAKE_FORM_SCHEMA, { ...values, ...changes })).toBe('metric');
+});
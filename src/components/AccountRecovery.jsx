@@ -0,0 +1,188 @@
+import React, { useState } from 'react';
+import { SecureStorage } from '../services/secureStorage';
+import { findUser, setPassword, MIN_PASSWORD_LENGTH } from '../services/userStore';
+import RecoveryCodeNotice from './RecoveryCodeNotice';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+// Forgotten password: unlock the data key with the recovery code and choose a new password
+export default function AccountRecovery({ onRecover, onSwitchToLogin }) {
+  const [form, setForm] = useState({
+    username: '',
+    recoveryCode: '',
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [newRecoveryCode, setNewRecoveryCode] = useState(null);
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleInputChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    if (error) setError(''); // Clear error when user types
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!findUser(form.username)) {
+      setError('Username not found.');
+      return;
+    }
+
+    if (form.newPassword.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+
+    if (form.newPassword !== form.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const recoveryCode = await SecureStorage.recoverAccess(form.username, form.recoveryCode, form.newPassword);
+      await setPassword(form.username, form.newPassword);
+      setNewRecoveryCode(recoveryCode);
+    } catch (error) {
+      console.error('Recovery error:', error);
+      setError('That recovery code is not valid for this account.');
+      setForm(prev => ({ ...prev, recoveryCode: '' }));
+    }
+
+    setIsLoading(false);
+  };
+
+  const handleContinue = () => {
+    if (onRecover) {
+      onRecover({ ...SecureStorage.currentUser });
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100 flex items-center justify-center p-4">
+      <div className="max-w-md w-full">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">
+            Medical Intake System
+          </h1>
+          <p className="text-gray-600">
+            Secure patient data management
+          </p>
+        </div>
+
+        {/* Recovery Card */}
+        <div className="bg-white rounded-lg shadow-lg p-6">
+          {newRecoveryCode ? (
+            <>
+              <p className="text-sm text-green-800 bg-green-50 border border-green-200 rounded-md p-3 mb-4">
+                Your password has been reset. Your old recovery code no longer works.
+              </p>
+              <RecoveryCodeNotice recoveryCode={newRecoveryCode} onContinue={handleContinue} />
+            </>
+          ) : (
+            <>
+              <h2 className="text-2xl font-semibold text-gray-900 mb-6 text-center">
+                Reset your password
+              </h2>
+
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                  <label htmlFor="recoveryUsername" className="block text-sm font-medium text-gray-700 mb-1">
+                    Username
+                  </label>
+                  <input
+                    type="text"
+                    id="recoveryUsername"
+                    value={form.username}
+                    onChange={(e) => handleInputChange('username', e.target.value)}
+                    className={inputClassName}
+                    autoFocus
+                    autoComplete="username"
+                    required
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="recoveryCode" className="block text-sm font-medium text-gray-700 mb-1">
+                    Recovery code
+                  </label>
+                  <input
+                    type="text"
+                    id="recoveryCode"
+                    value={form.recoveryCode}
+                    onChange={(e) => handleInputChange('recoveryCode', e.target.value)}
+                    className={`${inputClassName} font-mono`}
+                    placeholder="XXXX-XXXX-XXXX-XXXX-XXXX-XXXX-XXXX-XXXX"
+                    autoComplete="off"
+                    spellCheck="false"
+                    required
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="recoveryNewPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                    New password
+                  </label>
+                  <input
+                    type="password"
+                    id="recoveryNewPassword"
+                    value={form.newPassword}
+                    onChange={(e) => handleInputChange('newPassword', e.target.value)}
+                    className={inputClassName}
+                    placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+                    autoComplete="new-password"
+                    required
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="recoveryConfirmPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                    Confirm new password
+                  </label>
+                  <input
+                    type="password"
+                    id="recoveryConfirmPassword"
+                    value={form.confirmPassword}
+                    onChange={(e) => handleInputChange('confirmPassword', e.target.value)}
+                    className={inputClassName}
+                    autoComplete="new-password"
+                    required
+                  />
+                </div>
+
+                {/* Error Message */}
+                {error && (
+                  <div className="bg-red-50 border border-red-200 rounded-md p-3">
+                    <p className="text-red-800 text-sm">{error}</p>
+                  </div>
+                )}
+
+                <button
+                  type="submit"
+                  disabled={isLoading}
+                  className="w-full bg-blue-600 text-white py-2 px-4 rounded-md font-medium hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {isLoading ? 'Unlocking...' : 'Reset Password'}
+                </button>
+              </form>
+
+              <div className="mt-6 text-center">
+                <button
+                  onClick={onSwitchToLogin}
+                  className="text-blue-600 hover:text-blue-800 font-medium focus:outline-none focus:underline"
+                >
+                  Back to log in
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,585 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { SecureStorage } from '../services/secureStorage';
+import {
+  listUsers,
+  createUser,
+  deleteUser,
+  findUser,
+  verifyPassword,
+  MIN_PASSWORD_LENGTH
+} from '../services/userStore';
+import { ROLES, ROLE_OPTIONS, isRole } from '../services/roles';
+import { getLoginStatus, clearFailedLogins, formatWait } from '../services/loginThrottle';
+import RecoveryCodeNotice from './RecoveryCodeNotice';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const EMPTY_NEW_USER = { username: '', password: '', role: ROLES.CLINICIAN };
+const EMPTY_JOIN = { file: null, code: '' };
+
+// User management for admins: roles, new accounts, granting and removing access and sharing the clinic key
+const AdminPanel = ({ currentUser }) => {
+  const { t } = useTranslation();
+  const [users, setUsers] = useState(() => listUsers());
+  const [roles, setRoles] = useState(null); // Sealed roles from the keyring, by lowercase username
+  const [newUser, setNewUser] = useState(EMPTY_NEW_USER);
+  const [grantForm, setGrantForm] = useState(null); // { username, password, role } for an account without a key
+  const [issuedRecoveryCode, setIssuedRecoveryCode] = useState(null);
+  const [enrolmentCode, setEnrolmentCode] = useState(null); // Shown once, after downloading an enrolment file
+  const [joinForm, setJoinForm] = useState(EMPTY_JOIN);
+  const [clinicKeyMessage, setClinicKeyMessage] = useState('');
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const refreshUsers = useCallback(async () => {
+    setUsers(listUsers());
+    try {
+      setRoles(await SecureStorage.getUserRoles());
+    } catch (error) {
+      console.error('Failed to load user roles:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshUsers();
+  }, [refreshUsers]);
+
+  const isSelf = (user) => user.username.toLowerCase() === currentUser.username.toLowerCase();
+
+  const roleOf = (user) => roles?.[user.username.toLowerCase()] || ROLES.READ_ONLY;
+
+  // Accounts from before the keyring (or whose grant failed) have no copy of the data key yet
+  const hasKey = (user) => !roles || user.username.toLowerCase() in roles;
+
+  // Keep at least one admin so users can still be managed
+  const isLastAdmin = (user) => (
+    roleOf(user) === ROLES.ADMIN && Object.values(roles || {}).filter(role => role === ROLES.ADMIN).length <= 1
+  );
+
+  const roleLabel = (role) => {
+    const option = ROLE_OPTIONS.find(opt => opt.value === role);
+    return option ? t(option.labelKey, { defaultValue: option.defaultLabel }) : role;
+  };
+
+  const handleRoleChange = async (user, role) => {
+    if (role !== ROLES.ADMIN && isLastAdmin(user)) {
+      setError(t('admin.lastAdmin', { defaultValue: 'At least one admin account is required.' }));
+      return;
+    }
+
+    try {
+      await SecureStorage.setUserRole(user.username, role);
+      setError('');
+    } catch (error) {
+      console.error('Failed to change role:', error);
+      setError(t('admin.roleFailed', { defaultValue: 'Failed to change role' }));
+    }
+    refreshUsers();
+  };
+
+  const handleRemove = async (user) => {
+    if (isLastAdmin(user)) {
+      setError(t('admin.lastAdmin', { defaultValue: 'At least one admin account is required.' }));
+      return;
+    }
+
+    const shouldRemove = window.confirm(
+      t('admin.removeConfirm', {
+        username: user.username,
+        defaultValue: `Remove ${user.username}? They will no longer be able to unlock patient data.`
+      })
+    );
+    if (!shouldRemove) return;
+
+    try {
+      await SecureStorage.revokeAccess(user.username);
+      deleteUser(user.username);
+      setError('');
+      refreshUsers();
+    } catch (error) {
+      console.error('Failed to remove user:', error);
+      setError(t('admin.removeFailed', { defaultValue: 'Failed to remove user' }));
+    }
+  };
+
+  // Lift a failed-login lockout before it expires
+  const handleClearLockout = async (user) => {
+    clearFailedLogins(user.username);
+    await SecureStorage.addAuditLog('LOGIN_LOCKOUT_CLEARED', null, {
+      action: 'Login lockout cleared by admin',
+      username: user.username,
+      clearedBy: currentUser.username,
+      timestamp: new Date().toISOString()
+    });
+    refreshUsers();
+  };
+
+  // Give an existing account a copy of the data key; its owner types their password on this device
+  const handleGrantAccess = async (e) => {
+    e.preventDefault();
+
+    const { username, password, role } = grantForm;
+    const loginStatus = getLoginStatus(username);
+    if (loginStatus.retryAfterMs > 0) {
+      setError(t('changePassword.wait', {
+        wait: formatWait(loginStatus.retryAfterMs),
+        defaultValue: `Too many failed attempts. Please wait ${formatWait(loginStatus.retryAfterMs)} before trying again.`
+      }));
+      return;
+    }
+
+    setIsSaving(true);
+
+    const userRecord = findUser(username);
+    if (!userRecord || !(await verifyPassword(userRecord, password))) {
+      await SecureStorage.recordFailedLogin(username, 'incorrect password at access grant');
+      setGrantForm(prev => ({ ...prev, password: '' }));
+      setError(t('admin.grantIncorrect', { username, defaultValue: `Incorrect password for ${username}` }));
+      setIsSaving(false);
+      return;
+    }
+    clearFailedLogins(username);
+
+    try {
+      await SecureStorage.grantAccess(username, password, role);
+      setIssuedRecoveryCode({
+        username,
+        code: await SecureStorage.createRecoveryCode(username)
+      });
+      setGrantForm(null);
+      setError('');
+      refreshUsers();
+    } catch (error) {
+      console.error('Failed to grant access:', error);
+      setError(t('admin.grantFailed', { defaultValue: 'Failed to grant access' }));
+    }
+
+    setIsSaving(false);
+  };
+
+  const handleAddUser = async (e) => {
+    e.preventDefault();
+
+    if (!newUser.username.trim()) {
+      setError(t('admin.usernameRequired', { defaultValue: 'Username is required' }));
+      return;
+    }
+    if (findUser(newUser.username)) {
+      setError(t('admin.usernameTaken', { defaultValue: 'That username is already taken' }));
+      return;
+    }
+    if (newUser.password.length < MIN_PASSWORD_LENGTH) {
+      setError(t('changePassword.tooShort', {
+        min: MIN_PASSWORD_LENGTH,
+        defaultValue: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      }));
+      return;
+    }
+
+    setIsSaving(true);
+
+    try {
+      await createUser(newUser.username, newUser.password, newUser.role);
+      try {
+        await SecureStorage.grantAccess(newUser.username, newUser.password, newUser.role);
+      } catch (error) {
+        deleteUser(newUser.username); // No login that can never unlock
+        throw error;
+      }
+      setIssuedRecoveryCode({
+        username: newUser.username.trim(),
+        code: await SecureStorage.createRecoveryCode(newUser.username)
+      });
+      setNewUser(EMPTY_NEW_USER);
+      setError('');
+      refreshUsers();
+    } catch (error) {
+      console.error('Failed to add user:', error);
+      setError(t('admin.addFailed', { defaultValue: 'Failed to add user' }));
+    }
+
+    setIsSaving(false);
+  };
+
+  // Download this device's clinic key as an enrolment file for another device
+  const handleCreateEnrolment = async () => {
+    setIsSaving(true);
+
+    try {
+      const { code, enrolment } = await SecureStorage.createDeviceEnrolment();
+      const blob = new Blob([JSON.stringify(enrolment, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `clinic-key-enrolment-${new Date().toISOString().split('T')[0]}.json`;
+
+      // Required for Firefox
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+
+      setEnrolmentCode(code);
+      setClinicKeyMessage('');
+      setError('');
+    } catch (error) {
+      console.error('Failed to create enrolment file:', error);
+      setError(t('admin.enrolmentFailed', { defaultValue: 'Failed to create the enrolment file' }));
+    }
+
+    setIsSaving(false);
+  };
+
+  // Switch this device to the clinic key from another device's enrolment file
+  const handleJoinClinicKey = async (e) => {
+    e.preventDefault();
+
+    if (!joinForm.file || !joinForm.code.trim()) {
+      setError(t('admin.joinMissing', { defaultValue: 'Choose the enrolment file and enter its code' }));
+      return;
+    }
+
+    const shouldJoin = window.confirm(t('admin.joinConfirm', {
+      defaultValue: 'Re-encrypt all records on this device with the clinic key from this file? Passwords stay the same.'
+    }));
+    if (!shouldJoin) return;
+
+    setIsSaving(true);
+
+    try {
+      const enrolment = JSON.parse(await joinForm.file.text());
+      const counts = await SecureStorage.joinClinicKey(enrolment, joinForm.code);
+      setJoinForm(EMPTY_JOIN);
+      setClinicKeyMessage(t('admin.joined', {
+        count: counts.patients,
+        defaultValue: `This device now uses the clinic key - ${counts.patients} patient record(s) re-encrypted`
+      }));
+      setError('');
+    } catch (error) {
+      console.error('Failed to join clinic key:', error);
+      setError(t('admin.joinFailed', { defaultValue: 'Could not join the clinic key. Check the file and the code.' }));
+    }
+
+    setIsSaving(false);
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+      <h3 className="text-lg font-semibold mb-3">
+        {t('admin.title', { defaultValue: 'User Management' })}
+      </h3>
+
+      {/* Recovery code for a just-created account, to hand over to its owner */}
+      {issuedRecoveryCode && (
+        <div className="mb-4 p-4 bg-white border border-gray-200 rounded">
+          <p className="text-sm text-gray-700 mb-3">
+            {t('admin.recoveryHandover', {
+              username: issuedRecoveryCode.username,
+              defaultValue: `Give this recovery code to ${issuedRecoveryCode.username} along with their password.`
+            })}
+          </p>
+          <RecoveryCodeNotice
+            recoveryCode={issuedRecoveryCode.code}
+            onContinue={() => setIssuedRecoveryCode(null)}
+          />
+        </div>
+      )}
+
+      {/* Users */}
+      <div className="overflow-x-auto mb-4">
+        <table className="min-w-full text-sm border border-gray-200 bg-white">
+          <thead className="bg-gray-50">
+            <tr>
+              <th scope="col" className="px-3 py-2 text-left font-medium text-gray-700 border-b border-gray-200">
+                {t('admin.username', { defaultValue: 'Username' })}
+              </th>
+              <th scope="col" className="px-3 py-2 text-left font-medium text-gray-700 border-b border-gray-200">
+                {t('admin.role', { defaultValue: 'Role' })}
+              </th>
+              <th scope="col" className="px-3 py-2 text-left font-medium text-gray-700 border-b border-gray-200">
+                {t('admin.lastLogin', { defaultValue: 'Last login' })}
+              </th>
+              <th scope="col" className="px-3 py-2 border-b border-gray-200">
+                <span className="sr-only">{t('admin.actions', { defaultValue: 'Actions' })}</span>
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map(user => (
+              <tr key={user.username} className="border-b border-gray-100">
+                <td className="px-3 py-2 text-gray-900">
+                  {user.username}
+                  {isSelf(user) && (
+                    <span className="ml-1 text-gray-500">({t('admin.you', { defaultValue: 'you' })})</span>
+                  )}
+                  {getLoginStatus(user.username).isLockedOut && (
+                    <span className="ml-2 px-2 py-0.5 rounded bg-red-100 text-red-800 text-xs font-medium">
+                      {t('admin.lockedOut', { defaultValue: 'Locked out' })}
+                    </span>
+                  )}
+                </td>
+                <td className="px-3 py-2">
+                  {!hasKey(user) ? (
+                    <span className="px-2 py-0.5 rounded bg-yellow-100 text-yellow-800 text-xs font-medium">
+                      {t('admin.noAccess', { defaultValue: 'No access to patient data' })}
+                    </span>
+                  ) : isSelf(user) ? (
+                    roleLabel(roleOf(user))
+                  ) : (
+                    <select
+                      value={roleOf(user)}
+                      onChange={(e) => handleRoleChange(user, e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded text-sm"
+                      aria-label={t('admin.roleFor', { username: user.username, defaultValue: `Role for ${user.username}` })}
+                    >
+                      {ROLE_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>
+                          {t(option.labelKey, { defaultValue: option.defaultLabel })}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                </td>
+                <td className="px-3 py-2 text-gray-600">
+                  {user.lastLogin ? new Date(user.lastLogin).toLocaleString() : '—'}
+                </td>
+                <td className="px-3 py-2 text-right space-x-3">
+                  {!hasKey(user) && (
+                    <button
+                      type="button"
+                      onClick={() => setGrantForm({
+                        username: user.username,
+                        password: '',
+                        role: isRole(user.role) ? user.role : ROLES.READ_ONLY
+                      })}
+                      className="text-blue-700 hover:text-blue-900 underline"
+                    >
+                      {t('admin.grantAccess', { defaultValue: 'Grant access' })}
+                    </button>
+                  )}
+                  {getLoginStatus(user.username).isLockedOut && (
+                    <button
+                      type="button"
+                      onClick={() => handleClearLockout(user)}
+                      className="text-blue-700 hover:text-blue-900 underline"
+                    >
+                      {t('admin.clearLockout', { defaultValue: 'Unlock' })}
+                    </button>
+                  )}
+                  {!isSelf(user) && (
+                    <button
+                      type="button"
+                      onClick={() => handleRemove(user)}
+                      className="text-red-700 hover:text-red-900 underline"
+                    >
+                      {t('admin.remove', { defaultValue: 'Remove' })}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Grant access to an existing account, with its owner at this device */}
+      {grantForm && (
+        <form onSubmit={handleGrantAccess} className="mb-4 p-4 bg-white border border-gray-200 rounded grid grid-cols-1 md:grid-cols-3 gap-2 items-end">
+          <p className="md:col-span-3 text-sm text-gray-700">
+            {t('admin.grantHint', {
+              username: grantForm.username,
+              defaultValue: `Ask ${grantForm.username} to enter their password. Their records from before the upgrade become readable at their next login.`
+            })}
+          </p>
+          <div>
+            <label htmlFor="adminGrantPassword" className="block text-sm font-medium text-gray-700 mb-1">
+              {t('admin.grantPassword', { username: grantForm.username, defaultValue: `Password of ${grantForm.username}` })}
+            </label>
+            <input
+              type="password"
+              id="adminGrantPassword"
+              value={grantForm.password}
+              onChange={(e) => setGrantForm(prev => ({ ...prev, password: e.target.value }))}
+              className={inputClassName}
+              autoComplete="off"
+            />
+          </div>
+          <div>
+            <label htmlFor="adminGrantRole" className="block text-sm font-medium text-gray-700 mb-1">
+              {t('admin.role', { defaultValue: 'Role' })}
+            </label>
+            <select
+              id="adminGrantRole"
+              value={grantForm.role}
+              onChange={(e) => setGrantForm(prev => ({ ...prev, role: e.target.value }))}
+              className={inputClassName}
+            >
+              {ROLE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>
+                  {t(option.labelKey, { defaultValue: option.defaultLabel })}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={isSaving || !grantForm.password}
+              className="bg-blue-600 text-white px-4 py-2 rounded font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {t('admin.grantAccess', { defaultValue: 'Grant access' })}
+            </button>
+            <button
+              type="button"
+              onClick={() => setGrantForm(null)}
+              className="px-4 py-2 rounded font-medium text-gray-700 hover:bg-gray-100"
+            >
+              {t('changePassword.cancel', { defaultValue: 'Cancel' })}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Add user */}
+      <form onSubmit={handleAddUser} className="grid grid-cols-1 md:grid-cols-4 gap-2 items-end">
+        <div>
+          <label htmlFor="adminNewUsername" className="block text-sm font-medium text-gray-700 mb-1">
+            {t('admin.username', { defaultValue: 'Username' })}
+          </label>
+          <input
+            type="text"
+            id="adminNewUsername"
+            value={newUser.username}
+            onChange={(e) => setNewUser(prev => ({ ...prev, username: e.target.value }))}
+            className={inputClassName}
+            autoComplete="off"
+          />
+        </div>
+        <div>
+          <label htmlFor="adminNewPassword" className="block text-sm font-medium text-gray-700 mb-1">
+            {t('admin.initialPassword', { defaultValue: 'Initial password' })}
+          </label>
+          <input
+            type="password"
+            id="adminNewPassword"
+            value={newUser.password}
+            onChange={(e) => setNewUser(prev => ({ ...prev, password: e.target.value }))}
+            className={inputClassName}
+            autoComplete="new-password"
+          />
+        </div>
+        <div>
+          <label htmlFor="adminNewRole" className="block text-sm font-medium text-gray-700 mb-1">
+            {t('admin.role', { defaultValue: 'Role' })}
+          </label>
+          <select
+            id="adminNewRole"
+            value={newUser.role}
+            onChange={(e) => setNewUser(prev => ({ ...prev, role: e.target.value }))}
+            className={inputClassName}
+          >
+            {ROLE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>
+                {t(option.labelKey, { defaultValue: option.defaultLabel })}
+              </option>
+            ))}
+          </select>
+        </div>
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="bg-blue-600 text-white px-4 py-2 rounded font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          + {t('admin.addUser', { defaultValue: 'Add User' })}
+        </button>
+      </form>
+
+      {/* Clinic key - lets devices that sync with each other read each other's records */}
+      <div className="mt-6 pt-4 border-t border-gray-200">
+        <h4 className="font-medium text-gray-900 mb-1">
+          {t('admin.clinicKeyTitle', { defaultValue: 'Clinic key' })}
+        </h4>
+        <p className="text-sm text-gray-600 mb-3">
+          {t('admin.clinicKeyDescription', {
+            defaultValue: 'Devices that sync must share one clinic key. Create an enrolment file here and join it on the other devices.'
+          })}
+        </p>
+
+        {enrolmentCode ? (
+          <div className="mb-3 p-3 bg-white border border-gray-200 rounded">
+            <p className="text-sm text-gray-700 mb-2">
+              {t('admin.enrolmentCode', {
+                defaultValue: 'Enter this code on the other device with the downloaded file. Keep them apart - it will not be shown again.'
+              })}
+            </p>
+            <p className="font-mono text-lg tracking-wider break-all select-all mb-2" data-testid="enrolment-code">
+              {enrolmentCode}
+            </p>
+            <button
+              type="button"
+              onClick={() => setEnrolmentCode(null)}
+              className="text-sm text-blue-700 hover:text-blue-900 underline"
+            >
+              {t('admin.enrolmentDone', { defaultValue: 'Done' })}
+            </button>
+          </div>
+        ) : (
+          <button
+            type="button"
+            onClick={handleCreateEnrolment}
+            disabled={isSaving}
+            className="mb-3 text-sm bg-white border border-gray-300 px-3 py-1 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {t('admin.createEnrolment', { defaultValue: 'Create enrolment file' })}
+          </button>
+        )}
+
+        <form onSubmit={handleJoinClinicKey} className="grid grid-cols-1 md:grid-cols-3 gap-2 items-end">
+          <div>
+            <label htmlFor="adminEnrolmentFile" className="block text-sm font-medium text-gray-700 mb-1">
+              {t('admin.enrolmentFile', { defaultValue: 'Enrolment file from another device' })}
+            </label>
+            <input
+              type="file"
+              id="adminEnrolmentFile"
+              accept=".json"
+              onChange={(e) => setJoinForm(prev => ({ ...prev, file: e.target.files[0] || null }))}
+              className="w-full text-sm"
+            />
+          </div>
+          <div>
+            <label htmlFor="adminEnrolmentCode" className="block text-sm font-medium text-gray-700 mb-1">
+              {t('admin.enrolmentCodeLabel', { defaultValue: 'Enrolment code' })}
+            </label>
+            <input
+              type="text"
+              id="adminEnrolmentCode"
+              value={joinForm.code}
+              onChange={(e) => setJoinForm(prev => ({ ...prev, code: e.target.value }))}
+              className={inputClassName}
+              autoComplete="off"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="bg-white border border-gray-300 px-4 py-2 rounded font-medium hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {t('admin.joinClinicKey', { defaultValue: 'Join clinic key' })}
+          </button>
+        </form>
+
+        {clinicKeyMessage && (
+          <p className="mt-3 text-sm text-green-700" role="status">{clinicKeyMessage}</p>
+        )}
+      </div>
+
+      {error && (
+        <p className="mt-3 text-sm text-red-700">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default AdminPanel;
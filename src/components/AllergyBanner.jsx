@@ -0,0 +1,37 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+
+// Prominent warning shown in the patient header when a loaded record has severe allergies
+const AllergyBanner = ({ allergies }) => {
+  const { t } = useTranslation();
+
+  // Anaphylaxis is always treated as severe, whatever severity was recorded
+  const severeAllergies = (allergies || []).filter(allergy =>
+    allergy.severity === 'severe' || allergy.reaction === 'anaphylaxis'
+  );
+
+  if (severeAllergies.length === 0) return null;
+
+  return (
+    <div
+      role="alert"
+      className="mb-6 p-4 bg-red-50 border-2 border-red-600 rounded-lg"
+    >
+      <p className="text-red-800 font-bold text-lg">
+        ⚠️ {t('allergies.severeBanner', { defaultValue: 'Severe allergies' })}
+      </p>
+      <ul className="mt-2 text-red-800 list-disc list-inside">
+        {severeAllergies.map((allergy, index) => (
+          <li key={allergy.id || index}>
+            <span className="font-semibold">{allergy.allergen}</span>
+            {allergy.reaction && (
+              <> — {t(`allergies.reactions.${allergy.reaction}`, { defaultValue: allergy.reaction })}</>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default AllergyBanner;
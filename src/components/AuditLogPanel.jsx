@@ -0,0 +1,365 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import { SecureStorage } from '../services/secureStorage';
+import { filterAuditLogs, getAuditFilterOptions, auditLogsToCsv } from '../services/auditLogView';
+
+const EMPTY_FILTERS = {
+  action: '',
+  user: '',
+  patientId: '',
+  dateFrom: '',
+  dateTo: ''
+};
+
+const PAGE_SIZE = 50;
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+// Audit log viewer for compliance review: filter events, drill into one patient's access
+// history, verify the hash chain and export the filtered view as CSV
+const AuditLogPanel = ({ onPatientSelect }) => {
+  const { t } = useTranslation();
+  const [entries, setEntries] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+  const [verification, setVerification] = useState(null);
+  const [state, setState] = useState({
+    isLoading: true,
+    isVerifying: false,
+    error: null
+  });
+
+  const loadEntries = useCallback(async () => {
+    setState(prev => ({ ...prev, isLoading: true, error: null }));
+
+    try {
+      setEntries(await SecureStorage.getAuditLogs(null));
+      setState(prev => ({ ...prev, isLoading: false }));
+    } catch (error) {
+      console.error('Failed to load audit log:', error);
+      setState(prev => ({
+        ...prev,
+        isLoading: false,
+        error: t('audit.loadFailed', { defaultValue: 'Failed to load the audit log' })
+      }));
+    }
+  }, [t]);
+
+  // Opening the log is itself an audited event; a language change only reloads the entries
+  const openLogged = useRef(false);
+  useEffect(() => {
+    const openLog = async () => {
+      if (!openLogged.current) {
+        openLogged.current = true;
+        await SecureStorage.addAuditLog('VIEW_AUDIT_LOG', null, {
+          action: 'Audit log opened',
+          timestamp: new Date().toISOString()
+        });
+      }
+      loadEntries();
+    };
+
+    openLog();
+  }, [loadEntries]);
+
+  const handleFilterChange = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  // Show every event recorded for one patient
+  const showPatientHistory = (patientId) => {
+    setFilters({ ...EMPTY_FILTERS, patientId });
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  const handleVerify = async () => {
+    setState(prev => ({ ...prev, isVerifying: true, error: null }));
+
+    try {
+      setVerification(await SecureStorage.verifyAuditLog());
+      setState(prev => ({ ...prev, isVerifying: false }));
+      loadEntries(); // Pick up the verification entry itself
+    } catch (error) {
+      console.error('Audit log verification failed:', error);
+      setState(prev => ({
+        ...prev,
+        isVerifying: false,
+        error: t('audit.verifyFailed', { defaultValue: 'Could not verify the audit log' })
+      }));
+    }
+  };
+
+  const filteredEntries = filterAuditLogs(entries, filters);
+  const { actions, users } = getAuditFilterOptions(entries);
+
+  const handleExportCsv = async () => {
+    const blob = new Blob([auditLogsToCsv(filteredEntries)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `audit-log-${new Date().toISOString().split('T')[0]}.csv`;
+
+    // Required for Firefox
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    await SecureStorage.addAuditLog('EXPORT_AUDIT_LOG', null, {
+      action: 'Audit log exported as CSV',
+      entryCount: filteredEntries.length,
+      filters: Object.fromEntries(Object.entries(filters).filter(([, value]) => value)),
+      timestamp: new Date().toISOString()
+    });
+  };
+
+  const isPatientHistory = filters.patientId && Object.entries(filters)
+    .every(([field, value]) => field === 'patientId' || !value);
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold">
+          {t('audit.title', { defaultValue: 'Audit Log' })}
+        </h3>
+        <button
+          type="button"
+          onClick={handleVerify}
+          disabled={state.isVerifying}
+          className="text-sm bg-white border border-gray-300 px-3 py-1 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {state.isVerifying
+            ? t('audit.verifying', { defaultValue: 'Verifying...' })
+            : t('audit.verify', { defaultValue: 'Verify integrity' })}
+        </button>
+      </div>
+
+      {/* Hash chain verification result */}
+      {verification && (
+        <div
+          className={`mb-3 p-3 rounded border text-sm ${
+            verification.valid ? 'bg-green-50 border-green-200 text-green-800' : 'bg-red-50 border-red-200 text-red-800'
+          }`}
+          role="status"
+        >
+          {verification.valid
+            ? t('audit.verified', {
+                count: verification.entryCount,
+                defaultValue: `All ${verification.entryCount} entries verified - no edits or gaps found`
+              })
+            : t('audit.tampered', {
+                count: verification.issues.length,
+                defaultValue: `${verification.issues.length} integrity problem(s) found`
+              })}
+          {verification.unauthenticatedCount > 0 && (
+            <p className="mt-1">
+              {t('audit.unauthenticated', {
+                count: verification.unauthenticatedCount,
+                defaultValue: `${verification.unauthenticatedCount} entries (failed logins, lockouts and logouts) were written while storage was locked and cannot be authenticated with the data key.`
+              })}
+            </p>
+          )}
+          {!verification.valid && (
+            <ul className="mt-1 list-disc list-inside">
+              {verification.issues.map((issue, index) => (
+                <li key={index}>
+                  #{issue.seq ?? '?'}: {t(`audit.problem.${issue.problem}`, { defaultValue: issue.problem })}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-3 mb-3">
+        <div>
+          <label htmlFor="auditAction" className="block text-sm font-medium text-gray-700 mb-1">
+            {t('audit.action', { defaultValue: 'Action' })}
+          </label>
+          <select
+            id="auditAction"
+            value={filters.action}
+            onChange={(e) => handleFilterChange('action', e.target.value)}
+            className={inputClassName}
+          >
+            <option value="">{t('audit.all', { defaultValue: 'All' })}</option>
+            {actions.map(action => (
+              <option key={action} value={action}>{action}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="auditUser" className="block text-sm font-medium text-gray-700 mb-1">
+            {t('audit.user', { defaultValue: 'User' })}
+          </label>
+          <select
+            id="auditUser"
+            value={filters.user}
+            onChange={(e) => handleFilterChange('user', e.target.value)}
+            className={inputClassName}
+          >
+            <option value="">{t('audit.all', { defaultValue: 'All' })}</option>
+            {users.map(user => (
+              <option key={user} value={user}>{user}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="auditPatient" className="block text-sm font-medium text-gray-700 mb-1">
+            {t('audit.patient', { defaultValue: 'Patient ID' })}
+          </label>
+          <input
+            type="text"
+            id="auditPatient"
+            value={filters.patientId}
+            onChange={(e) => handleFilterChange('patientId', e.target.value)}
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label htmlFor="auditDateFrom" className="block text-sm font-medium text-gray-700 mb-1">
+            {t('audit.dateFrom', { defaultValue: 'From' })}
+          </label>
+          <input
+            type="date"
+            id="auditDateFrom"
+            value={filters.dateFrom}
+            onChange={(e) => handleFilterChange('dateFrom', e.target.value)}
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label htmlFor="auditDateTo" className="block text-sm font-medium text-gray-700 mb-1">
+            {t('audit.dateTo', { defaultValue: 'To' })}
+          </label>
+          <input
+            type="date"
+            id="auditDateTo"
+            value={filters.dateTo}
+            onChange={(e) => handleFilterChange('dateTo', e.target.value)}
+            className={inputClassName}
+          />
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2 text-sm">
+        <p className="text-gray-600">
+          {isPatientHistory
+            ? t('audit.patientHistory', {
+                patientId: filters.patientId,
+                count: filteredEntries.length,
+                defaultValue: `Access history for patient ${filters.patientId}: ${filteredEntries.length} event(s)`
+              })
+            : t('audit.resultCount', {
+                count: filteredEntries.length,
+                total: entries.length,
+                defaultValue: `${filteredEntries.length} of ${entries.length} event(s)`
+              })}
+        </p>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={() => {
+              setFilters(EMPTY_FILTERS);
+              setVisibleCount(PAGE_SIZE);
+            }}
+            className="bg-gray-300 text-gray-700 px-3 py-1 rounded font-medium hover:bg-gray-400 transition-colors"
+          >
+            {t('audit.clearFilters', { defaultValue: 'Clear filters' })}
+          </button>
+          <button
+            type="button"
+            onClick={handleExportCsv}
+            disabled={filteredEntries.length === 0}
+            className="bg-blue-600 text-white px-3 py-1 rounded font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {t('audit.exportCsv', { defaultValue: 'Export CSV' })}
+          </button>
+        </div>
+      </div>
+
+      {state.error && (
+        <p className="mb-2 text-sm text-red-700">{state.error}</p>
+      )}
+
+      {state.isLoading ? (
+        <p className="text-sm text-gray-600">{t('audit.loading', { defaultValue: 'Loading audit log...' })}</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm border border-gray-200 bg-white">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-3 py-2 text-left font-medium text-gray-700 border-b border-gray-200">
+                  {t('audit.time', { defaultValue: 'Time' })}
+                </th>
+                <th scope="col" className="px-3 py-2 text-left font-medium text-gray-700 border-b border-gray-200">
+                  {t('audit.action', { defaultValue: 'Action' })}
+                </th>
+                <th scope="col" className="px-3 py-2 text-left font-medium text-gray-700 border-b border-gray-200">
+                  {t('audit.user', { defaultValue: 'User' })}
+                </th>
+                <th scope="col" className="px-3 py-2 text-left font-medium text-gray-700 border-b border-gray-200">
+                  {t('audit.patient', { defaultValue: 'Patient ID' })}
+                </th>
+                <th scope="col" className="px-3 py-2 text-left font-medium text-gray-700 border-b border-gray-200">
+                  {t('audit.details', { defaultValue: 'Details' })}
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredEntries.slice(0, visibleCount).map(entry => (
+                <tr key={entry.id} className="border-b border-gray-100 align-top">
+                  <td className="px-3 py-2 text-gray-600 whitespace-nowrap">
+                    {new Date(entry.timestamp).toLocaleString()}
+                  </td>
+                  <td className="px-3 py-2 font-mono text-xs text-gray-900">{entry.action}</td>
+                  <td className="px-3 py-2 text-gray-900">{entry.user || '—'}</td>
+                  <td className="px-3 py-2">
+                    {entry.patientId ? (
+                      <span className="flex gap-2">
+                        <button
+                          type="button"
+                          onClick={() => showPatientHistory(entry.patientId)}
+                          className="text-blue-700 hover:text-blue-900 underline font-mono text-xs"
+                          title={t('audit.showPatientHistory', { defaultValue: 'Show all events for this patient' })}
+                        >
+                          {entry.patientId.slice(-8)}
+                        </button>
+                        {onPatientSelect && (
+                          <button
+                            type="button"
+                            onClick={() => onPatientSelect(entry.patientId)}
+                            className="text-gray-600 hover:text-gray-800 underline text-xs"
+                          >
+                            {t('audit.openPatient', { defaultValue: 'Open' })}
+                          </button>
+                        )}
+                      </span>
+                    ) : '—'}
+                  </td>
+                  <td className="px-3 py-2 text-gray-600" title={entry.details ? JSON.stringify(entry.details) : undefined}>
+                    {entry.details?.action || '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {filteredEntries.length > visibleCount && (
+        <button
+          type="button"
+          onClick={() => setVisibleCount(prev => prev + PAGE_SIZE)}
+          className="mt-2 text-sm text-blue-700 hover:text-blue-900 underline"
+        >
+          {t('audit.showMore', { defaultValue: 'Show more' })}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AuditLogPanel;
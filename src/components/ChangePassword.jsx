@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { SecureStorage } from '../services/secureStorage';
+import { findUser, setPassword, verifyPassword, MIN_PASSWORD_LENGTH } from '../services/userStore';
+import { getLoginStatus, clearFailedLogins, formatWait } from '../services/loginThrottle';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+// Change the logged-in user's password; only their wrapped copy of the data key is rewritten
+const ChangePassword = ({ username, onComplete, onCancel }) => {
+  const { t } = useTranslation();
+  const [form, setForm] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleInputChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    if (error) setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (form.newPassword.length < MIN_PASSWORD_LENGTH) {
+      setError(t('changePassword.tooShort', {
+        min: MIN_PASSWORD_LENGTH,
+        defaultValue: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      }));
+      return;
+    }
+
+    if (form.newPassword !== form.confirmPassword) {
+      setError(t('changePassword.mismatch', { defaultValue: 'Passwords do not match' }));
+      return;
+    }
+
+    // Guessing the current password here is throttled and audited like a failed login
+    const loginStatus = getLoginStatus(username);
+    if (loginStatus.retryAfterMs > 0) {
+      setError(t('changePassword.wait', {
+        wait: formatWait(loginStatus.retryAfterMs),
+        defaultValue: `Too many failed attempts. Please wait ${formatWait(loginStatus.retryAfterMs)} before trying again.`
+      }));
+      return;
+    }
+
+    setIsSaving(true);
+
+    const userRecord = findUser(username);
+    if (!userRecord || !(await verifyPassword(userRecord, form.currentPassword))) {
+      const status = await SecureStorage.recordFailedLogin(username, 'incorrect current password');
+      setIsSaving(false);
+      setForm(prev => ({ ...prev, currentPassword: '' }));
+      setError(status.retryAfterMs > 0
+        ? t('changePassword.wait', {
+          wait: formatWait(status.retryAfterMs),
+          defaultValue: `Too many failed attempts. Please wait ${formatWait(status.retryAfterMs)} before trying again.`
+        })
+        : t('changePassword.incorrect', { defaultValue: 'Current password is incorrect.' }));
+      return;
+    }
+    clearFailedLogins(username);
+
+    try {
+      // Re-wrapping fails if the current password is wrong, so the login hash is only updated afterwards
+      await SecureStorage.changePassword(username, form.currentPassword, form.newPassword);
+      await setPassword(username, form.newPassword);
+      setIsSaving(false);
+      onComplete();
+    } catch (error) {
+      console.error('Password change failed:', error);
+      setIsSaving(false);
+      setForm(prev => ({ ...prev, currentPassword: '' }));
+      setError(t('changePassword.failed', {
+        defaultValue: 'The password change could not be saved.'
+      }));
+    }
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+      <h3 className="text-lg font-semibold mb-3">
+        {t('changePassword.title', { defaultValue: 'Change Password' })}
+      </h3>
+
+      <form onSubmit={handleSubmit} className="space-y-3 max-w-sm">
+        <div>
+          <label htmlFor="currentPassword" className="block text-sm font-medium text-gray-700 mb-1">
+            {t('changePassword.current', { defaultValue: 'Current password' })}
+          </label>
+          <input
+            type="password"
+            id="currentPassword"
+            value={form.currentPassword}
+            onChange={(e) => handleInputChange('currentPassword', e.target.value)}
+            className={inputClassName}
+            autoComplete="current-password"
+            required
+          />
+        </div>
+
+        <div>
+          <label htmlFor="newPassword" className="block text-sm font-medium text-gray-700 mb-1">
+            {t('changePassword.new', { defaultValue: 'New password' })}
+          </label>
+          <input
+            type="password"
+            id="newPassword"
+            value={form.newPassword}
+            onChange={(e) => handleInputChange('newPassword', e.target.value)}
+            className={inputClassName}
+            autoComplete="new-password"
+            required
+          />
+        </div>
+
+        <div>
+          <label htmlFor="confirmNewPassword" className="block text-sm font-medium text-gray-700 mb-1">
+            {t('changePassword.confirm', { defaultValue: 'Confirm new password' })}
+          </label>
+          <input
+            type="password"
+            id="confirmNewPassword"
+            value={form.confirmPassword}
+            onChange={(e) => handleInputChange('confirmPassword', e.target.value)}
+            className={inputClassName}
+            autoComplete="new-password"
+            required
+          />
+        </div>
+
+        {error && (
+          <p className="text-sm text-red-700">{error}</p>
+        )}
+
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="bg-blue-600 text-white px-4 py-2 rounded font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {isSaving
+              ? t('saving', { defaultValue: 'Saving...' })
+              : t('changePassword.submit', { defaultValue: 'Change Password' })}
+          </button>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="bg-gray-300 text-gray-700 px-4 py-2 rounded font-medium hover:bg-gray-400 transition-colors"
+          >
+            {t('changePassword.cancel', { defaultValue: 'Cancel' })}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ChangePassword;
@@ -0,0 +1,72 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { sortEncounters } from '../services/encounters';
+
+// Visits for the loaded patient, newest first; selecting one opens it in the form
+// The visit being edited is highlighted, including a new visit that hasn't been saved yet
+const EncounterTimeline = ({ encounters, selectedEncounterId, onSelect, onNewVisit }) => {
+  const { t } = useTranslation();
+  const sorted = sortEncounters(encounters || []);
+  const isNewVisit = !sorted.some(encounter => encounter.id === selectedEncounterId);
+
+  const formatDate = (visitDate) => visitDate
+    ? new Date(`${visitDate}T00:00:00`).toLocaleDateString()
+    : t('encounters.noDate', { defaultValue: 'No date' });
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold">
+          {t('encounters.title', { defaultValue: 'Visits' })}
+        </h3>
+        {onNewVisit && !isNewVisit && (
+          <button
+            type="button"
+            onClick={onNewVisit}
+            className="bg-blue-600 text-white px-3 py-1 rounded text-sm font-medium hover:bg-blue-700 transition-colors"
+          >
+            + {t('encounters.newVisit', { defaultValue: 'New visit' })}
+          </button>
+        )}
+      </div>
+
+      <ol className="border-l-2 border-gray-300 ml-2 space-y-3">
+        {isNewVisit && (
+          <li className="pl-4 relative">
+            <span className="absolute -left-2 top-1 h-3 w-3 rounded-full bg-blue-600" aria-hidden="true"></span>
+            <span className="text-sm font-medium text-blue-800">
+              {t('encounters.unsaved', { defaultValue: 'New visit (not saved yet)' })}
+            </span>
+          </li>
+        )}
+        {sorted.map(encounter => {
+          const isSelected = encounter.id === selectedEncounterId;
+          return (
+            <li key={encounter.id} className="pl-4 relative">
+              <span
+                className={`absolute -left-2 top-1 h-3 w-3 rounded-full ${isSelected ? 'bg-blue-600' : 'bg-gray-400'}`}
+                aria-hidden="true"
+              ></span>
+              <button
+                type="button"
+                onClick={() => onSelect(encounter.id)}
+                aria-current={isSelected ? 'true' : undefined}
+                className={`text-left text-sm w-full rounded px-2 py-1 transition-colors ${
+                  isSelected ? 'bg-blue-50 text-blue-900' : 'text-gray-800 hover:bg-gray-100'
+                }`}
+              >
+                <span className="font-medium">{formatDate(encounter.visitDate)}</span>
+                {encounter.clinician && <span className="text-gray-600"> · {encounter.clinician}</span>}
+                {encounter.symptoms && (
+                  <span className="block text-gray-600 truncate">{encounter.symptoms}</span>
+                )}
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+export default EncounterTimeline;
@@ -3,7 +3,7 @@ import React from 'react';
 class ErrorBoundary extends React.Component {
   constructor(props) {
     super(props);
-    this.state = { hasError: false };
+    this.state = { hasError: false, draftSaved: false };
   }
 
   static getDerivedStateFromError(error) {
@@ -11,9 +11,21 @@ class ErrorBoundary extends React.Component {
     return { hasError: true };
   }
 
+  // onReset runs before the children render again, so it can replace the state that crashed them
+  handleReset = async () => {
+    await this.props.onReset?.();
+    this.setState({ hasError: false, draftSaved: false });
+  };
+
   componentDidCatch(error, errorInfo) {
     // You can log error to an external monitoring service here
     console.error('ErrorBoundary caught an error:', error, errorInfo);
+
+    // onError resolves to true once unsaved edits are stored as a draft
+    if (!this.props.onError) return;
+    Promise.resolve(this.props.onError(error))
+      .then(draftSaved => this.setState({ draftSaved: draftSaved === true }))
+      .catch(() => this.setState({ draftSaved: false }));
   }
 
   render() {
@@ -22,6 +34,13 @@ class ErrorBoundary extends React.Component {
         <div style={{ padding: '2rem', color: 'red' }}>
           <h2>Something went wrong.</h2>
           <p>Please refresh the page or contact support.</p>
+          {this.state.draftSaved && (
+            <p>Unsaved intake changes were saved as an encrypted draft and will be offered again when the patient is reopened.</p>
+          )}
+          <div style={{ marginTop: '1rem', display: 'flex', gap: '0.5rem' }}>
+            <button type="button" onClick={this.handleReset}>Try again</button>
+            <button type="button" onClick={() => window.location.reload()}>Reload page</button>
+          </div>
         </div>
       );
     }
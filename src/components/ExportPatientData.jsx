@@ -1,6 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
-import { loadAllPatients, countPatients } from '../storage';
+import { SecureStorage } from '../services/secureStorage';
+import { createEncryptedBundle, MIN_PASSPHRASE_LENGTH } from '../services/exportBundle';
+import { calculateBmi } from '../services/vitals';
+import { createFhirBundle, validateFhirBundle } from '../services/fhirExport';
+import { INTAKE_FORM_SCHEMA } from '../forms/intakeSchema';
+import { getScopedSchema, pickSchemaValues, validateRecordValues, PATIENT_SCOPE } from '../forms/formEngine';
+
+// patientInfo holds the patient-level fields; visit fields are exported in encounters
+const PATIENT_SCHEMA = getScopedSchema(INTAKE_FORM_SCHEMA, PATIENT_SCOPE);
+
+// App JSON (optionally encrypted) for backup and re-import, or a FHIR R4 Bundle for other systems
+const EXPORT_FORMATS = { json: 'json', fhir: 'fhir' };
+
+// Validation issues listed in the error message; the rest are only counted
+const MAX_LISTED_ISSUES = 3;
 
 const ExportPatientData = () => {
   const { t } = useTranslation();
@@ -9,7 +23,11 @@ const ExportPatientData = () => {
     availableRecords: 0,
     lastExport: null,
     error: null,
-    isLoading: true
+    isLoading: true,
+    format: EXPORT_FORMATS.json,
+    encryptExport: true,
+    passphrase: '',
+    confirmPassphrase: ''
   });
 
   // Count available records on mount and update
@@ -17,7 +35,7 @@ const ExportPatientData = () => {
     const loadRecordCount = async () => {
       try {
         setState(prev => ({ ...prev, isLoading: true }));
-        const count = await countPatients();
+        const count = await SecureStorage.countPatients();
         setState(prev => ({ 
           ...prev, 
           availableRecords: count,
@@ -58,11 +76,12 @@ const ExportPatientData = () => {
       return { isValid: false, error: 'missingId' };
     }
 
-    // For App.jsx structure, check patientInfo nested object
+    // For App.jsx structure, check patientInfo nested object against the intake schema
     const patientInfo = record.patientInfo || record;
+    const fieldValidation = validateRecordValues(PATIENT_SCHEMA, patientInfo);
     
-    if (!patientInfo.name || typeof patientInfo.name !== 'string' || patientInfo.name.trim() === '') {
-      return { isValid: false, error: 'missingName' };
+    if (!fieldValidation.isValid) {
+      return { isValid: false, error: fieldValidation.error };
     }
 
     if (!record.createdAt && !record.dateCreated) {
@@ -77,15 +96,35 @@ const ExportPatientData = () => {
     return { isValid: true, record };
   };
 
+  // FHIR bundles are plaintext; encryption only applies to the app format
+  const isEncrypted = state.format === EXPORT_FORMATS.json && state.encryptExport;
+
   // Generate timestamped filename
-  const generateFilename = () => {
+  const generateFilename = (format, encrypted) => {
     const now = new Date();
     const timestamp = now.toISOString()
       .replace(/T/, '_')
       .replace(/:/g, '-')
       .replace(/\..+/, ''); // Remove milliseconds
     
-    return `patient_export_${timestamp}.json`;
+    if (format === EXPORT_FORMATS.fhir) return `patient_export_${timestamp}.fhir.json`;
+    return encrypted
+      ? `patient_export_${timestamp}.encrypted.json`
+      : `patient_export_${timestamp}.json`;
+  };
+
+  // Validate export passphrase before any data is loaded
+  const validatePassphrase = () => {
+    if (state.passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      return t('export.passphraseTooShort', {
+        min: MIN_PASSPHRASE_LENGTH,
+        defaultValue: `Export passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.`
+      });
+    }
+    if (state.passphrase !== state.confirmPassphrase) {
+      return t('export.passphraseMismatch', { defaultValue: 'Export passphrases do not match.' });
+    }
+    return null;
   };
 
   // Calculate file size estimate
@@ -107,6 +146,14 @@ const ExportPatientData = () => {
       return;
     }
 
+    if (isEncrypted) {
+      const passphraseError = validatePassphrase();
+      if (passphraseError) {
+        setState(prev => ({ ...prev, error: passphraseError }));
+        return;
+      }
+    }
+
     // Show confirmation dialog
     const confirmMessage = t('export.confirmDialog', { 
       count: state.availableRecords,
@@ -120,8 +167,8 @@ const ExportPatientData = () => {
     setState(prev => ({ ...prev, isExporting: true, error: null }));
 
     try {
-      // Load all patient data using new storage system
-      const allPatients = await loadAllPatients();
+      // Load all patient data from encrypted storage
+      const allPatients = await SecureStorage.loadAllPatients();
       const patientEntries = Object.entries(allPatients);
 
       // Warn if approaching limits
@@ -155,12 +202,13 @@ const ExportPatientData = () => {
               ...validation.record,
               id: patientId,
               // Flatten structure for easier import/export
-              ...(validation.record.patientInfo && {
-                name: validation.record.patientInfo.name,
-                age: validation.record.patientInfo.age,
-                gender: validation.record.patientInfo.gender,
-                symptoms: validation.record.patientInfo.symptoms
-              })
+              ...(validation.record.patientInfo && 
+                pickSchemaValues(PATIENT_SCHEMA, validation.record.patientInfo)),
+              // Visits carry vitals as { value, unit }; add the BMI calculated from them
+              encounters: (validation.record.encounters || []).map(encounter => ({
+                ...encounter,
+                bmi: calculateBmi(INTAKE_FORM_SCHEMA, encounter)
+              }))
             };
             
             validPatients.push(exportRecord);
@@ -178,8 +226,24 @@ const ExportPatientData = () => {
         }
       }
 
+      // Map to FHIR and check every resource's structure before anything is downloaded
+      const buildFhirBundle = () => {
+        const bundle = createFhirBundle(INTAKE_FORM_SCHEMA, validPatients);
+        const { valid, issues } = validateFhirBundle(bundle);
+        if (!valid) {
+          console.error('FHIR bundle validation failed:', issues);
+          const listed = issues.slice(0, MAX_LISTED_ISSUES).map(issue => `${issue.path}: ${issue.message}`).join('; ');
+          throw new Error(t('export.fhirInvalid', {
+            count: issues.length,
+            issues: listed,
+            defaultValue: `FHIR bundle failed validation (${issues.length} issue(s)): ${listed}`
+          }));
+        }
+        return bundle;
+      };
+
       // Create export data structure
-      const exportData = {
+      const exportData = state.format === EXPORT_FORMATS.fhir ? null : {
         metadata: {
           exportTimestamp: new Date().toISOString(),
           recordCount: validPatients.length,
@@ -198,8 +262,15 @@ const ExportPatientData = () => {
         })
       };
 
+      // Encrypt into a password-protected bundle when requested
+      const fileData = state.format === EXPORT_FORMATS.fhir
+        ? buildFhirBundle()
+        : isEncrypted
+          ? await createEncryptedBundle(exportData, state.passphrase)
+          : exportData;
+
       // Check file size before download
-      const { sizeInMB } = estimateFileSize(exportData);
+      const { sizeInMB } = estimateFileSize(fileData);
       
       if (sizeInMB > 20) {
         throw new Error(t('export.fileTooLarge', {
@@ -220,14 +291,14 @@ const ExportPatientData = () => {
       }
 
       // Create and download file
-      const blob = new Blob([JSON.stringify(exportData, null, 2)], {
-        type: 'application/json',
+      const blob = new Blob([JSON.stringify(fileData, null, 2)], {
+        type: state.format === EXPORT_FORMATS.fhir ? 'application/fhir+json' : 'application/json',
       });
       
       const url = URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = url;
-      link.download = generateFilename();
+      link.download = generateFilename(state.format, isEncrypted);
       link.setAttribute('aria-label', t('export.downloadLink', { 
         defaultValue: 'Download patient data export file' 
       }));
@@ -238,16 +309,30 @@ const ExportPatientData = () => {
       document.body.removeChild(link);
       URL.revokeObjectURL(url);
 
+      // Record the export in the audit trail
+      await SecureStorage.addAuditLog('EXPORT_DATA', null, {
+        action: 'Patient data exported',
+        patientCount: validPatients.length,
+        invalidCount: invalidRecords.length,
+        format: state.format,
+        encrypted: isEncrypted,
+        timestamp: new Date().toISOString()
+      });
+
       // Update success state
       setState(prev => ({
         ...prev,
         isExporting: false,
+        passphrase: '',
+        confirmPassphrase: '',
         lastExport: {
           timestamp: new Date().toISOString(),
           validRecords: validPatients.length,
           invalidRecords: invalidRecords.length,
           totalRecords: patientEntries.length,
-          fileSize: sizeInMB.toFixed(2)
+          fileSize: sizeInMB.toFixed(2),
+          format: state.format,
+          encrypted: isEncrypted
         },
         error: null
       }));
@@ -266,7 +351,7 @@ const ExportPatientData = () => {
   const handleRefreshCount = async () => {
     try {
       setState(prev => ({ ...prev, isLoading: true }));
-      const count = await countPatients();
+      const count = await SecureStorage.countPatients();
       setState(prev => ({ 
         ...prev, 
         availableRecords: count,
@@ -343,6 +428,84 @@ const ExportPatientData = () => {
         </button>
       </div>
 
+      {/* Format Options */}
+      <div style={{ marginBottom: '1rem', fontSize: '0.9rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        <label htmlFor="exportFormat">
+          {t('export.formatLabel', { defaultValue: 'Format' })}
+        </label>
+        <select
+          id="exportFormat"
+          value={state.format}
+          onChange={(e) => setState(prev => ({ ...prev, format: e.target.value, error: null }))}
+          disabled={state.isExporting}
+          style={{ padding: '0.25rem 0.5rem', border: '1px solid #ccc', borderRadius: '4px' }}
+        >
+          <option value={EXPORT_FORMATS.json}>
+            {t('export.formatJson', { defaultValue: 'App backup (JSON)' })}
+          </option>
+          <option value={EXPORT_FORMATS.fhir}>
+            {t('export.formatFhir', { defaultValue: 'FHIR R4 Bundle (Patient, Encounter, Observation)' })}
+          </option>
+        </select>
+      </div>
+
+      {/* Encryption Options */}
+      <div style={{ marginBottom: '1rem', fontSize: '0.9rem' }}>
+        {state.format === EXPORT_FORMATS.fhir && (
+          <p style={{ margin: '0 0 0.5rem 0', color: '#666' }}>
+            {t('export.fhirHint', {
+              defaultValue: 'Demographics, visits and vital signs are exported as FHIR resources and checked before download. Medications and allergies are not included.'
+            })}
+          </p>
+        )}
+
+        {state.format === EXPORT_FORMATS.json && <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={state.encryptExport}
+            onChange={(e) => setState(prev => ({ ...prev, encryptExport: e.target.checked, error: null }))}
+            disabled={state.isExporting}
+          />
+          🔒 {t('export.encryptOption', { defaultValue: 'Encrypt export with a passphrase' })}
+        </label>}
+
+        {isEncrypted ? (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', marginTop: '0.5rem' }}>
+            <input
+              type="password"
+              value={state.passphrase}
+              onChange={(e) => setState(prev => ({ ...prev, passphrase: e.target.value, error: null }))}
+              disabled={state.isExporting}
+              autoComplete="new-password"
+              placeholder={t('export.passphrasePlaceholder', { defaultValue: 'Export passphrase' })}
+              aria-label={t('export.passphrasePlaceholder', { defaultValue: 'Export passphrase' })}
+              style={{ padding: '0.5rem', border: '1px solid #ccc', borderRadius: '4px' }}
+            />
+            <input
+              type="password"
+              value={state.confirmPassphrase}
+              onChange={(e) => setState(prev => ({ ...prev, confirmPassphrase: e.target.value, error: null }))}
+              disabled={state.isExporting}
+              autoComplete="new-password"
+              placeholder={t('export.confirmPassphrasePlaceholder', { defaultValue: 'Confirm export passphrase' })}
+              aria-label={t('export.confirmPassphrasePlaceholder', { defaultValue: 'Confirm export passphrase' })}
+              style={{ padding: '0.5rem', border: '1px solid #ccc', borderRadius: '4px' }}
+            />
+            <span style={{ color: '#666', fontSize: '0.8rem' }}>
+              {t('export.passphraseHint', {
+                defaultValue: 'Share this passphrase separately. It is not your login password and cannot be recovered.'
+              })}
+            </span>
+          </div>
+        ) : (
+          <p style={{ margin: '0.5rem 0 0 0', color: '#856404' }}>
+            ⚠️ {t('export.plaintextWarning', {
+              defaultValue: 'Unencrypted exports contain readable patient information.'
+            })}
+          </p>
+        )}
+      </div>
+
       {/* Export Button */}
       <button 
         onClick={handleExport}
@@ -391,6 +554,16 @@ const ExportPatientData = () => {
               defaultValue: `${state.lastExport.validRecords} of ${state.lastExport.totalRecords} records exported (${state.lastExport.fileSize} MB)`
             })}
           </p>
+          {state.lastExport.format === EXPORT_FORMATS.fhir && (
+            <p style={{ margin: '0.5rem 0 0 0', color: '#155724', fontSize: '0.9rem' }}>
+              🏥 {t('export.fhirNotice', { defaultValue: 'FHIR R4 transaction Bundle, validated before download.' })}
+            </p>
+          )}
+          {state.lastExport.encrypted && (
+            <p style={{ margin: '0.5rem 0 0 0', color: '#155724', fontSize: '0.9rem' }}>
+              🔒 {t('export.encryptedNotice', { defaultValue: 'File is encrypted with your export passphrase.' })}
+            </p>
+          )}
           
           {state.lastExport.invalidRecords > 0 && (
             <p style={{ margin: '0.5rem 0 0 0', color: '#856404', fontSize: '0.9rem' }}>
@@ -0,0 +1,260 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { v4 as uuidv4 } from 'uuid';
+import { isFieldVisible, getInitialListItem, convertQuantity } from '../forms/formEngine';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+// Render a repeatable group of fields (e.g. medications) as editable entries
+const ListField = ({ field, items, onChange }) => {
+  const { t } = useTranslation();
+  const id = field.id || field.name;
+  const itemLabel = t(field.itemLabelKey, { defaultValue: field.defaultItemLabel });
+
+  const updateItem = (index, itemFieldName, value) => {
+    onChange(field.name, items.map((item, i) =>
+      i === index ? { ...item, [itemFieldName]: value } : item
+    ));
+  };
+
+  const addItem = () => {
+    onChange(field.name, [...items, { id: uuidv4(), ...getInitialListItem(field) }]);
+  };
+
+  const removeItem = (index) => {
+    onChange(field.name, items.filter((_, i) => i !== index));
+  };
+
+  return (
+    <fieldset id={id} className="space-y-4">
+      <legend className="sr-only">
+        {t(field.labelKey, { defaultValue: field.defaultLabel })}
+      </legend>
+
+      {items.length === 0 && (
+        <p className="text-sm text-gray-600">
+          {t(field.emptyKey, { defaultValue: field.defaultEmpty })}
+        </p>
+      )}
+
+      {items.map((item, index) => (
+        <div key={item.id || index} className="p-4 border border-gray-200 rounded-md bg-gray-50">
+          <div className="flex justify-between items-center mb-3">
+            <span className="text-sm font-medium text-gray-700">
+              {itemLabel} {index + 1}
+            </span>
+            <button
+              type="button"
+              onClick={() => removeItem(index)}
+              className="text-sm text-red-600 hover:text-red-800 underline"
+              aria-label={t('listRemoveItem', { item: `${itemLabel} ${index + 1}`, defaultValue: `Remove ${itemLabel} ${index + 1}` })}
+            >
+              {t('listRemove', { defaultValue: 'Remove' })}
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {field.itemFields
+              .filter(itemField => isFieldVisible(itemField, item))
+              .map(itemField => (
+                <FormField
+                  key={itemField.name}
+                  field={{ ...itemField, id: `${id}-${index}-${itemField.name}` }}
+                  value={item[itemField.name]}
+                  onChange={(name, value) => updateItem(index, name, value)}
+                />
+              ))}
+          </div>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={addItem}
+        className="bg-white border border-blue-600 text-blue-600 px-4 py-2 rounded-md text-sm font-medium hover:bg-blue-50 transition-colors"
+      >
+        + {t(field.addLabelKey, { defaultValue: field.defaultAddLabel })}
+      </button>
+    </fieldset>
+  );
+};
+
+// Render a single schema field; warning is an optional non-blocking note (e.g. an out-of-range vital)
+const FormField = ({ field, value, onChange, warning }) => {
+  const { t } = useTranslation();
+
+  const id = field.id || field.name;
+  const helpId = field.helpKey ? `${id}Help` : warning ? `${id}Warning` : undefined;
+  const rules = field.validation || {};
+  const placeholder = field.placeholderKey
+    ? t(field.placeholderKey, { defaultValue: field.defaultPlaceholder })
+    : undefined;
+
+  const commonProps = {
+    id,
+    name: id,
+    required: rules.required,
+    'aria-describedby': helpId,
+    className: warning ? `${inputClassName} border-orange-500 bg-orange-50` : inputClassName
+  };
+
+  if (field.type === 'list') {
+    return <ListField field={field} items={value || []} onChange={onChange} />;
+  }
+
+  let control;
+  switch (field.type) {
+    case 'textarea':
+      control = (
+        <textarea
+          {...commonProps}
+          rows={field.rows || 3}
+          value={value ?? ''}
+          onChange={(e) => onChange(field.name, e.target.value)}
+          placeholder={placeholder}
+        />
+      );
+      break;
+
+    case 'select':
+      control = (
+        <select
+          {...commonProps}
+          value={value ?? ''}
+          onChange={(e) => onChange(field.name, e.target.value)}
+        >
+          <option value="">{placeholder}</option>
+          {field.options.map(option => (
+            <option key={option.value} value={option.value}>
+              {t(option.labelKey, { defaultValue: option.defaultLabel })}
+            </option>
+          ))}
+        </select>
+      );
+      break;
+
+    case 'checkbox':
+      control = (
+        <input
+          {...commonProps}
+          type="checkbox"
+          className="h-4 w-4"
+          checked={!!value}
+          onChange={(e) => onChange(field.name, e.target.checked)}
+        />
+      );
+      break;
+
+    case 'quantity': {
+      const quantity = { unit: field.units[0].value, ...value };
+      control = (
+        <div className="flex gap-2">
+          <input
+            {...commonProps}
+            type="number"
+            step="any"
+            value={quantity.value ?? ''}
+            onChange={(e) => onChange(field.name, { ...quantity, value: e.target.value })}
+            placeholder={placeholder}
+          />
+          {field.units.length > 1 ? (
+            <div
+              role="group"
+              aria-label={t('unitToggle', { field: t(field.labelKey, { defaultValue: field.defaultLabel }), defaultValue: `${field.defaultLabel} unit` })}
+              className="flex shrink-0"
+            >
+              {field.units.map(unit => (
+                <button
+                  key={unit.value}
+                  type="button"
+                  aria-pressed={quantity.unit === unit.value}
+                  onClick={() => onChange(field.name, convertQuantity(field, quantity, unit.value))}
+                  className={`px-3 py-2 text-sm font-medium border border-gray-300 first:rounded-l-md last:rounded-r-md transition-colors ${
+                    quantity.unit === unit.value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  {unit.label}
+                </button>
+              ))}
+            </div>
+          ) : (
+            <span className="self-center shrink-0 text-sm text-gray-600">{field.units[0].label}</span>
+          )}
+        </div>
+      );
+      break;
+    }
+
+    default:
+      control = (
+        <input
+          {...commonProps}
+          type={field.type || 'text'}
+          min={rules.min}
+          max={rules.max}
+          minLength={rules.minLength}
+          maxLength={rules.maxLength}
+          value={value ?? ''}
+          onChange={(e) => onChange(field.name, e.target.value)}
+          placeholder={placeholder}
+        />
+      );
+  }
+
+  return (
+    <div>
+      <label htmlFor={id} className="block text-sm font-medium text-gray-700 mb-1">
+        {t(field.labelKey, { defaultValue: field.defaultLabel })}
+        {rules.required && ' *'}
+      </label>
+      {control}
+      {field.helpKey && (
+        <p id={helpId} className="text-sm text-gray-600 mt-1">
+          {t(field.helpKey, { defaultValue: field.defaultHelp })}
+        </p>
+      )}
+      {warning && (
+        <p id={field.helpKey ? undefined : `${id}Warning`} className="text-sm text-orange-700 font-medium mt-1">
+          {warning}
+        </p>
+      )}
+    </div>
+  );
+};
+
+// Render every visible section and field of a form schema
+// warnings: { fieldName: message } shown under fields; sectionFooters: { sectionId: node } shown after a section
+const FormRenderer = ({ schema, values, onChange, warnings = {}, sectionFooters = {} }) => {
+  const { t } = useTranslation();
+
+  return (
+    <>
+      {schema.sections.map(section => {
+        const visibleFields = section.fields.filter(field => isFieldVisible(field, values));
+        if (visibleFields.length === 0) return null;
+
+        return (
+          <section key={section.id} className="space-y-6">
+            <h2 className="text-xl font-semibold text-gray-900">
+              {t(section.titleKey, { defaultValue: section.defaultTitle })}
+            </h2>
+
+            {visibleFields.map(field => (
+              <FormField
+                key={field.name}
+                field={field}
+                value={values[field.name]}
+                onChange={onChange}
+                warning={warnings[field.name]}
+              />
+            ))}
+
+            {sectionFooters[section.id]}
+          </section>
+        );
+      })}
+    </>
+  );
+};
+
+export default FormRenderer;
@@ -1,8 +1,14 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useTranslation } from 'react-i18next';
-import { savePatientData, loadPatientData, loadAllPatients } from '../storage';
+import { SecureStorage } from '../services/secureStorage';
+import { isEncryptedBundle, openEncryptedBundle } from '../services/exportBundle';
+import { INTAKE_FORM_SCHEMA } from '../forms/intakeSchema';
+import { getInitialValues, getScopedSchema, validateRecordValues, PATIENT_SCOPE } from '../forms/formEngine';
 
-const ImportPatientData = () => {
+// Visit fields aren't required on import: flat records become a patient with at most one visit
+const PATIENT_SCHEMA = getScopedSchema(INTAKE_FORM_SCHEMA, PATIENT_SCOPE);
+
+const ImportPatientData = ({ onImportComplete }) => {
   const { t } = useTranslation();
   const fileInputRef = useRef(null);
   const [state, setState] = useState({
@@ -10,7 +16,8 @@ const ImportPatientData = () => {
     fileInfo: null,
     isImporting: false,
     lastImport: null,
-    error: null
+    error: null,
+    passphrase: ''
   });
 
   // Auto-clear success state after 5 seconds
@@ -34,8 +41,10 @@ const ImportPatientData = () => {
       return { isValid: false, error: 'missingId', index, id: record.id || 'unknown' };
     }
 
-    if (!record.name || typeof record.name !== 'string' || record.name.trim() === '') {
-      return { isValid: false, error: 'missingName', index, id: record.id };
+    // Intake fields are validated against the same schema the form uses
+    const fieldValidation = validateRecordValues(PATIENT_SCHEMA, record.patientInfo || record);
+    if (!fieldValidation.isValid) {
+      return { isValid: false, error: fieldValidation.error, index, id: record.id };
     }
 
     // For imports, dateCreated is optional - we'll set it if missing
@@ -48,8 +57,8 @@ const ImportPatientData = () => {
       return { isValid: false, error: 'invalidIdFormat', index, id: record.id };
     }
 
-    // Optional fields validation (if present)
-    const optionalFields = ['notes', 'language', 'gender', 'age', 'symptoms'];
+    // Legacy fields outside the intake schema (if present)
+    const optionalFields = ['notes', 'language'];
     for (const field of optionalFields) {
       if (record[field] !== undefined && typeof record[field] !== 'string' && typeof record[field] !== 'number') {
         return { isValid: false, error: `invalid${field.charAt(0).toUpperCase() + field.slice(1)}Format`, index, id: record.id };
@@ -62,8 +71,7 @@ const ImportPatientData = () => {
   // Check storage quota using storage service
   const checkStorageQuota = async () => {
     try {
-      const stats = await loadAllPatients();
-      const recordCount = Object.keys(stats).length;
+      const recordCount = await SecureStorage.countPatients();
       
       // Warn if approaching reasonable limits
       if (recordCount > 1000) {
@@ -153,12 +161,41 @@ const ImportPatientData = () => {
     return { patients, metadata };
   };
 
+  // Return the parsed bundle if the file is password-protected, otherwise null
+  const readEncryptedBundle = (fileContent) => {
+    try {
+      const parsed = JSON.parse(fileContent);
+      return isEncryptedBundle(parsed) ? parsed : null;
+    } catch {
+      return null; // Let validateImportFile report the parse error
+    }
+  };
+
+  // Decrypt a password-protected bundle into plain export content
+  const decryptBundle = async (bundle) => {
+    if (!state.passphrase) {
+      throw new Error(t('import.passphraseRequired', { 
+        defaultValue: 'Enter the export passphrase to decrypt this file.' 
+      }));
+    }
+
+    try {
+      const exportData = await openEncryptedBundle(bundle, state.passphrase);
+      return JSON.stringify(exportData);
+    } catch (error) {
+      console.warn('Bundle decryption failed:', error);
+      throw new Error(t('import.decryptFailed', { 
+        defaultValue: 'Could not decrypt file. Check the passphrase and try again.' 
+      }));
+    }
+  };
+
   // Handle file selection
   const handleFileSelect = (event) => {
     const file = event.target.files[0];
     
     if (!file) {
-      setState(prev => ({ ...prev, selectedFile: null, fileInfo: null, error: null }));
+      setState(prev => ({ ...prev, selectedFile: null, fileInfo: null, error: null, passphrase: '' }));
       return;
     }
 
@@ -195,6 +232,26 @@ const ImportPatientData = () => {
     reader.onload = (e) => {
       try {
         const content = e.target.result;
+        const bundle = readEncryptedBundle(content);
+
+        if (bundle) {
+          // Encrypted bundle - contents can't be previewed until decrypted
+          setState(prev => ({
+            ...prev,
+            selectedFile: file,
+            fileInfo: {
+              name: file.name,
+              size: sizeInMB.toFixed(2),
+              recordCount: bundle.header.recordCount ?? 'Unknown',
+              hasWarning: sizeInMB > 10,
+              isEncrypted: true
+            },
+            error: null,
+            passphrase: ''
+          }));
+          return;
+        }
+
         const { patients } = validateImportFile(content);
         
         setState(prev => ({
@@ -204,9 +261,11 @@ const ImportPatientData = () => {
             name: file.name,
             size: sizeInMB.toFixed(2),
             recordCount: patients.length,
-            hasWarning: sizeInMB > 10
+            hasWarning: sizeInMB > 10,
+            isEncrypted: false
           },
-          error: null
+          error: null,
+          passphrase: ''
         }));
       } catch (error) {
         setState(prev => ({
@@ -227,25 +286,19 @@ const ImportPatientData = () => {
     reader.readAsText(file);
   };
 
-  // Check for existing patient IDs using storage service
-  const checkForConflicts = async (patients) => {
+  // Check for existing patient IDs against the already-loaded records
+  const checkForConflicts = (patients, existingPatients) => {
     const conflicts = [];
     
-    try {
-      // Check each patient ID against storage
-      for (const patient of patients) {
-        const existingPatient = await loadPatientData(patient.id);
-        if (existingPatient) {
-          conflicts.push({ 
-            id: patient.id, 
-            name: patient.name,
-            existingName: existingPatient.name || existingPatient.patientInfo?.name || 'Unknown'
-          });
-        }
+    for (const patient of patients) {
+      const existingPatient = existingPatients[patient.id];
+      if (existingPatient) {
+        conflicts.push({ 
+          id: patient.id, 
+          name: patient.name,
+          existingName: existingPatient.name || existingPatient.patientInfo?.name || 'Unknown'
+        });
       }
-    } catch (error) {
-      console.warn('Error checking for conflicts:', error);
-      // Continue without conflict checking if storage fails
     }
     
     return conflicts;
@@ -272,8 +325,12 @@ const ImportPatientData = () => {
         reader.readAsText(state.selectedFile);
       });
 
+      // Decrypt password-protected bundles before validation
+      const bundle = readEncryptedBundle(fileContent);
+      const content = bundle ? await decryptBundle(bundle) : fileContent;
+
       // Validate file structure and content
-      const { patients, metadata } = validateImportFile(fileContent);
+      const { patients, metadata } = validateImportFile(content);
 
       // Check storage quota
       const storageCheck = await checkStorageQuota();
@@ -295,8 +352,17 @@ const ImportPatientData = () => {
         return;
       }
 
+      // Load existing records once for conflict detection
+      let existingPatients = {};
+      try {
+        existingPatients = await SecureStorage.loadAllPatients();
+      } catch (error) {
+        console.warn('Error checking for conflicts:', error);
+        // Continue without conflict checking if storage fails
+      }
+
       // Check for conflicts
-      const conflicts = await checkForConflicts(patients);
+      const conflicts = checkForConflicts(patients, existingPatients);
       let overwriteAll = false;
 
       if (conflicts.length > 0) {
@@ -352,8 +418,7 @@ const ImportPatientData = () => {
 
           try {
             // Check if patient exists
-            const existingPatient = await loadPatientData(validation.record.id);
-            const existed = !!existingPatient;
+            const existed = !!existingPatients[validation.record.id];
 
             // Prepare record for storage - preserve structure for different formats
             let recordToStore;
@@ -375,9 +440,7 @@ const ImportPatientData = () => {
                 createdAt: validation.record.createdAt || validation.record.dateCreated || importTimestamp,
                 updatedAt: importTimestamp,
                 patientInfo: {
-                  name: validation.record.name,
-                  age: validation.record.age || '',
-                  gender: validation.record.gender || '',
+                  ...getInitialValues(INTAKE_FORM_SCHEMA),
                   symptoms: validation.record.symptoms || validation.record.notes || '',
                   ...validation.record
                 },
@@ -391,8 +454,11 @@ const ImportPatientData = () => {
               };
             }
 
-            // Save using storage service
-            await savePatientData(validation.record.id, recordToStore);
+            // Save through encrypted storage
+            await SecureStorage.savePatientData(validation.record.id, recordToStore, {
+              auditAction: 'IMPORT_PATIENT',
+              auditDetails: { action: 'Patient data imported', importSource }
+            });
             
             results.imported++;
             if (existed) {
@@ -411,16 +477,33 @@ const ImportPatientData = () => {
         }));
       }
 
+      // Record the import in the audit trail
+      await SecureStorage.addAuditLog('IMPORT_DATA', null, {
+        action: 'Patient data imported',
+        importSource,
+        encrypted: !!bundle,
+        imported: results.imported,
+        overwritten: results.overwritten,
+        skipped: results.skipped,
+        timestamp: new Date().toISOString()
+      });
+
       // Clear file input on successful import
       if (fileInputRef.current) {
         fileInputRef.current.value = '';
       }
 
+      // Let the app refresh its patient list
+      if (onImportComplete) {
+        onImportComplete(results);
+      }
+
       setState(prev => ({
         ...prev,
         isImporting: false,
         selectedFile: null,
         fileInfo: null,
+        passphrase: '',
         lastImport: {
           timestamp: importTimestamp,
           ...results
@@ -438,6 +521,11 @@ const ImportPatientData = () => {
     }
   };
 
+  // Encrypted bundles can't be imported until a passphrase is entered
+  const isImportDisabled = state.isImporting
+    || !state.selectedFile
+    || (state.fileInfo?.isEncrypted && !state.passphrase);
+
   return (
     <div style={{ 
       marginTop: '2rem', 
@@ -503,22 +591,46 @@ const ImportPatientData = () => {
               })}
             </p>
           )}
+          {state.fileInfo.isEncrypted && (
+            <div style={{ marginTop: '0.5rem' }}>
+              <p style={{ margin: '0 0 0.25rem 0' }}>
+                🔒 {t('import.encryptedBundle', { 
+                  defaultValue: 'This file is encrypted. Enter the export passphrase to import it.' 
+                })}
+              </p>
+              <input
+                type="password"
+                value={state.passphrase}
+                onChange={(e) => setState(prev => ({ ...prev, passphrase: e.target.value, error: null }))}
+                disabled={state.isImporting}
+                autoComplete="off"
+                placeholder={t('import.passphrasePlaceholder', { defaultValue: 'Export passphrase' })}
+                aria-label={t('import.passphrasePlaceholder', { defaultValue: 'Export passphrase' })}
+                style={{
+                  padding: '0.5rem',
+                  border: '1px solid #ccc',
+                  borderRadius: '4px',
+                  width: '100%'
+                }}
+              />
+            </div>
+          )}
         </div>
       )}
 
       {/* Import Button */}
       <button 
         onClick={handleImport}
-        disabled={state.isImporting || !state.selectedFile}
+        disabled={isImportDisabled}
         style={{
           padding: '0.75rem 1.5rem',
-          backgroundColor: state.isImporting || !state.selectedFile 
+          backgroundColor: isImportDisabled
             ? '#ccc' 
             : '#28a745',
           color: 'white',
           border: 'none',
           borderRadius: '4px',
-          cursor: state.isImporting || !state.selectedFile 
+          cursor: isImportDisabled
             ? 'not-allowed' 
             : 'pointer',
           fontSize: '1rem',
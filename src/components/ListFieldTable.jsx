@@ -0,0 +1,48 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+
+// Read-only table for a saved list field (e.g. the medications on file)
+const ListFieldTable = ({ field, items }) => {
+  const { t } = useTranslation();
+
+  if (!items || items.length === 0) return null;
+
+  // Show the option label for select values, raw value otherwise
+  const formatValue = (itemField, value) => {
+    if (value === undefined || value === null || value === '') return '—';
+    const option = itemField.options?.find(opt => opt.value === value);
+    return option ? t(option.labelKey, { defaultValue: option.defaultLabel }) : String(value);
+  };
+
+  return (
+    <div className="mb-6 overflow-x-auto">
+      <h3 className="text-lg font-semibold text-gray-900 mb-2">
+        {t(field.labelKey, { defaultValue: field.defaultLabel })}
+      </h3>
+      <table className="min-w-full text-sm border border-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            {field.itemFields.map(itemField => (
+              <th key={itemField.name} scope="col" className="px-3 py-2 text-left font-medium text-gray-700 border-b border-gray-200">
+                {t(itemField.labelKey, { defaultValue: itemField.defaultLabel })}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {items.map((item, index) => (
+            <tr key={item.id || index} className="border-b border-gray-100">
+              {field.itemFields.map(itemField => (
+                <td key={itemField.name} className="px-3 py-2 text-gray-900">
+                  {formatValue(itemField, item[itemField.name])}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ListFieldTable;
@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { SecureStorage } from '../services/secureStorage';
+import { getLoginStatus, clearFailedLogins } from '../services/loginThrottle';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+// Overlay shown after an inactivity lock; unlocks with the session PIN or the account password
+const LockScreen = ({ username, onUnlock, onLogout }) => {
+  const { t } = useTranslation();
+  const [usePin, setUsePin] = useState(() => SecureStorage.hasQuickPin());
+  const [secret, setSecret] = useState('');
+  const [error, setError] = useState('');
+  const [isUnlocking, setIsUnlocking] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // Password attempts share the login backoff
+    if (!usePin && getLoginStatus(username).retryAfterMs > 0) {
+      setError(t('lock.tryLater', { defaultValue: 'Too many failed attempts. Please wait and try again.' }));
+      return;
+    }
+
+    setIsUnlocking(true);
+    setError('');
+
+    try {
+      if (usePin) {
+        await SecureStorage.unlockWithPin(secret);
+      } else {
+        await SecureStorage.unlock(username, secret);
+        clearFailedLogins(username);
+      }
+      setIsUnlocking(false);
+      onUnlock();
+    } catch (error) {
+      console.error('Unlock failed:', error);
+      setIsUnlocking(false);
+      setSecret('');
+
+      if (!usePin) {
+        const status = await SecureStorage.recordFailedLogin(username, 'incorrect password on lock screen');
+        if (status.isLockedOut) {
+          // Locked out - end the session so the login screen enforces the lockout
+          onLogout();
+          return;
+        }
+      }
+
+      if (usePin && !SecureStorage.hasQuickPin()) {
+        // PIN attempts used up - fall back to the password
+        setUsePin(false);
+        setError(t('lock.pinExhausted', { defaultValue: 'Too many incorrect PINs. Enter your password.' }));
+      } else {
+        setError(usePin
+          ? t('lock.wrongPin', { defaultValue: 'Incorrect PIN' })
+          : t('lock.wrongPassword', { defaultValue: 'Incorrect password' }));
+      }
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900 bg-opacity-40 p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="lockScreenTitle"
+    >
+      <div className="max-w-sm w-full bg-white rounded-lg shadow-lg p-6">
+        <h2 id="lockScreenTitle" className="text-xl font-semibold text-gray-900 mb-1 text-center">
+          🔒 {t('lock.title', { defaultValue: 'Session locked' })}
+        </h2>
+        <p className="text-sm text-gray-600 mb-4 text-center">
+          {t('lock.message', {
+            username,
+            defaultValue: `Locked after inactivity. Unlock to continue as ${username}.`
+          })}
+        </p>
+
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <label htmlFor="lockSecret" className="block text-sm font-medium text-gray-700">
+            {usePin
+              ? t('lock.pinLabel', { defaultValue: 'Quick PIN' })
+              : t('lock.passwordLabel', { defaultValue: 'Password' })}
+          </label>
+          <input
+            type="password"
+            id="lockSecret"
+            value={secret}
+            onChange={(e) => setSecret(e.target.value)}
+            inputMode={usePin ? 'numeric' : undefined}
+            autoComplete={usePin ? 'off' : 'current-password'}
+            className={inputClassName}
+            autoFocus
+            required
+          />
+
+          {error && (
+            <p className="text-sm text-red-700">{error}</p>
+          )}
+
+          <button
+            type="submit"
+            disabled={isUnlocking || !secret}
+            className="w-full bg-blue-600 text-white py-2 px-4 rounded-md font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {isUnlocking
+              ? t('lock.unlocking', { defaultValue: 'Unlocking...' })
+              : t('lock.unlock', { defaultValue: 'Unlock' })}
+          </button>
+        </form>
+
+        <div className="mt-4 flex justify-between text-sm">
+          {SecureStorage.hasQuickPin() ? (
+            <button
+              type="button"
+              onClick={() => {
+                setUsePin(prev => !prev);
+                setSecret('');
+                setError('');
+              }}
+              className="text-blue-600 hover:text-blue-800 underline"
+            >
+              {usePin
+                ? t('lock.usePassword', { defaultValue: 'Use password instead' })
+                : t('lock.usePin', { defaultValue: 'Use quick PIN' })}
+            </button>
+          ) : <span />}
+          <button
+            type="button"
+            onClick={onLogout}
+            className="text-gray-600 hover:text-gray-800 underline"
+          >
+            {t('lock.logout', { defaultValue: 'Log out' })}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LockScreen;
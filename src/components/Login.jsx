@@ -1,6 +1,21 @@
 import React, { useState } from 'react';
-
-export default function Login({ onLogin, onSwitchToSignup }) {
+import { SecureStorage } from '../services/secureStorage';
+import { findUser, verifyPassword, updateUser } from '../services/userStore';
+import { getLoginStatus, clearFailedLogins, formatWait, LOCKOUT_MS } from '../services/loginThrottle';
+
+// Count a failed attempt and describe any wait that now applies
+const handleFailedLogin = async (username, reason) => {
+  const status = await SecureStorage.recordFailedLogin(username, reason);
+
+  if (status.isLockedOut) {
+    return `Too many failed attempts. This account is locked for ${formatWait(LOCKOUT_MS)}.`;
+  }
+  return status.retryAfterMs > 0
+    ? `Please wait ${formatWait(status.retryAfterMs)} before trying again.`
+    : '';
+};
+
+export default function Login({ onLogin, onSwitchToSignup, onForgotPassword }) {
   const [credentials, setCredentials] = useState({
     username: '',
     password: ''
@@ -31,38 +46,57 @@ export default function Login({ onLogin, onSwitchToSignup }) {
       return;
     }
 
+    // Refuse while this username is backing off after failed attempts
+    const loginStatus = getLoginStatus(credentials.username);
+    if (loginStatus.retryAfterMs > 0) {
+      setError(loginStatus.isLockedOut
+        ? `Too many failed attempts. Try again in ${formatWait(loginStatus.retryAfterMs)} or ask an admin to unlock the account.`
+        : `Please wait ${formatWait(loginStatus.retryAfterMs)} before trying again.`);
+      setIsLoading(false);
+      return;
+    }
+
     try {
       // Check if user exists and password is correct
-      const storedUsers = JSON.parse(localStorage.getItem('registered_users') || '{}');
-      const userRecord = storedUsers[credentials.username.toLowerCase()];
+      const userRecord = findUser(credentials.username);
 
       if (!userRecord) {
-        setError('Username not found. Please check your username or create a new account.');
+        const waitMessage = await handleFailedLogin(credentials.username, 'unknown username');
+        setError(`Username not found. Please check your username or create a new account. ${waitMessage}`.trim());
         setIsLoading(false);
         return;
       }
 
       // Verify password hash
-      const encoder = new TextEncoder();
-      const passwordData = encoder.encode(credentials.password + userRecord.salt);
-      const hashBuffer = await crypto.subtle.digest('SHA-256', passwordData);
-      const passwordHash = Array.from(new Uint8Array(hashBuffer));
-
-      const isPasswordCorrect = JSON.stringify(passwordHash) === JSON.stringify(userRecord.passwordHash);
+      const isPasswordCorrect = await verifyPassword(userRecord, credentials.password);
 
       if (!isPasswordCorrect) {
-        setError('Incorrect password. Please try again.');
+        const waitMessage = await handleFailedLogin(credentials.username, 'incorrect password');
+        setError(`Incorrect password. ${waitMessage || 'Please try again.'}`);
         setCredentials(prev => ({ ...prev, password: '' }));
         setIsLoading(false);
         return;
       }
 
+      if (!(await SecureStorage.canUnlock(credentials.username))) {
+        setError('This account has not been given access to the clinic data yet. Ask an admin to grant it access under User Management.');
+        setIsLoading(false);
+        return;
+      }
+
+      // Unwrap this user's copy of the clinic data key
+      await SecureStorage.unlock(credentials.username, credentials.password);
+      updateUser(credentials.username, { lastLogin: new Date().toISOString() });
+      clearFailedLogins(credentials.username);
+      await SecureStorage.addAuditLog('LOGIN', null, {
+        action: 'User logged in',
+        username: userRecord.username,
+        timestamp: new Date().toISOString()
+      });
+
       // Successful login
       if (onLogin) {
-        onLogin({
-          username: credentials.username,
-          password: credentials.password // Pass for encryption key
-        });
+        onLogin({ ...SecureStorage.currentUser });
       }
 
     } catch (error) {
@@ -152,6 +186,18 @@ export default function Login({ onLogin, onSwitchToSignup }) {
             </button>
           </form>
 
+          {/* Recovery Link */}
+          {onForgotPassword && (
+            <div className="mt-4 text-center">
+              <button
+                onClick={onForgotPassword}
+                className="text-sm text-blue-600 hover:text-blue-800 focus:outline-none focus:underline"
+              >
+                Forgot your password?
+              </button>
+            </div>
+          )}
+
           {/* Sign Up Link */}
           <div className="mt-6 text-center">
             <p className="text-gray-600">
@@ -0,0 +1,284 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import { SecureStorage } from '../services/secureStorage';
+import { buildSearchCriteria, searchPatientRecords, DEFAULT_PAGE_SIZE } from '../services/patientSearch';
+
+const EMPTY_FILTERS = {
+  name: '',
+  ageMin: '',
+  ageMax: '',
+  gender: '',
+  symptom: '',
+  createdFrom: '',
+  createdTo: ''
+};
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+// Search and filter panel over decrypted patient records
+// Records are decrypted into memory on the first search and dropped whenever recordsVersion changes
+const PatientSearchPanel = ({ selectedPatientId, onPatientSelect, recordsVersion }) => {
+  const { t } = useTranslation();
+  const recordsRef = useRef(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [state, setState] = useState({
+    isSearching: false,
+    criteria: null,
+    page: 0,
+    error: null
+  });
+
+  // Saved or imported records invalidate the in-memory copy
+  useEffect(() => {
+    recordsRef.current = null;
+  }, [recordsVersion]);
+
+  // Drop decrypted records when the panel unmounts (e.g. logout)
+  useEffect(() => () => {
+    recordsRef.current = null;
+  }, []);
+
+  const handleFilterChange = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    setState(prev => ({ ...prev, isSearching: true, error: null }));
+
+    try {
+      if (!recordsRef.current) {
+        recordsRef.current = await SecureStorage.loadAllPatients();
+      }
+
+      setState({
+        isSearching: false,
+        criteria: buildSearchCriteria(filters),
+        page: 0,
+        error: null
+      });
+    } catch (error) {
+      console.error('Patient search failed:', error);
+      setState(prev => ({
+        ...prev,
+        isSearching: false,
+        error: t('search.error', { defaultValue: 'Search failed. Please try again.' })
+      }));
+    }
+  };
+
+  const handleClear = () => {
+    setFilters(EMPTY_FILTERS);
+    setState({ isSearching: false, criteria: null, page: 0, error: null });
+  };
+
+  const searchResult = state.criteria && recordsRef.current
+    ? searchPatientRecords(recordsRef.current, state.criteria, {
+        limit: DEFAULT_PAGE_SIZE,
+        offset: state.page * DEFAULT_PAGE_SIZE
+      })
+    : null;
+
+  const pageCount = searchResult ? Math.ceil(searchResult.total / DEFAULT_PAGE_SIZE) : 0;
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+      <h3 className="text-lg font-semibold mb-3">
+        {t('search.title', { defaultValue: 'Find Patient' })}
+      </h3>
+
+      <form onSubmit={handleSearch} className="space-y-3">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <div>
+            <label htmlFor="searchName" className="block text-sm font-medium text-gray-700 mb-1">
+              {t('search.name', { defaultValue: 'Name' })}
+            </label>
+            <input
+              type="text"
+              id="searchName"
+              value={filters.name}
+              onChange={(e) => handleFilterChange('name', e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="searchGender" className="block text-sm font-medium text-gray-700 mb-1">
+              {t('genderLabel', { defaultValue: 'Gender' })}
+            </label>
+            <select
+              id="searchGender"
+              value={filters.gender}
+              onChange={(e) => handleFilterChange('gender', e.target.value)}
+              className={inputClassName}
+            >
+              <option value="">{t('search.anyGender', { defaultValue: 'Any' })}</option>
+              <option value="male">{t('male', { defaultValue: 'Male' })}</option>
+              <option value="female">{t('female', { defaultValue: 'Female' })}</option>
+              <option value="other">{t('other', { defaultValue: 'Other' })}</option>
+              <option value="prefer-not-to-say">{t('preferNotToSay', { defaultValue: 'Prefer not to say' })}</option>
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="searchSymptom" className="block text-sm font-medium text-gray-700 mb-1">
+              {t('search.symptom', { defaultValue: 'Symptom keyword' })}
+            </label>
+            <input
+              type="text"
+              id="searchSymptom"
+              value={filters.symptom}
+              onChange={(e) => handleFilterChange('symptom', e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+
+          <div>
+            <span className="block text-sm font-medium text-gray-700 mb-1">
+              {t('search.ageRange', { defaultValue: 'Age range' })}
+            </span>
+            <div className="flex gap-2">
+              <input
+                type="number"
+                min="0"
+                max="150"
+                value={filters.ageMin}
+                onChange={(e) => handleFilterChange('ageMin', e.target.value)}
+                className={inputClassName}
+                placeholder={t('search.min', { defaultValue: 'Min' })}
+                aria-label={t('search.ageMin', { defaultValue: 'Minimum age' })}
+              />
+              <input
+                type="number"
+                min="0"
+                max="150"
+                value={filters.ageMax}
+                onChange={(e) => handleFilterChange('ageMax', e.target.value)}
+                className={inputClassName}
+                placeholder={t('search.max', { defaultValue: 'Max' })}
+                aria-label={t('search.ageMax', { defaultValue: 'Maximum age' })}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="searchCreatedFrom" className="block text-sm font-medium text-gray-700 mb-1">
+              {t('search.createdFrom', { defaultValue: 'Created from' })}
+            </label>
+            <input
+              type="date"
+              id="searchCreatedFrom"
+              value={filters.createdFrom}
+              onChange={(e) => handleFilterChange('createdFrom', e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="searchCreatedTo" className="block text-sm font-medium text-gray-700 mb-1">
+              {t('search.createdTo', { defaultValue: 'Created to' })}
+            </label>
+            <input
+              type="date"
+              id="searchCreatedTo"
+              value={filters.createdTo}
+              onChange={(e) => handleFilterChange('createdTo', e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+        </div>
+
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            disabled={state.isSearching}
+            className="bg-blue-600 text-white px-4 py-2 rounded font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {state.isSearching
+              ? t('search.searching', { defaultValue: 'Searching...' })
+              : t('search.button', { defaultValue: 'Search' })}
+          </button>
+          <button
+            type="button"
+            onClick={handleClear}
+            className="bg-gray-300 text-gray-700 px-4 py-2 rounded font-medium hover:bg-gray-400 transition-colors"
+          >
+            {t('search.clear', { defaultValue: 'Clear' })}
+          </button>
+        </div>
+      </form>
+
+      {state.error && (
+        <p className="mt-3 text-sm text-red-700">{state.error}</p>
+      )}
+
+      {/* Results */}
+      {searchResult && (
+        <div className="mt-4">
+          <p className="text-sm text-gray-600 mb-2">
+            {t('search.resultCount', {
+              count: searchResult.total,
+              defaultValue: `${searchResult.total} patient(s) found`
+            })}
+          </p>
+
+          {searchResult.results.length > 0 && (
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded bg-white">
+              {searchResult.results.map(patient => (
+                <li key={patient.id}>
+                  <button
+                    type="button"
+                    onClick={() => onPatientSelect(patient.id)}
+                    className={`w-full text-left px-3 py-2 text-sm transition-colors ${
+                      selectedPatientId === patient.id ? 'bg-green-50' : 'hover:bg-gray-50'
+                    }`}
+                  >
+                    <span className="font-medium text-gray-900">
+                      {patient.patientInfo?.name || t('search.unnamed', { defaultValue: 'Unnamed patient' })}
+                    </span>
+                    <span className="text-gray-600">
+                      {patient.patientInfo?.age !== '' && patient.patientInfo?.age != null && ` · ${patient.patientInfo.age}`}
+                      {patient.patientInfo?.gender && ` · ${t(patient.patientInfo.gender === 'prefer-not-to-say' ? 'preferNotToSay' : patient.patientInfo.gender, { defaultValue: patient.patientInfo.gender })}`}
+                      {patient.createdAt && ` · ${new Date(patient.createdAt).toLocaleDateString()}`}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {/* Pagination */}
+          {pageCount > 1 && (
+            <div className="flex items-center justify-between mt-2 text-sm">
+              <button
+                type="button"
+                onClick={() => setState(prev => ({ ...prev, page: prev.page - 1 }))}
+                disabled={state.page === 0}
+                className="px-3 py-1 rounded border border-gray-300 bg-white disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {t('search.previous', { defaultValue: 'Previous' })}
+              </button>
+              <span className="text-gray-600">
+                {t('search.page', {
+                  page: state.page + 1,
+                  pages: pageCount,
+                  defaultValue: `Page ${state.page + 1} of ${pageCount}`
+                })}
+              </span>
+              <button
+                type="button"
+                onClick={() => setState(prev => ({ ...prev, page: prev.page + 1 }))}
+                disabled={state.page >= pageCount - 1}
+                className="px-3 py-1 rounded border border-gray-300 bg-white disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {t('search.next', { defaultValue: 'Next' })}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PatientSearchPanel;
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { SecureStorage } from '../services/secureStorage';
+
+const PIN_PATTERN = /^\d{4,8}$/;
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+// Choose a short PIN for unlocking after an inactivity lock (this session only)
+const QuickPinSetup = ({ onComplete, onCancel }) => {
+  const { t } = useTranslation();
+  const [pin, setPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!PIN_PATTERN.test(pin)) {
+      setError(t('quickPin.invalid', { defaultValue: 'PIN must be 4 to 8 digits' }));
+      return;
+    }
+    if (pin !== confirmPin) {
+      setError(t('quickPin.mismatch', { defaultValue: 'PINs do not match' }));
+      return;
+    }
+
+    setIsSaving(true);
+
+    try {
+      await SecureStorage.setQuickPin(pin);
+      setIsSaving(false);
+      onComplete();
+    } catch (error) {
+      console.error('Failed to set quick PIN:', error);
+      setIsSaving(false);
+      setError(t('quickPin.failed', { defaultValue: 'Failed to set PIN' }));
+    }
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+      <h3 className="text-lg font-semibold mb-1">
+        {t('quickPin.title', { defaultValue: 'Quick Unlock PIN' })}
+      </h3>
+      <p className="text-sm text-gray-600 mb-3">
+        {t('quickPin.hint', {
+          defaultValue: 'Unlock after an inactivity lock without your full password. The PIN is forgotten when you log out or close the app.'
+        })}
+      </p>
+
+      <form onSubmit={handleSubmit} className="space-y-3 max-w-sm">
+        <input
+          type="password"
+          inputMode="numeric"
+          value={pin}
+          onChange={(e) => { setPin(e.target.value); setError(''); }}
+          className={inputClassName}
+          placeholder={t('quickPin.pin', { defaultValue: 'PIN (4-8 digits)' })}
+          aria-label={t('quickPin.pin', { defaultValue: 'PIN (4-8 digits)' })}
+          autoComplete="off"
+        />
+        <input
+          type="password"
+          inputMode="numeric"
+          value={confirmPin}
+          onChange={(e) => { setConfirmPin(e.target.value); setError(''); }}
+          className={inputClassName}
+          placeholder={t('quickPin.confirm', { defaultValue: 'Confirm PIN' })}
+          aria-label={t('quickPin.confirm', { defaultValue: 'Confirm PIN' })}
+          autoComplete="off"
+        />
+
+        {error && (
+          <p className="text-sm text-red-700">{error}</p>
+        )}
+
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="bg-blue-600 text-white px-4 py-2 rounded font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {t('quickPin.save', { defaultValue: 'Set PIN' })}
+          </button>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="bg-gray-300 text-gray-700 px-4 py-2 rounded font-medium hover:bg-gray-400 transition-colors"
+          >
+            {t('changePassword.cancel', { defaultValue: 'Cancel' })}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default QuickPinSetup;
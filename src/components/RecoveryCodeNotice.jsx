@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+
+// Shows a freshly generated recovery code once, and only continues after the user confirms saving it
+export default function RecoveryCodeNotice({ recoveryCode, onContinue }) {
+  const [hasSaved, setHasSaved] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCode);
+      setCopied(true);
+    } catch (error) {
+      console.error('Copy failed:', error);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <h2 className="text-2xl font-semibold text-gray-900 text-center">
+        Save your recovery code
+      </h2>
+      <p className="text-sm text-gray-700">
+        If you forget your password, this code is the only way to unlock the patient data on this device.
+        Write it down or print it and keep it somewhere safe. It will not be shown again.
+      </p>
+
+      <div
+        className="bg-gray-50 border border-gray-300 rounded-md p-4 text-center font-mono text-lg tracking-wider break-all select-all"
+        data-testid="recovery-code"
+      >
+        {recoveryCode}
+      </div>
+
+      <button
+        type="button"
+        onClick={handleCopy}
+        className="w-full bg-gray-200 text-gray-700 py-2 px-4 rounded-md font-medium hover:bg-gray-300 transition-colors"
+      >
+        {copied ? 'Copied' : 'Copy to clipboard'}
+      </button>
+
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={hasSaved}
+          onChange={(e) => setHasSaved(e.target.checked)}
+        />
+        I have saved my recovery code
+      </label>
+
+      <button
+        type="button"
+        onClick={onContinue}
+        disabled={!hasSaved}
+        className="w-full bg-blue-600 text-white py-2 px-4 rounded-md font-medium hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+      >
+        Continue
+      </button>
+    </div>
+  );
+}
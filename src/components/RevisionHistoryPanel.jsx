@@ -0,0 +1,241 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { SecureStorage } from '../services/secureStorage';
+import { diffPatientRecord } from '../services/revisionDiff';
+import { formatFieldValue, formatListItem } from '../forms/formEngine';
+
+// Revision history for the loaded patient: list, compare two revisions, restore an older one
+// Restore buttons are hidden when onRestore isn't provided (roles without restore permission)
+const RevisionHistoryPanel = ({ schema, patientId, recordsVersion, onRestore, isRestoring }) => {
+  const { t } = useTranslation();
+  const [revisions, setRevisions] = useState([]);
+  const [compare, setCompare] = useState({ from: '', to: '' });
+  const [diffState, setDiffState] = useState({
+    isLoading: false,
+    diff: null,
+    error: null
+  });
+
+  // Reload the list when the patient changes or a new revision is saved
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadRevisions = async () => {
+      try {
+        const patientRevisions = await SecureStorage.getPatientRevisions(patientId);
+        if (cancelled) return;
+
+        setRevisions(patientRevisions);
+        setCompare({
+          from: patientRevisions[1]?.version ?? '',
+          to: patientRevisions[0]?.version ?? ''
+        });
+        setDiffState({ isLoading: false, diff: null, error: null });
+      } catch (error) {
+        console.error('Failed to load revision history:', error);
+        if (!cancelled) {
+          setDiffState(prev => ({
+            ...prev,
+            error: t('history.loadFailed', { defaultValue: 'Failed to load revision history' })
+          }));
+        }
+      }
+    };
+
+    loadRevisions();
+    return () => { cancelled = true; };
+  }, [patientId, recordsVersion, t]);
+
+  const handleCompare = async () => {
+    setDiffState({ isLoading: true, diff: null, error: null });
+
+    try {
+      const [fromRecord, toRecord] = await Promise.all([
+        SecureStorage.loadPatientRevision(patientId, Number(compare.from)),
+        SecureStorage.loadPatientRevision(patientId, Number(compare.to))
+      ]);
+
+      setDiffState({
+        isLoading: false,
+        diff: diffPatientRecord(schema, fromRecord, toRecord),
+        error: null
+      });
+    } catch (error) {
+      console.error('Failed to compare revisions:', error);
+      setDiffState({
+        isLoading: false,
+        diff: null,
+        error: t('history.compareFailed', { defaultValue: 'Failed to compare revisions' })
+      });
+    }
+  };
+
+  const handleRestore = (version) => {
+    const shouldRestore = window.confirm(
+      t('history.restoreConfirm', {
+        version,
+        defaultValue: `Restore version ${version}? It will be saved as a new version.`
+      })
+    );
+    if (shouldRestore) {
+      onRestore(version);
+    }
+  };
+
+  const formatTimestamp = (timestamp) => new Date(timestamp).toLocaleString();
+
+  if (revisions.length === 0) return null;
+
+  const latestVersion = revisions[0].version;
+  const changes = diffState.diff ? diffState.diff.filter(entry => entry.changed) : [];
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+      <h3 className="text-lg font-semibold mb-3">
+        {t('history.title', { defaultValue: 'Version History' })}
+      </h3>
+
+      {/* Revision list */}
+      <ul className="divide-y divide-gray-200 border border-gray-200 rounded bg-white text-sm mb-4">
+        {revisions.map(revision => (
+          <li key={revision.version} className="flex items-center justify-between px-3 py-2">
+            <span>
+              <span className="font-medium text-gray-900">
+                {t('history.version', { version: revision.version, defaultValue: `Version ${revision.version}` })}
+              </span>
+              <span className="text-gray-600">
+                {' · '}{formatTimestamp(revision.timestamp)}
+                {' · '}{revision.savedBy || t('history.unknownUser', { defaultValue: 'Unknown user' })}
+              </span>
+            </span>
+            {revision.version === latestVersion ? (
+              <span className="text-green-700 text-xs font-medium">
+                {t('history.current', { defaultValue: 'Current' })}
+              </span>
+            ) : onRestore && (
+              <button
+                type="button"
+                onClick={() => handleRestore(revision.version)}
+                disabled={isRestoring}
+                className="text-blue-700 hover:text-blue-900 underline disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {t('history.restore', { defaultValue: 'Restore' })}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {/* Compare two revisions */}
+      {revisions.length > 1 && (
+        <div className="flex flex-wrap items-end gap-2 mb-3">
+          <div>
+            <label htmlFor="historyCompareFrom" className="block text-sm font-medium text-gray-700 mb-1">
+              {t('history.compareFrom', { defaultValue: 'Compare' })}
+            </label>
+            <select
+              id="historyCompareFrom"
+              value={compare.from}
+              onChange={(e) => setCompare(prev => ({ ...prev, from: e.target.value }))}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+            >
+              {revisions.map(revision => (
+                <option key={revision.version} value={revision.version}>v{revision.version}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="historyCompareTo" className="block text-sm font-medium text-gray-700 mb-1">
+              {t('history.compareTo', { defaultValue: 'with' })}
+            </label>
+            <select
+              id="historyCompareTo"
+              value={compare.to}
+              onChange={(e) => setCompare(prev => ({ ...prev, to: e.target.value }))}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+            >
+              {revisions.map(revision => (
+                <option key={revision.version} value={revision.version}>v{revision.version}</option>
+              ))}
+            </select>
+          </div>
+          <button
+            type="button"
+            onClick={handleCompare}
+            disabled={diffState.isLoading || String(compare.from) === String(compare.to)}
+            className="bg-blue-600 text-white px-4 py-2 rounded font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {diffState.isLoading
+              ? t('history.comparing', { defaultValue: 'Comparing...' })
+              : t('history.showDiff', { defaultValue: 'Show differences' })}
+          </button>
+        </div>
+      )}
+
+      {diffState.error && (
+        <p className="text-sm text-red-700">{diffState.error}</p>
+      )}
+
+      {/* Field-by-field diff */}
+      {diffState.diff && changes.length === 0 && (
+        <p className="text-sm text-gray-600">
+          {t('history.noDifferences', { defaultValue: 'No differences between these versions' })}
+        </p>
+      )}
+
+      {changes.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm border border-gray-200 bg-white">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-3 py-2 text-left font-medium text-gray-700 border-b border-gray-200">
+                  {t('history.field', { defaultValue: 'Field' })}
+                </th>
+                <th scope="col" className="px-3 py-2 text-left font-medium text-gray-700 border-b border-gray-200">
+                  v{compare.from}
+                </th>
+                <th scope="col" className="px-3 py-2 text-left font-medium text-gray-700 border-b border-gray-200">
+                  v{compare.to}
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {changes.map(({ field, before, after, items }) => (
+                <tr key={field.name} className="border-b border-gray-100 align-top">
+                  <th scope="row" className="px-3 py-2 text-left font-medium text-gray-900">
+                    {t(field.labelKey, { defaultValue: field.defaultLabel })}
+                  </th>
+                  {items ? (
+                    <>
+                      <td className="px-3 py-2 text-red-800">
+                        {items.filter(item => item.before).map((item, index) => (
+                          <div key={index} className={item.status === 'removed' ? 'line-through' : ''}>
+                            {formatListItem(field, item.before, t)}
+                          </div>
+                        ))}
+                      </td>
+                      <td className="px-3 py-2 text-green-800">
+                        {items.filter(item => item.after).map((item, index) => (
+                          <div key={index}>
+                            {item.status === 'added' && '+ '}{formatListItem(field, item.after, t)}
+                          </div>
+                        ))}
+                      </td>
+                    </>
+                  ) : (
+                    <>
+                      <td className="px-3 py-2 text-red-800 whitespace-pre-wrap">{formatFieldValue(field, before, t)}</td>
+                      <td className="px-3 py-2 text-green-800 whitespace-pre-wrap">{formatFieldValue(field, after, t)}</td>
+                    </>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RevisionHistoryPanel;
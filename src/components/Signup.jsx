@@ -1,84 +1,155 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { SecureStorage } from '../services/secureStorage';
+import { createUser, deleteUser, findUser, verifyPassword, MIN_PASSWORD_LENGTH } from '../services/userStore';
+import { getLoginStatus, clearFailedLogins, formatWait } from '../services/loginThrottle';
+import { ROLES, ROLE_OPTIONS, PERMISSIONS, hasPermission } from '../services/roles';
+import RecoveryCodeNotice from './RecoveryCodeNotice';
 
-export default function Login({ onLogin, onSwitchToSignup }) {
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+export default function Signup({ onSignup, onSwitchToLogin }) {
   const [credentials, setCredentials] = useState({
     username: '',
-    password: ''
+    password: '',
+    confirmPassword: '',
+    authorizerUsername: '',
+    authorizerPassword: '',
+    role: ROLES.READ_ONLY
   });
+  const [needsAuthorizer, setNeedsAuthorizer] = useState(false);
+  const [enrolment, setEnrolment] = useState({ file: null, code: '' }); // Optional: join another device's clinic key
+  const [recoveryCode, setRecoveryCode] = useState(null);
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
 
+  // Once the clinic database has a key, an admin who holds it must share it with the new account
+  useEffect(() => {
+    SecureStorage.hasKeyring()
+      .then(setNeedsAuthorizer)
+      .catch(error => console.error('Failed to check keyring:', error));
+  }, []);
+
   const handleInputChange = (field, value) => {
     setCredentials(prev => ({ ...prev, [field]: value }));
     if (error) setError(''); // Clear error when user types
   };
 
+  const validate = () => {
+    if (!credentials.username.trim()) return 'Username is required';
+    if (findUser(credentials.username)) return 'That username is already taken';
+    if (credentials.password.length < MIN_PASSWORD_LENGTH) {
+      return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (credentials.password !== credentials.confirmPassword) return 'Passwords do not match';
+    if (needsAuthorizer && (!credentials.authorizerUsername.trim() || !credentials.authorizerPassword)) {
+      return 'An admin must authorize new accounts';
+    }
+    if (!needsAuthorizer && enrolment.file && !enrolment.code.trim()) {
+      return 'Enter the code that came with the enrolment file';
+    }
+    return null;
+  };
+
+  // Remove the just-created account if it could not be given the data key, so no login is left
+  // that can never unlock
+  const rollBackOnFailure = async (step) => {
+    try {
+      await step();
+    } catch (error) {
+      deleteUser(credentials.username);
+      throw error;
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
-    setIsLoading(true);
 
-    // Validate inputs
-    if (!credentials.username.trim()) {
-      setError('Username is required');
-      setIsLoading(false);
+    const validationError = validate();
+    if (validationError) {
+      setError(validationError);
       return;
     }
 
-    if (!credentials.password) {
-      setError('Password is required');
-      setIsLoading(false);
-      return;
-    }
+    setIsLoading(true);
 
     try {
-      // Check if user exists and password is correct
-      const storedUsers = JSON.parse(localStorage.getItem('registered_users') || '{}');
-      const userRecord = storedUsers[credentials.username.toLowerCase()];
-
-      if (!userRecord) {
-        setError('Username not found. Please check your username or create a new account.');
-        setIsLoading(false);
-        return;
-      }
+      if (needsAuthorizer) {
+        // The admin's password is checked under the same throttle and audit trail as a login
+        const authorizerStatus = getLoginStatus(credentials.authorizerUsername);
+        if (authorizerStatus.retryAfterMs > 0) {
+          setError(`Too many failed attempts for that admin. Please wait ${formatWait(authorizerStatus.retryAfterMs)} before trying again.`);
+          setIsLoading(false);
+          return;
+        }
 
-      // Verify password hash - FIXED: Use same salt conversion as signup
-      const encoder = new TextEncoder();
-      const saltString = userRecord.salt.join(''); // Convert array to string like in signup
-      const passwordData = encoder.encode(credentials.password + saltString);
-      const hashBuffer = await crypto.subtle.digest('SHA-256', passwordData);
-      const passwordHash = Array.from(new Uint8Array(hashBuffer));
+        // Unlock with the authorizing admin's copy of the data key, then wrap it for the new account
+        const authorizer = findUser(credentials.authorizerUsername);
+        if (!authorizer || !(await verifyPassword(authorizer, credentials.authorizerPassword))) {
+          const status = await SecureStorage.recordFailedLogin(
+            credentials.authorizerUsername,
+            authorizer ? 'incorrect authorizer password at signup' : 'unknown authorizer at signup'
+          );
+          setError(status.retryAfterMs > 0
+            ? `Authorizing username or password is incorrect. Please wait ${formatWait(status.retryAfterMs)} before trying again.`
+            : 'Authorizing username or password is incorrect.');
+          setCredentials(prev => ({ ...prev, authorizerPassword: '' }));
+          setIsLoading(false);
+          return;
+        }
+        clearFailedLogins(credentials.authorizerUsername);
 
-      const isPasswordCorrect = JSON.stringify(passwordHash) === JSON.stringify(userRecord.passwordHash);
+        // Unlocking loads the authorizer's sealed role
+        await SecureStorage.unlock(credentials.authorizerUsername, credentials.authorizerPassword);
+        if (!hasPermission(SecureStorage.currentUser, PERMISSIONS.MANAGE_USERS)) {
+          await SecureStorage.signOut();
+          setError('Only an admin can authorize new accounts.');
+          setIsLoading(false);
+          return;
+        }
 
-      if (!isPasswordCorrect) {
-        setError('Incorrect password. Please try again.');
-        setCredentials(prev => ({ ...prev, password: '' }));
-        setIsLoading(false);
-        return;
+        await createUser(credentials.username, credentials.password, credentials.role);
+        await rollBackOnFailure(() => SecureStorage.grantAccess(credentials.username, credentials.password, credentials.role));
+        await SecureStorage.addAuditLog('AUTHORIZE_SIGNUP', null, {
+          action: 'Admin authorized a new account',
+          username: credentials.username.trim(),
+          role: credentials.role,
+          authorizedBy: authorizer.username,
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        // First account: unlocking an empty keyring creates the clinic data key, or adopts the one in
+        // another device's enrolment file; it becomes the admin
+        const clinicKey = enrolment.file
+          ? { enrolment: JSON.parse(await enrolment.file.text()), code: enrolment.code }
+          : null;
+        await createUser(credentials.username, credentials.password, ROLES.ADMIN);
+        await rollBackOnFailure(() => SecureStorage.unlock(credentials.username, credentials.password, clinicKey));
       }
 
-      // Update last login timestamp
-      userRecord.lastLogin = new Date().toISOString();
-      storedUsers[credentials.username.toLowerCase()] = userRecord;
-      localStorage.setItem('registered_users', JSON.stringify(storedUsers));
-
-      // Successful login
-      if (onLogin) {
-        onLogin({
-          username: credentials.username,
-          password: credentials.password // Pass for encryption key
-        });
+      // Shown once before entering the app
+      setRecoveryCode(await SecureStorage.createRecoveryCode(credentials.username));
+      if (needsAuthorizer) {
+        // Continue as the new account, not the authorizing admin
+        await SecureStorage.setCurrentUser(credentials.username);
       }
 
     } catch (error) {
-      console.error('Login error:', error);
-      setError('Login failed. Please try again.');
+      console.error('Signup error:', error);
+      setError(enrolment.file
+        ? 'Account creation failed. Check the enrolment file and its code.'
+        : 'Account creation failed. Please try again.');
     }
 
     setIsLoading(false);
   };
 
+  const handleContinue = () => {
+    if (onSignup) {
+      onSignup({ ...SecureStorage.currentUser });
+    }
+  };
+
   return (
     <div className="min-h-screen bg-gray-100 flex items-center justify-center p-4">
       <div className="max-w-md w-full">
@@ -92,84 +163,180 @@ export default function Login({ onLogin, onSwitchToSignup }) {
           </p>
         </div>
 
-        {/* Login Card */}
+        {/* Signup Card */}
         <div className="bg-white rounded-lg shadow-lg p-6">
-          <h2 className="text-2xl font-semibold text-gray-900 mb-6 text-center">
-            Log back in
-          </h2>
-
-          <form onSubmit={handleSubmit} className="space-y-4">
-            {/* Username Field */}
-            <div>
-              <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-1">
-                Username
-              </label>
-              <input
-                type="text"
-                id="username"
-                value={credentials.username}
-                onChange={(e) => handleInputChange('username', e.target.value)}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                placeholder="Enter your username"
-                autoFocus
-                autoComplete="username"
-                required
-              />
-            </div>
-
-            {/* Password Field */}
-            <div>
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
-                Password
-              </label>
-              <input
-                type="password"
-                id="password"
-                value={credentials.password}
-                onChange={(e) => handleInputChange('password', e.target.value)}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                placeholder="Enter your password"
-                autoComplete="current-password"
-                required
-              />
-            </div>
-
-            {/* Error Message */}
-            {error && (
-              <div className="bg-red-50 border border-red-200 rounded-md p-3">
-                <p className="text-red-800 text-sm">{error}</p>
-              </div>
-            )}
-
-            {/* Login Button */}
-            <button
-              type="submit"
-              disabled={isLoading}
-              className="w-full bg-blue-600 text-white py-2 px-4 rounded-md font-medium hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-            >
-              {isLoading ? (
-                <div className="flex items-center justify-center">
-                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-                  Logging in...
+          {recoveryCode ? (
+            <RecoveryCodeNotice recoveryCode={recoveryCode} onContinue={handleContinue} />
+          ) : (
+            <>
+              <h2 className="text-2xl font-semibold text-gray-900 mb-6 text-center">
+                Create an account
+              </h2>
+
+              <form onSubmit={handleSubmit} className="space-y-4">
+                {/* Username Field */}
+                <div>
+                  <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-1">
+                    Username
+                  </label>
+                  <input
+                    type="text"
+                    id="username"
+                    value={credentials.username}
+                    onChange={(e) => handleInputChange('username', e.target.value)}
+                    className={inputClassName}
+                    placeholder="Choose a username"
+                    autoFocus
+                    autoComplete="username"
+                    required
+                  />
                 </div>
-              ) : (
-                'Log In'
-              )}
-            </button>
-          </form>
 
-          {/* Sign Up Link */}
-          <div className="mt-6 text-center">
-            <p className="text-gray-600">
-              New User?{' '}
-              <button
-                onClick={onSwitchToSignup}
-                className="text-blue-600 hover:text-blue-800 font-medium focus:outline-none focus:underline"
-              >
-                Create an account
-              </button>
-            </p>
-          </div>
+                {/* Password Fields */}
+                <div>
+                  <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
+                    Password
+                  </label>
+                  <input
+                    type="password"
+                    id="password"
+                    value={credentials.password}
+                    onChange={(e) => handleInputChange('password', e.target.value)}
+                    className={inputClassName}
+                    placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+                    autoComplete="new-password"
+                    required
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                    Confirm password
+                  </label>
+                  <input
+                    type="password"
+                    id="confirmPassword"
+                    value={credentials.confirmPassword}
+                    onChange={(e) => handleInputChange('confirmPassword', e.target.value)}
+                    className={inputClassName}
+                    placeholder="Re-enter your password"
+                    autoComplete="new-password"
+                    required
+                  />
+                </div>
+
+                {/* Authorizing user - shares the clinic data key with the new account */}
+                {needsAuthorizer && (
+                  <fieldset className="border border-gray-200 rounded-md p-3 space-y-3">
+                    <legend className="text-sm font-medium text-gray-700 px-1">
+                      Authorized by an admin
+                    </legend>
+                    <input
+                      type="text"
+                      id="authorizerUsername"
+                      value={credentials.authorizerUsername}
+                      onChange={(e) => handleInputChange('authorizerUsername', e.target.value)}
+                      className={inputClassName}
+                      placeholder="Admin username"
+                      aria-label="Admin username"
+                      autoComplete="off"
+                    />
+                    <input
+                      type="password"
+                      id="authorizerPassword"
+                      value={credentials.authorizerPassword}
+                      onChange={(e) => handleInputChange('authorizerPassword', e.target.value)}
+                      className={inputClassName}
+                      placeholder="Admin password"
+                      aria-label="Admin password"
+                      autoComplete="off"
+                    />
+                    <select
+                      id="signupRole"
+                      value={credentials.role}
+                      onChange={(e) => handleInputChange('role', e.target.value)}
+                      className={inputClassName}
+                      aria-label="Role for the new account"
+                    >
+                      {ROLE_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.defaultLabel}</option>
+                      ))}
+                    </select>
+                  </fieldset>
+                )}
+
+                {/* Joining the clinic key of another device - only for the first account on this device */}
+                {!needsAuthorizer && (
+                  <details className="border border-gray-200 rounded-md p-3">
+                    <summary className="text-sm font-medium text-gray-700 cursor-pointer">
+                      Join an existing clinic (optional)
+                    </summary>
+                    <div className="mt-3 space-y-3">
+                      <p className="text-xs text-gray-500">
+                        To sync with the clinic&apos;s other devices, choose the enrolment file an admin created there and enter its code.
+                      </p>
+                      <input
+                        type="file"
+                        id="enrolmentFile"
+                        accept=".json"
+                        onChange={(e) => setEnrolment(prev => ({ ...prev, file: e.target.files[0] || null }))}
+                        className="w-full text-sm"
+                        aria-label="Enrolment file"
+                      />
+                      <input
+                        type="text"
+                        id="enrolmentCode"
+                        value={enrolment.code}
+                        onChange={(e) => setEnrolment(prev => ({ ...prev, code: e.target.value }))}
+                        className={inputClassName}
+                        placeholder="Enrolment code"
+                        aria-label="Enrolment code"
+                        autoComplete="off"
+                      />
+                    </div>
+                  </details>
+                )}
+
+                {/* Error Message */}
+                {error && (
+                  <div className="bg-red-50 border border-red-200 rounded-md p-3">
+                    <p className="text-red-800 text-sm">{error}</p>
+                  </div>
+                )}
+
+                {/* Signup Button */}
+                <button
+                  type="submit"
+                  disabled={isLoading}
+                  className="w-full bg-blue-600 text-white py-2 px-4 rounded-md font-medium hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {isLoading ? (
+                    <div className="flex items-center justify-center">
+                      <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                      Creating account...
+                    </div>
+                  ) : (
+                    'Create Account'
+                  )}
+                </button>
+              </form>
+
+              {/* Login Link */}
+              {onSwitchToLogin && (
+                <div className="mt-6 text-center">
+                  <p className="text-gray-600">
+                    Already have an account?{' '}
+                    <button
+                      onClick={onSwitchToLogin}
+                      className="text-blue-600 hover:text-blue-800 font-medium focus:outline-none focus:underline"
+                    >
+                      Log in
+                    </button>
+                  </p>
+                </div>
+              )}
+            </>
+          )}
 
           {/* Security Notice */}
           <div className="mt-6 text-center">
@@ -181,4 +348,4 @@ export default function Login({ onLogin, onSwitchToSignup }) {
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,213 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { SecureStorage } from '../services/secureStorage';
+import { getConflictFields, mergeConflictedRecords, MERGE_CHOICES } from '../services/conflictMerge';
+import { formatFieldValue, formatListItem } from '../forms/formEngine';
+
+// Side-by-side merge of a patient edited here and on another device while offline
+// onResolve({ record, remoteRevision, choices }) saves the merged record; record is null to accept
+// a deletion made on the other device (only offered when canDelete)
+const SyncConflictResolver = ({ schema, patientId, recordsVersion, username, canEdit, canDelete, isResolving, onResolve }) => {
+  const { t } = useTranslation();
+  const [conflict, setConflict] = useState(null);
+  const [choices, setChoices] = useState({});
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadConflict = async () => {
+      try {
+        const loaded = await SecureStorage.loadSyncConflict(patientId);
+        if (cancelled) return;
+
+        setConflict(loaded);
+        setChoices({});
+        setError(null);
+      } catch (loadError) {
+        console.error('Failed to load sync conflict:', loadError);
+        if (!cancelled) {
+          setError(t('conflict.loadFailed', {
+            defaultValue: 'Failed to load the conflicting versions. If the other device uses a different clinic key, join it under User Management.'
+          }));
+        }
+      }
+    };
+
+    loadConflict();
+    return () => { cancelled = true; };
+  }, [patientId, recordsVersion, t]);
+
+  if (error) {
+    return <p className="mb-6 text-sm text-red-700">{error}</p>;
+  }
+  if (!conflict?.local) return null;
+
+  const fields = conflict.remote ? getConflictFields(schema, conflict.local, conflict.remote) : [];
+  const choiceFor = (entry) => choices[entry.field.name] || entry.defaultChoice;
+
+  const handleMerge = () => {
+    onResolve({
+      record: mergeConflictedRecords(schema, conflict.local, conflict.remote, choices, { user: username }),
+      remoteRevision: conflict.remoteRevision,
+      choices: Object.fromEntries(fields.map(entry => [entry.field.name, choiceFor(entry)]))
+    });
+  };
+
+  const handleKeepLocal = () => {
+    onResolve({
+      record: {
+        ...conflict.local,
+        updatedAt: new Date().toISOString(),
+        metadata: { ...conflict.local.metadata, lastModifiedBy: username }
+      },
+      remoteRevision: conflict.remoteRevision,
+      choices: {}
+    });
+  };
+
+  const handleAcceptDelete = () => {
+    const shouldDelete = window.confirm(
+      t('conflict.deleteConfirm', { defaultValue: 'Delete this patient on this device too?' })
+    );
+    if (shouldDelete) {
+      onResolve({ record: null, remoteRevision: conflict.remoteRevision, choices: {} });
+    }
+  };
+
+  // Column content for one side: changed list entries, or the field value
+  const renderSide = (entry, side) => {
+    if (!entry.items) {
+      return formatFieldValue(entry.field, entry[side], t);
+    }
+    const key = side === 'local' ? 'after' : 'before';
+    return entry.items.filter(item => item[key]).map((item, index) => (
+      <div key={index}>{formatListItem(entry.field, item[key], t)}</div>
+    ));
+  };
+
+  const choiceLabels = {
+    [MERGE_CHOICES.LOCAL]: t('conflict.useLocal', { defaultValue: 'This device' }),
+    [MERGE_CHOICES.REMOTE]: t('conflict.useRemote', { defaultValue: 'Other device' }),
+    [MERGE_CHOICES.BOTH]: t('conflict.keepBoth', { defaultValue: 'Keep both' })
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg" role="region" aria-labelledby="syncConflictTitle">
+      <h3 id="syncConflictTitle" className="text-lg font-semibold mb-1 text-red-900">
+        {t('conflict.title', { defaultValue: 'Edited on another device' })}
+      </h3>
+      <p className="text-sm text-red-800 mb-3">
+        {conflict.remoteDeleted
+          ? t('conflict.deletedDescription', {
+              defaultValue: 'This patient was deleted on another device while it was also changed here.'
+            })
+          : t('conflict.description', {
+              defaultValue: 'This patient was changed here and on another device. Choose which value to keep for each field.'
+            })}
+      </p>
+
+      {!canEdit && (
+        <p className="text-sm text-gray-700">
+          {t('conflict.noPermission', { defaultValue: 'Ask a user who can edit patients to resolve this.' })}
+        </p>
+      )}
+
+      {canEdit && conflict.remoteDeleted && (
+        <div className="flex flex-wrap gap-2">
+          <button
+            type="button"
+            onClick={handleKeepLocal}
+            disabled={isResolving}
+            className="bg-blue-600 text-white px-4 py-2 rounded font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {t('conflict.keepLocal', { defaultValue: "Keep this device's version" })}
+          </button>
+          {canDelete && (
+            <button
+              type="button"
+              onClick={handleAcceptDelete}
+              disabled={isResolving}
+              className="bg-red-600 text-white px-4 py-2 rounded font-medium hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {t('conflict.acceptDelete', { defaultValue: 'Delete here too' })}
+            </button>
+          )}
+        </div>
+      )}
+
+      {canEdit && !conflict.remoteDeleted && (
+        <>
+          {fields.length > 0 && (
+            <div className="overflow-x-auto mb-3">
+              <table className="min-w-full text-sm border border-gray-200 bg-white">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th scope="col" className="px-3 py-2 text-left font-medium text-gray-700 border-b border-gray-200">
+                      {t('history.field', { defaultValue: 'Field' })}
+                    </th>
+                    <th scope="col" className="px-3 py-2 text-left font-medium text-gray-700 border-b border-gray-200">
+                      {t('conflict.local', { defaultValue: 'This device' })}
+                    </th>
+                    <th scope="col" className="px-3 py-2 text-left font-medium text-gray-700 border-b border-gray-200">
+                      {t('conflict.remote', { defaultValue: 'Other device' })}
+                    </th>
+                    <th scope="col" className="px-3 py-2 text-left font-medium text-gray-700 border-b border-gray-200">
+                      {t('conflict.keep', { defaultValue: 'Keep' })}
+                    </th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {fields.map(entry => {
+                    const label = t(entry.field.labelKey, { defaultValue: entry.field.defaultLabel });
+                    const options = entry.canKeepBoth
+                      ? [MERGE_CHOICES.LOCAL, MERGE_CHOICES.REMOTE, MERGE_CHOICES.BOTH]
+                      : [MERGE_CHOICES.LOCAL, MERGE_CHOICES.REMOTE];
+
+                    return (
+                      <tr key={entry.field.name} className="border-b border-gray-100 align-top">
+                        <th scope="row" className="px-3 py-2 text-left font-medium text-gray-900">{label}</th>
+                        <td className="px-3 py-2 whitespace-pre-wrap">{renderSide(entry, 'local')}</td>
+                        <td className="px-3 py-2 whitespace-pre-wrap">{renderSide(entry, 'remote')}</td>
+                        <td className="px-3 py-2">
+                          <fieldset>
+                            <legend className="sr-only">{label}</legend>
+                            {options.map(choice => (
+                              <label key={choice} className="flex items-center gap-1 whitespace-nowrap">
+                                <input
+                                  type="radio"
+                                  name={`conflict-${entry.field.name}`}
+                                  value={choice}
+                                  checked={choiceFor(entry) === choice}
+                                  onChange={() => setChoices(prev => ({ ...prev, [entry.field.name]: choice }))}
+                                />
+                                {choiceLabels[choice]}
+                              </label>
+                            ))}
+                          </fieldset>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <button
+            type="button"
+            onClick={handleMerge}
+            disabled={isResolving}
+            className="bg-blue-600 text-white px-4 py-2 rounded font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {isResolving
+              ? t('saving', { defaultValue: 'Saving...' })
+              : t('conflict.saveMerged', { defaultValue: 'Save merged version' })}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SyncConflictResolver;
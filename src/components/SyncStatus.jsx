@@ -0,0 +1,65 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+
+const STATUS_STYLES = {
+  idle: 'bg-gray-400',
+  syncing: 'bg-blue-500 animate-pulse',
+  synced: 'bg-green-500',
+  offline: 'bg-yellow-500',
+  error: 'bg-red-500'
+};
+
+// Header indicator for the sync engine (see hooks/useSync.js)
+const SyncStatus = ({ status, lastSyncAt, pending, conflicts, unreadable = 0, onSyncNow }) => {
+  const { t } = useTranslation();
+
+  const labels = {
+    idle: t('sync.idle', { defaultValue: 'Not synced yet' }),
+    syncing: t('sync.syncing', { defaultValue: 'Syncing...' }),
+    synced: t('sync.synced', { defaultValue: 'Synced' }),
+    offline: t('sync.offline', { defaultValue: 'Offline - changes are kept on this device' }),
+    error: t('sync.error', { defaultValue: 'Sync failed - will retry' })
+  };
+
+  return (
+    <div className="flex items-center gap-2 text-sm text-gray-600" role="status">
+      <span className={`inline-block h-2 w-2 rounded-full ${STATUS_STYLES[status]}`} aria-hidden="true"></span>
+      <span title={lastSyncAt ? t('sync.lastSync', {
+        time: new Date(lastSyncAt).toLocaleTimeString(),
+        defaultValue: `Last synced ${new Date(lastSyncAt).toLocaleTimeString()}`
+      }) : undefined}>
+        {labels[status]}
+      </span>
+      {pending > 0 && (
+        <span className="text-orange-700">
+          · {t('sync.pending', { count: pending, defaultValue: `${pending} to upload` })}
+        </span>
+      )}
+      {conflicts > 0 && (
+        <span className="text-red-700 font-medium">
+          · {t('sync.conflicts', { count: conflicts, defaultValue: `${conflicts} conflict(s)` })}
+        </span>
+      )}
+      {unreadable > 0 && (
+        <span
+          className="text-red-700"
+          title={t('sync.unreadableHint', {
+            defaultValue: 'These records were encrypted with another clinic key. Join that key under User Management to read them.'
+          })}
+        >
+          · {t('sync.unreadable', { count: unreadable, defaultValue: `${unreadable} couldn't be read on this device` })}
+        </span>
+      )}
+      <button
+        type="button"
+        onClick={onSyncNow}
+        disabled={status === 'syncing'}
+        className="text-gray-600 hover:text-gray-800 underline disabled:opacity-50"
+      >
+        {t('sync.syncNow', { defaultValue: 'Sync now' })}
+      </button>
+    </div>
+  );
+};
+
+export default SyncStatus;
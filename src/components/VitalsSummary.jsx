@@ -0,0 +1,102 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { getSchemaFields } from '../forms/formEngine';
+import { calculateBmi, convertToUnitSystem, getUnitSystem, getVitalRanges } from '../services/vitals';
+
+// Adult BMI categories (upper bound exclusive)
+const BMI_CATEGORIES = [
+  { max: 18.5, key: 'vitals.bmiUnderweight', defaultLabel: 'Underweight' },
+  { max: 25, key: 'vitals.bmiNormal', defaultLabel: 'Normal' },
+  { max: 30, key: 'vitals.bmiOverweight', defaultLabel: 'Overweight' },
+  { max: Infinity, key: 'vitals.bmiObese', defaultLabel: 'Obese' }
+];
+
+// Shown under the vitals section: unit system toggle, calculated BMI and out-of-range vitals
+// alerts come from getVitalAlerts; onChange(field, value) is the form's change handler
+const VitalsSummary = ({ schema, values, alerts, onChange }) => {
+  const { t } = useTranslation();
+  const bmi = calculateBmi(schema, values);
+  const { band } = getVitalRanges(values.age);
+  const unitSystem = getUnitSystem(schema, values);
+  const fields = getSchemaFields(schema);
+
+  const bmiCategory = bmi !== null && band === 'adult'
+    ? BMI_CATEGORIES.find(category => bmi < category.max)
+    : null;
+
+  const switchUnits = (system) => {
+    Object.entries(convertToUnitSystem(schema, values, system))
+      .forEach(([name, value]) => onChange(name, value));
+  };
+
+  // Label and base unit of a vital ('bmi' isn't a form field)
+  const describe = (name) => {
+    const field = fields.find(entry => entry.name === name);
+    if (!field) return { label: t('vitals.bmi', { defaultValue: 'BMI' }), unit: '' };
+    return {
+      label: t(field.labelKey, { defaultValue: field.defaultLabel }),
+      unit: field.units ? field.units[0].label : ''
+    };
+  };
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium text-gray-700">
+          {t('vitals.units', { defaultValue: 'Units' })}:
+        </span>
+        {['metric', 'imperial'].map(system => (
+          <button
+            key={system}
+            type="button"
+            aria-pressed={unitSystem === system}
+            onClick={() => switchUnits(system)}
+            className={`px-3 py-1 rounded text-sm font-medium transition-colors ${
+              unitSystem === system
+                ? 'bg-blue-600 text-white'
+                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+            }`}
+          >
+            {system === 'metric'
+              ? t('vitals.metric', { defaultValue: 'Metric' })
+              : t('vitals.imperial', { defaultValue: 'Imperial' })}
+          </button>
+        ))}
+      </div>
+
+      <p className="text-sm text-gray-900">
+        <span className="font-medium">{t('vitals.bmi', { defaultValue: 'BMI' })}:</span>{' '}
+        {bmi === null
+          ? t('vitals.bmiMissing', { defaultValue: 'Enter weight and height to calculate' })
+          : <>
+              {bmi} kg/m²
+              {bmiCategory && ` (${t(bmiCategory.key, { defaultValue: bmiCategory.defaultLabel })})`}
+            </>}
+      </p>
+
+      {alerts.length > 0 && (
+        <div role="status" className="text-sm text-orange-800">
+          <p className="font-medium">
+            {t(`vitals.bands.${band}`, { defaultValue: band })}: {t('vitals.outOfRange', { defaultValue: 'values outside the expected range' })}
+          </p>
+          <ul className="list-disc list-inside">
+            {alerts.map(alert => {
+              const { label, unit } = describe(alert.name);
+              const range = `${alert.min}–${alert.max}${unit ? ` ${unit}` : ''}`;
+              return (
+                <li key={alert.name}>
+                  {label}:{' '}
+                  {alert.level === 'high'
+                    ? t('vitals.aboveRange', { range, defaultValue: `above ${range}` })
+                    : t('vitals.belowRange', { range, defaultValue: `below ${range}` })}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VitalsSummary;
@@ -0,0 +1,272 @@
+// Form engine - pure helpers that interpret a form schema
+// Used by FormRenderer, App validation and the import/export validators
+
+const isQuantityShape = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && 'unit' in value;
+
+// Also used by views that print stored values (a quantity with no number counts as empty)
+export const isEmptyValue = (value) =>
+  value === undefined ||
+  value === null ||
+  value === false ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0) ||
+  (isQuantityShape(value) && isEmptyValue(value.value));
+
+const isText = (value) => typeof value === 'string';
+
+const isNumeric = (value) =>
+  (typeof value === 'number' && !isNaN(value)) ||
+  (typeof value === 'string' && value.trim() !== '' && !isNaN(value));
+
+const isItemList = (value) =>
+  Array.isArray(value) && value.every(item => item !== null && typeof item === 'object');
+
+const isQuantity = (value, field) =>
+  isQuantityShape(value) &&
+  isNumeric(value.value) &&
+  field.units.some(unit => unit.value === value.unit);
+
+// Field type registry: initial value and accepted stored value shape
+// (initialValue may be a function of the field for values that must not be shared, like arrays)
+export const FIELD_TYPES = {
+  text: { initialValue: '', isValidType: isText },
+  textarea: { initialValue: '', isValidType: isText },
+  email: { initialValue: '', isValidType: isText },
+  tel: { initialValue: '', isValidType: isText },
+  date: { initialValue: '', isValidType: isText },
+  select: { initialValue: '', isValidType: isText },
+  number: { initialValue: '', isValidType: isNumeric },
+  checkbox: { initialValue: false, isValidType: (value) => typeof value === 'boolean' },
+  // Repeatable group of itemFields, stored as an array of objects
+  list: { initialValue: () => [], isValidType: isItemList },
+  // Number with a unit, stored as { value, unit }; starts in the field's first (base) unit
+  quantity: { initialValue: (field) => ({ value: '', unit: field.units[0].value }), isValidType: isQuantity }
+};
+
+// Generic messages used when a field doesn't override them
+const DEFAULT_MESSAGES = {
+  required: { key: 'validation.required', defaultValue: '{{label}} is required' },
+  type: { key: 'validation.type', defaultValue: '{{label}} has an invalid value' },
+  min: { key: 'validation.min', defaultValue: '{{label}} must be at least {{min}}' },
+  max: { key: 'validation.max', defaultValue: '{{label}} must be at most {{max}}' },
+  minLength: { key: 'validation.minLength', defaultValue: '{{label}} must be at least {{minLength}} characters' },
+  maxLength: { key: 'validation.maxLength', defaultValue: '{{label}} must be at most {{maxLength}} characters' },
+  pattern: { key: 'validation.pattern', defaultValue: '{{label}} is not in the expected format' },
+  listItem: { key: 'validation.listItem', defaultValue: '{{item}} {{index}}: {{message}}' }
+};
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+// Flatten all fields across sections
+export function getSchemaFields(schema) {
+  return schema.sections.flatMap(section => section.fields);
+}
+
+// Section scopes: 'patient' fields describe the person, 'encounter' fields a single visit
+export const PATIENT_SCOPE = 'patient';
+export const ENCOUNTER_SCOPE = 'encounter';
+
+// Schema limited to the sections of one scope (sections without a scope are patient-level)
+export function getScopedSchema(schema, scope) {
+  return {
+    ...schema,
+    sections: schema.sections.filter(section => (section.scope || PATIENT_SCOPE) === scope)
+  };
+}
+
+// Build empty values for a list of fields
+function getFieldInitialValues(fields) {
+  return fields.reduce((values, field) => {
+    const type = FIELD_TYPES[field.type] || FIELD_TYPES.text;
+    const initialValue = typeof type.initialValue === 'function'
+      ? type.initialValue(field)
+      : type.initialValue;
+    values[field.name] = field.defaultValue ?? initialValue;
+    return values;
+  }, {});
+}
+
+// Build an empty value object for a new patient
+export function getInitialValues(schema) {
+  return getFieldInitialValues(getSchemaFields(schema));
+}
+
+// Build an empty entry for a list field
+export function getInitialListItem(field) {
+  return getFieldInitialValues(field.itemFields);
+}
+
+// Copy only schema-defined values from a record (missing values fall back to initial values)
+export function pickSchemaValues(schema, source = {}) {
+  const initialValues = getInitialValues(schema);
+  return Object.keys(initialValues).reduce((values, name) => {
+    values[name] = source[name] ?? initialValues[name];
+    return values;
+  }, {});
+}
+
+// Quantity fields list their units as { value, label, system, factor, offset }. The first unit is the
+// base unit that validation rules use; another unit converts to it as (value + offset) * factor.
+const findUnit = (field, unitValue) => field.units.find(unit => unit.value === unitValue);
+
+// A quantity's value in the field's base unit (NaN when empty or in an unknown unit)
+export function toBaseUnit(field, quantity) {
+  const unit = findUnit(field, quantity?.unit);
+  if (!unit || !isNumeric(quantity.value)) return NaN;
+  return (Number(quantity.value) + (unit.offset || 0)) * (unit.factor || 1);
+}
+
+// Convert a quantity to another of the field's units, rounded to field.decimals (default 1)
+export function convertQuantity(field, quantity, unitValue) {
+  const unit = findUnit(field, unitValue);
+  if (!unit) return quantity;
+
+  const baseValue = toBaseUnit(field, quantity);
+  if (isNaN(baseValue)) {
+    return { value: quantity?.value ?? '', unit: unitValue };
+  }
+
+  const scale = 10 ** (field.decimals ?? 1);
+  const converted = baseValue / (unit.factor || 1) - (unit.offset || 0);
+  return { value: String(Math.round(converted * scale) / scale), unit: unitValue };
+}
+
+// Evaluate a field's visibleWhen condition against current values
+export function isFieldVisible(field, values = {}) {
+  const condition = field.visibleWhen;
+  if (!condition) return true;
+
+  const value = values[condition.field];
+
+  if ('equals' in condition) return value === condition.equals;
+  if ('notEquals' in condition) return value !== condition.notEquals;
+  if ('in' in condition) return condition.in.includes(value);
+  if ('filled' in condition) return condition.filled ? !isEmptyValue(value) : isEmptyValue(value);
+
+  return true;
+}
+
+// Check one field's value against its type and validation rules
+// Returns the name of the first failed rule, or null
+function findFailedRule(field, value) {
+  const rules = field.validation || {};
+  const type = FIELD_TYPES[field.type] || FIELD_TYPES.text;
+
+  if (isEmptyValue(value)) {
+    return rules.required ? 'required' : null;
+  }
+
+  if (!type.isValidType(value, field)) return 'type';
+
+  // Quantity limits are in the base unit, whatever unit the value was entered in
+  const number = field.type === 'quantity' ? toBaseUnit(field, value) : Number(value);
+  if (rules.min !== undefined && number < rules.min) return 'min';
+  if (rules.max !== undefined && number > rules.max) return 'max';
+  if (rules.minLength !== undefined && String(value).length < rules.minLength) return 'minLength';
+  if (rules.maxLength !== undefined && String(value).length > rules.maxLength) return 'maxLength';
+  if (rules.pattern && !new RegExp(rules.pattern).test(String(value))) return 'pattern';
+
+  return null;
+}
+
+// Validate values for a list of fields, descending into list items
+function validateFields(fields, values = {}) {
+  const errors = [];
+
+  for (const field of fields) {
+    if (!isFieldVisible(field, values)) continue;
+
+    const value = values[field.name];
+    const rule = findFailedRule(field, value);
+
+    if (rule) {
+      const message = field.messages?.[rule] || DEFAULT_MESSAGES[rule];
+      errors.push({
+        field,
+        rule,
+        messageKey: message.key,
+        defaultMessage: message.defaultValue,
+        params: { ...field.validation }
+      });
+      continue;
+    }
+
+    if (field.type === 'list' && Array.isArray(value)) {
+      value.forEach((item, index) => {
+        validateFields(field.itemFields, item).forEach(itemError => {
+          errors.push({ ...itemError, listField: field, index: index + 1 });
+        });
+      });
+    }
+  }
+
+  return errors;
+}
+
+// Validate form values against the schema
+// Returns an array of { field, rule, messageKey, defaultMessage, params }
+// (errors inside list items also carry listField and a 1-based index)
+export function validateValues(schema, values = {}) {
+  return validateFields(getSchemaFields(schema), values);
+}
+
+// Validate a stored/imported record and report an error code compatible with
+// the import/export UI ('missingName', 'invalidAgeFormat', ...)
+export function validateRecordValues(schema, record = {}) {
+  const [firstError] = validateValues(schema, record);
+
+  if (!firstError) {
+    return { isValid: true };
+  }
+
+  // Problems inside a list entry are reported against the list itself
+  const field = firstError.listField || firstError.field;
+  const fieldName = capitalize(field.name);
+  const error = firstError.rule === 'required' && !firstError.listField
+    ? `missing${fieldName}`
+    : `invalid${fieldName}Format`;
+
+  return { isValid: false, error, field: field.name };
+}
+
+// Turn a validation error into a display message
+export function translateValidationError(error, t) {
+  const label = t(error.field.labelKey, { defaultValue: error.field.defaultLabel });
+  const message = t(error.messageKey, {
+    ...error.params,
+    label,
+    defaultValue: error.defaultMessage
+  });
+
+  if (!error.listField) return message;
+
+  // Prefix list entry errors with the entry they belong to, e.g. "Medication 2: ..."
+  return t(DEFAULT_MESSAGES.listItem.key, {
+    item: t(error.listField.itemLabelKey, { defaultValue: error.listField.defaultItemLabel }),
+    index: error.index,
+    message,
+    defaultValue: DEFAULT_MESSAGES.listItem.defaultValue
+  });
+}
+
+// Display text for a stored value: option label for selects, number and unit for quantities
+export function formatFieldValue(field, value, t) {
+  if (value === undefined || value === null || value === '' || (field.type === 'quantity' && isEmptyValue(value))) {
+    return '—';
+  }
+  if (field.type === 'quantity') {
+    const unit = field.units.find(entry => entry.value === value.unit);
+    return `${value.value} ${unit ? unit.label : value.unit}`;
+  }
+  const option = field.options?.find(opt => opt.value === value);
+  return option ? t(option.labelKey, { defaultValue: option.defaultLabel }) : String(value);
+}
+
+// One-line summary of a list entry, e.g. "Metformin · 500 · mg"
+export function formatListItem(field, item, t) {
+  return field.itemFields
+    .map(itemField => formatFieldValue(itemField, item[itemField.name], t))
+    .filter(text => text !== '—')
+    .join(' · ');
+}
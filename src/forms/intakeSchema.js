@@ -0,0 +1,351 @@
+// Intake form schema - the single source of truth for patient intake fields
+// Clinics add fields here; App, validation and import/export derive from it
+//
+// Field properties:
+//   name          key stored in patientInfo
+//   type          text | number | date | email | tel | textarea | select | checkbox | list | quantity
+//   id            DOM id for the input (defaults to the name)
+//   labelKey      i18n key for the label (defaultLabel used as fallback)
+//   placeholderKey / helpKey   optional i18n keys (with defaultPlaceholder / defaultHelp)
+//   options       for select fields: [{ value, labelKey, defaultLabel }]
+//   validation    { required, min, max, minLength, maxLength, pattern }
+//   messages      per-rule message overrides: { required: { key, defaultValue } }
+//   visibleWhen   { field, equals | notEquals | in | filled } - hidden fields are not validated
+//   units         for quantity fields: [{ value, label, system, factor, offset }], base unit first;
+//                 values are stored as { value, unit } and min/max apply in the base unit
+//   decimals      for quantity fields: rounding after a unit conversion (default 1)
+//
+// Sections are patient-level unless marked scope: 'encounter'. Patient fields are stored once in
+// patientInfo; encounter fields are stored per visit in the record's encounters list.
+//
+// List fields are repeatable groups stored as an array of objects:
+//   itemFields    field definitions for each entry (same properties as above)
+//   itemLabelKey  i18n key naming one entry, e.g. "Medication" (defaultItemLabel)
+//   addLabelKey / emptyKey   i18n keys for the add button and empty state
+const option = (value, labelKey, defaultLabel) => ({ value, labelKey, defaultLabel });
+
+// Vital sign units (values are UCUM codes); the first unit of each field is the base unit
+// used for limits and alerts
+const MMHG = [{ value: 'mm[Hg]', label: 'mmHg' }];
+const PER_MINUTE = [{ value: '/min', label: '/min' }];
+const PERCENT = [{ value: '%', label: '%' }];
+const TEMPERATURE_UNITS = [
+  { value: 'Cel', label: '°C', system: 'metric' },
+  { value: '[degF]', label: '°F', system: 'imperial', factor: 5 / 9, offset: -32 }
+];
+const WEIGHT_UNITS = [
+  { value: 'kg', label: 'kg', system: 'metric' },
+  { value: '[lb_av]', label: 'lb', system: 'imperial', factor: 0.45359237 }
+];
+const HEIGHT_UNITS = [
+  { value: 'cm', label: 'cm', system: 'metric' },
+  { value: '[in_i]', label: 'in', system: 'imperial', factor: 2.54 }
+];
+
+const vital = (name, labelKey, defaultLabel, units, validation, decimals = 0) => ({
+  name,
+  type: 'quantity',
+  labelKey,
+  defaultLabel,
+  units,
+  decimals,
+  validation
+});
+
+export const INTAKE_FORM_SCHEMA = {
+  version: 2,
+  sections: [
+    {
+      id: 'patientInfo',
+      titleKey: 'patientForm',
+      defaultTitle: 'Patient Information',
+      fields: [
+        {
+          name: 'name',
+          type: 'text',
+          id: 'patientName',
+          labelKey: 'nameLabel',
+          defaultLabel: 'Full Name',
+          placeholderKey: 'namePlaceholder',
+          defaultPlaceholder: 'Enter patient full name',
+          helpKey: 'nameHelp',
+          defaultHelp: 'Required field for patient identification',
+          validation: { required: true },
+          messages: {
+            required: { key: 'nameRequired', defaultValue: 'Patient name is required' }
+          }
+        },
+        {
+          name: 'age',
+          type: 'number',
+          id: 'patientAge',
+          labelKey: 'ageLabel',
+          defaultLabel: 'Age',
+          placeholderKey: 'agePlaceholder',
+          defaultPlaceholder: 'Enter age in years',
+          validation: { min: 0, max: 150 },
+          messages: {
+            type: { key: 'ageInvalid', defaultValue: 'Please enter a valid age' },
+            min: { key: 'ageInvalid', defaultValue: 'Please enter a valid age' },
+            max: { key: 'ageInvalid', defaultValue: 'Please enter a valid age' }
+          }
+        },
+        {
+          name: 'gender',
+          type: 'select',
+          id: 'patientGender',
+          labelKey: 'genderLabel',
+          defaultLabel: 'Gender',
+          placeholderKey: 'selectGender',
+          defaultPlaceholder: 'Select gender',
+          options: [
+            { value: 'male', labelKey: 'male', defaultLabel: 'Male' },
+            { value: 'female', labelKey: 'female', defaultLabel: 'Female' },
+            { value: 'other', labelKey: 'other', defaultLabel: 'Other' },
+            { value: 'prefer-not-to-say', labelKey: 'preferNotToSay', defaultLabel: 'Prefer not to say' }
+          ]
+        }
+      ]
+    },
+    {
+      id: 'medications',
+      titleKey: 'medications.title',
+      defaultTitle: 'Current Medications',
+      fields: [
+        {
+          name: 'medications',
+          type: 'list',
+          labelKey: 'medications.title',
+          defaultLabel: 'Current Medications',
+          itemLabelKey: 'medications.item',
+          defaultItemLabel: 'Medication',
+          addLabelKey: 'medications.add',
+          defaultAddLabel: 'Add medication',
+          emptyKey: 'medications.empty',
+          defaultEmpty: 'No current medications recorded',
+          itemFields: [
+            {
+              name: 'name',
+              type: 'text',
+              labelKey: 'medications.name',
+              defaultLabel: 'Medication name',
+              validation: { required: true, maxLength: 200 }
+            },
+            {
+              name: 'dose',
+              type: 'number',
+              labelKey: 'medications.dose',
+              defaultLabel: 'Dose',
+              validation: { min: 0 }
+            },
+            {
+              name: 'unit',
+              type: 'select',
+              labelKey: 'medications.unit',
+              defaultLabel: 'Unit',
+              placeholderKey: 'medications.selectUnit',
+              defaultPlaceholder: 'Select unit',
+              validation: { required: true },
+              visibleWhen: { field: 'dose', filled: true },
+              options: [
+                option('mg', 'medications.units.mg', 'mg'),
+                option('mcg', 'medications.units.mcg', 'mcg'),
+                option('g', 'medications.units.g', 'g'),
+                option('mL', 'medications.units.mL', 'mL'),
+                option('units', 'medications.units.units', 'units'),
+                option('tablet', 'medications.units.tablet', 'tablet(s)'),
+                option('puff', 'medications.units.puff', 'puff(s)'),
+                option('drop', 'medications.units.drop', 'drop(s)')
+              ]
+            },
+            {
+              name: 'route',
+              type: 'select',
+              labelKey: 'medications.route',
+              defaultLabel: 'Route',
+              placeholderKey: 'medications.selectRoute',
+              defaultPlaceholder: 'Select route',
+              options: [
+                option('oral', 'medications.routes.oral', 'Oral'),
+                option('sublingual', 'medications.routes.sublingual', 'Sublingual'),
+                option('topical', 'medications.routes.topical', 'Topical'),
+                option('inhaled', 'medications.routes.inhaled', 'Inhaled'),
+                option('intravenous', 'medications.routes.intravenous', 'Intravenous (IV)'),
+                option('intramuscular', 'medications.routes.intramuscular', 'Intramuscular (IM)'),
+                option('subcutaneous', 'medications.routes.subcutaneous', 'Subcutaneous (SC)'),
+                option('rectal', 'medications.routes.rectal', 'Rectal'),
+                option('other', 'medications.routes.other', 'Other')
+              ]
+            },
+            {
+              name: 'frequency',
+              type: 'select',
+              labelKey: 'medications.frequency',
+              defaultLabel: 'Frequency',
+              placeholderKey: 'medications.selectFrequency',
+              defaultPlaceholder: 'Select frequency',
+              options: [
+                option('once-daily', 'medications.frequencies.onceDaily', 'Once daily'),
+                option('twice-daily', 'medications.frequencies.twiceDaily', 'Twice daily'),
+                option('three-times-daily', 'medications.frequencies.threeTimesDaily', 'Three times daily'),
+                option('four-times-daily', 'medications.frequencies.fourTimesDaily', 'Four times daily'),
+                option('every-4-hours', 'medications.frequencies.every4Hours', 'Every 4 hours'),
+                option('every-6-hours', 'medications.frequencies.every6Hours', 'Every 6 hours'),
+                option('every-8-hours', 'medications.frequencies.every8Hours', 'Every 8 hours'),
+                option('at-bedtime', 'medications.frequencies.atBedtime', 'At bedtime'),
+                option('weekly', 'medications.frequencies.weekly', 'Weekly'),
+                option('as-needed', 'medications.frequencies.asNeeded', 'As needed')
+              ]
+            },
+            {
+              name: 'startDate',
+              type: 'date',
+              labelKey: 'medications.startDate',
+              defaultLabel: 'Start date',
+              validation: { pattern: '^\\d{4}-\\d{2}-\\d{2}$' }
+            },
+            {
+              name: 'prescriber',
+              type: 'text',
+              labelKey: 'medications.prescriber',
+              defaultLabel: 'Prescriber',
+              validation: { maxLength: 200 }
+            }
+          ]
+        }
+      ]
+    },
+    {
+      id: 'allergies',
+      titleKey: 'allergies.title',
+      defaultTitle: 'Allergies',
+      fields: [
+        {
+          name: 'allergies',
+          type: 'list',
+          labelKey: 'allergies.title',
+          defaultLabel: 'Allergies',
+          itemLabelKey: 'allergies.item',
+          defaultItemLabel: 'Allergy',
+          addLabelKey: 'allergies.add',
+          defaultAddLabel: 'Add allergy',
+          emptyKey: 'allergies.empty',
+          defaultEmpty: 'No allergies recorded',
+          itemFields: [
+            {
+              name: 'allergen',
+              type: 'text',
+              labelKey: 'allergies.allergen',
+              defaultLabel: 'Allergen',
+              validation: { required: true, maxLength: 200 }
+            },
+            {
+              name: 'category',
+              type: 'select',
+              labelKey: 'allergies.category',
+              defaultLabel: 'Category',
+              placeholderKey: 'allergies.selectCategory',
+              defaultPlaceholder: 'Select category',
+              validation: { required: true },
+              options: [
+                option('drug', 'allergies.categories.drug', 'Drug'),
+                option('food', 'allergies.categories.food', 'Food'),
+                option('environmental', 'allergies.categories.environmental', 'Environmental')
+              ]
+            },
+            {
+              name: 'reaction',
+              type: 'select',
+              labelKey: 'allergies.reaction',
+              defaultLabel: 'Reaction',
+              placeholderKey: 'allergies.selectReaction',
+              defaultPlaceholder: 'Select reaction',
+              options: [
+                option('rash', 'allergies.reactions.rash', 'Rash'),
+                option('hives', 'allergies.reactions.hives', 'Hives'),
+                option('itching', 'allergies.reactions.itching', 'Itching'),
+                option('swelling', 'allergies.reactions.swelling', 'Swelling'),
+                option('breathing', 'allergies.reactions.breathing', 'Difficulty breathing'),
+                option('gastrointestinal', 'allergies.reactions.gastrointestinal', 'Nausea / vomiting'),
+                option('anaphylaxis', 'allergies.reactions.anaphylaxis', 'Anaphylaxis'),
+                option('other', 'allergies.reactions.other', 'Other')
+              ]
+            },
+            {
+              name: 'severity',
+              type: 'select',
+              labelKey: 'allergies.severity',
+              defaultLabel: 'Severity',
+              placeholderKey: 'allergies.selectSeverity',
+              defaultPlaceholder: 'Select severity',
+              validation: { required: true },
+              options: [
+                option('mild', 'allergies.severities.mild', 'Mild'),
+                option('moderate', 'allergies.severities.moderate', 'Moderate'),
+                option('severe', 'allergies.severities.severe', 'Severe')
+              ]
+            }
+          ]
+        }
+      ]
+    },
+    {
+      id: 'encounter',
+      scope: 'encounter',
+      titleKey: 'encounters.visit',
+      defaultTitle: 'Visit',
+      fields: [
+        {
+          name: 'visitDate',
+          type: 'date',
+          id: 'visitDate',
+          labelKey: 'encounters.date',
+          defaultLabel: 'Visit date',
+          validation: { required: true, pattern: '^\\d{4}-\\d{2}-\\d{2}$' }
+        },
+        {
+          name: 'clinician',
+          type: 'text',
+          id: 'visitClinician',
+          labelKey: 'encounters.clinician',
+          defaultLabel: 'Clinician',
+          validation: { maxLength: 200 }
+        },
+        {
+          name: 'symptoms',
+          type: 'textarea',
+          id: 'patientSymptoms',
+          rows: 4,
+          labelKey: 'symptomsLabel',
+          defaultLabel: 'Symptoms / Chief Complaint',
+          placeholderKey: 'symptomsPlaceholder',
+          defaultPlaceholder: 'Describe current symptoms or reason for visit'
+        }
+      ]
+    },
+    {
+      id: 'vitals',
+      scope: 'encounter',
+      titleKey: 'vitals.title',
+      defaultTitle: 'Vital Signs',
+      fields: [
+        vital('bpSystolic', 'vitals.bpSystolic', 'Blood pressure - systolic', MMHG, { min: 40, max: 300 }),
+        vital('bpDiastolic', 'vitals.bpDiastolic', 'Blood pressure - diastolic', MMHG, { min: 20, max: 200 }),
+        vital('heartRate', 'vitals.heartRate', 'Heart rate', PER_MINUTE, { min: 20, max: 300 }),
+        vital('respiratoryRate', 'vitals.respiratoryRate', 'Respiratory rate', PER_MINUTE, { min: 4, max: 80 }),
+        vital('temperature', 'vitals.temperature', 'Temperature', TEMPERATURE_UNITS, { min: 30, max: 45 }, 1),
+        vital('spo2', 'vitals.spo2', 'Oxygen saturation (SpO2)', PERCENT, { min: 50, max: 100 }),
+        vital('weight', 'vitals.weight', 'Weight', WEIGHT_UNITS, { min: 0.3, max: 500 }, 1),
+        vital('height', 'vitals.height', 'Height', HEIGHT_UNITS, { min: 20, max: 260 }, 1),
+        {
+          name: 'painScore',
+          type: 'number',
+          id: 'painScore',
+          labelKey: 'vitals.painScore',
+          defaultLabel: 'Pain score (0-10)',
+          validation: { min: 0, max: 10 }
+        }
+      ]
+    }
+  ]
+};
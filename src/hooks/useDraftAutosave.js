@@ -0,0 +1,45 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { SecureStorage } from '../services/secureStorage';
+
+export const DRAFT_AUTOSAVE_DELAY_MS = 1000;
+
+// Save formData (for the visit encounterId) as an encrypted draft for patientId once edits pause for delayMs
+// Pass enabled = false when there is nothing unsaved (or storage is locked)
+// Returns flush(): saves a pending draft right away and resolves to whether the edits are in a draft.
+// A pending draft is also saved when the component unmounts (e.g. it crashed while rendering).
+export default function useDraftAutosave(patientId, encounterId, formData, enabled, delayMs = DRAFT_AUTOSAVE_DELAY_MS) {
+  const pendingSaveRef = useRef(null); // Save waiting for the edits to pause
+  const lastSaveRef = useRef(null); // Promise of the latest save, resolving to whether it succeeded
+
+  useEffect(() => {
+    pendingSaveRef.current = null;
+    if (!enabled || !patientId) {
+      lastSaveRef.current = null;
+      return undefined;
+    }
+
+    const save = () => {
+      pendingSaveRef.current = null;
+      lastSaveRef.current = SecureStorage.saveDraft(patientId, formData, encounterId)
+        .then(() => true)
+        .catch(error => {
+          console.error('Draft autosave failed:', error);
+          return false;
+        });
+      return lastSaveRef.current;
+    };
+    pendingSaveRef.current = save;
+
+    const timerId = setTimeout(save, delayMs);
+    return () => clearTimeout(timerId);
+  }, [patientId, encounterId, formData, enabled, delayMs]);
+
+  // Unmounting clears the timer above but leaves the pending save in place to run here
+  useEffect(() => () => {
+    pendingSaveRef.current?.();
+  }, []);
+
+  return useCallback(() => (
+    pendingSaveRef.current ? pendingSaveRef.current() : (lastSaveRef.current || Promise.resolve(false))
+  ), []);
+}
@@ -0,0 +1,28 @@
+import { useEffect, useRef } from 'react';
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel', 'scroll'];
+
+// Call onIdle after timeoutMs without user activity; the timer restarts on every activity event
+// Pass enabled = false to pause (e.g. while logged out or already locked)
+export default function useIdleTimer(onIdle, timeoutMs, enabled = true) {
+  const onIdleRef = useRef(onIdle);
+  onIdleRef.current = onIdle;
+
+  useEffect(() => {
+    if (!enabled || !timeoutMs) return undefined;
+
+    let timerId = setTimeout(() => onIdleRef.current(), timeoutMs);
+
+    const resetTimer = () => {
+      clearTimeout(timerId);
+      timerId = setTimeout(() => onIdleRef.current(), timeoutMs);
+    };
+
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, resetTimer, { passive: true }));
+
+    return () => {
+      clearTimeout(timerId);
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, resetTimer));
+    };
+  }, [enabled, timeoutMs]);
+}
@@ -0,0 +1,56 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { SecureStorage } from '../services/secureStorage';
+import { isOfflineError, syncEngine } from '../services/syncEngine';
+
+// Run the sync engine while enabled (signed in, unlocked and a server is configured)
+// onSynced(result) is called after each successful cycle, e.g. to reload pulled records
+// Returns { status, lastSyncAt, pending, conflicts, unreadable, syncNow }
+// unreadable counts pulled changes the last cycle couldn't apply (see SyncEngine.pull)
+export default function useSync(enabled, onSynced) {
+  const onSyncedRef = useRef(onSynced);
+  onSyncedRef.current = onSynced;
+
+  const [syncState, setSyncState] = useState({
+    status: 'idle', // idle | syncing | synced | offline | error
+    lastSyncAt: null,
+    pending: 0,
+    conflicts: 0,
+    unreadable: 0
+  });
+
+  const handleCycle = useCallback(async (event) => {
+    const summary = await SecureStorage.getSyncSummary().catch(() => ({}));
+    setSyncState(prev => ({
+      ...prev,
+      ...summary,
+      status: event.status,
+      lastSyncAt: event.status === 'synced' ? Date.now() : prev.lastSyncAt,
+      unreadable: event.status === 'synced' ? event.result.unreadable.length : prev.unreadable
+    }));
+
+    if (event.status === 'synced') {
+      onSyncedRef.current?.(event.result);
+    } else {
+      console.warn('Sync cycle failed:', event.error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    syncEngine.start(handleCycle);
+    return () => syncEngine.stop();
+  }, [enabled, handleCycle]);
+
+  // Sync right away (e.g. from a "Sync now" button)
+  const syncNow = useCallback(async () => {
+    setSyncState(prev => ({ ...prev, status: 'syncing' }));
+    try {
+      await handleCycle({ status: 'synced', result: await syncEngine.syncOnce() });
+    } catch (error) {
+      await handleCycle({ status: isOfflineError(error) ? 'offline' : 'error', error });
+    }
+  }, [handleCycle]);
+
+  return { ...syncState, syncNow };
+}
@@ -12,7 +12,7 @@ import LoadingSpinner from './components/LoadingSpinner';
 import './i18n';
 
 // Initialize API client and global services
-import './services/apiClient';
+import { API_BASE_URL } from './services/apiClient';
 import './services/analyticsService';
 
 // ================================
@@ -20,10 +20,11 @@ import './services/analyticsService';
 // ================================
 
 // Validate required environment variables at startup
-const requiredEnvVars = [
+// Development needs none: the API defaults to the local mock (mock-api/server.js)
+const requiredEnvVars = import.meta.env.PROD ? [
   'VITE_API_BASE_URL',
   'VITE_APP_VERSION'
-];
+] : [];
 
 requiredEnvVars.forEach(envVar => {
   if (!import.meta.env[envVar]) {
@@ -165,8 +166,8 @@ if (import.meta.env.DEV) {
   
   // Log environment info
   console.log('🚀 Development Mode');
-  console.log('📱 App Version:', import.meta.env.VITE_APP_VERSION);
-  console.log('🌍 API Base URL:', import.meta.env.VITE_API_BASE_URL);
+  console.log('📱 App Version:', import.meta.env.VITE_APP_VERSION || 'dev');
+  console.log('🌍 API Base URL:', API_BASE_URL);
   console.log('🗣️ Current Language:', localStorage.getItem('i18nextLng') || 'en');
   
   // Performance monitoring in dev
@@ -196,8 +197,8 @@ async function logErrorToService(errorData) {
     if (import.meta.env.VITE_SENTRY_DSN) {
       // Sentry.captureException(errorData);
     } else {
-      // Fallback to custom endpoint
-      await fetch('/api/errors', {
+      // Fallback to the API's error log (POST /errors, also served by the mock API)
+      await fetch(`${API_BASE_URL}/errors`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(errorData)
@@ -1,29 +1,251 @@
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+import { ERROR_CODES } from '../storage';
 
-class ApiClient {
-  constructor() {
-    this.baseURL = API_BASE_URL;
+// Without a configured server, development uses the mock API served by Vite (mock-api/server.js)
+export const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || (import.meta.env.DEV ? '/api' : '');
+
+const DEFAULT_OPTIONS = {
+  timeoutMs: 15 * 1000,
+  retries: 2, // Extra attempts for idempotent requests
+  retryBaseMs: 500,
+  retryMaxMs: 8 * 1000
+};
+
+// Safe to send twice: a retry can't apply the change a second time
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Worth another attempt: timeouts, rate limits and server-side failures
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Error from ApiClient.request. code is one of storage.js ERROR_CODES; status and body are set
+// when the server answered (body is the parsed JSON, or text for other content types)
+export class ApiError extends Error {
+  constructor(code, message, { status = null, body = null, timedOut = false, retryAfter = null, cause = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.body = body;
+    this.timedOut = timedOut;
+    this.retryAfter = retryAfter; // Retry-After header, if the server sent one
+    this.cause = cause;
+    this.timestamp = new Date().toISOString();
+  }
+
+  // No response at all (offline, DNS failure, timeout) as opposed to an error status
+  get isNetworkFailure() {
+    return this.code === ERROR_CODES.NETWORK_ERROR && this.status === null;
+  }
+}
+
+const codeForStatus = (status) => {
+  if (status === 401 || status === 403) return ERROR_CODES.PERMISSION_DENIED;
+  if (status === 400 || status === 409 || status === 413 || status === 422) return ERROR_CODES.VALIDATION_ERROR;
+  if (status === 507) return ERROR_CODES.STORAGE_QUOTA_EXCEEDED;
+  if (RETRYABLE_STATUSES.includes(status)) return ERROR_CODES.NETWORK_ERROR;
+  return ERROR_CODES.UNKNOWN_ERROR;
+};
+
+// Backoff with full jitter, so clients that failed together don't retry together
+export function getRetryDelay(attempt, { retryBaseMs, retryMaxMs }, random = Math.random) {
+  return Math.round(random() * Math.min(retryMaxMs, retryBaseMs * 2 ** attempt));
+}
+
+// Retry-After in seconds or as an HTTP date; null when absent or unparseable
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// JSON when the server says so, text otherwise, null for empty bodies
+const readBody = async (response) => {
+  const text = await response.text();
+  if (!text) return null;
+
+  const contentType = response.headers.get('Content-Type') || '';
+  if (!contentType.includes('json')) return text;
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new ApiError(ERROR_CODES.DATA_CORRUPTION, 'Invalid JSON in response', {
+      status: response.status,
+      body: text,
+      cause: error
+    });
+  }
+};
+
+export class ApiClient {
+  constructor(baseURL = API_BASE_URL, options = {}) {
+    this.baseURL = baseURL;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.tokenProvider = null;
+    this.refreshing = null; // Promise of the token refresh in progress
+    this.interceptors = { request: [], response: [] };
+  }
+
+  // provider: { getAccessToken(), refreshAccessToken() } - both may be async and return a token or null
+  // refreshAccessToken is called once when the server answers 401, then the request is retried
+  setTokenProvider(provider) {
+    this.tokenProvider = provider;
+  }
+
+  // interceptor(request) runs before each attempt and returns the request to send:
+  // { url, method, headers, body, attempt }. Returns a function that removes it.
+  addRequestInterceptor(interceptor) {
+    return this.addInterceptor('request', interceptor);
+  }
+
+  // interceptor(result) runs after each attempt with { request, status, data, error, durationMs }
+  // and may return a changed result. Returns a function that removes it.
+  addResponseInterceptor(interceptor) {
+    return this.addInterceptor('response', interceptor);
+  }
+
+  addInterceptor(type, interceptor) {
+    this.interceptors[type].push(interceptor);
+    return () => {
+      this.interceptors[type] = this.interceptors[type].filter(entry => entry !== interceptor);
+    };
   }
 
+  // options: fetch options plus { timeoutMs, retries, idempotent } overrides for this request
+  // Resolves with the response body; rejects with ApiError
   async request(endpoint, options = {}) {
-    const url = `${this.baseURL}${endpoint}`;
-    const config = {
+    const { timeoutMs, retries, idempotent, ...fetchOptions } = options;
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const maxRetries = (idempotent ?? IDEMPOTENT_METHODS.includes(method))
+      ? retries ?? this.options.retries
+      : 0;
+
+    let refreshed = false;
+    let attempt = 0;
+
+    try {
+      for (;;) {
+        try {
+          return await this.send(endpoint, method, fetchOptions, timeoutMs ?? this.options.timeoutMs, attempt);
+        } catch (error) {
+          // Expired token: refresh once and repeat the request (doesn't count as a retry)
+          if (error.status === 401 && !refreshed && this.tokenProvider?.refreshAccessToken) {
+            refreshed = true;
+            if (await this.refreshToken()) continue;
+          }
+          if (attempt >= maxRetries || !this.isRetryable(error)) throw error;
+
+          const retryAfter = parseRetryAfter(error.retryAfter);
+          await wait(Math.min(retryAfter ?? getRetryDelay(attempt, this.options), this.options.retryMaxMs));
+          attempt += 1;
+        }
+      }
+    } catch (error) {
+      console.error('API Error:', error);
+      throw error;
+    }
+  }
+
+  isRetryable(error) {
+    if (!(error instanceof ApiError)) return false;
+    return error.isNetworkFailure || RETRYABLE_STATUSES.includes(error.status);
+  }
+
+  // Concurrent 401s share one refresh
+  async refreshToken() {
+    if (!this.refreshing) {
+      this.refreshing = Promise.resolve()
+        .then(() => this.tokenProvider.refreshAccessToken())
+        .catch(error => {
+          console.error('Token refresh failed:', error);
+          return null;
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+    return this.refreshing;
+  }
+
+  // One attempt, with the timeout and interceptors applied
+  async send(endpoint, method, fetchOptions, timeoutMs, attempt) {
+    const token = await this.tokenProvider?.getAccessToken?.();
+    let request = {
+      ...fetchOptions,
+      url: `${this.baseURL}${endpoint}`,
+      method,
       headers: {
         'Content-Type': 'application/json',
-        ...options.headers,
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...fetchOptions.headers
       },
-      ...options,
+      attempt
     };
+    for (const interceptor of this.interceptors.request) {
+      request = (await interceptor(request)) || request;
+    }
 
+    // Abort on timeout, or when the caller's own signal aborts
+    const controller = new AbortController();
+    const timerId = setTimeout(() => controller.abort(), timeoutMs);
+    const abortFromCaller = () => controller.abort();
+    fetchOptions.signal?.addEventListener('abort', abortFromCaller);
+    if (fetchOptions.signal?.aborted) controller.abort();
+
+    const startedAt = Date.now();
+    let result;
     try {
-      const response = await fetch(url, config);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
+      const init = { ...request, signal: controller.signal };
+      delete init.url;
+      delete init.attempt;
+      const response = await fetch(request.url, init);
+      const data = await readBody(response);
+
+      if (response.ok) {
+        result = { request, status: response.status, data, error: null };
+      } else {
+        const error = new ApiError(codeForStatus(response.status), `HTTP ${response.status}`, {
+          status: response.status,
+          body: data,
+          retryAfter: response.headers.get('Retry-After')
+        });
+        result = { request, status: response.status, data: null, error };
+      }
     } catch (error) {
-      console.error('API Error:', error);
-      throw error;
+      const apiError = this.toApiError(error, controller, fetchOptions.signal, timeoutMs);
+      result = { request, status: apiError.status ?? null, data: null, error: apiError };
+    } finally {
+      clearTimeout(timerId);
+      fetchOptions.signal?.removeEventListener('abort', abortFromCaller);
     }
+    result.durationMs = Date.now() - startedAt;
+
+    for (const interceptor of this.interceptors.response) {
+      result = (await interceptor(result)) || result;
+    }
+    if (result.error) throw result.error;
+    return result.data;
+  }
+
+  toApiError(error, controller, callerSignal, timeoutMs) {
+    if (error instanceof ApiError) return error;
+    // Cancelled by the caller: pass the AbortError through untouched
+    if (callerSignal?.aborted) return error;
+    if (controller.signal.aborted) {
+      return new ApiError(ERROR_CODES.NETWORK_ERROR, `Request timed out after ${timeoutMs}ms`, { timedOut: true, cause: error });
+    }
+    // fetch rejects with a TypeError when the network or server is unreachable
+    return new ApiError(ERROR_CODES.NETWORK_ERROR, `Network request failed: ${error.message}`, { cause: error });
   }
 }
 
-export const apiClient = new ApiClient();
\ No newline at end of file
+export const apiClient = new ApiClient();
+
+if (import.meta.env.DEV) {
+  apiClient.addResponseInterceptor(({ request, status, error, durationMs }) => {
+    console.debug(`[api] ${request.method} ${request.url} -> ${status ?? error?.code} (${durationMs}ms)`);
+  });
+}
@@ -0,0 +1,131 @@
+// Hash chain over audit log entries
+// Each entry stores the hash of the previous one (prevHash) and its own hash over its content,
+// so editing, removing or reordering entries breaks the chain. seq numbers make gaps visible,
+// and the chain head (last seq + hash) is kept separately to catch entries cut off the end.
+//
+// While storage is unlocked the hash is an HMAC under a key derived from the data key (keyed: true),
+// so the chain can't be recomputed by someone who can only edit IndexedDB. Entries written while
+// locked get a plain SHA-256 that anyone can recompute, so only the actions that happen while locked
+// (LOCKED_ACTIONS) may be unkeyed, and every unkeyed entry is reported as unauthenticated.
+// The head is stored beside the entries, so dropping the newest entries along with it goes unnoticed.
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+// HKDF info separating the audit key from any other use of the data key
+const AUDIT_KEY_INFO = 'audit-chain-hmac-v1';
+
+// Actions written before storage is unlocked (or as it locks): the only ones that may be unkeyed
+export const LOCKED_ACTIONS = ['LOGIN_FAILED', 'LOGIN_LOCKOUT', 'LOGOUT'];
+
+// Fields covered by an entry's hash
+const HASHED_FIELDS = ['seq', 'action', 'timestamp', 'patientId', 'user', 'details', 'prevHash', 'keyed'];
+
+// JSON with object keys sorted, so equal content always hashes the same
+export function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// HMAC-SHA-256 key for the chain, derived from the (extractable) data key with HKDF
+export async function deriveAuditKey(dataKey) {
+  const rawKey = await crypto.subtle.exportKey('raw', dataKey);
+  const baseKey = await crypto.subtle.importKey('raw', rawKey, 'HKDF', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: new Uint8Array(0),
+      info: new TextEncoder().encode(AUDIT_KEY_INFO)
+    },
+    baseKey,
+    { name: 'HMAC', hash: 'SHA-256', length: 256 },
+    false,
+    ['sign']
+  );
+}
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+// Hex HMAC of an entry's hashed fields under the audit key, or their SHA-256 without one
+export async function hashAuditEntry(entry, auditKey = null) {
+  const content = new TextEncoder().encode(canonicalJson(HASHED_FIELDS.map(field => entry[field])));
+  return toHex(auditKey
+    ? await crypto.subtle.sign('HMAC', auditKey, content)
+    : await crypto.subtle.digest('SHA-256', content));
+}
+
+// Link a new entry to the chain head ({ seq, hash } or null for an empty log)
+// Pass the audit key whenever storage is unlocked
+export async function chainAuditEntry(entry, head, auditKey = null) {
+  const chained = {
+    ...entry,
+    seq: (head?.seq || 0) + 1,
+    prevHash: head?.hash || GENESIS_HASH,
+    keyed: !!auditKey
+  };
+  return { ...chained, hash: await hashAuditEntry(chained, auditKey) };
+}
+
+// Whether an entry's hash matches its content: the SHA-256, or for keyed entries the HMAC under one of
+// the audit keys (entries keyed before a clinic key change use the earlier key)
+async function hashMatches(entry, auditKeys) {
+  if (!entry.keyed) {
+    return await hashAuditEntry(entry) === entry.hash;
+  }
+  for (const auditKey of auditKeys) {
+    if (await hashAuditEntry(entry, auditKey) === entry.hash) return true;
+  }
+  return false;
+}
+
+// Check entries (any order) against each other and the stored head; keyed entries need the audit keys
+// Returns { valid, entryCount, unauthenticatedCount, issues: [{ seq, problem }] } where problem is one of
+// 'gap' (missing seq numbers), 'edited' (content doesn't match its hash),
+// 'broken-link' (prevHash doesn't match the previous entry), 'unkeyed' (an action outside
+// LOCKED_ACTIONS without the HMAC) or 'truncated' (head not found).
+// unauthenticatedCount is the number of unkeyed entries: they are consistent with the chain,
+// but nothing proves a key holder wrote them.
+export async function verifyAuditChain(entries, head, auditKeys = []) {
+  const sorted = [...entries].sort((a, b) => a.seq - b.seq);
+  const issues = [];
+  let expectedSeq = 1;
+  let prevHash = GENESIS_HASH;
+
+  for (const entry of sorted) {
+    if (entry.seq !== expectedSeq) {
+      issues.push({ seq: entry.seq, problem: 'gap', expectedSeq });
+    } else if (entry.prevHash !== prevHash) {
+      issues.push({ seq: entry.seq, problem: 'broken-link' });
+    }
+
+    if (!(await hashMatches(entry, auditKeys))) {
+      issues.push({ seq: entry.seq, problem: 'edited' });
+    } else if (!entry.keyed && !LOCKED_ACTIONS.includes(entry.action)) {
+      issues.push({ seq: entry.seq, problem: 'unkeyed' });
+    }
+
+    expectedSeq = entry.seq + 1;
+    prevHash = entry.hash;
+  }
+
+  const last = sorted[sorted.length - 1];
+  const headMatches = head
+    ? last?.seq === head.seq && last?.hash === head.hash
+    : sorted.length === 0;
+  if (!headMatches) {
+    issues.push({ seq: head?.seq ?? null, problem: 'truncated' });
+  }
+
+  const unauthenticatedCount = sorted.filter(entry => !entry.keyed).length;
+
+  return { valid: issues.length === 0, entryCount: sorted.length, unauthenticatedCount, issues };
+}
@@ -0,0 +1,68 @@
+// Filtering and CSV export for the audit log viewer
+// Works on entries as returned by SecureStorage.getAuditLogs (newest first)
+
+export const AUDIT_CSV_COLUMNS = ['seq', 'timestamp', 'action', 'user', 'patientId', 'details', 'hash'];
+
+/**
+ * Filter audit entries
+ * @param {Array} entries - Audit log entries
+ * @param {Object} filters - { action, user, patientId, dateFrom, dateTo } (empty values are ignored)
+ * @returns {Array} Matching entries, in the original order
+ */
+export function filterAuditLogs(entries, filters = {}) {
+  const patientQuery = (filters.patientId || '').trim().toLowerCase();
+
+  // Date inputs give YYYY-MM-DD; include the whole end day
+  const from = filters.dateFrom ? new Date(`${filters.dateFrom}T00:00:00`).getTime() : null;
+  const to = filters.dateTo ? new Date(`${filters.dateTo}T23:59:59.999`).getTime() : null;
+
+  return entries.filter(entry => {
+    if (filters.action && entry.action !== filters.action) return false;
+    if (filters.user && entry.user !== filters.user) return false;
+    if (patientQuery && !(entry.patientId || '').toLowerCase().includes(patientQuery)) return false;
+    if (from !== null && entry.timestamp < from) return false;
+    if (to !== null && entry.timestamp > to) return false;
+    return true;
+  });
+}
+
+/**
+ * Distinct values for the action and user filter dropdowns
+ * @param {Array} entries - Audit log entries
+ * @returns {Object} { actions, users } sorted alphabetically
+ */
+export function getAuditFilterOptions(entries) {
+  const distinct = (values) => [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+  return {
+    actions: distinct(entries.map(entry => entry.action)),
+    users: distinct(entries.map(entry => entry.user))
+  };
+}
+
+// Quote a CSV cell; cells that spreadsheets would run as formulas get a leading apostrophe
+const csvCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize audit entries as CSV (header row + one row per entry)
+ * @param {Array} entries - Audit log entries
+ * @returns {string} CSV text
+ */
+export function auditLogsToCsv(entries) {
+  const rows = entries.map(entry => [
+    entry.seq,
+    new Date(entry.timestamp).toISOString(),
+    entry.action,
+    entry.user,
+    entry.patientId,
+    entry.details ? JSON.stringify(entry.details) : '',
+    entry.hash
+  ].map(csvCell).join(','));
+
+  return [AUDIT_CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
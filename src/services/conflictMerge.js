@@ -0,0 +1,86 @@
+// Field-level merge of a patient record edited on two devices (see SecureStorage.loadSyncConflict)
+// Differences come from the revision diff, so fields and visits line up the same way as in the history
+import { v4 as uuidv4 } from 'uuid';
+import { diffPatientRecord } from './revisionDiff';
+
+export const MERGE_CHOICES = {
+  LOCAL: 'local',
+  REMOTE: 'remote',
+  BOTH: 'both'
+};
+
+// Only list fields (medications, allergies, visits) can keep both sides: their entries are combined
+const canKeepBoth = (field) => field.type === 'list';
+
+// All local entries, plus the remote entries that aren't on this device
+// An entry edited on both devices is kept twice; the remote copy gets a new id
+const mergeListItems = (entry) => [
+  ...(entry.local || []),
+  ...entry.items
+    .filter(item => item.status !== 'added')
+    .map(item => (item.status === 'changed' && item.before.id ? { ...item.before, id: uuidv4() } : item.before))
+];
+
+/**
+ * Fields whose local and remote values differ
+ * @param {Object} schema - Form schema (e.g. INTAKE_FORM_SCHEMA)
+ * @param {Object} local - Record on this device
+ * @param {Object} remote - Record from the server
+ * @returns {Array} { field, local, remote, items?, canKeepBoth, defaultChoice } - visits are one list
+ *   field named 'encounters'; items are the diff entries (before = remote, after = local)
+ */
+export function getConflictFields(schema, local, remote) {
+  return diffPatientRecord(schema, remote, local)
+    .filter(entry => entry.changed)
+    .map(entry => ({
+      field: entry.field,
+      local: entry.after,
+      remote: entry.before,
+      items: entry.items,
+      canKeepBoth: canKeepBoth(entry.field),
+      // Lists default to keeping both so entries added on either device aren't dropped
+      defaultChoice: canKeepBoth(entry.field) ? MERGE_CHOICES.BOTH : MERGE_CHOICES.LOCAL
+    }));
+}
+
+/**
+ * Build the resolved record from the chosen value of each conflicting field
+ * @param {Object} schema - Form schema
+ * @param {Object} local - Record on this device
+ * @param {Object} remote - Record from the server
+ * @param {Object} choices - Field name -> MERGE_CHOICES value; missing fields use their defaultChoice
+ * @param {Object} options - { user, now }
+ * @returns {Object} Patient record to save
+ */
+export function mergeConflictedRecords(schema, local, remote, choices = {}, { user = null, now = new Date().toISOString() } = {}) {
+  const patientInfo = { ...local.patientInfo };
+  let encounters = local.encounters || [];
+
+  getConflictFields(schema, local, remote).forEach(entry => {
+    const choice = choices[entry.field.name] || entry.defaultChoice;
+    let value = entry.local;
+    if (choice === MERGE_CHOICES.REMOTE) {
+      value = entry.remote;
+    } else if (choice === MERGE_CHOICES.BOTH && entry.canKeepBoth) {
+      value = mergeListItems(entry);
+    }
+
+    if (entry.field.name === 'encounters') {
+      encounters = value || [];
+    } else {
+      patientInfo[entry.field.name] = value;
+    }
+  });
+
+  return {
+    ...local,
+    createdAt: [local.createdAt, remote.createdAt].filter(Boolean).sort()[0] || now,
+    updatedAt: now,
+    patientInfo,
+    encounters,
+    metadata: {
+      ...local.metadata,
+      lastModifiedBy: user
+    }
+  };
+}
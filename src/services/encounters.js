@@ -0,0 +1,148 @@
+// Patient/encounter model
+// A patient record keeps demographics and standing lists (medications, allergies) in patientInfo,
+// and one entry per visit in encounters: { id, createdAt, updatedAt, createdBy, ...encounter values }.
+// Which fields belong where comes from the section scopes in the form schema.
+import {
+  getInitialValues,
+  getSchemaFields,
+  getScopedSchema,
+  pickSchemaValues,
+  PATIENT_SCOPE,
+  ENCOUNTER_SCOPE
+} from '../forms/formEngine';
+
+// Id given to the visit recovered from a record saved before encounters existed
+export const LEGACY_ENCOUNTER_ID = 'initial';
+
+const isFilled = (value) =>
+  value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+
+const today = (now) => {
+  const date = new Date(now);
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+};
+
+/**
+ * Split flat form values into patient-level and encounter-level values
+ * @param {Object} schema - Form schema (e.g. INTAKE_FORM_SCHEMA)
+ * @param {Object} values - Form values for the patient and the visit being edited
+ * @returns {Object} { patientInfo, encounterValues }
+ */
+export function splitFormValues(schema, values = {}) {
+  return {
+    patientInfo: pickSchemaValues(getScopedSchema(schema, PATIENT_SCOPE), values),
+    encounterValues: pickSchemaValues(getScopedSchema(schema, ENCOUNTER_SCOPE), values)
+  };
+}
+
+/**
+ * Empty values for a new visit, dated today
+ * @param {Object} schema - Form schema
+ * @param {Object} options - { clinician, now }
+ * @returns {Object} Encounter field values
+ */
+export function getNewEncounterValues(schema, { clinician = '', now = Date.now() } = {}) {
+  return {
+    ...getInitialValues(getScopedSchema(schema, ENCOUNTER_SCOPE)),
+    visitDate: today(now),
+    clinician
+  };
+}
+
+/**
+ * The visit list described as a list field, so list helpers (e.g. revision diffs) can show encounters
+ * @param {Object} schema - Form schema
+ * @returns {Object} List field named 'encounters' whose itemFields are the encounter fields
+ */
+export function getEncounterListField(schema) {
+  return {
+    name: 'encounters',
+    type: 'list',
+    labelKey: 'encounters.title',
+    defaultLabel: 'Visits',
+    itemLabelKey: 'encounters.visit',
+    defaultItemLabel: 'Visit',
+    itemFields: getSchemaFields(getScopedSchema(schema, ENCOUNTER_SCOPE))
+  };
+}
+
+/**
+ * Encounters newest first (by visit date, then creation time)
+ * @param {Array} encounters - Encounter entries
+ * @returns {Array} Sorted copy
+ */
+export function sortEncounters(encounters = []) {
+  return [...encounters].sort((a, b) =>
+    (b.visitDate || '').localeCompare(a.visitDate || '') ||
+    (b.createdAt || '').localeCompare(a.createdAt || '')
+  );
+}
+
+/**
+ * Add a visit or update an existing one
+ * @param {Array} encounters - Current encounter entries
+ * @param {string} encounterId - Id of the visit being saved
+ * @param {Object} encounterValues - Encounter field values
+ * @param {Object} options - { user, now }
+ * @returns {Array} New encounter list
+ */
+export function upsertEncounter(encounters = [], encounterId, encounterValues, { user = null, now = new Date().toISOString() } = {}) {
+  const existing = encounters.find(encounter => encounter.id === encounterId);
+  const encounter = {
+    ...encounterValues,
+    id: encounterId,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    createdBy: existing ? existing.createdBy : user
+  };
+
+  return existing
+    ? encounters.map(entry => (entry.id === encounterId ? encounter : entry))
+    : [...encounters, encounter];
+}
+
+/**
+ * Bring a stored record into the patient/encounter shape
+ * Records saved before encounters existed keep visit fields (e.g. symptoms) in patientInfo;
+ * those move into a single encounter dated when the record was created.
+ * @param {Object} schema - Form schema
+ * @param {Object} record - Decrypted patient record
+ * @returns {Object} Record with patientInfo and an encounters array
+ */
+export function normalizePatientRecord(schema, record) {
+  if (!record || Array.isArray(record.encounters)) return record;
+
+  const encounterSchema = getScopedSchema(schema, ENCOUNTER_SCOPE);
+  const encounterFields = Object.keys(getInitialValues(encounterSchema));
+  const patientInfo = { ...record.patientInfo };
+  const legacyValues = {};
+
+  for (const name of encounterFields) {
+    if (name in patientInfo) {
+      legacyValues[name] = patientInfo[name];
+      delete patientInfo[name];
+    }
+  }
+
+  if (!Object.values(legacyValues).some(isFilled)) {
+    return { ...record, patientInfo, encounters: [] };
+  }
+
+  const createdAt = record.createdAt || record.updatedAt || new Date().toISOString();
+  const encounter = {
+    ...pickSchemaValues(encounterSchema, legacyValues),
+    id: LEGACY_ENCOUNTER_ID,
+    createdAt,
+    updatedAt: record.updatedAt || createdAt,
+    createdBy: record.metadata?.lastModifiedBy || null
+  };
+  if (!encounter.visitDate) {
+    encounter.visitDate = today(createdAt);
+  }
+
+  return { ...record, patientInfo, encounters: [encounter] };
+}
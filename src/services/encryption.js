@@ -1,18 +1,54 @@
 // Simple Web Crypto API encryption (no external dependencies)
+
+// PBKDF2 parameters shared by every key derivation
+// Raising the iteration count is safe: envelopes and wrapped keys record the count they used
+export const PBKDF2_ITERATIONS = 600000;
+export const PBKDF2_HASH = 'SHA-256';
+export const LEGACY_PBKDF2_ITERATIONS = 100000; // Used before iteration counts were recorded
+
+// Ciphertext envelope: { version, cipher, kdf, iterations, saltId, iv, data }
+// kdf says where the key came from: KDF_DATA_KEY for the unwrapped database key (its PBKDF2
+// settings live on the keyring entry), KDF_PBKDF2 for a key derived directly from a PIN with
+// the salt named by saltId. Version 1 envelopes (before this header existed) are a bare { iv, data }.
+export const ENVELOPE_VERSION = 2;
+export const CIPHER = 'AES-GCM-256';
+export const KDF_PBKDF2 = 'PBKDF2-SHA256';
+export const KDF_DATA_KEY = 'data-key';
+
+// PIN-derived envelopes name the salt their key was derived with (saltId); records are now
+// encrypted with the wrapped data key, so only envelopes written before that need a salt.
+// Envelopes without a saltId used the old localStorage device salt (LEGACY_SALT_ID)
+export const LEGACY_SALT_ID = 'device';
+
+// Read an envelope's header, filling in what version 1 envelopes implied
+export function getEnvelopeHeader(envelope) {
+  if (!envelope.version) {
+    return { version: 1, cipher: CIPHER, kdf: null, iterations: null, saltId: null };
+  }
+  const { version, cipher, kdf, iterations = null, saltId = null } = envelope;
+  return { version, cipher, kdf, iterations, saltId };
+}
+
+// Whether an envelope was written with older settings than we'd use today
+// target: { kdf, iterations } the caller expects (omit to check only version and cipher)
+export function isEnvelopeOutdated(envelope, target = {}) {
+  const header = getEnvelopeHeader(envelope);
+  return header.version < ENVELOPE_VERSION
+    || header.cipher !== CIPHER
+    || (target.kdf !== undefined && header.kdf !== target.kdf)
+    || (target.iterations !== undefined && (header.iterations || 0) < target.iterations);
+}
+
 // Generate a CryptoKey from user PIN using built-in PBKDF2
-export async function generateKey(pin, customSalt = null) {
+export async function generateKey(pin, salt, iterations = PBKDF2_ITERATIONS) {
   try {
+    if (!salt) {
+      throw new Error('a salt is required');
+    }
+    
     const encoder = new TextEncoder();
     const pinBytes = encoder.encode(pin);
     
-    // Use device-specific salt
-    let salt;
-    if (customSalt) {
-      salt = customSalt;
-    } else {
-      salt = await getDeviceSalt();
-    }
-    
     // Import PIN as key material
     const keyMaterial = await crypto.subtle.importKey(
       'raw',
@@ -27,8 +63,8 @@ export async function generateKey(pin, customSalt = null) {
       {
         name: 'PBKDF2',
         salt: salt,
-        iterations: 100000, // Strong iteration count
-        hash: 'SHA-256'
+        iterations: iterations,
+        hash: PBKDF2_HASH
       },
       keyMaterial,
       { name: 'AES-GCM', length: 256 },
@@ -42,10 +78,32 @@ export async function generateKey(pin, customSalt = null) {
   }
 }
 
-// Encrypt data using AES-GCM
-export async function encrypt(data, pin) {
+// Key for a PIN and salt, derived once per batch when the caller passes a key cache (see keyManager.js)
+function getPinKey(pin, saltId, salt, iterations, keyCache) {
+  const derive = () => generateKey(pin, salt, iterations);
+  return keyCache ? keyCache.get({ saltId, iterations }, derive) : derive();
+}
+
+// Decrypt data using AES-GCM, deriving the key with the salt and iteration count the envelope records
+// salts: { [saltId]: bytes } of every salt the envelope might name
+// keyCache (optional, from createKeyCache) reuses keys across envelopes decrypted with the same pin
+export async function decrypt(encryptedObj, pin, salts, keyCache = null) {
+  const { iterations, saltId = null } = getEnvelopeHeader(encryptedObj);
+  const id = saltId || LEGACY_SALT_ID;
+  
+  if (!salts[id]) {
+    throw new Error(`Decryption failed: unknown salt ${id}`);
+  }
+  
+  const key = await getPinKey(pin, id, salts[id], iterations || LEGACY_PBKDF2_ITERATIONS, keyCache);
+  return decryptWithKey(encryptedObj, key);
+}
+
+// Encrypt data with an already-derived AES-GCM key into a versioned envelope
+// additionalData (optional) is authenticated but not encrypted
+// keyInfo describes the key for the envelope header (defaults to the database data key)
+export async function encryptWithKey(data, key, additionalData = null, keyInfo = { kdf: KDF_DATA_KEY }) {
   try {
-    const key = await generateKey(pin);
     const encoder = new TextEncoder();
     const dataBytes = encoder.encode(data);
     
@@ -53,13 +111,18 @@ export async function encrypt(data, pin) {
     const iv = crypto.getRandomValues(new Uint8Array(12));
     
     const encrypted = await crypto.subtle.encrypt(
-      { name: 'AES-GCM', iv: iv },
+      aesGcmParams(iv, additionalData),
       key,
       dataBytes
     );
     
-    // Return IV + encrypted data as single object
+    // Return header + IV + encrypted data as single object
     return {
+      version: ENVELOPE_VERSION,
+      cipher: CIPHER,
+      kdf: keyInfo.kdf,
+      iterations: keyInfo.iterations ?? null,
+      saltId: keyInfo.saltId ?? null,
       iv: Array.from(iv), // Convert to array for JSON storage
       data: Array.from(new Uint8Array(encrypted))
     };
@@ -68,15 +131,22 @@ export async function encrypt(data, pin) {
   }
 }
 
-// Decrypt data using AES-GCM
-export async function decrypt(encryptedObj, pin) {
+// Decrypt data with an already-derived AES-GCM key
+export async function decryptWithKey(encryptedObj, key, additionalData = null) {
   try {
-    const key = await generateKey(pin);
+    const header = getEnvelopeHeader(encryptedObj);
+    if (header.version > ENVELOPE_VERSION) {
+      throw new Error(`unsupported envelope version ${header.version}`);
+    }
+    if (header.cipher !== CIPHER) {
+      throw new Error(`unsupported cipher ${header.cipher}`);
+    }
+    
     const iv = new Uint8Array(encryptedObj.iv);
     const encryptedData = new Uint8Array(encryptedObj.data);
     
     const decrypted = await crypto.subtle.decrypt(
-      { name: 'AES-GCM', iv: iv },
+      aesGcmParams(iv, additionalData),
       key,
       encryptedData
     );
@@ -88,37 +158,20 @@ export async function decrypt(encryptedObj, pin) {
   }
 }
 
-// Quick test function for development
-export async function testEncryption() {
-  try {
-    const testData = "Hello World - Patient Data Test";
-    const testPin = "1234";
-    
-    console.log("Original:", testData);
-    
-    const encrypted = await encrypt(testData, testPin);
-    console.log("Encrypted:", encrypted);
-    
-    const decrypted = await decrypt(encrypted, testPin);
-    console.log("Decrypted:", decrypted);
-    
-    return testData === decrypted;
-  } catch (error) {
-    console.error("Test failed:", error);
-    return false;
+// Build AES-GCM parameters, binding optional additional data
+function aesGcmParams(iv, additionalData) {
+  const params = { name: 'AES-GCM', iv: iv };
+  if (additionalData) {
+    params.additionalData = typeof additionalData === 'string'
+      ? new TextEncoder().encode(additionalData)
+      : additionalData;
   }
+  return params;
 }
 
-// Helper function for persistent device salt
-async function getDeviceSalt() {
+// The salt older versions derived from the user agent and kept in localStorage, if still there
+// Only needed to read envelopes written before the per-database salt (see LEGACY_SALT_ID)
+export function readLegacyDeviceSalt() {
   const stored = localStorage.getItem('device_salt');
-  if (stored) {
-    return new Uint8Array(JSON.parse(stored));
-  }
-  
-  // Generate once and store permanently
-  const deviceInfo = navigator.userAgent + navigator.language + Date.now();
-  const salt = new TextEncoder().encode(deviceInfo.slice(0, 16));
-  localStorage.setItem('device_salt', JSON.stringify(Array.from(salt)));
-  return salt;
-}
\ No newline at end of file
+  return stored ? new Uint8Array(JSON.parse(stored)) : null;
+}
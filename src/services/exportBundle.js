@@ -0,0 +1,120 @@
+// Password-protected export bundles
+// Wraps an export payload in AES-GCM under a key derived from a separate export passphrase
+import { generateKey, encryptWithKey, decryptWithKey, PBKDF2_ITERATIONS, PBKDF2_HASH } from './encryption.js';
+
+export const BUNDLE_FORMAT = 'intake-encrypted-export';
+export const BUNDLE_VERSION = 1;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const SALT_BYTES = 16;
+const TAG_BYTES = 16; // AES-GCM authentication tag length
+
+// Check whether parsed file content is an encrypted bundle
+export function isEncryptedBundle(parsed) {
+  return !!parsed
+    && typeof parsed === 'object'
+    && parsed.header?.format === BUNDLE_FORMAT;
+}
+
+// Encrypt export data into a self-describing bundle
+export async function createEncryptedBundle(exportData, passphrase, options = {}) {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Export passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  const iterations = options.iterations || PBKDF2_ITERATIONS;
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+
+  const header = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    schemaVersion: exportData.metadata?.schemaVersion || '1.0',
+    createdAt: new Date().toISOString(),
+    recordCount: Array.isArray(exportData.patients) ? exportData.patients.length : 0,
+    kdf: {
+      name: 'PBKDF2',
+      hash: PBKDF2_HASH,
+      iterations,
+      salt: toBase64(salt)
+    },
+    cipher: {
+      name: 'AES-GCM',
+      keyLength: 256,
+      tagLength: TAG_BYTES * 8
+    }
+  };
+
+  const key = await generateKey(passphrase, salt, iterations);
+
+  // The header is bound as additional data so any edit to it fails the integrity check
+  const encrypted = await encryptWithKey(JSON.stringify(exportData), key, JSON.stringify(header));
+  const sealed = Uint8Array.from(encrypted.data);
+
+  return {
+    header,
+    iv: toBase64(Uint8Array.from(encrypted.iv)),
+    ciphertext: toBase64(sealed.slice(0, sealed.length - TAG_BYTES)),
+    tag: toBase64(sealed.slice(sealed.length - TAG_BYTES))
+  };
+}
+
+// Decrypt a bundle back into the original export data
+export async function openEncryptedBundle(bundle, passphrase) {
+  if (!isEncryptedBundle(bundle)) {
+    throw new Error('File is not an encrypted export bundle');
+  }
+
+  const { header } = bundle;
+
+  if (header.version > BUNDLE_VERSION) {
+    throw new Error(`Unsupported bundle version: ${header.version}`);
+  }
+
+  if (header.kdf?.name !== 'PBKDF2' || header.cipher?.name !== 'AES-GCM') {
+    throw new Error('Unsupported bundle encryption parameters');
+  }
+
+  if (!bundle.iv || !bundle.ciphertext || !bundle.tag) {
+    throw new Error('Encrypted bundle is incomplete');
+  }
+
+  const key = await generateKey(passphrase, fromBase64(header.kdf.salt), header.kdf.iterations);
+
+  const ciphertext = fromBase64(bundle.ciphertext);
+  const tag = fromBase64(bundle.tag);
+  const sealed = new Uint8Array(ciphertext.length + tag.length);
+  sealed.set(ciphertext);
+  sealed.set(tag, ciphertext.length);
+
+  let plaintext;
+  try {
+    plaintext = await decryptWithKey(
+      { iv: fromBase64(bundle.iv), data: sealed },
+      key,
+      JSON.stringify(header)
+    );
+  } catch {
+    throw new Error('Incorrect passphrase or the file has been modified');
+  }
+
+  return JSON.parse(plaintext);
+}
+
+// Base64 helpers (chunked to stay under argument limits for large exports)
+function toBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(value) {
+  const binary = atob(value);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
@@ -0,0 +1,430 @@
+// FHIR R4 export: each patient record becomes a Patient, one Encounter per visit (symptoms as the
+// reason) and vital-sign Observations coded with LOINC, with units as recorded (UCUM codes).
+// Records go out in one transaction Bundle of PUTs, so re-sending an export updates the same resources.
+import { v4 as uuidv4, v5 as uuidv5 } from 'uuid';
+import { getSchemaFields, isEmptyValue } from '../forms/formEngine';
+import { calculateBmi } from './vitals';
+
+export const FHIR_VERSION = '4.0.1';
+
+// Identifier systems for ids assigned by this app
+export const IDENTIFIER_SYSTEMS = {
+  patient: 'urn:medical-intake:patient-id',
+  encounter: 'urn:medical-intake:encounter-id',
+  bundle: 'urn:medical-intake:export-id'
+};
+
+// Resource ids are derived from record ids (name-based UUIDs), so they're stable across exports
+const RESOURCE_ID_NAMESPACE = '9f4c1f7e-3a52-4c8e-9d3b-6f1e2a7b5c40';
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+
+const VITAL_SIGNS_CATEGORY = {
+  coding: [{
+    system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+    code: 'vital-signs',
+    display: 'Vital Signs'
+  }]
+};
+
+// LOINC codes for the vitals collected by the intake form (blood pressure is one panel)
+const VITAL_CODES = {
+  heartRate: { code: '8867-4', display: 'Heart rate' },
+  respiratoryRate: { code: '9279-1', display: 'Respiratory rate' },
+  temperature: { code: '8310-5', display: 'Body temperature' },
+  spo2: { code: '2708-6', display: 'Oxygen saturation in Arterial blood' },
+  weight: { code: '29463-7', display: 'Body weight' },
+  height: { code: '8302-2', display: 'Body height' },
+  painScore: { code: '72514-3', display: 'Pain severity - 0-10 verbal numeric rating [Score] - Reported' }
+};
+const BLOOD_PRESSURE = {
+  panel: { code: '85354-9', display: 'Blood pressure panel with all children optional' },
+  bpSystolic: { code: '8480-6', display: 'Systolic blood pressure' },
+  bpDiastolic: { code: '8462-4', display: 'Diastolic blood pressure' }
+};
+const BMI_CODE = { code: '39156-5', display: 'Body mass index (BMI) [Ratio]' };
+const AGE_CODE = { code: '30525-0', display: 'Age' };
+
+// Patient.gender is a required binding: male | female | other | unknown
+const GENDERS = { male: 'male', female: 'female', other: 'other' };
+
+const loinc = ({ code, display }) => ({ coding: [{ system: LOINC, code, display }], text: display });
+
+const resourceId = (...parts) => uuidv5(parts.join('/'), RESOURCE_ID_NAMESPACE);
+
+const reference = (resource) => ({ reference: `urn:uuid:${resource.id}` });
+
+// A quantity field value ({ value, unit }) as a FHIR Quantity with its UCUM code
+const toQuantity = (field, quantity) => {
+  const unit = field.units.find(entry => entry.value === quantity.unit);
+  return {
+    value: Number(quantity.value),
+    unit: unit ? unit.label : quantity.unit,
+    system: UCUM,
+    code: quantity.unit
+  };
+};
+
+const ucumQuantity = (value, code) => ({ value: Number(value), unit: code, system: UCUM, code });
+
+// "Jane Q Doe" -> family "Doe", given ["Jane", "Q"]; a single word is kept as text only
+const toHumanName = (name) => {
+  const parts = name.trim().split(/\s+/);
+  return {
+    use: 'official',
+    text: name.trim(),
+    ...(parts.length > 1 && { family: parts[parts.length - 1], given: parts.slice(0, -1) })
+  };
+};
+
+const toPatient = (record) => {
+  const { name, gender } = record.patientInfo || record;
+  return {
+    resourceType: 'Patient',
+    id: resourceId('patient', record.id),
+    meta: { lastUpdated: record.updatedAt || record.createdAt },
+    identifier: [{ use: 'usual', system: IDENTIFIER_SYSTEMS.patient, value: record.id }],
+    ...(name && { name: [toHumanName(name)] }),
+    ...(gender && { gender: GENDERS[gender] || 'unknown' })
+  };
+};
+
+const toEncounter = (record, encounter, patient) => ({
+  resourceType: 'Encounter',
+  id: resourceId('encounter', record.id, encounter.id),
+  identifier: [{ use: 'usual', system: IDENTIFIER_SYSTEMS.encounter, value: encounter.id }],
+  status: 'finished',
+  class: { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'AMB', display: 'ambulatory' },
+  subject: reference(patient),
+  ...(encounter.visitDate && { period: { start: encounter.visitDate } }),
+  ...(encounter.clinician && { participant: [{ individual: { display: encounter.clinician } }] }),
+  // Chief complaint is free text, so it's sent as text without a coding
+  ...(encounter.symptoms && { reasonCode: [{ text: encounter.symptoms }] })
+});
+
+const toObservation = (idParts, code, value, { patient, encounter, effective }) => ({
+  resourceType: 'Observation',
+  id: resourceId('observation', ...idParts),
+  status: 'final',
+  category: [VITAL_SIGNS_CATEGORY],
+  code: loinc(code),
+  subject: reference(patient),
+  ...(encounter && { encounter: reference(encounter) }),
+  ...(effective && { effectiveDateTime: effective }),
+  ...value
+});
+
+// Vital-sign Observations recorded at one visit
+const toVitalObservations = (schema, record, encounter, context) => {
+  const fields = getSchemaFields(schema);
+  const observations = [];
+  const idParts = (name) => [record.id, encounter.id, name];
+
+  const bpComponents = ['bpSystolic', 'bpDiastolic']
+    .map(name => ({ name, field: fields.find(entry => entry.name === name) }))
+    .filter(({ field, name }) => field && !isEmptyValue(encounter[name]))
+    .map(({ name, field }) => ({ code: loinc(BLOOD_PRESSURE[name]), valueQuantity: toQuantity(field, encounter[name]) }));
+  if (bpComponents.length > 0) {
+    observations.push(toObservation(idParts('bloodPressure'), BLOOD_PRESSURE.panel, { component: bpComponents }, context));
+  }
+
+  Object.entries(VITAL_CODES).forEach(([name, code]) => {
+    const field = fields.find(entry => entry.name === name);
+    const value = encounter[name];
+    if (!field || isEmptyValue(value)) return;
+
+    const valueQuantity = field.type === 'quantity' ? toQuantity(field, value) : ucumQuantity(value, '{score}');
+    observations.push(toObservation(idParts(name), code, { valueQuantity }, context));
+  });
+
+  const bmi = calculateBmi(schema, encounter);
+  if (bmi !== null) {
+    observations.push(toObservation(idParts('bmi'), BMI_CODE, { valueQuantity: ucumQuantity(bmi, 'kg/m2') }, context));
+  }
+
+  return observations;
+};
+
+/**
+ * Map one patient record to FHIR resources
+ * @param {Object} schema - Form schema (e.g. INTAKE_FORM_SCHEMA)
+ * @param {Object} record - Patient record: { id, createdAt, updatedAt, patientInfo, encounters }
+ *   (medications and allergies are not mapped)
+ * @returns {Array} Patient first, then each Encounter followed by its Observations
+ */
+export function patientRecordToFhir(schema, record) {
+  const patient = toPatient(record);
+  const resources = [patient];
+
+  const { age } = record.patientInfo || record;
+  if (!isEmptyValue(age)) {
+    resources.push(toObservation([record.id, 'age'], AGE_CODE, { valueQuantity: ucumQuantity(age, 'a') }, {
+      patient,
+      effective: record.updatedAt || record.createdAt
+    }));
+  }
+
+  (record.encounters || []).forEach(visit => {
+    const encounter = toEncounter(record, visit, patient);
+    resources.push(encounter, ...toVitalObservations(schema, record, visit, {
+      patient,
+      encounter,
+      effective: visit.visitDate
+    }));
+  });
+
+  return resources;
+}
+
+/**
+ * Build a FHIR R4 transaction Bundle for a set of patient records
+ * @param {Object} schema - Form schema
+ * @param {Array} records - Patient records
+ * @param {Object} options - { now } timestamp of the export
+ * @returns {Object} Bundle resource
+ */
+export function createFhirBundle(schema, records, { now = new Date().toISOString() } = {}) {
+  return {
+    resourceType: 'Bundle',
+    meta: { lastUpdated: now },
+    identifier: { system: IDENTIFIER_SYSTEMS.bundle, value: uuidv4() },
+    type: 'transaction',
+    timestamp: now,
+    entry: records.flatMap(record => patientRecordToFhir(schema, record)).map(resource => ({
+      fullUrl: `urn:uuid:${resource.id}`,
+      resource,
+      request: { method: 'PUT', url: `${resource.resourceType}/${resource.id}` }
+    }))
+  };
+}
+
+// ---------------------------------------------------------------------------------------------
+// Local validation against the R4 resource structures (the elements this export produces)
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+const matches = (pattern) => (value) => typeof value === 'string' && pattern.test(value);
+
+const DATE_TIME_PATTERN = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01])(T([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?(Z|[+-]((0\d|1[0-3]):[0-5]\d|14:00)))?)?)?$/;
+const INSTANT_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])T([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?(Z|[+-]((0\d|1[0-3]):[0-5]\d|14:00))$/;
+const ID_PATTERN = /^[A-Za-z0-9\-.]{1,64}$/;
+const CODE_PATTERN = /^[^\s]+( [^\s]+)*$/;
+
+// Element types: a check function, or nested elements for complex and backbone types
+const TYPES = {
+  id: matches(ID_PATTERN),
+  string: isText,
+  uri: isText,
+  code: matches(CODE_PATTERN),
+  dateTime: matches(DATE_TIME_PATTERN),
+  instant: matches(INSTANT_PATTERN),
+  decimal: (value) => typeof value === 'number' && Number.isFinite(value),
+  Meta: { lastUpdated: { type: 'instant' } },
+  Coding: { system: { type: 'uri' }, code: { type: 'code' }, display: { type: 'string' } },
+  CodeableConcept: { coding: { type: 'Coding', array: true }, text: { type: 'string' } },
+  Identifier: {
+    use: { type: 'code', values: ['usual', 'official', 'temp', 'secondary', 'old'] },
+    system: { type: 'uri', required: true },
+    value: { type: 'string', required: true }
+  },
+  HumanName: {
+    use: { type: 'code', values: ['usual', 'official', 'temp', 'nickname', 'anonymous', 'old', 'maiden'] },
+    text: { type: 'string' },
+    family: { type: 'string' },
+    given: { type: 'string', array: true }
+  },
+  Reference: { reference: { type: 'string' }, display: { type: 'string' } },
+  Period: { start: { type: 'dateTime' }, end: { type: 'dateTime' } },
+  Quantity: {
+    value: { type: 'decimal', required: true },
+    unit: { type: 'string' },
+    system: { type: 'uri' },
+    code: { type: 'code' }
+  },
+  EncounterParticipant: { individual: { type: 'Reference' } },
+  ObservationComponent: {
+    code: { type: 'CodeableConcept', required: true },
+    valueQuantity: { type: 'Quantity' }
+  }
+};
+
+const RESOURCE_ELEMENTS = {
+  id: { type: 'id', required: true },
+  meta: { type: 'Meta' },
+  identifier: { type: 'Identifier', array: true }
+};
+
+const RESOURCES = {
+  Patient: {
+    ...RESOURCE_ELEMENTS,
+    name: { type: 'HumanName', array: true },
+    gender: { type: 'code', values: ['male', 'female', 'other', 'unknown'] }
+  },
+  Encounter: {
+    ...RESOURCE_ELEMENTS,
+    status: {
+      type: 'code',
+      required: true,
+      values: ['planned', 'arrived', 'triaged', 'in-progress', 'onleave', 'finished', 'cancelled', 'entered-in-error', 'unknown']
+    },
+    class: { type: 'Coding', required: true },
+    subject: { type: 'Reference' },
+    period: { type: 'Period' },
+    participant: { type: 'EncounterParticipant', array: true },
+    reasonCode: { type: 'CodeableConcept', array: true }
+  },
+  Observation: {
+    ...RESOURCE_ELEMENTS,
+    status: {
+      type: 'code',
+      required: true,
+      values: ['registered', 'preliminary', 'final', 'amended', 'corrected', 'cancelled', 'entered-in-error', 'unknown']
+    },
+    category: { type: 'CodeableConcept', array: true },
+    code: { type: 'CodeableConcept', required: true },
+    subject: { type: 'Reference' },
+    encounter: { type: 'Reference' },
+    effectiveDateTime: { type: 'dateTime' },
+    valueQuantity: { type: 'Quantity' },
+    component: { type: 'ObservationComponent', array: true }
+  }
+};
+
+// Datatype rules beyond element structure (FHIR invariants)
+const INVARIANTS = {
+  Coding: (value) => (value.code || value.display ? null : 'needs a code or display'),
+  CodeableConcept: (value) => (value.coding?.length || value.text ? null : 'needs a coding or text'),
+  HumanName: (value) => (value.text || value.family || value.given?.length ? null : 'needs a name part or text'),
+  Reference: (value) => (value.reference || value.display ? null : 'needs a reference or display'), // ref-1
+  Quantity: (value) => (value.code && !value.system ? 'code needs a system' : null), // qty-3
+  Observation: (value) => (value.valueQuantity || value.component?.length ? null : 'needs a value or components')
+};
+
+const validateElements = (value, elements, path, issues, invariant) => {
+  Object.keys(value).forEach(name => {
+    if (name !== 'resourceType' && !elements[name]) issues.push({ path: `${path}.${name}`, message: 'unknown element' });
+  });
+
+  Object.entries(elements).forEach(([name, definition]) => {
+    const elementPath = `${path}.${name}`;
+    const elementValue = value[name];
+    if (elementValue === undefined) {
+      if (definition.required) issues.push({ path: elementPath, message: 'required element missing' });
+      return;
+    }
+
+    if (definition.array && !Array.isArray(elementValue)) {
+      issues.push({ path: elementPath, message: 'must be a list' });
+      return;
+    }
+    if (!definition.array && Array.isArray(elementValue)) {
+      issues.push({ path: elementPath, message: 'must not be a list' });
+      return;
+    }
+    if (definition.array && elementValue.length === 0) {
+      issues.push({ path: elementPath, message: 'lists must not be empty' });
+      return;
+    }
+
+    (definition.array ? elementValue : [elementValue]).forEach((item, index) => {
+      validateValue(item, definition, definition.array ? `${elementPath}[${index}]` : elementPath, issues);
+    });
+  });
+
+  const problem = invariant?.(value);
+  if (problem) issues.push({ path, message: problem });
+};
+
+const validateValue = (value, definition, path, issues) => {
+  const type = TYPES[definition.type];
+  if (typeof type === 'function') {
+    if (!type(value)) issues.push({ path, message: `invalid ${definition.type}` });
+    else if (definition.values && !definition.values.includes(value)) {
+      issues.push({ path, message: `must be one of ${definition.values.join(', ')}` });
+    }
+    return;
+  }
+  if (!isObject(value)) {
+    issues.push({ path, message: `must be a ${definition.type}` });
+    return;
+  }
+  validateElements(value, type, path, issues, INVARIANTS[definition.type]);
+};
+
+/**
+ * Check a resource against the structure of its R4 resource type
+ * Covers the resource types and elements this export produces; anything else is reported
+ * @param {Object} resource - Patient, Encounter or Observation
+ * @returns {Array} Issues: [{ path, message }] (empty when valid)
+ */
+export function validateFhirResource(resource) {
+  if (!isObject(resource) || !RESOURCES[resource.resourceType]) {
+    return [{ path: resource?.resourceType || 'resource', message: 'unsupported resource type' }];
+  }
+
+  const issues = [];
+  const path = `${resource.resourceType}/${resource.id}`;
+  validateElements(resource, RESOURCES[resource.resourceType], path, issues, INVARIANTS[resource.resourceType]);
+
+  // obs-7: a component can't repeat the observation's own code
+  const codes = (concept) => (concept?.coding || []).map(coding => `${coding.system}|${coding.code}`);
+  resource.component?.forEach((component, index) => {
+    if (codes(component.code).some(code => codes(resource.code).includes(code))) {
+      issues.push({ path: `${path}.component[${index}]`, message: 'has the same code as the observation' });
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Validate a transaction Bundle: every resource, entry structure, unique fullUrls and
+ * references that resolve within the bundle
+ * @param {Object} bundle - Bundle from createFhirBundle
+ * @returns {Object} { valid, resourceCount, issues: [{ path, message }] }
+ */
+export function validateFhirBundle(bundle) {
+  const issues = [];
+  if (!isObject(bundle) || bundle.resourceType !== 'Bundle') {
+    return { valid: false, resourceCount: 0, issues: [{ path: 'Bundle', message: 'not a Bundle' }] };
+  }
+  if (bundle.type !== 'transaction') {
+    issues.push({ path: 'Bundle.type', message: 'must be transaction' });
+  }
+  if (!TYPES.instant(bundle.timestamp)) {
+    issues.push({ path: 'Bundle.timestamp', message: 'invalid instant' });
+  }
+
+  const entries = Array.isArray(bundle.entry) ? bundle.entry : [];
+  const fullUrls = new Set();
+  entries.forEach((entry, index) => {
+    const path = `Bundle.entry[${index}]`;
+    if (!isText(entry.fullUrl)) {
+      issues.push({ path: `${path}.fullUrl`, message: 'required element missing' });
+    } else if (fullUrls.has(entry.fullUrl)) {
+      issues.push({ path: `${path}.fullUrl`, message: 'duplicate fullUrl' }); // bdl-7
+    }
+    fullUrls.add(entry.fullUrl);
+
+    if (!['PUT', 'POST'].includes(entry.request?.method) || !isText(entry.request?.url)) {
+      issues.push({ path: `${path}.request`, message: 'transaction entries need a method and url' }); // bdl-3
+    }
+    issues.push(...validateFhirResource(entry.resource));
+  });
+
+  // References to urn:uuid: fullUrls must resolve within the bundle
+  const checkReferences = (value, path) => {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => checkReferences(item, `${path}[${index}]`));
+    } else if (isObject(value)) {
+      if (typeof value.reference === 'string' && value.reference.startsWith('urn:uuid:') && !fullUrls.has(value.reference)) {
+        issues.push({ path: `${path}.reference`, message: `unresolved reference ${value.reference}` });
+      }
+      Object.entries(value).forEach(([name, child]) => checkReferences(child, `${path}.${name}`));
+    }
+  };
+  entries.forEach((entry, index) => checkReferences(entry.resource, `Bundle.entry[${index}].resource`));
+
+  return { valid: issues.length === 0, resourceCount: entries.length, issues };
+}
@@ -0,0 +1,35 @@
+// Cache for keys derived from one PIN or password while a batch of envelopes is decrypted
+// (e.g. migrating legacy records). PBKDF2 is deliberately slow, so each salt and iteration count
+// is derived once per batch. The cache belongs to the caller and is keyed only by salt id and
+// iterations - nothing derived from the secret is held besides the CryptoKeys themselves - so use
+// one cache per secret and let it go when the batch is done.
+export function createKeyCache() {
+  const keys = new Map(); // `${saltId}|${iterations}` -> Promise<CryptoKey>
+
+  return {
+    // Return the cached key for these parameters, calling derive() only the first time
+    // Concurrent callers share one derivation; a failed derivation isn't cached
+    get({ saltId, iterations }, derive) {
+      const id = `${saltId}|${iterations}`;
+
+      if (!keys.has(id)) {
+        const pending = derive().catch(error => {
+          keys.delete(id);
+          throw error;
+        });
+        keys.set(id, pending);
+      }
+
+      return keys.get(id);
+    },
+
+    // Drop every cached key (non-extractable CryptoKeys can't be overwritten, only released)
+    clear() {
+      keys.clear();
+    },
+
+    get size() {
+      return keys.size;
+    }
+  };
+}
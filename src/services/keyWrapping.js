@@ -0,0 +1,150 @@
+// Data-encryption key (DEK) wrapping
+// Patient data is encrypted with one random AES key per clinic database. Each user gets their
+// own copy of that key, wrapped under a key derived from their password, so records can be
+// shared between staff and a password change only re-wraps the DEK instead of re-encrypting data.
+import { PBKDF2_ITERATIONS, PBKDF2_HASH, encryptWithKey, decryptWithKey } from './encryption.js';
+
+const DATA_KEY_ALGORITHM = { name: 'AES-GCM', length: 256 };
+const SALT_LENGTH = 16;
+
+// Generate a new random data-encryption key
+// Extractable so it can be wrapped for additional users
+export async function generateDataKey() {
+  return crypto.subtle.generateKey(DATA_KEY_ALGORITHM, true, ['encrypt', 'decrypt']);
+}
+
+// Derive the key-encryption key for one user from their password
+async function deriveWrappingKey(password, salt, iterations) {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: PBKDF2_HASH },
+    keyMaterial,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+}
+
+// The username is bound as additional data so a wrapped key can't be moved to another account
+const wrapParams = (iv, username) => ({
+  name: 'AES-GCM',
+  iv,
+  additionalData: new TextEncoder().encode(username.toLowerCase())
+});
+
+// Wrap the data key under a user's password
+// Returns a JSON-safe entry: { kdf, iterations, salt, iv, wrappedKey }
+export async function wrapDataKey(dataKey, username, password, iterations = PBKDF2_ITERATIONS) {
+  try {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const wrappingKey = await deriveWrappingKey(password, salt, iterations);
+    const wrappedKey = await crypto.subtle.wrapKey('raw', dataKey, wrappingKey, wrapParams(iv, username));
+
+    return {
+      kdf: 'PBKDF2',
+      iterations,
+      salt: Array.from(salt),
+      iv: Array.from(iv),
+      wrappedKey: Array.from(new Uint8Array(wrappedKey))
+    };
+  } catch (error) {
+    throw new Error(`Key wrapping failed: ${error.message}`);
+  }
+}
+
+// Unwrap a user's copy of the data key
+// Fails when the password is wrong or the entry belongs to a different user
+export async function unwrapDataKey(entry, username, password) {
+  try {
+    const wrappingKey = await deriveWrappingKey(password, new Uint8Array(entry.salt), entry.iterations);
+
+    return await crypto.subtle.unwrapKey(
+      'raw',
+      new Uint8Array(entry.wrappedKey),
+      wrappingKey,
+      wrapParams(new Uint8Array(entry.iv), username),
+      DATA_KEY_ALGORITHM,
+      true,
+      ['encrypt', 'decrypt']
+    );
+  } catch (error) {
+    throw new Error(`Key unwrapping failed: ${error.message || 'incorrect password'}`);
+  }
+}
+
+// Recovery codes: 20 random bytes in Crockford base32, grouped for writing down
+// e.g. "7K3M-Q9TZ-..." (8 groups of 4). Unambiguous alphabet - no I, L, O or U.
+const RECOVERY_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const RECOVERY_CODE_BYTES = 20;
+
+export function generateRecoveryCode() {
+  const bytes = crypto.getRandomValues(new Uint8Array(RECOVERY_CODE_BYTES));
+  let bits = '';
+  bytes.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+
+  const characters = bits.match(/.{5}/g).map(chunk => RECOVERY_ALPHABET[parseInt(chunk, 2)]);
+  return characters.join('').match(/.{4}/g).join('-');
+}
+
+// Accept codes typed in lower case, with spaces, or with look-alike characters
+export function normalizeRecoveryCode(code) {
+  return code
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/[IL]/g, '1')
+    .replace(/O/g, '0');
+}
+
+// The recovery copy is bound to its own label so it can't stand in for the password copy
+export const recoveryKeyLabel = (username) => `${username.toLowerCase()}#recovery`;
+
+// Device enrolment: a file holding the data key wrapped under a one-time code (a recovery-style code,
+// handed over separately), imported by another device so records synced between them can be read on both
+export const ENROLMENT_FORMAT = 'clinic-key-enrolment';
+const ENROLMENT_LABEL = 'clinic#enrolment';
+
+export async function createEnrolmentPackage(dataKey, code, details = {}) {
+  return {
+    format: ENROLMENT_FORMAT,
+    version: 1,
+    ...details,
+    key: await wrapDataKey(dataKey, ENROLMENT_LABEL, normalizeRecoveryCode(code))
+  };
+}
+
+// The clinic data key from an enrolment file; fails for other files or a wrong code
+export async function readEnrolmentPackage(enrolment, code) {
+  if (enrolment?.format !== ENROLMENT_FORMAT || !enrolment.key) {
+    throw new Error('Not a clinic key enrolment file');
+  }
+  if (enrolment.version > 1) {
+    throw new Error(`Unsupported enrolment version ${enrolment.version}`);
+  }
+  return unwrapDataKey(enrolment.key, ENROLMENT_LABEL, normalizeRecoveryCode(code));
+}
+
+// One data key encrypted under another, so holders of either key can follow a key change
+const KEY_SEAL_LABEL = 'data-key-seal';
+
+export async function sealDataKey(dataKey, underKey) {
+  const rawKey = await crypto.subtle.exportKey('raw', dataKey);
+  return encryptWithKey(JSON.stringify(Array.from(new Uint8Array(rawKey))), underKey, KEY_SEAL_LABEL);
+}
+
+export async function openDataKey(sealedKey, underKey) {
+  const rawKey = JSON.parse(await decryptWithKey(sealedKey, underKey, KEY_SEAL_LABEL));
+  return crypto.subtle.importKey('raw', new Uint8Array(rawKey), DATA_KEY_ALGORITHM, true, ['encrypt', 'decrypt']);
+}
+
+export async function isSameDataKey(first, second) {
+  const [a, b] = await Promise.all([first, second].map(key => crypto.subtle.exportKey('raw', key)));
+  return a.byteLength === b.byteLength && new Uint8Array(a).every((byte, index) => byte === new Uint8Array(b)[index]);
+}
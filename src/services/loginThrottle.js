@@ -0,0 +1,78 @@
+// Failed-login tracking per username (localStorage 'login_attempts', keyed by lowercase username)
+// The first few failures are free; after that each failure doubles the wait before the next
+// attempt, and MAX_FAILED_ATTEMPTS failures lock the username out for LOCKOUT_MS
+const ATTEMPTS_KEY = 'login_attempts';
+
+export const FREE_ATTEMPTS = 3;
+export const MAX_FAILED_ATTEMPTS = 8;
+export const BASE_BACKOFF_MS = 5 * 1000;
+export const LOCKOUT_MS = 15 * 60 * 1000;
+
+function getAttempts() {
+  return JSON.parse(localStorage.getItem(ATTEMPTS_KEY) || '{}');
+}
+
+function saveAttempts(attempts) {
+  localStorage.setItem(ATTEMPTS_KEY, JSON.stringify(attempts));
+}
+
+const attemptKey = (username) => username.trim().toLowerCase();
+
+// "30 seconds" / "2 minutes"
+export function formatWait(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// Wait imposed after the given number of consecutive failures
+export function getBackoffMs(failures) {
+  if (failures >= MAX_FAILED_ATTEMPTS) return LOCKOUT_MS;
+  if (failures < FREE_ATTEMPTS) return 0;
+  return BASE_BACKOFF_MS * 2 ** (failures - FREE_ATTEMPTS);
+}
+
+// { failures, retryAfterMs, isLockedOut } for a username
+export function getLoginStatus(username, now = Date.now()) {
+  const entry = getAttempts()[attemptKey(username)];
+  if (!entry) {
+    return { failures: 0, retryAfterMs: 0, isLockedOut: false };
+  }
+
+  // A served lockout starts the count again
+  if (entry.failures >= MAX_FAILED_ATTEMPTS && now >= entry.blockedUntil) {
+    clearFailedLogins(username);
+    return { failures: 0, retryAfterMs: 0, isLockedOut: false };
+  }
+
+  const retryAfterMs = Math.max(0, entry.blockedUntil - now);
+  return {
+    failures: entry.failures,
+    retryAfterMs,
+    isLockedOut: entry.failures >= MAX_FAILED_ATTEMPTS && retryAfterMs > 0
+  };
+}
+
+// Count a failed attempt and return the new status
+export function recordFailedLogin(username, now = Date.now()) {
+  const attempts = getAttempts();
+  const key = attemptKey(username);
+  const failures = Math.min((attempts[key]?.failures || 0) + 1, MAX_FAILED_ATTEMPTS);
+
+  attempts[key] = {
+    failures,
+    lastFailureAt: now,
+    blockedUntil: now + getBackoffMs(failures)
+  };
+  saveAttempts(attempts);
+
+  return getLoginStatus(username, now);
+}
+
+// Reset after a successful login (or when an admin lifts a lockout)
+export function clearFailedLogins(username) {
+  const attempts = getAttempts();
+  delete attempts[attemptKey(username)];
+  saveAttempts(attempts);
+}
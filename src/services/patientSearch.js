@@ -0,0 +1,117 @@
+// Patient search over decrypted records held in memory
+// Records are never indexed on disk - callers load them through SecureStorage and search here
+
+export const DEFAULT_PAGE_SIZE = 10;
+
+// Read a possibly nested value, e.g. 'patientInfo.name'
+// A path through a list, e.g. 'encounters.symptoms', gives one value per entry
+const getFieldValues = (data, field) =>
+  field.split('.').reduce((values, key) => values.flatMap(value => {
+    if (value == null) return [undefined];
+    if (Array.isArray(value)) return value.map(item => item?.[key]);
+    return [value[key]];
+  }), [data]);
+
+// Compare numerically when the bound is a number, otherwise as strings (ISO dates)
+const compare = (value, bound) => {
+  if (typeof bound === 'number') {
+    const numericValue = Number(value);
+    return value === '' || value == null || isNaN(numericValue) ? NaN : numericValue - bound;
+  }
+  return String(value ?? '').localeCompare(bound);
+};
+
+// Check one stored value against one criterion
+const matchesValue = (fieldValue, value) => {
+  if (typeof value === 'object' && value !== null) {
+    // Handle operator queries; a NaN comparison (missing value) never matches a range
+    if (value.$eq !== undefined && fieldValue !== value.$eq) return false;
+    if (value.$gte !== undefined && !(compare(fieldValue, value.$gte) >= 0)) return false;
+    if (value.$lte !== undefined && !(compare(fieldValue, value.$lte) <= 0)) return false;
+    if (value.$regex && !new RegExp(value.$regex, value.$flags).test(fieldValue)) return false;
+    return true;
+  }
+
+  // Exact match or substring
+  if (typeof fieldValue === 'string' && typeof value === 'string') {
+    return fieldValue.toLowerCase().includes(value.toLowerCase());
+  }
+  return fieldValue === value;
+};
+
+/**
+ * Check if data matches search criteria
+ * Supports exact/substring values and { $eq, $gte, $lte, $regex, $flags } operators
+ * @param {Object} data - Patient data
+ * @param {Object} criteria - Search criteria keyed by (dotted) field path; a path through
+ *   a list (e.g. 'encounters.symptoms') matches when any entry matches
+ * @returns {boolean} Whether data matches
+ */
+export function matchesCriteria(data, criteria) {
+  return Object.entries(criteria).every(([field, value]) =>
+    getFieldValues(data, field).some(fieldValue => matchesValue(fieldValue, value))
+  );
+}
+
+/**
+ * Turn search panel filters into matchesCriteria criteria
+ * @param {Object} filters - { name, ageMin, ageMax, gender, symptom, createdFrom, createdTo }
+ * @returns {Object} Criteria object
+ */
+export function buildSearchCriteria(filters = {}) {
+  const criteria = {};
+  const trimmed = (value) => (typeof value === 'string' ? value.trim() : value);
+
+  if (trimmed(filters.name)) {
+    criteria['patientInfo.name'] = trimmed(filters.name);
+  }
+
+  if (trimmed(filters.symptom)) {
+    criteria['encounters.symptoms'] = trimmed(filters.symptom);
+  }
+
+  if (filters.gender) {
+    criteria['patientInfo.gender'] = { $eq: filters.gender };
+  }
+
+  const age = {};
+  if (filters.ageMin !== '' && filters.ageMin != null) age.$gte = Number(filters.ageMin);
+  if (filters.ageMax !== '' && filters.ageMax != null) age.$lte = Number(filters.ageMax);
+  if (Object.keys(age).length > 0) {
+    criteria['patientInfo.age'] = age;
+  }
+
+  // Date inputs give YYYY-MM-DD; include the whole end day
+  const created = {};
+  if (filters.createdFrom) created.$gte = new Date(`${filters.createdFrom}T00:00:00`).toISOString();
+  if (filters.createdTo) created.$lte = new Date(`${filters.createdTo}T23:59:59.999`).toISOString();
+  if (Object.keys(created).length > 0) {
+    criteria.createdAt = created;
+  }
+
+  return criteria;
+}
+
+/**
+ * Search decrypted patient records
+ * @param {Object} patients - Map of patientId -> record (as returned by SecureStorage.loadAllPatients)
+ * @param {Object} criteria - Criteria from buildSearchCriteria
+ * @param {Object} options - { limit, offset }
+ * @returns {Object} { results, total, limit, offset } sorted by patient name
+ */
+export function searchPatientRecords(patients, criteria, options = {}) {
+  const limit = options.limit || DEFAULT_PAGE_SIZE;
+  const offset = options.offset || 0;
+
+  const matches = Object.entries(patients)
+    .filter(([, record]) => record && matchesCriteria(record, criteria))
+    .map(([id, record]) => ({ id, ...record }))
+    .sort((a, b) => (a.patientInfo?.name || '').localeCompare(b.patientInfo?.name || ''));
+
+  return {
+    results: matches.slice(offset, offset + limit),
+    total: matches.length,
+    limit,
+    offset
+  };
+}
@@ -0,0 +1,82 @@
+// Field-by-field comparison of two patient record revisions
+// Fields come from the form schema so the diff follows whatever the intake form collects
+import { getSchemaFields, getScopedSchema, isEmptyValue, PATIENT_SCOPE } from '../forms/formEngine';
+import { getEncounterListField } from './encounters';
+
+// Quantities compare by number and unit
+const comparable = (value) => (value && typeof value === 'object' ? `${value.value} ${value.unit}` : String(value));
+
+// Loose equality so '34' and 34 (or '' and undefined) don't show up as changes
+const sameValue = (a, b) => {
+  if (isEmptyValue(a) && isEmptyValue(b)) return true;
+  return comparable(a) === comparable(b);
+};
+
+// Compare list entries by their id; entries without one are matched by position
+const diffListItems = (field, beforeItems = [], afterItems = []) => {
+  const keyOf = (item, index) => item.id || `#${index}`;
+  const beforeByKey = new Map(beforeItems.map((item, index) => [keyOf(item, index), item]));
+  const afterByKey = new Map(afterItems.map((item, index) => [keyOf(item, index), item]));
+  const items = [];
+
+  afterItems.forEach((item, index) => {
+    const previous = beforeByKey.get(keyOf(item, index));
+    if (!previous) {
+      items.push({ status: 'added', before: null, after: item });
+      return;
+    }
+
+    const changedFields = field.itemFields
+      .filter(itemField => !sameValue(previous[itemField.name], item[itemField.name]))
+      .map(itemField => itemField.name);
+
+    if (changedFields.length > 0) {
+      items.push({ status: 'changed', before: previous, after: item, changedFields });
+    }
+  });
+
+  beforeItems.forEach((item, index) => {
+    if (!afterByKey.has(keyOf(item, index))) {
+      items.push({ status: 'removed', before: item, after: null });
+    }
+  });
+
+  return items;
+};
+
+/**
+ * Diff the patientInfo of two revisions
+ * @param {Object} schema - Form schema (e.g. INTAKE_FORM_SCHEMA)
+ * @param {Object} before - Older patientInfo
+ * @param {Object} after - Newer patientInfo
+ * @returns {Array} One entry per schema field: { field, before, after, changed, items? }
+ *   List fields carry `items` describing added/removed/changed entries
+ */
+export function diffPatientInfo(schema, before = {}, after = {}) {
+  return getSchemaFields(schema).map(field => {
+    const beforeValue = before?.[field.name];
+    const afterValue = after?.[field.name];
+
+    if (field.type === 'list') {
+      const items = diffListItems(field, beforeValue || [], afterValue || []);
+      return { field, before: beforeValue, after: afterValue, changed: items.length > 0, items };
+    }
+
+    return { field, before: beforeValue, after: afterValue, changed: !sameValue(beforeValue, afterValue) };
+  });
+}
+
+/**
+ * Diff two revisions of a patient record: patient fields, then visits matched by encounter id
+ * @param {Object} schema - Form schema (e.g. INTAKE_FORM_SCHEMA)
+ * @param {Object} before - Older record
+ * @param {Object} after - Newer record
+ * @returns {Array} Entries as from diffPatientInfo; visits are one list entry named 'encounters'
+ */
+export function diffPatientRecord(schema, before, after) {
+  const encountersSchema = { sections: [{ fields: [getEncounterListField(schema)] }] };
+  return [
+    ...diffPatientInfo(getScopedSchema(schema, PATIENT_SCOPE), before?.patientInfo, after?.patientInfo),
+    ...diffPatientInfo(encountersSchema, before, after)
+  ];
+}
@@ -0,0 +1,61 @@
+// Staff roles and the actions each one may perform
+// Checked in the UI to hide controls, and again in SecureStorage before sensitive operations
+// SecureStorage.currentUser carries the role sealed in the keyring, not the userStore display copy
+
+export const ROLES = {
+  ADMIN: 'admin',
+  CLINICIAN: 'clinician',
+  FRONT_DESK: 'front-desk',
+  READ_ONLY: 'read-only'
+};
+
+export const PERMISSIONS = {
+  VIEW_PATIENTS: 'patients:view',
+  EDIT_PATIENTS: 'patients:edit',
+  DELETE_PATIENTS: 'patients:delete',
+  RESTORE_REVISIONS: 'revisions:restore',
+  IMPORT_DATA: 'data:import',
+  EXPORT_DATA: 'data:export',
+  VIEW_AUDIT_LOG: 'audit:view',
+  MANAGE_USERS: 'users:manage',
+  CLEAR_DATA: 'data:clear'
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.CLINICIAN]: [
+    PERMISSIONS.VIEW_PATIENTS,
+    PERMISSIONS.EDIT_PATIENTS,
+    PERMISSIONS.RESTORE_REVISIONS,
+    PERMISSIONS.EXPORT_DATA
+  ],
+  [ROLES.FRONT_DESK]: [
+    PERMISSIONS.VIEW_PATIENTS,
+    PERMISSIONS.EDIT_PATIENTS
+  ],
+  [ROLES.READ_ONLY]: [
+    PERMISSIONS.VIEW_PATIENTS
+  ]
+};
+
+// Options for role pickers, in order of decreasing privilege
+export const ROLE_OPTIONS = [
+  { value: ROLES.ADMIN, labelKey: 'roles.admin', defaultLabel: 'Admin' },
+  { value: ROLES.CLINICIAN, labelKey: 'roles.clinician', defaultLabel: 'Clinician' },
+  { value: ROLES.FRONT_DESK, labelKey: 'roles.frontDesk', defaultLabel: 'Front desk' },
+  { value: ROLES.READ_ONLY, labelKey: 'roles.readOnly', defaultLabel: 'Read-only' }
+];
+
+export function isRole(value) {
+  return Object.values(ROLES).includes(value);
+}
+
+// A missing or unknown role gets the least privilege
+export function getUserRole(user) {
+  return isRole(user?.role) ? user.role : ROLES.READ_ONLY;
+}
+
+export function hasPermission(user, permission) {
+  if (!user) return false;
+  return (ROLE_PERMISSIONS[getUserRole(user)] || []).includes(permission);
+}
@@ -1,5 +1,36 @@
 import Dexie from 'dexie';
-import { encrypt, decrypt } from './encryption.js';
+import {
+  encryptWithKey,
+  decryptWithKey,
+  decrypt,
+  readLegacyDeviceSalt,
+  getEnvelopeHeader,
+  isEnvelopeOutdated,
+  KDF_DATA_KEY,
+  LEGACY_SALT_ID,
+  PBKDF2_ITERATIONS
+} from './encryption.js';
+import {
+  generateDataKey,
+  wrapDataKey,
+  unwrapDataKey,
+  generateRecoveryCode,
+  normalizeRecoveryCode,
+  recoveryKeyLabel,
+  createEnrolmentPackage,
+  readEnrolmentPackage,
+  sealDataKey,
+  openDataKey,
+  isSameDataKey
+} from './keyWrapping.js';
+import { createEncryptedBundle } from './exportBundle.js';
+import { createKeyCache } from './keyManager.js';
+import { chainAuditEntry, verifyAuditChain, deriveAuditKey } from './auditChain.js';
+import { findUser, updateUser } from './userStore.js';
+import { recordFailedLogin } from './loginThrottle.js';
+import { ROLES, PERMISSIONS, hasPermission, isRole } from './roles.js';
+import { normalizePatientRecord } from './encounters.js';
+import { INTAKE_FORM_SCHEMA } from '../forms/intakeSchema.js';
 
 // Define the database schema
 class PatientDatabase extends Dexie {
@@ -10,18 +41,881 @@ class PatientDatabase extends Dexie {
       auditLogs: '++id, action, timestamp, patientId, details',
       settings: 'key, value'
     });
+    
+    // Version 2: immutable revision history, one encrypted row per save
+    this.version(2).stores({
+      revisions: '++id, patientId, version, timestamp, [patientId+version]'
+    }).upgrade(async tx => {
+      // Seed history with the current ciphertext of each patient (all stored as version 1)
+      const patients = await tx.table('patients').toArray();
+      await tx.table('revisions').bulkAdd(patients.map(patient => ({
+        patientId: patient.patientId,
+        version: 1,
+        encryptedData: patient.encryptedData,
+        timestamp: patient.timestamp,
+        savedBy: null
+      })));
+    });
+    
+    // Version 3: per-user wrapped copies of the database data key
+    this.version(3).stores({
+      keyring: 'username, updatedAt'
+    });
+    
+    // Version 4: hash-chained audit log (see auditChain.js); the chain head lives in settings
+    this.version(4).stores({
+      auditLogs: '++id, seq, action, timestamp, patientId, user, details'
+    });
+    
+    // Version 5: encrypted autosaved form drafts, one per patient, removed on save
+    this.version(5).stores({
+      drafts: 'patientId, updatedAt'
+    });
+    
+    // Version 6: outbound sync queue (one entry per patient) and server copies that conflict
+    // with local edits (see syncEngine.js); patients rows also carry the last synced serverRevision
+    this.version(6).stores({
+      syncQueue: '++id, &patientId, nextAttemptAt',
+      syncConflicts: 'patientId, detectedAt'
+    });
   }
 }
 
 const db = new PatientDatabase();
 
+// Wrong quick-unlock PINs allowed before a full password login is required
+const QUICK_PIN_ATTEMPTS = 5;
+
+// settings key holding the audit chain head ({ seq, hash } of the newest entry)
+const AUDIT_HEAD_KEY = 'audit_chain_head';
+
+// Audit chain HMAC keys, derived once per data key
+const auditKeys = new WeakMap();
+
+// settings key listing clinic key changes made by joinClinicKey, oldest first: [{ createdAt, forward, backward }]
+// forward seals the new data key under the old one (for keyring entries still wrapping the old key),
+// backward the old key under the new one (to verify audit entries keyed before the change)
+const KEY_ROTATIONS_KEY = 'key_rotations';
+
+// settings key set once the roles of existing accounts have been sealed into the keyring
+const ROLES_SEALED_KEY = 'roles_sealed';
+
+// Additional data binding a keyring entry's role seal to that user, so a seal can't be moved to another entry
+const roleSealLabel = (userKey) => `${userKey}#role`;
+
+// settings key holding the position in the server change feed that has been pulled
+const SYNC_CURSOR_KEY = 'sync_cursor';
+
+// patients.syncStatus: 'local' edits not yet queued, 'pending' queued for upload, 'synced' matching
+// the server, 'conflict' changed both here and on the server (server copy kept in syncConflicts)
+export const SYNC_STATUS = {
+  LOCAL: 'local',
+  PENDING: 'pending',
+  SYNCED: 'synced',
+  CONFLICT: 'conflict'
+};
+
+// settings key for salts of PIN-derived envelopes written before the data key: { [saltId]: salt }
+// Only the legacy device salt is needed now, to migrate records still encrypted under it
+const KNOWN_SALTS_KEY = 'known_salts';
+
 // Secure Storage Service
 export class SecureStorage {
-  static currentPin = null;
+  static dataKey = null;
+  static currentUser = null; // { username, role } of whoever unlocked storage
+  static quickUnlock = null; // In-memory only: { entry, attemptsLeft } - data key wrapped under the session PIN
+  static encryptionUpgrade = null; // Promise of the running background re-encryption, if any
+  
+  // Set (or clear, with null) the unwrapped data key used for encryption/decryption
+  static setDataKey(key) {
+    this.dataKey = key;
+  }
+  
+  // Forget the data key, but remember who is signed in (inactivity lock)
+  static lock() {
+    this.dataKey = null;
+  }
+  
+  // Count a failed password attempt (see loginThrottle.js) and write it to the audit log
+  // Returns the new throttle status; reaching the limit also logs a lockout
+  static async recordFailedLogin(username, reason) {
+    const status = recordFailedLogin(username);
+    
+    await this.addAuditLog('LOGIN_FAILED', null, {
+      action: 'Failed login attempt',
+      username,
+      reason,
+      failures: status.failures,
+      timestamp: new Date().toISOString()
+    });
+    
+    if (status.isLockedOut) {
+      await this.addAuditLog('LOGIN_LOCKOUT', null, {
+        action: 'Account locked after repeated failed logins',
+        username,
+        lockedUntil: new Date(Date.now() + status.retryAfterMs).toISOString(),
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    return status;
+  }
+  
+  // Forget the data key, the signed-in user and any quick-unlock PIN (logout)
+  static async signOut() {
+    if (this.currentUser) {
+      await this.addAuditLog('LOGOUT', null, {
+        action: 'User logged out',
+        username: this.currentUser.username,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    this.lock();
+    this.currentUser = null;
+    this.quickUnlock = null;
+  }
+  
+  // Set a quick-unlock PIN for this session
+  // The data key is wrapped under the PIN in memory only, so a reload always needs the password
+  static async setQuickPin(pin) {
+    if (!this.dataKey || !this.currentUser) {
+      throw new Error('Storage locked - cannot set a quick PIN');
+    }
+    
+    this.quickUnlock = {
+      entry: await wrapDataKey(this.dataKey, `${this.currentUser.username.toLowerCase()}#pin`, pin),
+      attemptsLeft: QUICK_PIN_ATTEMPTS
+    };
+  }
+  
+  static hasQuickPin() {
+    return !!this.quickUnlock;
+  }
+  
+  // Re-unlock after an inactivity lock with the session PIN
+  // Too many wrong PINs discard the PIN copy, forcing a password login
+  static async unlockWithPin(pin) {
+    if (!this.quickUnlock || !this.currentUser) {
+      throw new Error('Quick unlock is not available - log in with your password');
+    }
+    
+    const username = this.currentUser.username.toLowerCase();
+    
+    try {
+      this.dataKey = await unwrapDataKey(this.quickUnlock.entry, `${username}#pin`, pin);
+    } catch {
+      this.quickUnlock.attemptsLeft -= 1;
+      if (this.quickUnlock.attemptsLeft <= 0) {
+        this.quickUnlock = null;
+        throw new Error('Too many incorrect PINs - log in with your password');
+      }
+      throw new Error(`Incorrect PIN (${this.quickUnlock.attemptsLeft} attempts left)`);
+    }
+    
+    this.quickUnlock.attemptsLeft = QUICK_PIN_ATTEMPTS;
+    
+    await this.addAuditLog('UNLOCK', null, {
+      action: 'Storage unlocked with quick PIN',
+      username,
+      timestamp: new Date().toISOString()
+    });
+    
+    this.startEncryptionUpgrade(); // Resume if a lock interrupted it
+    
+    return true;
+  }
+  
+  // Encrypt an arbitrary value (e.g. unsaved form edits) with the data key
+  static async encryptDraft(value) {
+    if (!this.dataKey) {
+      throw new Error('Storage locked - cannot encrypt data');
+    }
+    return encryptWithKey(JSON.stringify(value), this.dataKey);
+  }
+  
+  static async decryptDraft(encryptedDraft) {
+    if (!this.dataKey) {
+      throw new Error('Storage locked - cannot decrypt data');
+    }
+    return JSON.parse(await decryptWithKey(encryptedDraft, this.dataKey));
+  }
+  
+  // Throw unless the signed-in user's role allows the action
+  static requirePermission(permission) {
+    if (!hasPermission(this.currentUser, permission)) {
+      throw new Error(`Permission denied: ${permission}`);
+    }
+  }
+  
+  // Remember who unlocked storage, with the role sealed in their keyring entry
+  // The role in userStore is only a display copy, so editing localStorage grants nothing
+  static async setCurrentUser(username) {
+    const userKey = username.trim().toLowerCase();
+    this.currentUser = {
+      username: findUser(username)?.username || username.trim(),
+      role: await this.readRoleSeal(await db.keyring.get(userKey))
+    };
+  }
+  
+  // Role encrypted under the data key, with the username as additional data
+  static async sealRole(userKey, role, dataKey = this.dataKey) {
+    if (!isRole(role)) {
+      throw new Error(`Unknown role ${role}`);
+    }
+    return encryptWithKey(role, dataKey, roleSealLabel(userKey));
+  }
+  
+  // Role from a keyring entry's seal; a missing, altered or unreadable seal gives the least privilege
+  static async readRoleSeal(entry, dataKey = this.dataKey) {
+    if (!entry?.roleSeal || !dataKey) return ROLES.READ_ONLY;
+    
+    try {
+      const role = await decryptWithKey(entry.roleSeal, dataKey, roleSealLabel(entry.username));
+      return isRole(role) ? role : ROLES.READ_ONLY;
+    } catch (error) {
+      console.warn(`Ignoring invalid role seal for ${entry.username}:`, error.message);
+      return ROLES.READ_ONLY;
+    }
+  }
+  
+  // Sealed role of every user holding the data key, as { [lowercase username]: role }
+  static async getUserRoles() {
+    if (!this.dataKey) {
+      throw new Error('Storage locked - cannot read user roles');
+    }
+    
+    const entries = await db.keyring.toArray();
+    return Object.fromEntries(await Promise.all(
+      entries.map(async entry => [entry.username, await this.readRoleSeal(entry)])
+    ));
+  }
+  
+  // Change a user's role: rewrite the seal in their keyring entry and the userStore display copy
+  static async setUserRole(username, role) {
+    if (!this.dataKey) {
+      throw new Error('Storage locked - cannot change roles');
+    }
+    this.requirePermission(PERMISSIONS.MANAGE_USERS);
+    
+    const userKey = username.trim().toLowerCase();
+    
+    try {
+      const entry = await db.keyring.get(userKey);
+      if (!entry) {
+        throw new Error('No data key stored for this user');
+      }
+      
+      const from = await this.readRoleSeal(entry);
+      await db.keyring.update(userKey, { roleSeal: await this.sealRole(userKey, role) });
+      updateUser(username, { role });
+      if (this.currentUser?.username.toLowerCase() === userKey) {
+        this.currentUser = { ...this.currentUser, role };
+      }
+      
+      await this.addAuditLog('CHANGE_ROLE', null, {
+        action: 'User role changed',
+        username: userKey,
+        from,
+        to: role,
+        timestamp: new Date().toISOString()
+      });
+      
+      return true;
+      
+    } catch (error) {
+      console.error('Failed to change role:', error);
+      throw new Error(`Role change failed: ${error.message}`);
+    }
+  }
+  
+  // One-time migration: seal the localStorage roles of keyring entries made before role seals
+  // Accounts created before roles existed had full access, so a user record without a role seals as admin
+  // Failure leaves the entries unsealed (read-only) and is retried at the next unlock
+  static async sealLegacyRoles() {
+    try {
+      if ((await db.settings.get(ROLES_SEALED_KEY))?.value) return;
+      
+      const entries = await db.keyring.filter(entry => !entry.roleSeal).toArray();
+      const sealed = {};
+      
+      for (const entry of entries) {
+        const userRecord = findUser(entry.username);
+        const role = !userRecord ? ROLES.READ_ONLY : (isRole(userRecord.role) ? userRecord.role : ROLES.ADMIN);
+        await db.keyring.update(entry.username, { roleSeal: await this.sealRole(entry.username, role) });
+        sealed[entry.username] = role;
+      }
+      
+      await db.settings.put({ key: ROLES_SEALED_KEY, value: true });
+      
+      if (entries.length > 0) {
+        await this.addAuditLog('SEAL_ROLES', null, {
+          action: 'Existing user roles sealed into the keyring',
+          roles: sealed,
+          timestamp: new Date().toISOString()
+        });
+      }
+    } catch (error) {
+      console.warn('Failed to seal existing user roles:', error.message);
+    }
+  }
+  
+  // Whether any user already holds a copy of the data key
+  static async hasKeyring() {
+    return (await db.keyring.count()) > 0;
+  }
+  
+  // Whether this user can unlock storage: they hold a wrapped key, or the keyring is still empty
+  static async canUnlock(username) {
+    const entry = await db.keyring.get(username.trim().toLowerCase());
+    return !!entry || !(await this.hasKeyring());
+  }
+  
+  // Unlock storage with a user's password by unwrapping their copy of the data key
+  // The first user to unlock an empty keyring creates the database key, or adopts the clinic key of
+  // another device when clinicKey ({ enrolment, code }, see createDeviceEnrolment) is given
+  static async unlock(username, password, clinicKey = null) {
+    const userKey = username.trim().toLowerCase();
+    
+    try {
+      await this.migrateLegacySalt();
+      
+      const entry = await db.keyring.get(userKey);
+      let entryKey = null;
+      let dataKey;
+      
+      if (entry) {
+        entryKey = await unwrapDataKey(entry, userKey, password);
+        dataKey = await this.followKeyRotations(entryKey);
+      } else if (!(await this.hasKeyring())) {
+        // The first user creates the key (or brings the clinic's) and is its admin
+        dataKey = clinicKey
+          ? await readEnrolmentPackage(clinicKey.enrolment, clinicKey.code)
+          : await generateDataKey();
+        await db.keyring.put({
+          username: userKey,
+          ...await wrapDataKey(dataKey, userKey, password),
+          roleSeal: await this.sealRole(userKey, ROLES.ADMIN, dataKey),
+          updatedAt: Date.now()
+        });
+      } else {
+        throw new Error('This account has not been granted access to the clinic database');
+      }
+      
+      // Set before the steps below so the audit entries they write are keyed
+      this.dataKey = dataKey;
+      if (entry && dataKey === entryKey) {
+        await this.upgradeKeyWrapping(entry, dataKey, userKey, password);
+      } else if (entry) {
+        await this.rewrapChangedKey(entry, dataKey, userKey, password);
+      }
+      // Each account's legacy records move to the data key at its first password login
+      await this.migrateLegacyRecords(password, dataKey);
+      await this.sealLegacyRoles();
+      await this.setCurrentUser(username);
+      
+      await this.addAuditLog('UNLOCK', null, {
+        action: 'Storage unlocked',
+        username: userKey,
+        timestamp: new Date().toISOString()
+      });
+      if (clinicKey && !entry) {
+        await this.addAuditLog('JOIN_CLINIC_KEY', null, {
+          action: 'New database set up with the clinic key from an enrolment file',
+          enrolledFrom: clinicKey.enrolment.deviceId || null,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      this.startEncryptionUpgrade();
+      
+      return true;
+      
+    } catch (error) {
+      this.lock();
+      console.error('Failed to unlock storage:', error);
+      throw new Error(`Unlock failed: ${error.message}`);
+    }
+  }
+  
+  // Re-wrap a user's key copy when it was made with fewer PBKDF2 iterations than we use now
+  // Needs the password, so it runs during unlock; failure only leaves the old (working) copy
+  static async upgradeKeyWrapping(entry, dataKey, userKey, password) {
+    if ((entry.iterations || 0) >= PBKDF2_ITERATIONS) return;
+    
+    try {
+      await db.keyring.put({
+        ...entry,
+        ...await wrapDataKey(dataKey, userKey, password),
+        updatedAt: Date.now()
+      });
+      
+      await this.addAuditLog('UPGRADE_KEY_WRAPPING', null, {
+        action: 'Data key re-wrapped with stronger key derivation',
+        username: userKey,
+        fromIterations: entry.iterations,
+        toIterations: PBKDF2_ITERATIONS,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.warn('Failed to upgrade key wrapping:', error.message);
+    }
+  }
+  
+  // Replace a keyring entry made before a clinic key change with a copy of the current key
+  // Needs the password, so it runs during unlock; failure only means following the change again next time
+  static async rewrapChangedKey(entry, dataKey, userKey, password) {
+    try {
+      await db.keyring.put({
+        ...entry,
+        ...await wrapDataKey(dataKey, userKey, password),
+        updatedAt: Date.now()
+      });
+      
+      await this.addAuditLog('FOLLOW_KEY_CHANGE', null, {
+        action: 'Data key copy updated to the current clinic key',
+        username: userKey,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.warn('Failed to re-wrap changed data key:', error.message);
+    }
+  }
+  
+  // Start re-encrypting outdated records in the background (once per unlock)
+  static startEncryptionUpgrade() {
+    if (!this.encryptionUpgrade) {
+      this.encryptionUpgrade = this.upgradeRecordEncryption()
+        .catch(error => console.error('Background re-encryption failed:', error))
+        .finally(() => {
+          this.encryptionUpgrade = null;
+        });
+    }
+    return this.encryptionUpgrade;
+  }
+  
+  // Re-encrypt patient rows and revisions whose envelope predates the current format
+  // Stops if storage is locked meanwhile; a row saved again while we worked is left alone
+  // Returns { patients, revisions } counts of upgraded rows
+  static async upgradeRecordEncryption() {
+    const dataKey = this.dataKey;
+    const upgraded = { patients: 0, revisions: 0 };
+    const isOutdated = (row) => isEnvelopeOutdated(JSON.parse(row.encryptedData), { kdf: KDF_DATA_KEY });
+    
+    for (const [name, table] of [['patients', db.patients], ['revisions', db.revisions]]) {
+      const rows = await table.filter(isOutdated).toArray();
+      
+      for (const row of rows) {
+        if (this.dataKey !== dataKey) return upgraded;
+        
+        let encryptedData;
+        try {
+          const plaintext = await decryptWithKey(JSON.parse(row.encryptedData), dataKey);
+          encryptedData = JSON.stringify(await encryptWithKey(plaintext, dataKey));
+        } catch (error) {
+          console.warn(`Skipping re-encryption of ${name} row ${row.id}:`, error.message);
+          continue;
+        }
+        
+        await table.where(':id').equals(row.id).modify(current => {
+          if (current.encryptedData === row.encryptedData) {
+            current.encryptedData = encryptedData;
+            upgraded[name] += 1;
+          }
+        });
+      }
+    }
+    
+    if (upgraded.patients + upgraded.revisions > 0) {
+      await this.addAuditLog('UPGRADE_ENCRYPTION', null, {
+        action: 'Records re-encrypted with the current envelope format',
+        patientCount: upgraded.patients,
+        revisionCount: upgraded.revisions,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    return upgraded;
+  }
+  
+  // Wrap the current data key for a user (new account or changed password)
+  // A role seals it into the entry; without one an existing seal is kept, or the user is read-only
+  static async grantAccess(username, password, role = null) {
+    if (!this.dataKey) {
+      throw new Error('Storage locked - cannot share the data key');
+    }
+    this.requirePermission(PERMISSIONS.MANAGE_USERS);
+    
+    const userKey = username.trim().toLowerCase();
+    
+    try {
+      // Keep any existing recovery copy
+      const existing = await db.keyring.get(userKey);
+      await db.keyring.put({
+        ...existing,
+        username: userKey,
+        ...await wrapDataKey(this.dataKey, userKey, password),
+        ...(role && { roleSeal: await this.sealRole(userKey, role) }),
+        updatedAt: Date.now()
+      });
+      
+      await this.addAuditLog('GRANT_KEY', null, {
+        action: 'Data key wrapped for user',
+        username: userKey,
+        ...(role && { role }),
+        timestamp: new Date().toISOString()
+      });
+      
+      return true;
+      
+    } catch (error) {
+      console.error('Failed to grant access:', error);
+      throw new Error(`Grant failed: ${error.message}`);
+    }
+  }
   
-  // Set the current PIN for encryption/decryption
-  static setCurrentPin(pin) {
-    this.currentPin = pin;
+  // Remove a user's copy of the data key
+  static async revokeAccess(username) {
+    this.requirePermission(PERMISSIONS.MANAGE_USERS);
+    
+    const userKey = username.trim().toLowerCase();
+    
+    try {
+      await db.keyring.delete(userKey);
+      
+      await this.addAuditLog('REVOKE_KEY', null, {
+        action: 'Data key removed for user',
+        username: userKey,
+        timestamp: new Date().toISOString()
+      });
+      
+      return true;
+      
+    } catch (error) {
+      console.error('Failed to revoke access:', error);
+      throw new Error(`Revoke failed: ${error.message}`);
+    }
+  }
+  
+  // Change a user's password by re-wrapping their copy of the data key
+  // Patient data itself is untouched - it stays encrypted under the same data key
+  static async changePassword(username, currentPassword, newPassword) {
+    const userKey = username.trim().toLowerCase();
+    
+    try {
+      const entry = await db.keyring.get(userKey);
+      if (!entry) {
+        throw new Error('No data key stored for this user');
+      }
+      
+      // Unwrapping proves the current password
+      const dataKey = await this.followKeyRotations(await unwrapDataKey(entry, userKey, currentPassword));
+      await db.keyring.put({
+        ...entry,
+        ...await wrapDataKey(dataKey, userKey, newPassword),
+        updatedAt: Date.now()
+      });
+      this.dataKey = dataKey;
+      
+      await this.addAuditLog('CHANGE_PASSWORD', null, {
+        action: 'Password changed and data key re-wrapped',
+        username: userKey,
+        timestamp: new Date().toISOString()
+      });
+      
+      return true;
+      
+    } catch (error) {
+      console.error('Failed to change password:', error);
+      throw new Error(`Password change failed: ${error.message}`);
+    }
+  }
+  
+  // Generate a new recovery code for a user and store a copy of the data key wrapped under it
+  // Returns the code - it is shown once and never stored in plain form
+  static async createRecoveryCode(username) {
+    if (!this.dataKey) {
+      throw new Error('Storage locked - cannot create a recovery code');
+    }
+    
+    const userKey = username.trim().toLowerCase();
+    if (this.currentUser?.username.toLowerCase() !== userKey) {
+      this.requirePermission(PERMISSIONS.MANAGE_USERS);
+    }
+    
+    try {
+      const entry = await db.keyring.get(userKey);
+      if (!entry) {
+        throw new Error('No data key stored for this user');
+      }
+      
+      const recoveryCode = generateRecoveryCode();
+      await db.keyring.put({
+        ...entry,
+        recovery: await wrapDataKey(this.dataKey, recoveryKeyLabel(userKey), normalizeRecoveryCode(recoveryCode)),
+        updatedAt: Date.now()
+      });
+      
+      await this.addAuditLog('CREATE_RECOVERY_CODE', null, {
+        action: 'Recovery code generated',
+        username: userKey,
+        timestamp: new Date().toISOString()
+      });
+      
+      return recoveryCode;
+      
+    } catch (error) {
+      console.error('Failed to create recovery code:', error);
+      throw new Error(`Recovery code failed: ${error.message}`);
+    }
+  }
+  
+  // Unlock with a recovery code and set a new password
+  // The used code is replaced; returns the new recovery code
+  static async recoverAccess(username, recoveryCode, newPassword) {
+    const userKey = username.trim().toLowerCase();
+    
+    try {
+      const entry = await db.keyring.get(userKey);
+      if (!entry?.recovery) {
+        throw new Error('No recovery code is set up for this user');
+      }
+      
+      const dataKey = await this.followKeyRotations(
+        await unwrapDataKey(entry.recovery, recoveryKeyLabel(userKey), normalizeRecoveryCode(recoveryCode))
+      );
+      await db.keyring.put({
+        ...entry,
+        ...await wrapDataKey(dataKey, userKey, newPassword),
+        updatedAt: Date.now()
+      });
+      this.dataKey = dataKey;
+      await this.sealLegacyRoles();
+      await this.setCurrentUser(username);
+      
+      await this.addAuditLog('RECOVER_ACCESS', null, {
+        action: 'Access recovered with recovery code',
+        username: userKey,
+        timestamp: new Date().toISOString()
+      });
+      
+      return await this.createRecoveryCode(userKey);
+      
+    } catch (error) {
+      console.error('Failed to recover access:', error);
+      throw new Error(`Recovery failed: ${error.message}`);
+    }
+  }
+  
+  // Clinic key sharing
+  // Every database starts with its own random data key, so records synced from another device can only
+  // be read once both use the same key: one device exports its key in an enrolment file, and the others
+  // either start from it (unlock with clinicKey) or switch their existing data over (joinClinicKey)
+  
+  // Returns { code, enrolment }: the enrolment file content and the code that opens it, shown once
+  // and handed over separately from the file
+  static async createDeviceEnrolment() {
+    if (!this.dataKey) {
+      throw new Error('Storage locked - cannot share the data key');
+    }
+    this.requirePermission(PERMISSIONS.MANAGE_USERS);
+    
+    try {
+      const code = generateRecoveryCode();
+      const enrolment = await createEnrolmentPackage(this.dataKey, code, {
+        createdAt: new Date().toISOString(),
+        createdBy: this.currentUser.username,
+        deviceId: await this.getDeviceId()
+      });
+      
+      await this.addAuditLog('CREATE_ENROLMENT', null, {
+        action: 'Clinic key enrolment file created',
+        timestamp: new Date().toISOString()
+      });
+      
+      return { code, enrolment };
+      
+    } catch (error) {
+      console.error('Failed to create enrolment:', error);
+      throw new Error(`Enrolment failed: ${error.message}`);
+    }
+  }
+  
+  // Switch this database to the clinic key from an enrolment file
+  // Every stored row is re-encrypted in one transaction while storage is locked, so nothing is saved
+  // under the old key meanwhile. Rows that don't decrypt with the old key are left as they are.
+  // Synced records are marked local so the copies other devices can read get uploaded, and the sync
+  // cursor is reset so changes this device couldn't read before are pulled again.
+  // Other users' keyring entries still wrap the old key and follow the change at their next unlock;
+  // the session's quick-unlock PIN is dropped.
+  // Returns { patients, revisions, drafts, conflicts } counts of re-encrypted rows
+  static async joinClinicKey(enrolment, code) {
+    if (!this.dataKey) {
+      throw new Error('Storage locked - cannot change the data key');
+    }
+    this.requirePermission(PERMISSIONS.MANAGE_USERS);
+    
+    const oldKey = this.dataKey;
+    const newKey = await readEnrolmentPackage(enrolment, code).catch(error => {
+      throw new Error(`Join failed: ${error.message}`);
+    });
+    if (await isSameDataKey(oldKey, newKey)) {
+      throw new Error('Join failed: this device already uses that clinic key');
+    }
+    
+    this.dataKey = null;
+    this.quickUnlock = null;
+    
+    let counts;
+    try {
+      await this.encryptionUpgrade; // Stops at the next row now that storage is locked
+      
+      const reencrypt = async (row) => {
+        if (!row.encryptedData) return null; // Deletion recorded as a conflict
+        try {
+          const plaintext = await decryptWithKey(JSON.parse(row.encryptedData), oldKey);
+          return { ...row, encryptedData: JSON.stringify(await encryptWithKey(plaintext, newKey)) };
+        } catch (error) {
+          console.warn(`Leaving row for patient ${row.patientId} as it is:`, error.message);
+          return null;
+        }
+      };
+      const reencryptTable = async (table) => (await Promise.all((await table.toArray()).map(reencrypt))).filter(Boolean);
+      
+      const patients = (await reencryptTable(db.patients)).map(row => (
+        row.syncStatus === SYNC_STATUS.SYNCED ? { ...row, syncStatus: SYNC_STATUS.LOCAL } : row
+      ));
+      const revisions = await reencryptTable(db.revisions);
+      const drafts = await reencryptTable(db.drafts);
+      const conflicts = await reencryptTable(db.syncConflicts);
+      
+      const keyring = await Promise.all((await db.keyring.toArray()).map(async entry => (
+        entry.roleSeal
+          ? { ...entry, roleSeal: await this.sealRole(entry.username, await this.readRoleSeal(entry, oldKey), newKey) }
+          : entry
+      )));
+      const rotation = {
+        createdAt: Date.now(),
+        forward: await sealDataKey(newKey, oldKey),
+        backward: await sealDataKey(oldKey, newKey)
+      };
+      
+      await db.transaction('rw', [db.patients, db.revisions, db.drafts, db.syncConflicts, db.keyring, db.settings], async () => {
+        await db.patients.bulkPut(patients);
+        await db.revisions.bulkPut(revisions);
+        await db.drafts.bulkPut(drafts);
+        await db.syncConflicts.bulkPut(conflicts);
+        await db.keyring.bulkPut(keyring);
+        
+        const rotations = (await db.settings.get(KEY_ROTATIONS_KEY))?.value || [];
+        await db.settings.put({ key: KEY_ROTATIONS_KEY, value: [...rotations, rotation] });
+        await db.settings.delete(SYNC_CURSOR_KEY);
+      });
+      
+      counts = {
+        patients: patients.length,
+        revisions: revisions.length,
+        drafts: drafts.length,
+        conflicts: conflicts.length
+      };
+    } catch (error) {
+      this.dataKey = oldKey;
+      console.error('Failed to join clinic key:', error);
+      throw new Error(`Join failed: ${error.message}`);
+    }
+    
+    this.dataKey = newKey;
+    
+    await this.addAuditLog('JOIN_CLINIC_KEY', null, {
+      action: 'Records re-encrypted with the clinic key from an enrolment file',
+      enrolledFrom: enrolment.deviceId || null,
+      patientCount: counts.patients,
+      revisionCount: counts.revisions,
+      timestamp: new Date().toISOString()
+    });
+    
+    return counts;
+  }
+  
+  // The current data key for a key unwrapped from a keyring entry made before joinClinicKey ran
+  // (the same key when nothing changed since); changes are applied in the order they were made
+  static async followKeyRotations(dataKey) {
+    const rotations = (await db.settings.get(KEY_ROTATIONS_KEY))?.value || [];
+    let current = dataKey;
+    
+    for (const rotation of rotations) {
+      try {
+        current = await openDataKey(rotation.forward, current);
+      } catch {
+        // Made from another key (e.g. this copy was wrapped after the change)
+      }
+    }
+    
+    return current;
+  }
+  
+  // Re-encrypt records written before key wrapping, when the password itself was the key
+  // Rows that don't decrypt with this password (another user's) are left for that user's login
+  static async migrateLegacyRecords(password, dataKey) {
+    const isLegacy = (row) => getEnvelopeHeader(JSON.parse(row.encryptedData)).kdf !== KDF_DATA_KEY;
+    const legacyPatients = await db.patients.filter(isLegacy).toArray();
+    const legacyRevisions = await db.revisions.filter(isLegacy).toArray();
+    if (legacyPatients.length + legacyRevisions.length === 0) return;
+    
+    const salts = await this.getSalts();
+    const keyCache = createKeyCache(); // One PBKDF2 run per salt for all rows, dropped afterwards
+    const reencrypt = async (row) => {
+      try {
+        const plaintext = await decrypt(JSON.parse(row.encryptedData), password, salts, keyCache);
+        return { ...row, encryptedData: JSON.stringify(await encryptWithKey(plaintext, dataKey)) };
+      } catch (error) {
+        console.warn(`Skipping legacy record for patient ${row.patientId}:`, error.message);
+        return null;
+      }
+    };
+    
+    const patients = (await Promise.all(legacyPatients.map(reencrypt))).filter(Boolean);
+    const revisions = (await Promise.all(legacyRevisions.map(reencrypt))).filter(Boolean);
+    
+    await db.transaction('rw', db.patients, db.revisions, async () => {
+      await db.patients.bulkPut(patients);
+      await db.revisions.bulkPut(revisions);
+    });
+    
+    if (patients.length + revisions.length > 0) {
+      await this.addAuditLog('MIGRATE_KEYS', null, {
+        action: 'Legacy records re-encrypted with the data key',
+        patientCount: patients.length,
+        revisionCount: revisions.length,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  // Every salt a legacy PIN-derived envelope may name, as { [saltId]: Uint8Array } for decrypt()
+  static async getSalts() {
+    const knownSalts = (await db.settings.get(KNOWN_SALTS_KEY))?.value || {};
+    
+    return Object.fromEntries(
+      Object.entries(knownSalts).map(([id, salt]) => [id, new Uint8Array(salt)])
+    );
+  }
+  
+  // Copy the old localStorage device salt into settings, so clearing localStorage
+  // can no longer orphan records encrypted under it
+  static async migrateLegacySalt() {
+    const legacySalt = readLegacyDeviceSalt();
+    if (!legacySalt) return;
+    
+    await db.transaction('rw', db.settings, async () => {
+      const knownSalts = (await db.settings.get(KNOWN_SALTS_KEY))?.value || {};
+      if (!knownSalts[LEGACY_SALT_ID]) {
+        await db.settings.put({
+          key: KNOWN_SALTS_KEY,
+          value: { ...knownSalts, [LEGACY_SALT_ID]: Array.from(legacySalt) }
+        });
+      }
+    });
   }
   
   // Get device ID for tracking
@@ -38,34 +932,79 @@ export class SecureStorage {
   }
   
   // Save patient data with encryption
-  static async savePatientData(patientId, patientRecord) {
-    if (!this.currentPin) {
-      throw new Error('PIN not set - cannot encrypt data');
+  // Every save appends a new immutable revision; metadata.version is assigned here
+  // Returns the stored record (including its new version)
+  static async savePatientData(patientId, patientRecord, options = {}) {
+    if (!this.dataKey) {
+      throw new Error('Storage locked - cannot encrypt data');
     }
+    this.requirePermission(PERMISSIONS.EDIT_PATIENTS);
     
+    return this.writePatientRecord(patientId, patientRecord, options);
+  }
+  
+  // Encrypt and store a record as a new revision (callers check permissions)
+  // options: { auditAction, auditDetails, syncStatus, serverRevision, keepDraft } - a local edit is
+  // left 'local' for the sync engine to push; pulled records are written as 'synced'
+  static async writePatientRecord(patientId, patientRecord, options = {}) {
     try {
+      const version = (await this.getLatestRevisionNumber(patientId)) + 1;
+      const storedRecord = {
+        ...patientRecord,
+        metadata: { ...patientRecord.metadata, version }
+      };
+      
       // Encrypt the entire patient record
-      const encryptedData = await encrypt(JSON.stringify(patientRecord), this.currentPin);
+      const encryptedData = JSON.stringify(await encryptWithKey(JSON.stringify(storedRecord), this.dataKey));
+      const timestamp = Date.now();
       
       // Create database record
       const dbRecord = {
         patientId: patientId,
-        encryptedData: JSON.stringify(encryptedData),
-        timestamp: Date.now(),
-        syncStatus: 'local',
+        encryptedData: encryptedData,
+        timestamp: timestamp,
+        syncStatus: options.syncStatus || SYNC_STATUS.LOCAL,
         deviceId: await this.getDeviceId()
       };
       
-      // Save to IndexedDB
-      await db.patients.put(dbRecord);
+      // Save to IndexedDB, replacing the current row, appending the revision and dropping any draft
+      await db.transaction('rw', db.patients, db.revisions, db.drafts, async () => {
+        // Another save may have landed while encrypting
+        if (await this.getLatestRevisionNumber(patientId) !== version - 1) {
+          throw new Error(`Revision conflict: version ${version} already exists`);
+        }
+        
+        const existing = await db.patients.where('patientId').equals(patientId).first();
+        if (existing) {
+          dbRecord.id = existing.id;
+        }
+        // Local edits keep the server revision they're based on; a conflict stays flagged until resolved
+        dbRecord.serverRevision = options.serverRevision ?? existing?.serverRevision ?? null;
+        if (existing?.syncStatus === SYNC_STATUS.CONFLICT && !options.syncStatus) {
+          dbRecord.syncStatus = SYNC_STATUS.CONFLICT;
+        }
+        await db.patients.put(dbRecord);
+        await db.revisions.add({
+          patientId: patientId,
+          version: version,
+          encryptedData: encryptedData,
+          timestamp: timestamp,
+          savedBy: storedRecord.metadata.lastModifiedBy || null
+        });
+        if (!options.keepDraft) {
+          await db.drafts.delete(patientId);
+        }
+      });
       
       // Add audit log
-      await this.addAuditLog('SAVE_PATIENT', patientId, {
+      await this.addAuditLog(options.auditAction || 'SAVE_PATIENT', patientId, {
         action: 'Patient data saved',
+        version,
+        ...options.auditDetails,
         timestamp: new Date().toISOString()
       });
       
-      return patientId;
+      return storedRecord;
       
     } catch (error) {
       console.error('Failed to save patient data:', error);
@@ -73,10 +1012,56 @@ export class SecureStorage {
     }
   }
   
+  // Autosave unsaved form values for a patient (encrypted, replaces any earlier draft)
+  // encounterId is the visit being edited, which may not have been saved yet
+  static async saveDraft(patientId, formData, encounterId = null) {
+    this.requirePermission(PERMISSIONS.EDIT_PATIENTS);
+    
+    try {
+      await db.drafts.put({
+        patientId,
+        encounterId,
+        encryptedData: JSON.stringify(await this.encryptDraft(formData)),
+        updatedAt: Date.now(),
+        savedBy: this.currentUser?.username || null
+      });
+    } catch (error) {
+      console.error('Failed to save draft:', error);
+      throw new Error(`Draft save failed: ${error.message}`);
+    }
+  }
+  
+  // Returns { formData, encounterId, updatedAt, savedBy } or null when the patient has no draft
+  static async loadDraft(patientId) {
+    try {
+      const draft = await db.drafts.get(patientId);
+      if (!draft) return null;
+      
+      return {
+        formData: await this.decryptDraft(JSON.parse(draft.encryptedData)),
+        encounterId: draft.encounterId || null,
+        updatedAt: draft.updatedAt,
+        savedBy: draft.savedBy
+      };
+    } catch (error) {
+      console.error('Failed to load draft:', error);
+      throw new Error(`Draft load failed: ${error.message}`);
+    }
+  }
+  
+  static async deleteDraft(patientId) {
+    await db.drafts.delete(patientId);
+  }
+  
+  // Patients with a draft - includes new patients that were never saved
+  static async getDraftPatientIds() {
+    return db.drafts.toCollection().primaryKeys();
+  }
+  
   // Load patient data with decryption
   static async loadPatientData(patientId) {
-    if (!this.currentPin) {
-      throw new Error('PIN not set - cannot decrypt data');
+    if (!this.dataKey) {
+      throw new Error('Storage locked - cannot decrypt data');
     }
     
     try {
@@ -88,9 +1073,7 @@ export class SecureStorage {
       }
       
       // Decrypt the data
-      const encryptedData = JSON.parse(dbRecord.encryptedData);
-      const decryptedString = await decrypt(encryptedData, this.currentPin);
-      const patientRecord = JSON.parse(decryptedString);
+      const patientRecord = await this.decryptRecord(dbRecord);
       
       // Add audit log
       await this.addAuditLog('LOAD_PATIENT', patientId, {
@@ -110,22 +1093,76 @@ export class SecureStorage {
   static async getAllPatientIds() {
     try {
       const records = await db.patients.orderBy('timestamp').reverse().toArray();
-      return records.map(record => record.patientId);
+      return [...new Set(records.map(record => record.patientId))];
     } catch (error) {
       console.error('Failed to get patient IDs:', error);
       throw new Error(`Failed to get patient list: ${error.message}`);
     }
   }
   
+  // Count stored patients (without decrypting data)
+  static async countPatients() {
+    const patientIds = await this.getAllPatientIds();
+    return patientIds.length;
+  }
+  
+  // Load and decrypt every patient record, keyed by patient ID
+  static async loadAllPatients() {
+    if (!this.dataKey) {
+      throw new Error('Storage locked - cannot decrypt data');
+    }
+    
+    try {
+      const records = await db.patients.orderBy('timestamp').toArray();
+      const patients = {};
+      
+      for (const { record, patientRecord } of await this.decryptRecords(records)) {
+        patients[record.patientId] = patientRecord;
+      }
+      
+      // Add audit log
+      await this.addAuditLog('LOAD_ALL_PATIENTS', null, {
+        action: 'All patient data loaded',
+        patientCount: Object.keys(patients).length,
+        timestamp: new Date().toISOString()
+      });
+      
+      return patients;
+      
+    } catch (error) {
+      console.error('Failed to load all patients:', error);
+      throw new Error(`Load failed: ${error.message}`);
+    }
+  }
+  
   // Delete patient data
   static async deletePatientData(patientId) {
-    if (!this.currentPin) {
-      throw new Error('PIN not set - cannot delete data');
+    if (!this.dataKey) {
+      throw new Error('Storage locked - cannot delete data');
     }
+    this.requirePermission(PERMISSIONS.DELETE_PATIENTS);
     
     try {
-      // Delete from database
-      await db.patients.where('patientId').equals(patientId).delete();
+      // Delete from database, including its revision history and any draft
+      // Records the server has seen get a queued delete so the sync engine removes them there too
+      await db.transaction('rw', db.patients, db.revisions, db.drafts, db.syncQueue, db.syncConflicts, async () => {
+        const existing = await db.patients.where('patientId').equals(patientId).first();
+        await db.patients.where('patientId').equals(patientId).delete();
+        await db.revisions.where('patientId').equals(patientId).delete();
+        await db.drafts.delete(patientId);
+        await db.syncQueue.where('patientId').equals(patientId).delete();
+        await db.syncConflicts.delete(patientId);
+        if (existing?.serverRevision) {
+          await db.syncQueue.add({
+            patientId,
+            operation: 'delete',
+            baseRevision: existing.serverRevision,
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            lastError: null
+          });
+        }
+      });
       
       // Add audit log
       await this.addAuditLog('DELETE_PATIENT', patientId, {
@@ -141,35 +1178,315 @@ export class SecureStorage {
     }
   }
   
-  // Export all patient data (encrypted)
-  static async exportAllData() {
-    if (!this.currentPin) {
-      throw new Error('PIN not set - cannot export data');
+  // Highest stored revision number for a patient (0 if none)
+  static async getLatestRevisionNumber(patientId) {
+    const latest = await db.revisions.where('[patientId+version]')
+      .between([patientId, Dexie.minKey], [patientId, Dexie.maxKey])
+      .last();
+    return latest ? latest.version : 0;
+  }
+  
+  // List a patient's revisions, newest first (without decrypting data)
+  static async getPatientRevisions(patientId) {
+    try {
+      const revisions = await db.revisions.where('[patientId+version]')
+        .between([patientId, Dexie.minKey], [patientId, Dexie.maxKey])
+        .reverse()
+        .toArray();
+      
+      return revisions.map(revision => ({
+        version: revision.version,
+        timestamp: revision.timestamp,
+        savedBy: revision.savedBy
+      }));
+    } catch (error) {
+      console.error('Failed to get patient revisions:', error);
+      throw new Error(`Failed to get revision history: ${error.message}`);
+    }
+  }
+  
+  // Load and decrypt one revision of a patient record
+  static async loadPatientRevision(patientId, version) {
+    if (!this.dataKey) {
+      throw new Error('Storage locked - cannot decrypt data');
     }
     
     try {
-      const records = await db.patients.toArray();
-      const auditLogs = await db.auditLogs.toArray();
+      const revision = await db.revisions.where('[patientId+version]').equals([patientId, version]).first();
       
-      // Decrypt all patient records for export
-      const decryptedRecords = [];
-      for (const record of records) {
-        try {
-          const encryptedData = JSON.parse(record.encryptedData);
-          const decryptedString = await decrypt(encryptedData, this.currentPin);
-          const patientRecord = JSON.parse(decryptedString);
-          
-          decryptedRecords.push({
-            patientId: record.patientId,
-            data: patientRecord,
-            timestamp: record.timestamp,
-            syncStatus: record.syncStatus
+      if (!revision) {
+        return null; // Revision not found
+      }
+      
+      const patientRecord = await this.decryptRecord(revision);
+      
+      // Add audit log
+      await this.addAuditLog('LOAD_REVISION', patientId, {
+        action: 'Patient revision loaded',
+        version,
+        timestamp: new Date().toISOString()
+      });
+      
+      return patientRecord;
+      
+    } catch (error) {
+      console.error('Failed to load patient revision:', error);
+      throw new Error(`Load failed: ${error.message}`);
+    }
+  }
+  
+  // Restore an earlier revision by saving its contents as a new version
+  static async restorePatientRevision(patientId, version, restoredBy) {
+    this.requirePermission(PERMISSIONS.RESTORE_REVISIONS);
+    
+    const revisionRecord = await this.loadPatientRevision(patientId, version);
+    if (!revisionRecord) {
+      throw new Error(`Restore failed: revision ${version} not found`);
+    }
+    
+    return this.savePatientData(patientId, {
+      ...revisionRecord,
+      updatedAt: new Date().toISOString(),
+      metadata: {
+        ...revisionRecord.metadata,
+        lastModifiedBy: restoredBy,
+        restoredFromVersion: version
+      }
+    }, {
+      auditAction: 'RESTORE_REVISION',
+      auditDetails: { action: 'Patient revision restored', restoredFromVersion: version }
+    });
+  }
+  
+  // Sync storage (used by syncEngine.js)
+  
+  // Pulled records can only be checked and stored while the data key is loaded
+  static isUnlocked() {
+    return this.dataKey !== null;
+  }
+  
+  // Queue every locally changed record for upload; returns how many were queued
+  static async queueLocalChanges(now = Date.now()) {
+    return db.transaction('rw', db.patients, db.syncQueue, async () => {
+      const rows = await db.patients.where('syncStatus').equals(SYNC_STATUS.LOCAL).toArray();
+      
+      for (const row of rows) {
+        await db.patients.update(row.id, { syncStatus: SYNC_STATUS.PENDING });
+        const queued = await db.syncQueue.where('patientId').equals(row.patientId).first();
+        if (queued) {
+          // Newer edits go out on the next attempt (a queued delete was replaced by a re-save)
+          await db.syncQueue.update(queued.id, { operation: 'upsert' });
+        } else {
+          await db.syncQueue.add({
+            patientId: row.patientId,
+            operation: 'upsert',
+            attempts: 0,
+            nextAttemptAt: now,
+            lastError: null
           });
-        } catch (decryptError) {
-          console.error(`Failed to decrypt patient ${record.patientId}:`, decryptError);
         }
       }
       
+      return rows.length;
+    });
+  }
+  
+  // Queue entries whose next attempt is due, oldest first
+  static async getDueSyncEntries(now = Date.now()) {
+    return db.syncQueue.where('nextAttemptAt').belowOrEqual(now).sortBy('nextAttemptAt');
+  }
+  
+  // The stored row (encrypted) for a patient, with its sync fields
+  static async getSyncRow(patientId) {
+    return db.patients.where('patientId').equals(patientId).first();
+  }
+  
+  // Upload accepted: the row is synced unless it was edited while uploading
+  static async markSynced(entry, uploadedRow, serverRevision) {
+    await db.transaction('rw', db.patients, db.syncQueue, async () => {
+      const current = await db.patients.where('patientId').equals(entry.patientId).first();
+      if (current) {
+        await db.patients.update(current.id, {
+          serverRevision,
+          ...(current.encryptedData === uploadedRow.encryptedData && { syncStatus: SYNC_STATUS.SYNCED })
+        });
+      }
+      await db.syncQueue.delete(entry.id);
+    });
+  }
+  
+  static async completeSyncEntry(entry) {
+    await db.syncQueue.delete(entry.id);
+  }
+  
+  // Upload failed (offline, server error): try again at nextAttemptAt
+  static async recordSyncFailure(entry, message, nextAttemptAt) {
+    await db.syncQueue.update(entry.id, {
+      attempts: entry.attempts + 1,
+      nextAttemptAt,
+      lastError: message
+    });
+  }
+  
+  // The server has a newer revision than the one local edits are based on
+  // remoteRecord: { revision, encryptedData, deviceId, updatedAt, deleted }
+  // Returns false when this server revision was already recorded (e.g. seen by the push, then the pull)
+  static async recordSyncConflict(patientId, remoteRecord) {
+    const isNew = await db.transaction('rw', db.patients, db.syncQueue, db.syncConflicts, async () => {
+      const existing = await db.syncConflicts.get(patientId);
+      if (existing && existing.revision >= remoteRecord.revision) return false;
+      
+      await db.syncConflicts.put({ ...remoteRecord, patientId, detectedAt: Date.now() });
+      await db.patients.where('patientId').equals(patientId).modify({ syncStatus: SYNC_STATUS.CONFLICT });
+      await db.syncQueue.where('patientId').equals(patientId).delete();
+      return true;
+    });
+    if (!isNew) return false;
+    
+    await this.addAuditLog('SYNC_CONFLICT', patientId, {
+      action: 'Sync conflict detected',
+      serverRevision: remoteRecord.revision,
+      timestamp: new Date().toISOString()
+    });
+    return true;
+  }
+  
+  // Store a record pulled from the server as a new local revision
+  static async applyRemoteRecord(patientId, remoteRecord) {
+    if (!this.dataKey) {
+      throw new Error('Storage locked - cannot decrypt data');
+    }
+    
+    // Decrypting first makes sure the record was written with this device's clinic key (see joinClinicKey)
+    const patientRecord = await this.decryptRecord(remoteRecord);
+    return this.writePatientRecord(patientId, {
+      ...patientRecord,
+      metadata: { ...patientRecord.metadata, syncedFromDevice: remoteRecord.deviceId || null }
+    }, {
+      syncStatus: SYNC_STATUS.SYNCED,
+      serverRevision: remoteRecord.revision,
+      keepDraft: true, // Unsaved local edits are still offered for restore
+      auditAction: 'SYNC_PULL',
+      auditDetails: { action: 'Patient data updated from server', serverRevision: remoteRecord.revision }
+    });
+  }
+  
+  // Remove a record deleted on the server (only called when there are no local edits)
+  // A draft is kept, so unsaved work can still be saved as a new record
+  static async applyRemoteDelete(patientId, serverRevision) {
+    await db.transaction('rw', db.patients, db.revisions, async () => {
+      await db.patients.where('patientId').equals(patientId).delete();
+      await db.revisions.where('patientId').equals(patientId).delete();
+    });
+    
+    await this.addAuditLog('SYNC_DELETE', patientId, {
+      action: 'Patient deleted on the server',
+      serverRevision,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  static async getSyncCursor() {
+    return (await db.settings.get(SYNC_CURSOR_KEY))?.value ?? 0;
+  }
+  
+  static async setSyncCursor(cursor) {
+    await db.settings.put({ key: SYNC_CURSOR_KEY, value: cursor });
+  }
+  
+  // Counts for the sync status indicator
+  static async getSyncSummary() {
+    const [queued, conflicts] = await Promise.all([db.syncQueue.count(), db.syncConflicts.count()]);
+    const local = await db.patients.where('syncStatus').equals(SYNC_STATUS.LOCAL).count();
+    return { pending: queued + local, conflicts };
+  }
+  
+  static async getConflictPatientIds() {
+    return db.syncConflicts.toCollection().primaryKeys();
+  }
+  
+  // Both copies of a conflicted record, decrypted, or null when the patient has no conflict
+  // Returns { local, remote, remoteDeleted, remoteRevision, remoteDeviceId, detectedAt }
+  // remote is null when the other device deleted the patient
+  static async loadSyncConflict(patientId) {
+    if (!this.dataKey) {
+      throw new Error('Storage locked - cannot decrypt data');
+    }
+    
+    try {
+      const conflict = await db.syncConflicts.get(patientId);
+      if (!conflict) {
+        return null;
+      }
+      
+      const localRow = await db.patients.where('patientId').equals(patientId).first();
+      return {
+        local: localRow ? await this.decryptRecord(localRow) : null,
+        remote: conflict.deleted ? null : await this.decryptRecord(conflict),
+        remoteDeleted: Boolean(conflict.deleted),
+        remoteRevision: conflict.revision,
+        remoteDeviceId: conflict.deviceId || null,
+        detectedAt: conflict.detectedAt
+      };
+    } catch (error) {
+      console.error('Failed to load sync conflict:', error);
+      throw new Error(`Conflict load failed: ${error.message}`);
+    }
+  }
+  
+  // Save the merged record as a new revision based on the server copy, so the next push is accepted
+  // mergedRecord null accepts the deletion made on the other device
+  // remoteRevision is the server revision the user merged against (from loadSyncConflict)
+  static async resolveSyncConflict(patientId, mergedRecord, remoteRevision, auditDetails = {}) {
+    if (!this.dataKey) {
+      throw new Error('Storage locked - cannot encrypt data');
+    }
+    this.requirePermission(mergedRecord ? PERMISSIONS.EDIT_PATIENTS : PERMISSIONS.DELETE_PATIENTS);
+    
+    const conflict = await db.syncConflicts.get(patientId);
+    if (!conflict) {
+      throw new Error('Resolve failed: no sync conflict for this patient');
+    }
+    if (conflict.revision !== remoteRevision) {
+      throw new Error('Resolve failed: the record changed on the server again');
+    }
+    
+    let savedRecord = null;
+    if (mergedRecord) {
+      savedRecord = await this.writePatientRecord(patientId, mergedRecord, {
+        syncStatus: SYNC_STATUS.LOCAL,
+        serverRevision: conflict.revision,
+        auditAction: 'SYNC_RESOLVE',
+        auditDetails: { action: 'Sync conflict resolved', serverRevision: conflict.revision, ...auditDetails }
+      });
+    } else {
+      await this.applyRemoteDelete(patientId, conflict.revision);
+    }
+    await db.syncConflicts.delete(patientId);
+    
+    return savedRecord;
+  }
+  
+  // Export all patient data
+  // Pass options.passphrase to receive a password-protected bundle instead of plain JSON
+  static async exportAllData(options = {}) {
+    if (!this.dataKey) {
+      throw new Error('Storage locked - cannot export data');
+    }
+    this.requirePermission(PERMISSIONS.EXPORT_DATA);
+    
+    try {
+      const records = await db.patients.toArray();
+      const auditLogs = await db.auditLogs.toArray();
+      
+      // Decrypt all patient records for export
+      const decryptedRecords = (await this.decryptRecords(records)).map(({ record, patientRecord }) => ({
+        patientId: record.patientId,
+        data: patientRecord,
+        timestamp: record.timestamp,
+        syncStatus: record.syncStatus
+      }));
+      
       const exportData = {
         patients: decryptedRecords,
         auditLogs: auditLogs,
@@ -181,9 +1498,14 @@ export class SecureStorage {
       await this.addAuditLog('EXPORT_DATA', null, {
         action: 'Data exported',
         patientCount: decryptedRecords.length,
+        encrypted: !!options.passphrase,
         timestamp: new Date().toISOString()
       });
       
+      if (options.passphrase) {
+        return await createEncryptedBundle(exportData, options.passphrase);
+      }
+      
       return exportData;
       
     } catch (error) {
@@ -192,28 +1514,154 @@ export class SecureStorage {
     }
   }
   
-  // Add audit log entry
+  // Decrypt a stored database row back into a patient record
+  // Records saved before encounters existed are returned in the patient/encounter shape
+  static async decryptRecord(dbRecord) {
+    const encryptedData = JSON.parse(dbRecord.encryptedData);
+    const decryptedString = await decryptWithKey(encryptedData, this.dataKey);
+    return normalizePatientRecord(INTAKE_FORM_SCHEMA, JSON.parse(decryptedString));
+  }
+  
+  // Decrypt many rows in parallel; rows that fail are logged and left out
+  // Returns [{ record, patientRecord }] in the original order
+  static async decryptRecords(dbRecords) {
+    const results = await Promise.allSettled(dbRecords.map(record => this.decryptRecord(record)));
+    
+    return results.flatMap((result, index) => {
+      if (result.status === 'fulfilled') {
+        return [{ record: dbRecords[index], patientRecord: result.value }];
+      }
+      console.error(`Failed to decrypt patient ${dbRecords[index].patientId}:`, result.reason);
+      return [];
+    });
+  }
+  
+  // Add audit log entry, chained to the previous one
+  // The acting user is whoever is signed in, or the username in details for pre-login events
   static async addAuditLog(action, patientId, details) {
     try {
-      await db.auditLogs.add({
-        action: action,
-        timestamp: Date.now(),
-        patientId: patientId,
-        details: details
+      const auditKey = await this.getAuditKey(); // null while locked (see auditChain.js)
+      
+      await db.transaction('rw', db.auditLogs, db.settings, async () => {
+        const newEntry = {
+          action: action,
+          timestamp: Date.now(),
+          patientId: patientId ?? null,
+          user: this.currentUser?.username ?? details?.username ?? null,
+          details: details
+        };
+        let head = (await db.settings.get(AUDIT_HEAD_KEY))?.value || null;
+        
+        if (!head) {
+          // Entries from before the chain are sealed under the audit key (unkeyed they'd fail verification),
+          // so while locked a new entry waits unchained alongside them
+          if (!auditKey && await db.auditLogs.filter(entry => !entry.hash).count() > 0) {
+            await db.auditLogs.add(newEntry);
+            return;
+          }
+          head = await this.sealLegacyAuditLogs(auditKey);
+        }
+        
+        // Hashing isn't an IndexedDB request, so keep the transaction alive while it runs
+        const entry = await Dexie.waitFor(chainAuditEntry(newEntry, head, auditKey));
+        
+        await db.auditLogs.add(entry);
+        await db.settings.put({ key: AUDIT_HEAD_KEY, value: { seq: entry.seq, hash: entry.hash } });
       });
     } catch (error) {
       console.error('Failed to add audit log:', error);
     }
   }
   
-  // Get audit logs
+  // HMAC key for the audit chain, or null while storage is locked
+  static async getAuditKey() {
+    const dataKey = this.dataKey;
+    if (!dataKey) return null;
+    
+    if (!auditKeys.has(dataKey)) {
+      auditKeys.set(dataKey, await deriveAuditKey(dataKey));
+    }
+    return auditKeys.get(dataKey);
+  }
+  
+  // Audit keys of the current data key and of the keys it replaced (joinClinicKey), newest first
+  static async getAuditKeys() {
+    const currentKey = await this.getAuditKey();
+    if (!currentKey) return [];
+    
+    const rotations = (await db.settings.get(KEY_ROTATIONS_KEY))?.value || [];
+    const auditKeys = [currentKey];
+    let dataKey = this.dataKey;
+    
+    for (const rotation of [...rotations].reverse()) {
+      try {
+        dataKey = await openDataKey(rotation.backward, dataKey);
+        auditKeys.push(await deriveAuditKey(dataKey));
+      } catch {
+        // A change made from another key
+      }
+    }
+    
+    return auditKeys;
+  }
+  
+  // Chain entries written before the log was hash-chained, oldest first
+  // Returns the new chain head, or null if the log is empty
+  static async sealLegacyAuditLogs(auditKey) {
+    const entries = await db.auditLogs.orderBy(':id').toArray();
+    let head = null;
+    
+    for (const entry of entries) {
+      if (entry.hash) {
+        // Already chained - the head record went missing, so carry on from here
+        head = { seq: entry.seq, hash: entry.hash };
+        continue;
+      }
+      const chained = await Dexie.waitFor(chainAuditEntry({
+        ...entry,
+        patientId: entry.patientId ?? null,
+        user: entry.user ?? entry.details?.username ?? null
+      }, head, auditKey));
+      await db.auditLogs.put(chained);
+      head = { seq: chained.seq, hash: chained.hash };
+    }
+    
+    return head;
+  }
+  
+  // Check the whole audit log for edited, missing or reordered entries
+  // Returns { valid, entryCount, unauthenticatedCount, issues } (see verifyAuditChain)
+  static async verifyAuditLog() {
+    this.requirePermission(PERMISSIONS.VIEW_AUDIT_LOG);
+    
+    try {
+      const entries = await db.auditLogs.toArray();
+      const head = (await db.settings.get(AUDIT_HEAD_KEY))?.value || null;
+      const result = await verifyAuditChain(entries, head, await this.getAuditKeys());
+      
+      await this.addAuditLog('VERIFY_AUDIT_LOG', null, {
+        action: 'Audit log verified',
+        valid: result.valid,
+        entryCount: result.entryCount,
+        unauthenticatedCount: result.unauthenticatedCount,
+        issueCount: result.issues.length,
+        timestamp: new Date().toISOString()
+      });
+      
+      return result;
+    } catch (error) {
+      console.error('Failed to verify audit log:', error);
+      throw new Error(`Audit verification failed: ${error.message}`);
+    }
+  }
+  
+  // Get audit logs, newest first (pass limit = null for the whole log)
   static async getAuditLogs(limit = 100) {
+    this.requirePermission(PERMISSIONS.VIEW_AUDIT_LOG);
+    
     try {
-      return await db.auditLogs
-        .orderBy('timestamp')
-        .reverse()
-        .limit(limit)
-        .toArray();
+      const newestFirst = db.auditLogs.orderBy('timestamp').reverse();
+      return await (limit ? newestFirst.limit(limit) : newestFirst).toArray();
     } catch (error) {
       console.error('Failed to get audit logs:', error);
       return [];
@@ -222,10 +1670,17 @@ export class SecureStorage {
   
   // Clear all data (for testing or reset)
   static async clearAllData() {
+    this.requirePermission(PERMISSIONS.CLEAR_DATA);
+    
     try {
       await db.patients.clear();
-      await db.auditLogs.clear();
-      // Don't clear settings (keeps device ID)
+      await db.revisions.clear();
+      await db.drafts.clear();
+      // Nothing local is left to upload; the next sync pulls the server's records from the start
+      await db.syncQueue.clear();
+      await db.syncConflicts.clear();
+      await db.settings.delete(SYNC_CURSOR_KEY);
+      // Don't clear the audit log (evidence trail) or other settings (device ID, audit chain head)
       
       await this.addAuditLog('CLEAR_DATA', null, {
         action: 'All data cleared',
@@ -0,0 +1,228 @@
+// Offline-first sync of patient records with the server at VITE_API_BASE_URL
+// Records travel still encrypted (the server never sees patient data). Each cycle:
+//   1. queue rows saved locally ('local' -> 'pending')
+//   2. push due queue entries; the server accepts a write only if it is based on its current
+//      revision, otherwise it answers 409 with its copy and the record becomes a 'conflict'
+//   3. pull the server change feed since the stored cursor and apply newer revisions; the cursor
+//      stays before any page with a change that couldn't be applied, so it is pulled again
+//      (e.g. a record from a device that doesn't share this clinic key yet - see joinClinicKey)
+// Failed uploads are retried with exponential backoff, and so are whole cycles while offline.
+//
+// Server API (JSON):
+//   PUT    /sync/patients/:id  { baseRevision, encryptedData, deviceId, updatedAt } -> { revision }
+//   DELETE /sync/patients/:id?baseRevision=n                                      -> { revision }
+//   GET    /sync/changes?since=cursor  -> { changes: [{ patientId, revision, encryptedData,
+//                                          deviceId, updatedAt, deleted }], cursor, hasMore }
+import { apiClient } from './apiClient.js';
+import { SecureStorage, SYNC_STATUS } from './secureStorage.js';
+
+export const SYNC_INTERVAL_MS = 30 * 1000;
+export const RETRY_BASE_MS = 5 * 1000;
+export const RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Wait before the next attempt after this many consecutive failures
+export function getRetryDelayMs(failures) {
+  if (failures <= 0) return 0;
+  return Math.min(RETRY_BASE_MS * 2 ** (failures - 1), RETRY_MAX_MS);
+}
+
+// What to do with a pulled change, given the local row (undefined if none):
+// 'apply', 'delete', 'conflict' or 'skip' (already have it, or nothing local to delete)
+export function resolveRemoteChange(localRow, change) {
+  if (localRow && (localRow.serverRevision || 0) >= change.revision) return 'skip';
+
+  const hasLocalEdits = localRow && localRow.syncStatus !== SYNC_STATUS.SYNCED;
+  if (change.deleted) {
+    if (!localRow) return 'skip';
+    return hasLocalEdits ? 'conflict' : 'delete';
+  }
+  if (!localRow) return 'apply';
+  return hasLocalEdits ? 'conflict' : 'apply';
+}
+
+const patientPath = (patientId) => `/sync/patients/${encodeURIComponent(patientId)}`;
+
+// The server couldn't be reached at all (as opposed to answering with an error)
+export const isOfflineError = (error) => Boolean(error?.isNetworkFailure);
+
+export class SyncEngine {
+  constructor({ client = apiClient, storage = SecureStorage, intervalMs = SYNC_INTERVAL_MS } = {}) {
+    this.client = client;
+    this.storage = storage;
+    this.intervalMs = intervalMs;
+    this.running = null; // Promise of the cycle in progress
+    this.failures = 0; // Consecutive failed cycles, for backoff
+    this.timerId = null;
+    this.listener = null;
+  }
+
+  // Run one push/pull cycle (concurrent callers share the running one)
+  // Returns { queued, pushed, failed, conflicts, pulled: [patientIds changed locally],
+  //           unreadable: [patientIds of pulled changes that couldn't be applied, retried next cycle] }
+  syncOnce(now = Date.now()) {
+    if (!this.running) {
+      this.running = this.runCycle(now).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async runCycle(now) {
+    if (!this.storage.isUnlocked()) {
+      throw new Error('Sync failed: storage locked');
+    }
+
+    const result = { queued: 0, pushed: 0, failed: 0, conflicts: [], pulled: [], unreadable: [] };
+    result.queued = await this.storage.queueLocalChanges(now);
+    await this.push(now, result);
+    await this.pull(result);
+    return result;
+  }
+
+  async push(now, result) {
+    const entries = await this.storage.getDueSyncEntries(now);
+
+    for (const entry of entries) {
+      let row = null;
+      try {
+        if (entry.operation === 'delete') {
+          await this.client.request(`${patientPath(entry.patientId)}?baseRevision=${entry.baseRevision}`, {
+            method: 'DELETE'
+          });
+          await this.storage.completeSyncEntry(entry);
+          result.pushed += 1;
+          continue;
+        }
+
+        row = await this.storage.getSyncRow(entry.patientId);
+        if (!row) {
+          await this.storage.completeSyncEntry(entry);
+          continue;
+        }
+
+        const { revision } = await this.client.request(patientPath(entry.patientId), {
+          method: 'PUT',
+          body: JSON.stringify({
+            baseRevision: row.serverRevision || 0,
+            encryptedData: row.encryptedData,
+            deviceId: row.deviceId,
+            updatedAt: row.timestamp
+          })
+        });
+        await this.storage.markSynced(entry, row, revision);
+        result.pushed += 1;
+      } catch (error) {
+        if (error.status === 409 && row && error.body?.record?.encryptedData === row.encryptedData) {
+          // Our own upload: it was accepted but the response was lost, so the retry saw it as a conflict
+          await this.storage.markSynced(entry, row, error.body.record.revision);
+          result.pushed += 1;
+        } else if (error.status === 409 && entry.operation === 'delete') {
+          // Changed on the server since we last saw it: drop the delete, the pull brings it back
+          await this.storage.completeSyncEntry(entry);
+        } else if (error.status === 404 && entry.operation === 'delete') {
+          await this.storage.completeSyncEntry(entry);
+        } else if (error.status === 409 && error.body?.record) {
+          if (await this.storage.recordSyncConflict(entry.patientId, error.body.record)) {
+            result.conflicts.push(entry.patientId);
+          }
+        } else {
+          await this.storage.recordSyncFailure(entry, error.message, now + getRetryDelayMs(entry.attempts + 1));
+          result.failed += 1;
+          // No point trying the rest of the queue without a connection
+          if (isOfflineError(error)) throw error;
+        }
+      }
+    }
+  }
+
+  async pull(result) {
+    let cursor = await this.storage.getSyncCursor();
+    let hasMore = true;
+    let holdCursor = false; // Set once a change fails; later pages are still applied
+
+    while (hasMore) {
+      const page = await this.client.request(`/sync/changes?since=${encodeURIComponent(cursor)}`);
+
+      for (const change of page.changes) {
+        try {
+          await this.applyChange(change, result);
+        } catch (error) {
+          // Locked mid-pull: stop before the cursor moves past this page
+          if (!this.storage.isUnlocked()) throw error;
+          // Otherwise (e.g. encrypted with a clinic key this device doesn't hold) pull it again next cycle;
+          // the changes around it that were applied are skipped then
+          console.error(`Could not apply pulled change for patient ${change.patientId}:`, error);
+          result.unreadable.push(change.patientId);
+          holdCursor = true;
+        }
+      }
+
+      cursor = page.cursor;
+      if (!holdCursor) {
+        await this.storage.setSyncCursor(cursor);
+      }
+      hasMore = page.hasMore && page.changes.length > 0;
+    }
+  }
+
+  async applyChange(change, result) {
+    const localRow = await this.storage.getSyncRow(change.patientId);
+    const action = resolveRemoteChange(localRow, change);
+
+    if (action === 'apply') {
+      await this.storage.applyRemoteRecord(change.patientId, change);
+      result.pulled.push(change.patientId);
+    } else if (action === 'delete') {
+      await this.storage.applyRemoteDelete(change.patientId, change.revision);
+      result.pulled.push(change.patientId);
+    } else if (action === 'conflict' && await this.storage.recordSyncConflict(change.patientId, change)) {
+      result.conflicts.push(change.patientId);
+    }
+  }
+
+  // Sync now and every intervalMs (backing off after failures) until stop()
+  // listener({ status: 'synced' | 'offline' | 'error', result, error }) is called after each cycle
+  start(listener) {
+    this.stop();
+    this.listener = listener;
+    window.addEventListener('online', this.handleOnline);
+    this.schedule(0);
+  }
+
+  stop() {
+    clearTimeout(this.timerId);
+    this.timerId = null;
+    this.listener = null;
+    window.removeEventListener('online', this.handleOnline);
+  }
+
+  handleOnline = () => {
+    this.failures = 0;
+    this.schedule(0);
+  };
+
+  schedule(delayMs) {
+    clearTimeout(this.timerId);
+    this.timerId = setTimeout(() => this.runScheduled(), delayMs);
+  }
+
+  async runScheduled() {
+    let event;
+    try {
+      const result = await this.syncOnce();
+      this.failures = 0;
+      event = { status: 'synced', result };
+    } catch (error) {
+      this.failures += 1;
+      event = { status: isOfflineError(error) ? 'offline' : 'error', error };
+    }
+
+    // stop() may have run while the cycle was in flight
+    if (!this.listener) return;
+    this.listener(event);
+    this.schedule(this.failures > 0 ? getRetryDelayMs(this.failures) : this.intervalMs);
+  }
+}
+
+export const syncEngine = new SyncEngine();
@@ -0,0 +1,126 @@
+// Local user accounts (stored in localStorage under 'registered_users', keyed by lowercase username)
+// Only login metadata live here - each user's copy of the data key, and the role that grants permissions,
+// are kept in SecureStorage's keyring; the role stored here is a display copy
+import { ROLES } from './roles.js';
+import { PBKDF2_ITERATIONS, PBKDF2_HASH } from './encryption.js';
+
+const USERS_KEY = 'registered_users';
+export const MIN_PASSWORD_LENGTH = 8;
+
+export function getUsers() {
+  return JSON.parse(localStorage.getItem(USERS_KEY) || '{}');
+}
+
+function saveUsers(users) {
+  localStorage.setItem(USERS_KEY, JSON.stringify(users));
+}
+
+export function hasUsers() {
+  return Object.keys(getUsers()).length > 0;
+}
+
+export function findUser(username) {
+  return getUsers()[username.trim().toLowerCase()] || null;
+}
+
+// All users, sorted by username
+export function listUsers() {
+  return Object.values(getUsers()).sort((a, b) => a.username.localeCompare(b.username));
+}
+
+// Login verifier: PBKDF2 over the password at the same cost as the key wrapping in keyWrapping.js,
+// so guessing a password offline from localStorage is no cheaper than attacking the wrapped data key
+async function hashPassword(password, salt, iterations) {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt: new Uint8Array(salt), iterations, hash: PBKDF2_HASH },
+    keyMaterial,
+    256
+  );
+  return Array.from(new Uint8Array(bits));
+}
+
+// Verifier of records saved before passwordIterations existed: one SHA-256 over password + salt
+async function hashLegacyPassword(password, salt) {
+  const passwordData = new TextEncoder().encode(password + salt.join(','));
+  const hashBuffer = await crypto.subtle.digest('SHA-256', passwordData);
+  return Array.from(new Uint8Array(hashBuffer));
+}
+
+// Fresh salt and verifier for a password, as stored on the user record
+async function passwordFields(password) {
+  const salt = Array.from(crypto.getRandomValues(new Uint8Array(16)));
+  return {
+    salt,
+    passwordIterations: PBKDF2_ITERATIONS,
+    passwordHash: await hashPassword(password, salt, PBKDF2_ITERATIONS)
+  };
+}
+
+// Check a password; a correct one also replaces a verifier weaker than today's with a new one
+export async function verifyPassword(userRecord, password) {
+  const passwordHash = userRecord.passwordIterations
+    ? await hashPassword(password, userRecord.salt, userRecord.passwordIterations)
+    : await hashLegacyPassword(password, userRecord.salt);
+  const isValid = JSON.stringify(passwordHash) === JSON.stringify(userRecord.passwordHash);
+
+  if (isValid && (userRecord.passwordIterations || 0) < PBKDF2_ITERATIONS) {
+    updateUser(userRecord.username, await passwordFields(password));
+  }
+  return isValid;
+}
+
+// Create and store a new user; throws if the username is taken
+export async function createUser(username, password, role = ROLES.READ_ONLY) {
+  const users = getUsers();
+  const userKey = username.trim().toLowerCase();
+
+  if (users[userKey]) {
+    throw new Error('Username already exists');
+  }
+
+  const userRecord = {
+    username: username.trim(),
+    ...await passwordFields(password),
+    role,
+    createdAt: new Date().toISOString(),
+    lastLogin: null
+  };
+
+  users[userKey] = userRecord;
+  saveUsers(users);
+  return userRecord;
+}
+
+export function updateUser(username, changes) {
+  const users = getUsers();
+  const userKey = username.trim().toLowerCase();
+
+  if (!users[userKey]) {
+    throw new Error('User not found');
+  }
+
+  users[userKey] = { ...users[userKey], ...changes };
+  saveUsers(users);
+  return users[userKey];
+}
+
+// Replace a user's password verifier (after the data key has been re-wrapped)
+export async function setPassword(username, password) {
+  return updateUser(username, {
+    ...await passwordFields(password),
+    passwordChangedAt: new Date().toISOString()
+  });
+}
+
+export function deleteUser(username) {
+  const users = getUsers();
+  delete users[username.trim().toLowerCase()];
+  saveUsers(users);
+}
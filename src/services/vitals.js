@@ -0,0 +1,124 @@
+// Vital signs: BMI, age-based reference ranges and metric/imperial switching
+// Works on form or encounter values; quantity fields are read in their base unit (see intakeSchema.js)
+import { getSchemaFields, convertQuantity, toBaseUnit } from '../forms/formEngine';
+
+// Reference ranges in base units, by age band (age in whole years; unknown age uses adult ranges)
+// Values outside a range are flagged for review, they are not validation errors
+export const VITAL_RANGES = [
+  {
+    band: 'infant',
+    maxAge: 0,
+    ranges: { heartRate: [100, 160], respiratoryRate: [30, 60], bpSystolic: [70, 100], bpDiastolic: [45, 70] }
+  },
+  {
+    band: 'youngChild',
+    maxAge: 5,
+    ranges: { heartRate: [80, 140], respiratoryRate: [20, 40], bpSystolic: [80, 110], bpDiastolic: [50, 75] }
+  },
+  {
+    band: 'child',
+    maxAge: 12,
+    ranges: { heartRate: [70, 120], respiratoryRate: [18, 30], bpSystolic: [90, 120], bpDiastolic: [55, 80] }
+  },
+  {
+    band: 'adolescent',
+    maxAge: 17,
+    ranges: { heartRate: [60, 100], respiratoryRate: [12, 20], bpSystolic: [100, 130], bpDiastolic: [60, 85] }
+  },
+  {
+    band: 'adult',
+    maxAge: Infinity,
+    ranges: { heartRate: [60, 100], respiratoryRate: [12, 20], bpSystolic: [90, 139], bpDiastolic: [60, 89], bmi: [18.5, 24.9] }
+  }
+];
+
+// Ranges that don't depend on age
+const COMMON_RANGES = { temperature: [36, 37.9], spo2: [95, 100], painScore: [0, 6] };
+
+const findField = (schema, name) => getSchemaFields(schema).find(field => field.name === name);
+
+// A vital's number in its base unit, or NaN when missing
+const readVital = (schema, values, name) => {
+  const field = findField(schema, name);
+  const value = values?.[name];
+  if (!field || value === undefined || value === null || value === '') return NaN;
+  return field.type === 'quantity' ? toBaseUnit(field, value) : Number(value);
+};
+
+/**
+ * Reference ranges for a patient's age
+ * @param {number|string} age - Age in years ('' or missing for unknown)
+ * @returns {Object} { band, ranges } where ranges maps a vital name to [min, max]
+ */
+export function getVitalRanges(age) {
+  const years = age === '' || age === null || age === undefined ? NaN : Number(age);
+  const group = isNaN(years)
+    ? VITAL_RANGES[VITAL_RANGES.length - 1]
+    : VITAL_RANGES.find(entry => years <= entry.maxAge);
+  return { band: group.band, ranges: { ...COMMON_RANGES, ...group.ranges } };
+}
+
+/**
+ * Body mass index from weight and height
+ * @param {Object} schema - Form schema
+ * @param {Object} values - Form or encounter values with weight and height quantities
+ * @returns {number|null} BMI rounded to one decimal, or null without both measurements
+ */
+export function calculateBmi(schema, values) {
+  const weightKg = readVital(schema, values, 'weight');
+  const heightM = readVital(schema, values, 'height') / 100;
+  if (!(weightKg > 0) || !(heightM > 0)) return null;
+  return Math.round((weightKg / (heightM * heightM)) * 10) / 10;
+}
+
+/**
+ * Vitals outside the reference range for the patient's age
+ * @param {Object} schema - Form schema
+ * @param {Object} values - Form values (vitals plus the patient's age)
+ * @returns {Array} [{ name, level: 'low' | 'high', value, min, max }] with values in base units
+ */
+export function getVitalAlerts(schema, values = {}) {
+  const { ranges } = getVitalRanges(values.age);
+  const bmi = calculateBmi(schema, values);
+
+  return Object.entries(ranges).flatMap(([name, [min, max]]) => {
+    const value = name === 'bmi' ? (bmi ?? NaN) : readVital(schema, values, name);
+    if (isNaN(value)) return [];
+    if (value < min) return [{ name, level: 'low', value, min, max }];
+    if (value > max) return [{ name, level: 'high', value, min, max }];
+    return [];
+  });
+}
+
+/**
+ * The unit system vitals are shown in
+ * @param {Object} schema - Form schema
+ * @param {Object} values - Form values
+ * @returns {string} 'metric', 'imperial' or 'mixed'
+ */
+export function getUnitSystem(schema, values = {}) {
+  const systems = new Set(getSchemaFields(schema)
+    .filter(field => field.type === 'quantity' && field.units.some(unit => unit.system))
+    .map(field => field.units.find(unit => unit.value === values[field.name]?.unit)?.system || field.units[0].system));
+  return systems.size === 1 ? [...systems][0] : 'mixed';
+}
+
+/**
+ * Switch every quantity that has a unit in the given system, converting entered values
+ * @param {Object} schema - Form schema
+ * @param {Object} values - Form values
+ * @param {string} system - 'metric' or 'imperial'
+ * @returns {Object} Changed values only, keyed by field name
+ */
+export function convertToUnitSystem(schema, values = {}, system) {
+  return getSchemaFields(schema)
+    .filter(field => field.type === 'quantity')
+    .reduce((changes, field) => {
+      const unit = field.units.find(option => option.system === system);
+      const current = values[field.name];
+      if (unit && current?.unit !== unit.value) {
+        changes[field.name] = convertQuantity(field, current, unit.value);
+      }
+      return changes;
+    }, {});
+}
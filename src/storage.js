@@ -1,5 +1,6 @@
 // storage.js - Production-Grade Medical Data Storage Infrastructure
 import localforage from 'localforage';
+import { matchesCriteria } from './services/patientSearch';
 
 // ================================
 // CONFIGURATION & CONSTANTS
@@ -1077,22 +1078,7 @@ class StorageService {
    * @private
    */
   _matchesCriteria(data, criteria) {
-    for (const [field, value] of Object.entries(criteria)) {
-      if (typeof value === 'object' && value !== null) {
-        // Handle range queries
-        if (value.$gte && data[field] < value.$gte) return false;
-        if (value.$lte && data[field] > value.$lte) return false;
-        if (value.$regex && !new RegExp(value.$regex, value.$flags).test(data[field])) return false;
-      } else {
-        // Exact match or substring
-        if (typeof data[field] === 'string' && typeof value === 'string') {
-          if (!data[field].toLowerCase().includes(value.toLowerCase())) return false;
-        } else if (data[field] !== value) {
-          return false;
-        }
-      }
-    }
-    return true;
+    return matchesCriteria(data, criteria);
   }
 
   /**
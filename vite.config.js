@@ -1,9 +1,11 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { mockApiPlugin } from './mock-api/server.js';
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  // The mock API answers under /api in development (see mock-api/server.js)
+  plugins: [react(), mockApiPlugin()],
   test: {
     globals: true,
     environment: 'jsdom',